@@ -0,0 +1,209 @@
+/**
+ * Tests for account deletion
+ *
+ *   1. Deletion must be confirmed and is refused while a subscription is active
+ *   2. Erasure deletes and anonymises in one transaction, keeping retained records
+ *      and stripping personal data from the log entries it keeps
+ *   3. Erased accounts can no longer authenticate, and their credentials no longer verify
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery, mockRelease, mockSendAccountDeletionScheduled } from './setup.js';
+import accountRouter from '../routes/account.routes.js';
+import verificationRouter from '../routes/verification.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { eraseAccount, anonymisedEmail } from '../services/accountDeletionService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/account', accountRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000e1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+const USER = { id: USER_ID, email: 'Cand@Example.com', account_type: 'candidate', name: 'Cand' };
+
+describe('account deletion requests', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  function mockDb({ user = USER, subscription = false } = {}) {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [user] };
+      if (sql.includes('FROM subscriptions')) return { rows: subscription ? [{ id: 'sub-1' }] : [] };
+      if (sql.includes('INSERT INTO account_deletions')) {
+        return { rows: [{ id: 'del-1', status: 'scheduled', scheduled_for: new Date(Date.now() + 30 * 86400000) }] };
+      }
+      return { rows: [] };
+    });
+  }
+
+  it('should require the account email as confirmation', async () => {
+    mockDb();
+    const res = await request(buildApp())
+      .post('/api/account/deletion')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ confirmEmail: 'someone@else.com' });
+    expect(res.status).toBe(400);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO account_deletions'))).toBe(false);
+  });
+
+  it('should refuse while a subscription is active', async () => {
+    mockDb({ subscription: true });
+    const res = await request(buildApp())
+      .post('/api/account/deletion')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ confirmEmail: 'cand@example.com' });
+    expect(res.status).toBe(409);
+  });
+
+  it('should schedule the deletion and email the user', async () => {
+    mockDb();
+    const res = await request(buildApp())
+      .post('/api/account/deletion')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ confirmEmail: ' cand@example.com ', reason: 'No longer looking' });
+    expect(res.status).toBe(202);
+    expect(res.body.deletion).toMatchObject({ id: 'del-1', status: 'scheduled' });
+    expect(mockSendAccountDeletionScheduled).toHaveBeenCalledWith(expect.objectContaining({ to: USER.email }));
+  });
+
+  it('should reject tokens of erased accounts', async () => {
+    mockDb({ user: { ...USER, email: anonymisedEmail(USER_ID), deleted_at: new Date() } });
+    const res = await request(buildApp()).get('/api/account/deletion').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('account erasure', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should delete and anonymise the account in one transaction', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [USER] };
+      if (sql.includes('FROM candidates WHERE user_id')) return { rows: [{ id: 'cand-1', avatar_url: 'profile_pic/e1.png' }] };
+      if (sql.includes('FROM education_history')) return { rows: [{ id: 'edu-1', document_url: 'verification_docs/education-verifications/degree.pdf' }] };
+      if (sql.includes('SELECT file_path FROM data_exports')) return { rows: [{ file_path: 'data_exports/e1/x.zip' }] };
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM account_deletions') && sql.includes('FOR UPDATE')) return { rows: [{ id: 'del-1' }] };
+      return { rows: [], rowCount: sql.startsWith('DELETE FROM social_posts') ? 3 : 1 };
+    });
+
+    const summary = await eraseAccount({ id: 'del-1', user_id: USER_ID });
+    // The avatar, the degree certificate and the data export.
+    expect(summary).toMatchObject({ posts: 3, employment: 1, files: 3 });
+
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements.at(-1)).toBe('COMMIT');
+    expect(statements.some((sql) => /subscription_payments|DELETE FROM (audit_log|consent_log)/.test(sql))).toBe(false);
+
+    const userUpdate = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE users'));
+    expect(userUpdate[1]).toEqual([USER_ID, anonymisedEmail(USER_ID), 'Deleted user']);
+    const audit = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audit[1][2]).toBe('account.erase');
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  it('should strip personal data from the log entries it keeps', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM account_deletions') && sql.includes('FOR UPDATE')) return { rows: [{ id: 'del-1' }] };
+      return { rows: [], rowCount: 2 };
+    });
+
+    const summary = await eraseAccount({ id: 'del-1', user_id: USER_ID });
+    expect(summary).toMatchObject({ auditEntries: 2, consentEntries: 2 });
+
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    const redaction = statements.indexOf("SET LOCAL veriboard.log_redaction = 'on'");
+    expect(redaction).toBeGreaterThan(0);
+    // The entries are found through the records, so they are redacted before the records are deleted.
+    expect(redaction).toBeLessThan(statements.findIndex((sql) => sql.includes('DELETE FROM employment_history')));
+
+    const [auditSql, auditParams] = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE audit_log') && sql.includes('SET changes'));
+    expect(auditSql).toContain(`'"[redacted]"'`);
+    expect(auditSql).toMatch(/metadata = CASE/);
+    for (const type of ['user', 'employment', 'education', 'certification', 'background_check', 'application']) {
+      expect(auditSql).toContain(`target_type = '${type}'`);
+    }
+    expect(auditParams).toEqual([USER_ID, ['status', 'verification_status', 'is_verified']]);
+
+    const [ipSql, ipParams] = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE audit_log SET ip_address'));
+    expect(ipSql).toContain('ip_address = NULL, user_agent = NULL');
+    expect(ipParams).toEqual([USER_ID]);
+
+    const [consentSql, consentParams] = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE consent_log'));
+    expect(consentSql).toContain('details = details - $2::text[]');
+    expect(consentSql).toMatch(/ip_address = CASE WHEN actor_user_id = \$1 THEN NULL/);
+    expect(consentSql).toMatch(/user_agent = CASE WHEN actor_user_id = \$1 THEN NULL/);
+    expect(consentParams).toEqual([USER_ID, ['reason']]);
+  });
+
+  it('should delete candidate records that would otherwise outlive the account', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM account_deletions') && sql.includes('FOR UPDATE')) return { rows: [{ id: 'del-1' }] };
+      return { rows: [], rowCount: 1 };
+    });
+
+    const summary = await eraseAccount({ id: 'del-1', user_id: USER_ID });
+    expect(summary).toMatchObject({
+      credentials: 1, referenceRequests: 1, appeals: 1, consentRequests: 1, endorsements: 1, assessmentAttempts: 1,
+    });
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    expect(statements.find((sql) => sql.includes('DELETE FROM skill_endorsements'))).toContain('endorser_user_id = $1');
+    expect(statements.indexOf('COMMIT')).toBeGreaterThan(statements.findIndex((sql) => sql.includes('DELETE FROM verification_credentials')));
+  });
+
+  it('should stop verifying the credentials of an erased account', async () => {
+    const credentials = new Map([['cred-1', { credential: { subject: { name: 'Cand' } }, signature: {} }]]);
+    mockQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM verification_credentials WHERE id = $1')) {
+        return { rows: credentials.has(params[0]) ? [credentials.get(params[0])] : [] };
+      }
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM account_deletions') && sql.includes('FOR UPDATE')) return { rows: [{ id: 'del-1' }] };
+      if (sql.includes('DELETE FROM verification_credentials')) {
+        const rowCount = credentials.size;
+        credentials.clear();
+        return { rows: [], rowCount };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    await eraseAccount({ id: 'del-1', user_id: USER_ID });
+
+    const app = express();
+    app.use('/api/verifications', verificationRouter);
+    app.use(errorHandler);
+    const res = await request(app).get('/api/verifications/verify/cred-1');
+    expect(res.status).toBe(404);
+    expect(JSON.stringify(res.body)).not.toContain('Cand');
+  });
+
+  it('should skip a deletion that was cancelled in the meantime', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    mockClientQuery.mockResolvedValue({ rows: [] });
+    expect(await eraseAccount({ id: 'del-1', user_id: USER_ID })).toBeNull();
+    expect(mockClientQuery.mock.calls.map(([sql]) => sql)).toContain('ROLLBACK');
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('UPDATE users'))).toBe(false);
+  });
+});
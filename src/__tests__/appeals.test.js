@@ -0,0 +1,225 @@
+/**
+ * Tests for the rejection appeal workflow
+ *
+ *   1. Only rejected records can be appealed, and evidence is required
+ *   2. Appeals are routed away from the original decider, including one who
+ *      rejected the record by editing it
+ *   3. Only the assigned (or, if unassigned, any other) admin can decide, and
+ *      only a record that is still rejected can be overturned
+ *   4. The outcome is written to the verification_comments thread
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery } from './setup.js';
+
+import adminRouter from '../routes/admin.routes.js';
+import candidateVerificationRouter from '../routes/candidate-verification.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRouter);
+  app.use('/api/candidates', candidateVerificationRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const ADMIN_A = '00000000-0000-0000-0000-00000000000a';
+const ADMIN_B = '00000000-0000-0000-0000-00000000000b';
+const CANDIDATE = '00000000-0000-0000-0000-00000000000c';
+
+function mockAs(userId, accountType, handler = async () => ({ rows: [] })) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: userId, email: 'x@example.com', account_type: accountType, name: 'User' }] };
+    }
+    if (sql.includes('SELECT full_name FROM candidates')) return { rows: [{ full_name: 'Cand' }] };
+    return handler(sql, params);
+  });
+  return jwt.sign({ id: userId }, process.env.JWT_SECRET);
+}
+
+function pendingAppeal(overrides = {}) {
+  return {
+    id: 'appeal-1',
+    verification_type: 'employment',
+    verification_id: 'emp-1',
+    candidate_id: 'cand-1',
+    original_decider_id: ADMIN_A,
+    assigned_admin_id: ADMIN_B,
+    status: 'pending',
+    ...overrides,
+  };
+}
+
+describe('POST /api/candidates/appeals', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should require new evidence', async () => {
+    const token = mockAs(CANDIDATE, 'candidate');
+    const res = await request(buildApp())
+      .post('/api/candidates/appeals')
+      .set('Authorization', `Bearer ${token}`)
+      .field('verificationType', 'employment')
+      .field('verificationId', 'emp-1')
+      .field('reason', 'I did work there');
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/evidence/);
+  });
+
+  it('should refuse to appeal a record that is not rejected', async () => {
+    const token = mockAs(CANDIDATE, 'candidate', async (sql) => {
+      if (sql.includes('FROM employment_history r')) {
+        return { rows: [{ id: 'emp-1', candidate_id: 'cand-1', verification_status: 'verified' }] };
+      }
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/candidates/appeals')
+      .set('Authorization', `Bearer ${token}`)
+      .field('verificationType', 'employment')
+      .field('verificationId', 'emp-1')
+      .field('reason', 'I did work there')
+      .attach('documents', Buffer.from('%PDF-1.4'), { filename: 'payslip.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Only rejected/);
+  });
+
+  it('should route the appeal away from the original decider', async () => {
+    let reviewerParams;
+    const token = mockAs(CANDIDATE, 'candidate', async (sql, params) => {
+      if (sql.includes('FROM employment_history r')) {
+        return { rows: [{ id: 'emp-1', candidate_id: 'cand-1', verification_status: 'rejected', rejection_reason: 'No proof', verified_by: ADMIN_A, decider_name: 'Alice' }] };
+      }
+      if (sql.includes("u.account_type = 'admin'")) {
+        reviewerParams = params;
+        return { rows: [{ id: ADMIN_B, name: 'Bob' }] };
+      }
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO verification_appeals')) {
+        return { rows: [pendingAppeal({ assigned_admin_id: params[8], original_decider_id: params[7] })] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/candidates/appeals')
+      .set('Authorization', `Bearer ${token}`)
+      .field('verificationType', 'employment')
+      .field('verificationId', 'emp-1')
+      .field('reason', 'Attached my offer letter')
+      .attach('documents', Buffer.from('%PDF-1.4'), { filename: 'offer.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(201);
+    expect(reviewerParams).toEqual([ADMIN_A]);
+    expect(res.body.appeal.assignedAdminId).toBe(ADMIN_B);
+    const comment = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO verification_comments'));
+    expect(comment[1][5]).toContain('No proof');
+  });
+});
+
+describe('rejections made by editing a record', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should record the admin as the decider, so appeals avoid them', async () => {
+    const token = mockAs(ADMIN_A, 'admin', async (sql) => (
+      sql.includes('FROM employment_history eh')
+        ? { rows: [{ id: 'emp-1', verification_status: 'pending', candidate_user_id: CANDIDATE }] }
+        : { rows: [] }
+    ));
+    mockClientQuery.mockImplementation(async (sql) => (
+      sql.includes('UPDATE employment_history') ? { rows: [{ id: 'emp-1', verification_status: 'rejected' }] } : { rows: [] }
+    ));
+    const res = await request(buildApp())
+      .put('/api/admin/employments/emp-1')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ position: 'Engineer', companyName: 'Acme', startDate: '2020-01-01', verificationStatus: 'rejected' });
+
+    expect(res.status).toBe(200);
+    const [sql, params] = mockClientQuery.mock.calls.find(([q]) => q.includes('UPDATE employment_history'));
+    expect(sql).toContain("verified_by = CASE WHEN $5 IN ('verified', 'rejected') THEN $7");
+    expect(params[6]).toBe(ADMIN_A);
+  });
+});
+
+describe('POST /api/admin/appeals/:id/decide', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should not let the original decider decide', async () => {
+    const token = mockAs(ADMIN_A, 'admin');
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM verification_appeals WHERE id')) return { rows: [pendingAppeal({ assigned_admin_id: null })] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/admin/appeals/appeal-1/decide')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ outcome: 'overturned', notes: 'Looks fine' });
+    expect(res.status).toBe(403);
+  });
+
+  it('should overturn the rejection and log the outcome in the thread', async () => {
+    const token = mockAs(ADMIN_B, 'admin');
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM verification_appeals WHERE id')) return { rows: [pendingAppeal()] };
+      if (sql.includes('UPDATE verification_appeals')) return { rows: [pendingAppeal({ status: 'overturned' })] };
+      if (sql.includes('UPDATE employment_history')) return { rows: [], rowCount: 1 };
+      if (sql.includes('SELECT user_id FROM candidates')) return { rows: [{ user_id: CANDIDATE }] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/admin/appeals/appeal-1/decide')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ outcome: 'overturned', notes: 'Offer letter checks out' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.appeal.status).toBe('overturned');
+    const recordUpdate = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE employment_history'));
+    expect(recordUpdate[0]).toContain("verification_status = 'verified'");
+    const comment = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO verification_comments'));
+    expect(comment[1]).toEqual(expect.arrayContaining(['employment', 'emp-1', ADMIN_B]));
+  });
+
+  it('should not overturn a record that was re-reviewed after the appeal', async () => {
+    const token = mockAs(ADMIN_B, 'admin');
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM verification_appeals WHERE id')) return { rows: [pendingAppeal()] };
+      if (sql.includes('UPDATE employment_history')) return { rows: [], rowCount: 0 };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/admin/appeals/appeal-1/decide')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ outcome: 'overturned', notes: 'Offer letter checks out' });
+
+    expect(res.status).toBe(409);
+    const recordUpdate = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE employment_history'));
+    expect(recordUpdate[0]).toContain("AND verification_status = 'rejected'");
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    expect(statements).toContain('ROLLBACK');
+    expect(statements.some((sql) => sql.includes('UPDATE verification_appeals'))).toBe(false);
+  });
+
+  it('should reject notes that are not text', async () => {
+    const token = mockAs(ADMIN_B, 'admin');
+    const res = await request(buildApp())
+      .post('/api/admin/appeals/appeal-1/decide')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ outcome: 'upheld', notes: ['a'] });
+    expect(res.status).toBe(400);
+  });
+});
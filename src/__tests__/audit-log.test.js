@@ -0,0 +1,236 @@
+/**
+ * Tests for the admin audit log
+ *
+ *   1. Only changed fields are kept, and secrets are redacted
+ *   2. Admin decisions append an entry with the diff, IP and user agent
+ *   3. The query endpoint validates dates; the export is CSV
+ *   4. Hiring team actions are audited in the transaction that makes them,
+ *      with one INSERT for a bulk action
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery } from './setup.js';
+import adminRouter from '../routes/admin.routes.js';
+import hrFeatureRouter from '../routes/hr-features.routes.js';
+import collaboratorRouter from '../routes/collaborators.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { diffChanges, auditLogToCsv } from '../services/auditLogService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRouter);
+  app.use('/api', hrFeatureRouter);
+  app.use('/api', collaboratorRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const ADMIN_ID = '00000000-0000-0000-0000-00000000000a';
+const token = jwt.sign({ id: ADMIN_ID }, process.env.JWT_SECRET);
+
+function mockDb(handler) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: ADMIN_ID, email: 'admin@example.com', account_type: 'admin', name: 'Admin' }] };
+    }
+    return handler(sql, params);
+  });
+}
+
+describe('diffChanges', () => {
+  it('should keep only changed fields and ignore updated_at', () => {
+    const changes = diffChanges(
+      { verification_status: 'pending', position: 'Engineer', updated_at: '2026-01-01' },
+      { verification_status: 'verified', position: 'Engineer', updated_at: '2026-02-01' }
+    );
+    expect(changes).toEqual({ verification_status: { before: 'pending', after: 'verified' } });
+  });
+
+  it('should redact secrets', () => {
+    const changes = diffChanges({ password: 'old-hash' }, { password: 'new-hash' });
+    expect(changes.password).toEqual({ before: '[redacted]', after: '[redacted]' });
+  });
+});
+
+describe('auditLogToCsv', () => {
+  it('should quote values and neutralise formulas', () => {
+    const csv = auditLogToCsv([{ action: 'employment.reject', changes: { reason: 'a, b' }, actor_name: '=HYPERLINK("x")' }]);
+    const [, row] = csv.trim().split('\r\n');
+    expect(row).toContain('"\'=HYPERLINK(""x"")"');
+    expect(row).toContain('"{""reason"":""a, b""}"');
+  });
+});
+
+describe('admin actions', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should record verifying an employment with its diff in the same transaction', async () => {
+    mockDb(async () => ({ rows: [] }));
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT * FROM employment_history WHERE id = $1')) {
+        return { rows: [{ id: 'emp-1', verification_status: 'pending', notes: null }] };
+      }
+      if (sql.includes('UPDATE employment_history')) {
+        return { rows: [{ id: 'emp-1', verification_status: 'verified', notes: 'Checked payslip' }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/admin/employments/emp-1/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .set('User-Agent', 'audit-test')
+      .send({ notes: 'Checked payslip' });
+
+    expect(res.status).toBe(200);
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    const insert = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(statements.findIndex((sql) => sql.includes('INSERT INTO audit_log'))).toBeLessThan(statements.indexOf('COMMIT'));
+    const [actorId, role, action, targetType, targetId, changes, , , userAgent] = insert[1];
+    expect([actorId, role, action, targetType, targetId]).toEqual([ADMIN_ID, 'admin', 'employment.verify', 'employment', 'emp-1']);
+    expect(JSON.parse(changes)).toEqual({
+      verification_status: { before: 'pending', after: 'verified' },
+      notes: { before: null, after: 'Checked payslip' },
+    });
+    expect(userAgent).toBe('audit-test');
+  });
+
+  it('should roll back a decision whose audit entry cannot be written', async () => {
+    mockDb(async (sql) => (sql.includes('FROM companies WHERE user_id = $1') ? { rows: [{ id: 'co-1', verification_status: 'pending' }] } : { rows: [] }));
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO audit_log')) throw new Error('audit_log unavailable');
+      return { rows: [{ id: 'co-1', name: 'Acme' }] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/admin/companies/user-1/verify')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(500);
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    expect(statements.some((sql) => sql.includes('UPDATE companies'))).toBe(true);
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+  });
+});
+
+describe('GET /api/admin/audit-log', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should filter by actor and date range', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('COUNT(*)::int AS total FROM audit_log')) return { rows: [{ total: 1 }] };
+      if (sql.includes('FROM audit_log al')) {
+        return { rows: [{ id: 'a-1', actor_user_id: ADMIN_ID, actor_name: 'Admin', actor_role: 'admin', action: 'employment.verify', target_type: 'employment', target_id: 'emp-1', changes: {} }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .get(`/api/admin/audit-log?actorId=${ADMIN_ID}&from=2026-01-01&to=2026-02-01`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.entries[0]).toMatchObject({ action: 'employment.verify', actor: { name: 'Admin' } });
+    const list = mockQuery.mock.calls.find(([sql]) => sql.includes('ORDER BY al.created_at DESC'));
+    expect(list[0]).toContain('al.actor_user_id = $1 AND al.created_at >= $2 AND al.created_at <= $3');
+  });
+
+  it('should reject an invalid date', async () => {
+    mockDb(async () => ({ rows: [] }));
+    const res = await request(buildApp())
+      .get('/api/admin/audit-log?from=yesterday')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(400);
+  });
+
+  it('should export CSV', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM audit_log al')) {
+        return { rows: [{ created_at: new Date('2026-03-01T00:00:00Z'), action: 'company.verify', target_type: 'company', target_id: 'co-1' }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .get('/api/admin/audit-log/export?targetType=company')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/csv');
+    expect(res.text.split('\r\n')[1]).toBe('2026-03-01T00:00:00.000Z,,,,company.verify,company,co-1,,,,');
+  });
+});
+
+describe('hiring team actions', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  const OWNER_ID = '00000000-0000-0000-0000-00000000000b';
+  const ownerToken = jwt.sign({ id: OWNER_ID }, process.env.JWT_SECRET);
+  const APP_IDS = ['00000000-0000-0000-0000-0000000000a1', '00000000-0000-0000-0000-0000000000a2'];
+
+  function mockOwner() {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: OWNER_ID, email: 'hr@example.com', account_type: 'company', name: 'HR' }] };
+      }
+      if (sql.includes('FROM job_applications ja') && sql.includes('ANY($1::uuid[])')) {
+        return { rows: APP_IDS.map((id) => ({ id, job_id: 'job-1', job_title: 'Engineer', company_name: 'Acme' })) };
+      }
+      if (sql.includes('WHERE j.id = $1 AND c.user_id = $2')) return { rows: [{ id: 'job-1' }] };
+      return { rows: [] };
+    });
+  }
+
+  it('should audit a bulk status change with one INSERT in its transaction', async () => {
+    mockOwner();
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT id, status FROM job_applications')) return { rows: APP_IDS.map((id) => ({ id, status: 'pending' })) };
+      return { rows: [], rowCount: 2 };
+    });
+
+    const res = await request(buildApp())
+      .put('/api/applications/bulk-status')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ applicationIds: APP_IDS, status: 'reviewing' });
+    expect(res.status).toBe(200);
+
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    const audits = mockClientQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audits).toHaveLength(1);
+    expect(statements.findIndex((sql) => sql.includes('INSERT INTO audit_log'))).toBeLessThan(statements.indexOf('COMMIT'));
+    const [, params] = audits[0];
+    expect(params[2]).toEqual(['application.status', 'application.status']);
+    expect(params[4]).toEqual(APP_IDS);
+    expect(JSON.parse(params[5][0])).toEqual({ status: { before: 'pending', after: 'reviewing' } });
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO audit_log'))).toBe(false);
+  });
+
+  it('should roll back an action whose audit entry cannot be written', async () => {
+    mockOwner();
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO audit_log')) throw new Error('audit_log unavailable');
+      return { rows: [{ id: 'collab-1' }], rowCount: 1 };
+    });
+
+    const res = await request(buildApp())
+      .delete('/api/jobs/job-1/collaborators/collab-1')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(res.status).toBe(500);
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+  });
+});
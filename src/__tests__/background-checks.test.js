@@ -0,0 +1,231 @@
+/**
+ * Tests for background checks with the bundled mock provider
+ *
+ *   1. The mock provider signs its webhooks and reports on orders
+ *   2. Checks can only be ordered for offered applications
+ *   3. Consent places the order and is written to the consent log, while the offer stands
+ *   4. Withdrawing the application cancels its open checks
+ *   5. Signed webhooks complete the check; forged ones are rejected
+ *   6. In production the mock needs to be configured explicitly, with its own secret
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery } from './setup.js';
+import backgroundCheckRouter from '../routes/background-check.routes.js';
+import jobRouter from '../routes/job.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import mockProvider from '../services/backgroundCheckProviders/mock.js';
+import { canTransition } from '../services/backgroundCheckService.js';
+import { getProvider, defaultProvider, assertProviderConfig } from '../services/backgroundCheckProviders/index.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use('/api/background-checks/webhooks', express.raw({ type: 'application/json' }));
+  app.use(express.json());
+  app.use('/api/background-checks', backgroundCheckRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const COMPANY_USER = '00000000-0000-0000-0000-0000000000c1';
+const CANDIDATE_USER = '00000000-0000-0000-0000-0000000000c2';
+const tokenFor = (id) => jwt.sign({ id }, process.env.JWT_SECRET);
+
+const USERS = {
+  [COMPANY_USER]: { id: COMPANY_USER, email: 'hr@acme.com', account_type: 'company', name: 'HR', plan_tier: 'enterprise' },
+  [CANDIDATE_USER]: { id: CANDIDATE_USER, email: 'cand@example.com', account_type: 'candidate', name: 'Cand' },
+};
+
+function checkRow(overrides = {}) {
+  return {
+    id: 'bc-1', application_id: 'app-1', candidate_id: 'cand-1', job_id: 'job-1', company_id: 'co-1',
+    provider: 'mock', package_id: 'standard', status: 'awaiting_consent', external_id: null,
+    ordered_by: COMPANY_USER, candidate_user_id: CANDIDATE_USER, candidate_name: 'Cand',
+    job_title: 'Engineer', company_name: 'Acme', report: null,
+    ...overrides,
+  };
+}
+
+function mockDb(handler) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) return { rows: [USERS[params[0]]].filter(Boolean) };
+    return handler(sql, params);
+  });
+}
+
+describe('mock background check provider', () => {
+  it('should sign simulated webhooks and report on the order', async () => {
+    const { externalId } = await mockProvider.createOrder({ reference: 'bc-1', packageId: 'basic', candidate: { email: 'a@b.com' } });
+    const webhook = mockProvider.simulate(externalId, { status: 'completed', result: 'consider' });
+
+    expect(mockProvider.verifyWebhook(webhook.body, webhook.headers)).toBe(true);
+    expect(mockProvider.verifyWebhook(webhook.body.replace('consider', 'clear'), webhook.headers)).toBe(false);
+    expect(mockProvider.parseWebhook(webhook.body)).toMatchObject({ externalId, status: 'completed', result: 'consider' });
+
+    const { report } = await mockProvider.fetchReport(externalId);
+    expect(report.items).toEqual([{ check: 'identity', status: 'clear' }, { check: 'criminal', status: 'consider' }]);
+  });
+
+  it('should not accept webhooks signed with the old public default secret', async () => {
+    const crypto = await import('crypto');
+    const body = JSON.stringify({ id: 'evt_forged', order_id: 'mock_x', status: 'completed', result: 'clear' });
+    const forged = crypto.createHmac('sha256', 'mock-background-check-secret').update(body).digest('hex');
+    expect(mockProvider.verifyWebhook(body, { 'x-mock-signature': forged })).toBe(false);
+  });
+
+  it('should only offer the mock in production when it is configured with a secret', () => {
+    const keys = ['NODE_ENV', 'BACKGROUND_CHECK_PROVIDER', 'MOCK_BACKGROUND_CHECK_SECRET'];
+    const saved = Object.fromEntries(keys.map((key) => [key, process.env[key]]));
+    try {
+      process.env.NODE_ENV = 'production';
+      delete process.env.BACKGROUND_CHECK_PROVIDER;
+      delete process.env.MOCK_BACKGROUND_CHECK_SECRET;
+      expect(getProvider('mock')).toBeNull();
+      expect(() => defaultProvider()).toThrow(/not configured/);
+      expect(() => assertProviderConfig()).not.toThrow();
+
+      process.env.BACKGROUND_CHECK_PROVIDER = 'mock';
+      expect(getProvider('mock')).toBeNull();
+      expect(() => assertProviderConfig()).toThrow(/MOCK_BACKGROUND_CHECK_SECRET/);
+
+      process.env.MOCK_BACKGROUND_CHECK_SECRET = 'a-real-secret';
+      expect(getProvider('mock')).toBe(mockProvider);
+      expect(() => assertProviderConfig()).not.toThrow();
+    } finally {
+      for (const key of keys) {
+        if (saved[key] === undefined) delete process.env[key];
+        else process.env[key] = saved[key];
+      }
+    }
+  });
+
+  it('should only let statuses move forward', () => {
+    expect(canTransition('pending', 'in_progress')).toBe(true);
+    expect(canTransition('completed', 'in_progress')).toBe(false);
+    expect(canTransition('in_progress', 'in_progress')).toBe(false);
+  });
+});
+
+describe('background check flow', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should refuse to order for an application that is not offered', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('SELECT job_id FROM job_applications')) return { rows: [{ job_id: 'job-1' }] };
+      if (sql.includes('FROM jobs j') && sql.includes('c.user_id = $2')) return { rows: [{ id: 'job-1' }] };
+      if (sql.includes('FROM job_applications ja')) {
+        return { rows: [{ id: 'app-1', status: 'interviewing', job_id: 'job-1', candidate_id: 'cand-1', plan_tier: 'enterprise' }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/background-checks')
+      .set('Authorization', `Bearer ${tokenFor(COMPANY_USER)}`)
+      .send({ applicationId: 'app-1', packageId: 'standard' });
+    expect(res.status).toBe(400);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO background_checks'))).toBe(false);
+  });
+
+  it('should place the order with the provider once the candidate consents', async () => {
+    mockDb(async (sql, params) => {
+      if (sql.includes('WHERE bc.id = $1')) return { rows: [checkRow()] };
+      if (sql.includes('SELECT status FROM job_applications')) return { rows: [{ status: 'offered' }] };
+      if (sql.includes('SET consent_given_at')) return { rows: [checkRow({ consent_given_at: new Date() })] };
+      if (sql.includes("SET status = 'pending', external_id")) {
+        return { rows: [checkRow({ status: 'pending', external_id: params[1] })] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/background-checks/bc-1/consent')
+      .set('Authorization', `Bearer ${tokenFor(CANDIDATE_USER)}`)
+      .send({ consent: true, signature: 'Cand Idate' });
+    expect(res.status).toBe(200);
+    expect(res.body.backgroundCheck.status).toBe('pending');
+
+    const consentLog = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO consent_log'));
+    expect(consentLog[1][3]).toBe('granted');
+    const placed = mockQuery.mock.calls.find(([sql]) => sql.includes("SET status = 'pending', external_id"));
+    expect(placed[1][1]).toMatch(/^mock_/);
+  });
+
+  it('should refuse consent once the offer is no longer open', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('WHERE bc.id = $1')) return { rows: [checkRow()] };
+      if (sql.includes('SELECT status FROM job_applications')) return { rows: [{ status: 'withdrawn' }] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/background-checks/bc-1/consent')
+      .set('Authorization', `Bearer ${tokenFor(CANDIDATE_USER)}`)
+      .send({ consent: true, signature: 'Cand Idate' });
+    expect(res.status).toBe(409);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('SET consent_given_at'))).toBe(false);
+  });
+
+  it('should cancel open checks when the candidate withdraws', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('SELECT id, status, resume_url FROM job_applications')) return { rows: [{ id: 'app-1', status: 'offered', resume_url: null }] };
+      if (sql.includes("SET status = 'withdrawn'")) return { rows: [{ id: 'app-1', status: 'withdrawn' }] };
+      if (sql.includes('bc.application_id = $1')) return { rows: [checkRow()] };
+      if (sql.includes("SET status = 'cancelled'")) return { rows: [checkRow({ status: 'cancelled' })] };
+      return { rows: [] };
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/jobs', jobRouter);
+    const res = await request(app)
+      .delete('/api/jobs/applications/app-1/withdraw')
+      .set('Authorization', `Bearer ${tokenFor(CANDIDATE_USER)}`);
+    expect(res.status).toBe(200);
+
+    const cancel = mockQuery.mock.calls.find(([sql]) => sql.includes("SET status = 'cancelled'"));
+    expect(cancel[1][0]).toBe('bc-1');
+    const audit = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(JSON.parse(audit[1][6])).toEqual({ reason: 'application withdrawn' });
+  });
+
+  it('should complete the check from a signed webhook and reject forged ones', async () => {
+    const { externalId } = await mockProvider.createOrder({ reference: 'bc-1', packageId: 'standard', candidate: { email: 'a@b.com' } });
+    mockDb(async (sql) => {
+      if (sql.includes('bc.external_id = $2')) return { rows: [checkRow({ status: 'in_progress', external_id: externalId })] };
+      if (sql.includes('INSERT INTO background_check_events')) return { rows: [{ id: 'evt-1' }] };
+      if (sql.includes('UPDATE background_checks')) return { rows: [checkRow({ status: 'completed', result: 'clear' })] };
+      return { rows: [] };
+    });
+
+    const webhook = mockProvider.simulate(externalId, { status: 'completed', result: 'clear' });
+    const forged = await request(buildApp())
+      .post('/api/background-checks/webhooks/mock')
+      .set('Content-Type', 'application/json')
+      .set('x-mock-signature', 'f'.repeat(64))
+      .send(webhook.body);
+    expect(forged.status).toBe(400);
+
+    const res = await request(buildApp())
+      .post('/api/background-checks/webhooks/mock')
+      .set(webhook.headers)
+      .send(webhook.body);
+    expect(res.status).toBe(200);
+    expect(res.body.applied).toBe(true);
+
+    const update = mockQuery.mock.calls.find(([sql]) => sql.includes('UPDATE background_checks'));
+    expect(update[1][1]).toBe('completed');
+    expect(JSON.parse(update[1][3]).items).toHaveLength(4);
+  });
+});
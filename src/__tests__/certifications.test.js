@@ -0,0 +1,138 @@
+/**
+ * Tests for certification records
+ *
+ *   1. Input validation and expiry state
+ *   2. Expiry notices are sent once per threshold
+ *   3. Admin review requires a reason to reject and is audited
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery, mockSendCertificationExpiryNotice } from './setup.js';
+import adminRouter from '../routes/admin.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import {
+  validateCertificationInput,
+  expiryStateOf,
+  dueExpiryNotice,
+  processCertificationExpiry,
+} from '../services/certificationService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+describe('certification records', () => {
+  it('should validate dates and URLs', () => {
+    const base = { name: 'AWS Solutions Architect', issuer: 'Amazon', issueDate: '2024-01-10' };
+    expect(validateCertificationInput(base).error).toBeNull();
+    expect(validateCertificationInput({ ...base, issueDate: '10/01/2024' }).error).toMatch(/issueDate/);
+    expect(validateCertificationInput({ ...base, expiryDate: '2023-12-31' }).error).toMatch(/before issueDate/);
+    expect(validateCertificationInput({ ...base, credentialUrl: 'javascript:alert(1)' }).error).toMatch(/credentialUrl/);
+    expect(validateCertificationInput({ expiryDate: '2027-01-01' }, { partial: true }).fields).toEqual({ expiryDate: '2027-01-01' });
+  });
+
+  it('should report expiry state and the notice owed', () => {
+    const now = new Date(2026, 5, 1);
+    expect(expiryStateOf(null, now)).toBe('no_expiry');
+    expect(expiryStateOf('2026-12-01', now)).toBe('active');
+    expect(expiryStateOf('2026-06-20', now)).toBe('expiring');
+    expect(expiryStateOf('2026-05-31', now)).toBe('expired');
+
+    const thresholds = [60, 30, 7];
+    expect(dueExpiryNotice(90, null, thresholds)).toBeNull();
+    expect(dueExpiryNotice(45, null, thresholds)).toBe(60);
+    expect(dueExpiryNotice(45, 60, thresholds)).toBeNull();
+    // Skipped thresholds collapse into the nearest one.
+    expect(dueExpiryNotice(5, null, thresholds)).toBe(7);
+    expect(dueExpiryNotice(-1, 7, thresholds)).toBe(0);
+    expect(dueExpiryNotice(-10, 0, thresholds)).toBeNull();
+  });
+});
+
+describe('certification expiry notices', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should notify each certificate once per threshold', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM certifications ce')) {
+        return {
+          rows: [
+            { id: 'c1', name: 'CPA', issuer: 'AICPA', expiry_date: '2026-07-01', expiry_notice_days: null, days_left: 25, user_id: 'u1', email: 'a@x.com' },
+            { id: 'c2', name: 'PMP', issuer: 'PMI', expiry_date: '2026-06-01', expiry_notice_days: 7, days_left: -2, user_id: 'u2', email: 'b@x.com' },
+            { id: 'c3', name: 'CKA', issuer: 'CNCF', expiry_date: '2026-07-20', expiry_notice_days: 60, days_left: 45, user_id: 'u3', email: 'c@x.com' },
+          ],
+        };
+      }
+      if (sql.includes('UPDATE certifications SET expiry_notice_days')) return { rowCount: 1, rows: [] };
+      return { rows: [] };
+    });
+
+    const counts = await processCertificationExpiry();
+    expect(counts).toEqual({ notified: 1, expired: 1, failed: 0 });
+
+    const claims = mockQuery.mock.calls.filter(([sql]) => sql.includes('UPDATE certifications SET expiry_notice_days'));
+    expect(claims.map(([, params]) => params.slice(0, 2))).toEqual([['c1', 30], ['c2', 0]]);
+    expect(mockSendCertificationExpiryNotice).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('admin certification review', () => {
+  const ADMIN_ID = '00000000-0000-0000-0000-0000000000ad';
+  const token = jwt.sign({ id: ADMIN_ID }, process.env.JWT_SECRET);
+
+  function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRouter);
+    app.use(errorHandler);
+    return app;
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: ADMIN_ID, email: 'admin@veriboard.com', account_type: 'admin', name: 'Admin' }] };
+      }
+      if (sql.includes('FROM certifications ce')) {
+        return { rows: [{ id: 'cert-1', name: 'CPA', issuer: 'AICPA', verification_status: 'pending', candidate_user_id: 'u1' }] };
+      }
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('UPDATE certifications')) {
+        return { rows: [{ id: 'cert-1', name: 'CPA', issuer: 'AICPA', verification_status: 'verified', issue_date: '2024-01-01' }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should require a reason to reject', async () => {
+    const res = await request(buildApp())
+      .put('/api/admin/certifications/cert-1')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ verificationStatus: 'rejected' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should verify, audit and notify the candidate', async () => {
+    const res = await request(buildApp())
+      .put('/api/admin/certifications/cert-1')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ verificationStatus: 'verified' });
+    expect(res.status).toBe(200);
+    expect(res.body.certification.verificationStatus).toBe('verified');
+
+    const audit = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audit[1][2]).toBe('certification.update');
+    const notification = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO notifications'));
+    expect(notification[1][0]).toBe('u1');
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Tests for the candidate consent subsystem
+ *
+ *   1. Only companies/admins can request consent
+ *   2. A grant can narrow but never widen the requested scope
+ *   3. Only granted consent can be revoked
+ *   4. Every state change is written to consent_log
+ *   5. Decided records' education documents need a grant, like employment ones
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery } from './setup.js';
+
+import consentRouter from '../routes/consent.routes.js';
+import adminRouter from '../routes/admin.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/consent', consentRouter);
+  app.use('/api/admin', adminRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000c1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+const EMP_ID = '11111111-1111-1111-1111-111111111111';
+const EDU_ID = '22222222-2222-2222-2222-222222222222';
+
+function pendingConsent(overrides = {}) {
+  return {
+    id: 'consent-1',
+    candidate_id: 'cand-1',
+    requester_user_id: 'company-user',
+    scope_records: [{ type: 'employment', id: EMP_ID }, { type: 'education', id: EDU_ID }],
+    scope_fields: ['document'],
+    duration_days: 30,
+    status: 'pending',
+    ...overrides,
+  };
+}
+
+function mockDb(handler, accountType = 'candidate') {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: USER_ID, email: 'u@example.com', account_type: accountType, name: 'User' }] };
+    }
+    if (sql.includes('SELECT full_name FROM candidates')) return { rows: [{ full_name: 'Cand' }] };
+    if (sql.includes('SELECT id FROM candidates WHERE user_id')) return { rows: [{ id: 'cand-1' }] };
+    return handler(sql, params);
+  });
+}
+
+describe('POST /api/consent/request/:candidateId', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should not let candidates request consent', async () => {
+    mockDb(async () => ({ rows: [] }), 'candidate');
+    const res = await request(buildApp())
+      .post('/api/consent/request/cand-2')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ records: [{ type: 'employment', id: EMP_ID }], fields: ['document'], purpose: 'Hiring' });
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject unknown fields', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM candidates WHERE id = $1')) return { rows: [{ id: 'cand-2', user_id: 'cand-user' }] };
+      return { rows: [] };
+    }, 'company');
+    const res = await request(buildApp())
+      .post('/api/consent/request/cand-2')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ records: [{ type: 'employment', id: EMP_ID }], fields: ['salary'], purpose: 'Hiring' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Invalid field/);
+
+    // Profile fields are public anyway, so there is nothing to consent to.
+    const position = await request(buildApp())
+      .post('/api/consent/request/cand-2')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ records: [{ type: 'employment', id: EMP_ID }], fields: ['position'], purpose: 'Hiring' });
+    expect(position.status).toBe(400);
+  });
+
+  it('should reject record ids that are not UUIDs before querying them', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM candidates WHERE id = $1')) return { rows: [{ id: 'cand-2', user_id: 'cand-user' }] };
+      return { rows: [] };
+    }, 'company');
+    const res = await request(buildApp())
+      .post('/api/consent/request/cand-2')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ records: [{ type: 'education', id: 'not-a-uuid' }], fields: ['document'], purpose: 'Hiring' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/valid type and id/);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('::uuid[]'))).toBe(false);
+  });
+});
+
+describe('POST /api/consent/:id/grant', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should drop records and fields that were not requested', async () => {
+    let updateParams;
+    mockDb(async (sql, params) => {
+      if (sql.includes('SELECT * FROM consent_requests')) return { rows: [pendingConsent()] };
+      if (sql.includes('UPDATE consent_requests')) {
+        updateParams = params;
+        return { rows: [pendingConsent({ status: 'granted', scope_records: JSON.parse(params[0]), scope_fields: params[1] })] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/consent/consent-1/grant')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        records: [{ type: 'employment', id: EMP_ID }, { type: 'employment', id: 'not-requested' }],
+        fields: ['document', 'description'],
+        durationDays: 90,
+      });
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(updateParams[0])).toEqual([{ type: 'employment', id: EMP_ID }]);
+    expect(updateParams[1]).toEqual(['document']);
+    expect(updateParams[2]).toBe(30); // never longer than requested
+    expect(mockQuery.mock.calls.some(([sql, p]) => sql.includes('INSERT INTO consent_log') && p[3] === 'granted')).toBe(true);
+  });
+
+  it('should refuse to grant an already-decided request', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('SELECT * FROM consent_requests')) return { rows: [pendingConsent({ status: 'denied' })] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/consent/consent-1/grant')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/consent/:id/revoke', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should only revoke granted consent', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('SELECT * FROM consent_requests')) return { rows: [pendingConsent()] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/consent/consent-1/revoke')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(400);
+  });
+
+  it('should revoke and log a granted consent', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('SELECT * FROM consent_requests')) return { rows: [pendingConsent({ status: 'granted' })] };
+      if (sql.includes('UPDATE consent_requests')) return { rows: [pendingConsent({ status: 'revoked' })] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/consent/consent-1/revoke')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.request.status).toBe('revoked');
+    expect(mockQuery.mock.calls.some(([sql, p]) => sql.includes('INSERT INTO consent_log') && p[3] === 'revoked')).toBe(true);
+  });
+});
+
+describe('GET /api/admin/educations/:id/document', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  const DOC = 'https://x.supabase.co/storage/v1/object/public/VeriBoard_bucket/verification_docs/education-verifications/degree.pdf';
+
+  function mockEducation(status, grant) {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM education_history WHERE id = $1')) {
+        return { rows: [{ document_url: DOC, candidate_id: 'cand-1', verification_status: status }] };
+      }
+      if (sql.includes('FROM consent_requests')) return { rows: grant ? [{ id: 'consent-1', candidate_id: 'cand-1' }] : [] };
+      return { rows: [] };
+    }, 'admin');
+  }
+
+  it('should serve the document of a record under review', async () => {
+    mockEducation('pending', false);
+    const res = await request(buildApp()).get(`/api/admin/educations/${EDU_ID}/document`).set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('FROM consent_requests'))).toBe(false);
+  });
+
+  it('should need a grant once the record is decided, and log the access', async () => {
+    mockEducation('verified', false);
+    const refused = await request(buildApp()).get(`/api/admin/educations/${EDU_ID}/document`).set('Authorization', `Bearer ${token}`);
+    expect(refused.status).toBe(403);
+
+    vi.clearAllMocks();
+    mockEducation('verified', true);
+    const res = await request(buildApp()).get(`/api/admin/educations/${EDU_ID}/document`).set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    const [, grantParams] = mockQuery.mock.calls.find(([sql]) => sql.includes('FROM consent_requests'));
+    expect(grantParams).toEqual([USER_ID, 'cand-1', JSON.stringify([{ type: 'education', id: EDU_ID }]), 'document']);
+    const log = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO consent_log'));
+    expect(log[1][3]).toBe('accessed');
+  });
+
+  it('should not sign the document of a decided record in the education details', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM education_history eh')) {
+        return { rows: [{ id: EDU_ID, candidate_id: 'cand-1', verification_status: 'verified', document_url: DOC }] };
+      }
+      return { rows: [] };
+    }, 'admin');
+    const res = await request(buildApp()).get(`/api/admin/educations/${EDU_ID}`).set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.education).toMatchObject({ hasDocument: true, documentUrl: null });
+    expect(res.body.education).not.toHaveProperty('document_url');
+  });
+});
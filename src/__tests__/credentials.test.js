@@ -0,0 +1,114 @@
+/**
+ * Tests for signed verification credentials
+ *
+ *   1. Canonical JSON is independent of key order
+ *   2. A signed credential verifies; any tampering breaks it
+ *   3. The public verify endpoint reports revoked credentials
+ *   4. The PDF certificate is a well-formed PDF
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+import { mockQuery } from './setup.js';
+
+import verificationRouter from '../routes/verification.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import {
+  CREDENTIAL_TYPE,
+  canonicalize,
+  signCredential,
+  verifySignature,
+  renderCredentialPdf,
+} from '../services/credentialService.js';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/verifications', verificationRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+function sampleCredential() {
+  return {
+    type: CREDENTIAL_TYPE,
+    version: 1,
+    id: '33333333-3333-3333-3333-333333333333',
+    issuer: { name: 'VeriBoard', url: 'http://localhost:3000' },
+    issuedAt: '2026-01-01T00:00:00.000Z',
+    subject: { candidateId: 'cand-1', name: 'Alice' },
+    claim: {
+      type: 'employment',
+      recordId: 'emp-1',
+      position: 'Engineer',
+      organization: 'Acme',
+      startDate: '2020-01-01',
+      endDate: '2022-01-01',
+      isCurrent: false,
+      verifiedAt: '2023-01-01T00:00:00.000Z',
+      verifiedBy: 'employer',
+    },
+  };
+}
+
+describe('credential signing', () => {
+  it('should canonicalize regardless of key order', () => {
+    expect(canonicalize({ b: 1, a: { d: 2, c: [3, { f: 4, e: 5 }] } }))
+      .toBe(canonicalize({ a: { c: [3, { e: 5, f: 4 }], d: 2 }, b: 1 }));
+  });
+
+  it('should verify an untouched credential and reject a tampered one', () => {
+    const credential = sampleCredential();
+    const signature = signCredential(credential);
+    expect(verifySignature(credential, signature)).toBe(true);
+
+    const tampered = { ...credential, claim: { ...credential.claim, position: 'CTO' } };
+    expect(verifySignature(tampered, signature)).toBe(false);
+  });
+
+  it('should render a PDF certificate', () => {
+    const credential = sampleCredential();
+    const pdf = renderCredentialPdf(credential, signCredential(credential));
+    const text = pdf.toString('latin1');
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(text).toContain('(Engineer) Tj');
+  });
+});
+
+describe('POST /api/verifications/verify', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should report an invalid signature without touching the database', async () => {
+    const credential = sampleCredential();
+    const signature = { ...signCredential(credential), value: 'AAAA' };
+    const res = await request(buildApp()).post('/api/verifications/verify').send({ credential, signature });
+    expect(res.status).toBe(200);
+    expect(res.body.valid).toBe(false);
+    expect(res.body.status).toBe('invalid_signature');
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should report a revoked credential', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ revoked_at: '2026-02-01T00:00:00Z', candidate_id: 'cand-1' }] });
+    const credential = sampleCredential();
+    const res = await request(buildApp())
+      .post('/api/verifications/verify')
+      .send({ credential, signature: signCredential(credential) });
+    expect(res.body.valid).toBe(false);
+    expect(res.body.status).toBe('revoked');
+  });
+
+  it('should accept a valid credential whose record is still verified', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [{ revoked_at: null, candidate_id: 'cand-1' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'emp-1', verification_status: 'verified' }] });
+    const credential = sampleCredential();
+    const res = await request(buildApp())
+      .post('/api/verifications/verify')
+      .send({ credential, signature: signCredential(credential) });
+    expect(res.body.valid).toBe(true);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for self-service data exports
+ *
+ *   1. Uploads are found by their storage path
+ *   2. Requests are accepted asynchronously, one at a time even when they race
+ *   3. The archive holds the user's data and their uploaded files
+ *   4. Download links stop working once they expire
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockSendDataExportReady } from './setup.js';
+import accountRouter from '../routes/account.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import JSZip from 'jszip';
+import { buildExportArchive, processDataExport, storagePathOf } from '../services/dataExportService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/account', accountRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000d1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+const USER = { id: USER_ID, email: 'cand@example.com', account_type: 'candidate', name: 'Cand' };
+
+// A candidate with one verified job and one degree (each with an uploaded document) and one application.
+function mockUserData(sql) {
+  if (sql.includes('FROM users WHERE id = $1')) return { rows: [USER] };
+  if (sql.includes('FROM candidates WHERE user_id')) {
+    return { rows: [{ id: 'cand-1', user_id: USER_ID, full_name: 'Cand', avatar_url: 'profile_pic/d1.png', resume_url: null }] };
+  }
+  if (sql.includes('FROM employment_history')) {
+    return {
+      rows: [{
+        id: 'emp-1',
+        company_name: 'Acme',
+        verification_status: 'verified',
+        document_url: 'https://x.supabase.co/storage/v1/object/public/VeriBoard_bucket/verification_docs/employment-verifications/offer.pdf',
+      }],
+    };
+  }
+  if (sql.includes('FROM education_history')) {
+    return { rows: [{ id: 'edu-1', institution_name: 'MIT', document_url: 'verification_docs/education-verifications/degree.pdf' }] };
+  }
+  if (sql.includes('FROM job_applications ja')) return { rows: [{ id: 'app-1', job_title: 'Engineer', status: 'offered' }] };
+  return { rows: [] };
+}
+
+// Archive entries by name.
+async function unzip(buffer) {
+  const archive = await JSZip.loadAsync(buffer);
+  const entries = new Map();
+  for (const file of Object.values(archive.files)) {
+    if (!file.dir) entries.set(file.name, await file.async('nodebuffer'));
+  }
+  return entries;
+}
+
+describe('storage paths', () => {
+  it('should find the storage path of uploads but not of external URLs', () => {
+    expect(storagePathOf('https://x.supabase.co/storage/v1/object/public/VeriBoard_bucket/resume/a%20b.pdf')).toBe('resume/a b.pdf');
+    expect(storagePathOf('profile_pic/u.png')).toBe('profile_pic/u.png');
+    expect(storagePathOf('https://lh3.googleusercontent.com/a/photo.jpg')).toBeNull();
+  });
+});
+
+describe('data exports', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should accept a request and refuse a second while one is open', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [USER] };
+      if (sql.includes('INSERT INTO data_exports')) return { rows: [{ id: 'exp-1', status: 'pending', created_at: new Date() }] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp()).post('/api/account/exports').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(202);
+    expect(res.body.export).toMatchObject({ id: 'exp-1', status: 'pending' });
+
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [USER] };
+      if (sql.includes('FROM data_exports WHERE user_id = $1 AND status')) return { rows: [{ id: 'exp-1' }] };
+      return { rows: [] };
+    });
+    const again = await request(buildApp()).post('/api/account/exports').set('Authorization', `Bearer ${token}`);
+    expect(again.status).toBe(409);
+  });
+
+  it('should refuse a request that loses the race to another', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [USER] };
+      if (sql.includes('INSERT INTO data_exports')) {
+        throw Object.assign(new Error('duplicate key value violates unique constraint "idx_data_exports_one_open"'), { code: '23505' });
+      }
+      return { rows: [] };
+    });
+    const res = await request(buildApp()).post('/api/account/exports').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(409);
+  });
+
+  it('should put the JSON data and uploaded files in the archive', async () => {
+    mockQuery.mockImplementation(async (sql) => mockUserData(sql));
+    const entries = await unzip(await buildExportArchive(USER_ID, { exportId: 'exp-1' }));
+
+    const manifest = JSON.parse(entries.get('manifest.json').toString());
+    expect(manifest.files).toEqual(expect.arrayContaining(['account.json', 'employment.json', 'applications.json', 'payments.json']));
+    expect(manifest.documents).toHaveLength(3);
+    expect(manifest.documents.every((d) => d.included)).toBe(true);
+
+    expect(JSON.parse(entries.get('employment.json').toString())[0].verification_status).toBe('verified');
+    expect(JSON.parse(entries.get('account.json').toString())).not.toHaveProperty('password');
+    expect(entries.get('documents/employment/emp-1/offer.pdf').toString()).toBe('file-bytes');
+    expect(entries.get('documents/profile/avatar/d1.png').toString()).toBe('file-bytes');
+    expect(entries.get('documents/education/edu-1/degree.pdf').toString()).toBe('file-bytes');
+  });
+
+  it('should export only what the candidate submitted on applications', async () => {
+    mockQuery.mockImplementation(async (sql) => mockUserData(sql));
+    await buildExportArchive(USER_ID, { exportId: 'exp-1' });
+
+    const [sql] = mockQuery.mock.calls.find(([q]) => q.includes('FROM job_applications ja'));
+    expect(sql).not.toContain('ja.*');
+    expect(sql).toContain('ja.cover_letter');
+    expect(sql).not.toMatch(/internal_notes|ai_|screening_flags/);
+  });
+
+  it('should email a link once the export is built', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("SET status = 'processing'")) return { rows: [{ id: 'exp-1', user_id: USER_ID, status: 'processing' }] };
+      if (sql.includes("SET status = 'ready'")) {
+        return { rows: [{ id: 'exp-1', download_token: 'tok-1', expires_at: new Date(), email: USER.email, name: USER.name }] };
+      }
+      return mockUserData(sql);
+    });
+
+    expect(await processDataExport('exp-1')).toBe(true);
+    expect(mockSendDataExportReady).toHaveBeenCalledWith(expect.objectContaining({
+      to: USER.email,
+      link: expect.stringContaining('/data-export/exp-1?token=tok-1'),
+    }));
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes("SET status = 'failed'"))).toBe(false);
+  });
+
+  it('should refuse expired download links', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ id: 'exp-1', status: 'ready', file_path: 'data_exports/x.zip', is_expired: true }] });
+    const expired = await request(buildApp()).get('/api/account/exports/exp-1/download?token=tok-1');
+    expect(expired.status).toBe(410);
+
+    mockQuery.mockResolvedValue({ rows: [{ id: 'exp-1', status: 'ready', file_path: 'data_exports/x.zip', is_expired: false }] });
+    const ok = await request(buildApp()).get('/api/account/exports/exp-1/download?token=tok-1');
+    expect(ok.status).toBe(200);
+    expect(ok.body.url).toBe('https://test.example/signed');
+  });
+});
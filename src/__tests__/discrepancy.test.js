@@ -0,0 +1,200 @@
+/**
+ * Tests for field-level employment discrepancies
+ *
+ *   1. Only fields that differ from the claim become discrepancies
+ *   2. Company approval stores claimed and confirmed values
+ *   3. Accepting a correction writes the confirmed value to the record
+ *   4. A discrepancy can only be accepted or disputed while it is open
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery } from './setup.js';
+
+import companyVerificationRouter from '../routes/company-verification.routes.js';
+import candidateVerificationRouter from '../routes/candidate-verification.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { diffCorrections } from '../services/discrepancyService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/companies', companyVerificationRouter);
+  app.use('/api/candidates', candidateVerificationRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000b1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+const employment = {
+  id: 'emp-1',
+  position: 'Software Engineer',
+  start_date: '2020-01-01',
+  end_date: '2022-06-30',
+  is_current: false,
+  employment_type: 'Full-time',
+  candidate_user_id: 'cand-user',
+};
+
+function mockUser(accountType) {
+  mockQuery.mockImplementation(async (sql) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: USER_ID, email: 'u@acme.com', account_type: accountType, name: 'User' }] };
+    }
+    if (sql.includes('SELECT full_name FROM candidates')) return { rows: [{ full_name: 'Cand' }] };
+    return { rows: [] };
+  });
+}
+
+describe('diffCorrections', () => {
+  it('should ignore confirmed fields and report differing ones', () => {
+    const { discrepancies } = diffCorrections(employment, {
+      position: 'software engineer',
+      startDate: '2020-03-01',
+      endDate: '2022-06-30',
+    });
+    expect(discrepancies).toEqual([{ field: 'startDate', claimedValue: '2020-01-01', confirmedValue: '2020-03-01' }]);
+  });
+
+  it('should treat a null end date as still employed', () => {
+    const { discrepancies } = diffCorrections(employment, { endDate: 'present' });
+    expect(discrepancies).toEqual([{ field: 'endDate', claimedValue: '2022-06-30', confirmedValue: null }]);
+  });
+
+  it('should reject unknown fields and bad values', () => {
+    expect(diffCorrections(employment, { salary: 1 }).error).toMatch(/Unknown field/);
+    expect(diffCorrections(employment, { employmentType: 'Gig' }).error).toMatch(/employmentType/);
+    expect(diffCorrections(employment, { startDate: 'soon' }).error).toMatch(/Invalid startDate/);
+  });
+});
+
+describe('POST /api/companies/verification-requests/:id/approve', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should store a discrepancy for each corrected field', async () => {
+    mockUser('company');
+    mockClientQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('SELECT id FROM companies')) return { rows: [{ id: 'company-1' }] };
+      if (sql.includes('SELECT name FROM companies')) return { rows: [{ name: 'Acme' }] };
+      if (sql.includes('FROM employment_history eh')) return { rows: [employment] };
+      if (sql.includes('INSERT INTO employment_discrepancies')) {
+        return { rows: [{ id: 'd-1', employment_id: params[0], field: params[1], claimed_value: params[2], confirmed_value: params[3], status: 'open' }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/companies/verification-requests/emp-1/approve')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ corrections: { position: 'Senior Engineer', employmentType: 'Full-time' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.discrepancies).toHaveLength(1);
+    expect(res.body.discrepancies[0]).toMatchObject({
+      field: 'position', claimedValue: 'Software Engineer', confirmedValue: 'Senior Engineer', status: 'open',
+    });
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes("verification_status = 'verified'"))).toBe(true);
+  });
+
+  it('should reject invalid corrections without verifying', async () => {
+    mockUser('company');
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT id FROM companies')) return { rows: [{ id: 'company-1' }] };
+      if (sql.includes('SELECT name FROM companies')) return { rows: [{ name: 'Acme' }] };
+      if (sql.includes('FROM employment_history eh')) return { rows: [employment] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/companies/verification-requests/emp-1/approve')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ corrections: { title: 'CTO' } });
+
+    expect(res.status).toBe(400);
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('UPDATE employment_history'))).toBe(false);
+  });
+});
+
+describe('POST /api/candidates/discrepancies/:id/accept', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should apply the confirmed end date and mark the role current', async () => {
+    mockUser('candidate');
+    const base = mockQuery.getMockImplementation();
+    mockQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM employment_discrepancies d')) {
+        return { rows: [{ id: 'd-1', employment_id: 'emp-1', field: 'endDate', confirmed_value: null, status: 'open' }] };
+      }
+      return base(sql, params);
+    });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('UPDATE employment_discrepancies')) return { rows: [{ id: 'd-1', field: 'endDate', status: 'accepted' }], rowCount: 1 };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/candidates/discrepancies/d-1/accept')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const update = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE employment_history'));
+    expect(update[1]).toEqual([null, true, 'emp-1']);
+  });
+
+  it('should 409 without touching the record when the discrepancy was resolved meanwhile', async () => {
+    mockUser('candidate');
+    const base = mockQuery.getMockImplementation();
+    mockQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM employment_discrepancies d')) {
+        return { rows: [{ id: 'd-1', employment_id: 'emp-1', field: 'position', confirmed_value: 'Analyst', status: 'open' }] };
+      }
+      return base(sql, params);
+    });
+    mockClientQuery.mockImplementation(async () => ({ rows: [], rowCount: 0 }));
+
+    const res = await request(buildApp())
+      .post('/api/candidates/discrepancies/d-1/accept')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+    const [sql] = mockClientQuery.mock.calls.find(([q]) => q.includes('UPDATE employment_discrepancies'));
+    expect(sql).toContain("AND status = 'open'");
+    expect(mockClientQuery.mock.calls.some(([q]) => q.includes('UPDATE employment_history'))).toBe(false);
+  });
+});
+
+describe('POST /api/candidates/discrepancies/:id/dispute', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should 409 when the discrepancy was resolved meanwhile', async () => {
+    mockUser('candidate');
+    const base = mockQuery.getMockImplementation();
+    mockQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM employment_discrepancies d')) {
+        return { rows: [{ id: 'd-1', employment_id: 'emp-1', field: 'position', status: 'open', verifier_user_id: 'hr-1' }] };
+      }
+      if (sql.includes('UPDATE employment_discrepancies')) return { rows: [], rowCount: 0 };
+      return base(sql, params);
+    });
+
+    const res = await request(buildApp())
+      .post('/api/candidates/discrepancies/d-1/dispute')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason: 'I was promoted' });
+
+    expect(res.status).toBe(409);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO notifications'))).toBe(false);
+  });
+});
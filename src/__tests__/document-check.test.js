@@ -0,0 +1,86 @@
+/**
+ * Tests for automatic document pre-checks
+ *
+ *   1. A consistent PDF from an HR system scores low
+ *   2. Missing name/organisation and editing software raise the score
+ *   3. Parse failures and image uploads are flagged, never thrown
+ */
+
+import { describe, it, expect } from 'vitest';
+import { runDocumentPrecheck, safeDocumentPrecheck, parsePdfDate, extractDates } from '../services/documentCheckService.js';
+
+const claim = {
+  candidateName: 'Priya Sharma',
+  organization: 'Acme Technologies Pvt Ltd',
+  startDate: '2020-01-06',
+  endDate: '2022-06-30',
+  isCurrent: false,
+};
+
+const letter = `Acme Technologies
+Experience Letter
+This is to certify that Priya Sharma worked with us as Software Engineer
+from 6 January 2020 to 30 June 2022.
+Date: 2022-07-01`;
+
+function stubParse(text, info = {}) {
+  return async () => ({ text, numpages: 1, info });
+}
+
+function run(parse, overrides = {}) {
+  return runDocumentPrecheck(
+    { buffer: Buffer.from('%PDF-1.4'), mimetype: 'application/pdf', claim: { ...claim, ...overrides } },
+    { parse }
+  );
+}
+
+describe('parsePdfDate / extractDates', () => {
+  it('should parse PDF date strings with offsets', () => {
+    expect(parsePdfDate("D:20220701103000+05'30'").toISOString()).toBe('2022-07-01T05:00:00.000Z');
+    expect(parsePdfDate('garbage')).toBeNull();
+  });
+
+  it('should find dates written in common formats', () => {
+    const dates = extractDates(letter).map((d) => d.toISOString().slice(0, 10));
+    expect(dates).toEqual(expect.arrayContaining(['2020-01-06', '2022-06-30', '2022-07-01']));
+  });
+});
+
+describe('runDocumentPrecheck', () => {
+  it('should score a consistent document as low risk', async () => {
+    const result = await run(stubParse(letter, {
+      Producer: 'Workday PDF Export',
+      CreationDate: 'D:20220701090000Z',
+      ModDate: 'D:20220701090000Z',
+    }));
+    expect(result.riskScore).toBe(0);
+    expect(result.riskLevel).toBe('low');
+    expect(result.matches).toEqual({ name: true, organization: true, dates: true });
+  });
+
+  it('should flag a mismatched name and an editing tool', async () => {
+    const result = await run(stubParse(letter, { Producer: 'Adobe Photoshop 24.0' }), { candidateName: 'Rahul Verma' });
+    expect(result.flags.map((f) => f.code)).toEqual(expect.arrayContaining(['name_not_found', 'editing_software']));
+    expect(result.riskScore).toBe(50);
+    expect(result.riskLevel).toBe('medium');
+  });
+
+  it('should flag a PDF created long after the date printed on it', async () => {
+    const result = await run(stubParse(letter, { CreationDate: 'D:20240301000000Z' }));
+    expect(result.flags.map((f) => f.code)).toEqual(['created_after_issue_date']);
+  });
+
+  it('should flag unreadable PDFs and image uploads', async () => {
+    const broken = await run(async () => { throw new Error('bad xref'); });
+    expect(broken.flags.map((f) => f.code)).toEqual(['unreadable_pdf']);
+
+    const image = await runDocumentPrecheck({ buffer: Buffer.from(''), mimetype: 'image/png', claim });
+    expect(image.flags.map((f) => f.code)).toEqual(['not_pdf']);
+  });
+
+  it('should return null from the safe wrapper instead of throwing', async () => {
+    expect(await safeDocumentPrecheck({ buffer: null, mimetype: 'application/pdf', claim: null }, {
+      parse: stubParse(letter),
+    })).toBeNull();
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests for domain-based company verification
+ *
+ *   1. TXT lookups go through the pluggable resolver (stubbed here)
+ *   2. The domain must be exactly the company website's; subdomains and webmail are refused
+ *   3. A found TXT record verifies the company and writes an audit entry
+ *   4. Wrong email codes burn attempts
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  // company-verification.routes imports the Supabase client, which needs these at load time
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery, mockSendDomainVerificationCode } from './setup.js';
+
+import companyVerificationRouter from '../routes/company-verification.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import {
+  setDnsResolver,
+  findTxtToken,
+  txtRecordName,
+  txtRecordValue,
+  hashCode,
+} from '../services/domainVerificationService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/companies', companyVerificationRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000a1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+// Local stand-in for dns.promises: { hostname: [[chunk, ...], ...] }
+function stubResolver(zone) {
+  return {
+    resolveTxt: vi.fn(async (host) => {
+      if (zone[host]) return zone[host];
+      const err = new Error(`queryTxt ENOTFOUND ${host}`);
+      err.code = 'ENOTFOUND';
+      throw err;
+    }),
+  };
+}
+
+function mockDb(handler) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: USER_ID, email: 'owner@acme.com', account_type: 'company', name: 'Owner' }] };
+    }
+    return handler(sql, params);
+  });
+}
+
+const company = { id: 'company-1', name: 'Acme', website: 'https://www.acme.com', verification_status: 'pending' };
+
+describe('findTxtToken', () => {
+  it('should match the record on the verification label, joining split chunks', async () => {
+    setDnsResolver(stubResolver({
+      [txtRecordName('acme.com')]: [['v=spf1 -all'], ['veriboard-verification=', 'abc123']],
+    }));
+    expect(await findTxtToken('acme.com', 'abc123')).toBe(true);
+    expect(await findTxtToken('acme.com', 'other')).toBe(false);
+  });
+
+  it('should fall back to the apex domain', async () => {
+    setDnsResolver(stubResolver({ 'acme.com': [[txtRecordValue('abc123')]] }));
+    expect(await findTxtToken('acme.com', 'abc123')).toBe(true);
+  });
+});
+
+describe('POST /api/companies/domain-verification', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should refuse a domain that is not the company website', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM companies WHERE user_id')) return { rows: [company] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/companies/domain-verification')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ method: 'dns', domain: 'evil.com' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/acme\.com/);
+  });
+
+  it('should refuse a parent domain or subdomain of the company website', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM companies WHERE user_id')) return { rows: [company] };
+      return { rows: [] };
+    });
+    const app = buildApp();
+
+    const subdomain = await request(app)
+      .post('/api/companies/domain-verification')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ method: 'dns', domain: 'mail.acme.com' });
+    expect(subdomain.status).toBe(400);
+
+    const subdomainEmail = await request(app)
+      .post('/api/companies/domain-verification')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ method: 'email', email: 'it@mail.acme.com' });
+    expect(subdomainEmail.status).toBe(400);
+    expect(mockSendDomainVerificationCode).not.toHaveBeenCalled();
+  });
+
+  it('should refuse an email address off the domain', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM companies WHERE user_id')) return { rows: [company] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/companies/domain-verification')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ method: 'email', email: 'owner@gmail.com' });
+    expect(res.status).toBe(400);
+    expect(mockSendDomainVerificationCode).not.toHaveBeenCalled();
+  });
+
+  it('should email a code to an address on the domain', async () => {
+    mockDb(async (sql, params) => {
+      if (sql.includes('FROM companies WHERE user_id')) return { rows: [company] };
+      if (sql.includes('INSERT INTO company_domain_verifications')) {
+        return { rows: [{ id: 'ch-1', domain: params[1], method: 'email', email: params[2], status: 'pending' }] };
+      }
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/companies/domain-verification')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ method: 'email', email: 'IT@acme.com' });
+    expect(res.status).toBe(201);
+    expect(mockSendDomainVerificationCode).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'it@acme.com', domain: 'acme.com', code: expect.stringMatching(/^\d{6}$/) })
+    );
+  });
+});
+
+describe('POST /api/companies/domain-verification/check', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  const dnsChallenge = { id: 'ch-1', company_id: 'company-1', domain: 'acme.com', method: 'dns', token: 'tok123', status: 'pending' };
+
+  it('should verify the company once the TXT record resolves', async () => {
+    setDnsResolver(stubResolver({ [txtRecordName('acme.com')]: [[txtRecordValue('tok123')]] }));
+    mockDb(async (sql) => {
+      if (sql.includes('SELECT id FROM companies WHERE user_id')) return { rows: [{ id: 'company-1' }] };
+      if (sql.includes('FROM company_domain_verifications')) return { rows: [dnsChallenge] };
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('UPDATE companies')) return { rows: [{ id: 'company-1', name: 'Acme', user_id: USER_ID }] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/companies/domain-verification/check')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const companyUpdate = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE companies'));
+    expect(companyUpdate[0]).toContain("verification_status = 'verified'");
+    expect(companyUpdate[1]).toEqual(['company-1', 'acme.com', 'domain_dns']);
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO company_verification_audit'))).toBe(true);
+  });
+
+  it('should leave the company unverified when the record is missing', async () => {
+    setDnsResolver(stubResolver({}));
+    mockDb(async (sql) => {
+      if (sql.includes('SELECT id FROM companies WHERE user_id')) return { rows: [{ id: 'company-1' }] };
+      if (sql.includes('FROM company_domain_verifications')) return { rows: [dnsChallenge] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/companies/domain-verification/check')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(mockClientQuery).not.toHaveBeenCalled();
+  });
+
+  it('should count a wrong email code as an attempt', async () => {
+    const emailChallenge = {
+      id: 'ch-2', company_id: 'company-1', domain: 'acme.com', method: 'email',
+      email: 'it@acme.com', code_hash: hashCode('ch-2', '123456'), status: 'pending',
+    };
+    mockDb(async (sql) => {
+      if (sql.includes('SELECT id FROM companies WHERE user_id')) return { rows: [{ id: 'company-1' }] };
+      if (sql.includes('SELECT * FROM company_domain_verifications')) return { rows: [emailChallenge] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/companies/domain-verification/check')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' });
+
+    expect(res.status).toBe(400);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('attempts = attempts + 1'))).toBe(true);
+    expect(mockClientQuery).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Tests for employer magic-link verification
+ *
+ *   1. The HR email domain must be the employer's website or a subdomain of it
+ *   2. Webmail addresses are rejected
+ *   3. A valid request stores a link and emails it; a website the candidate
+ *      supplied is checked by an admin before anything is sent
+ *   4. Responses are single use and write verification_type = 'employer_link';
+ *      comments are length-capped
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+import { mockQuery, mockClientQuery, mockSendEmployerVerificationRequest } from './setup.js';
+
+import employerVerificationRouter from '../routes/employer-verification.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { domainsMatch, hostnameFromUrl } from '../utils/domain.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/employer-verification', employerVerificationRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000c1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+function employment(overrides = {}) {
+  return {
+    id: 'emp-1',
+    candidate_id: 'cand-1',
+    position: 'Engineer',
+    start_date: '2020-01-01',
+    end_date: '2022-01-01',
+    is_current: false,
+    verification_status: 'pending',
+    company_name: 'Acme',
+    company_website: null,
+    company_user_id: null,
+    candidate_name: 'Alice',
+    ...overrides,
+  };
+}
+
+function mockDb(handler) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: USER_ID, email: 'alice@example.com', account_type: 'candidate', name: 'Alice' }] };
+    }
+    if (sql.includes('SELECT full_name FROM candidates')) return { rows: [{ full_name: 'Alice' }] };
+    return handler(sql, params);
+  });
+}
+
+describe('domain helpers', () => {
+  it('should normalise website hosts and match subdomains', () => {
+    expect(hostnameFromUrl('https://www.Acme.com/about')).toBe('acme.com');
+    expect(hostnameFromUrl('acme.com')).toBe('acme.com');
+    expect(domainsMatch('hr.acme.com', 'acme.com')).toBe(true);
+    expect(domainsMatch('notacme.com', 'acme.com')).toBe(false);
+    expect(domainsMatch('co.uk', 'acme.co.uk')).toBe(false);
+  });
+});
+
+describe('POST /api/employer-verification/request', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should reject an HR email outside the company domain', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM employment_history eh')) return { rows: [employment()] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/employer-verification/request')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ employmentId: 'emp-1', hrEmail: 'hr@other.com', companyWebsite: 'https://acme.com' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/acme\.com/);
+  });
+
+  it('should reject webmail addresses', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('FROM employment_history eh')) return { rows: [employment({ company_website: 'gmail.com' })] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/employer-verification/request')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ employmentId: 'emp-1', hrEmail: 'someone@gmail.com' });
+    expect(res.status).toBe(400);
+    expect(mockSendEmployerVerificationRequest).not.toHaveBeenCalled();
+  });
+
+  it('should create a link and email the HR contact', async () => {
+    mockDb(async (sql, params) => {
+      if (sql.includes('FROM employment_history eh')) {
+        return { rows: [employment({ company_website: 'www.acme.com', company_verification_status: 'verified' })] };
+      }
+      if (sql.includes('INSERT INTO employer_verification_links')) {
+        return { rows: [{ id: 'link-1', employment_id: params[0], hr_email: params[2], status: params[5], magic_token: 'tok-1' }] };
+      }
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/employer-verification/request')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ employmentId: 'emp-1', hrEmail: 'HR@people.acme.com' });
+    expect(res.status).toBe(201);
+    expect(res.body.link.hrEmail).toBe('hr@people.acme.com');
+    expect(mockSendEmployerVerificationRequest).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'hr@people.acme.com', magicLink: expect.stringContaining('/employer-verify/tok-1') })
+    );
+  });
+
+  it('should hold links to a candidate-supplied website for admin review', async () => {
+    mockDb(async (sql, params) => {
+      if (sql.includes('FROM employment_history eh')) return { rows: [employment()] };
+      if (sql.includes('INSERT INTO employer_verification_links')) {
+        return { rows: [{ id: 'link-1', employment_id: params[0], hr_email: params[2], company_website: params[4], status: params[5], magic_token: 'tok-1' }] };
+      }
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/employer-verification/request')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ employmentId: 'emp-1', hrEmail: 'me@my-own-domain.com', companyWebsite: 'https://my-own-domain.com' });
+    expect(res.status).toBe(201);
+    expect(res.body.link.status).toBe('awaiting_review');
+    expect(mockSendEmployerVerificationRequest).not.toHaveBeenCalled();
+  });
+
+  it('should not trust a website the candidate supplies for an unverified company', async () => {
+    mockDb(async (sql, params) => {
+      if (sql.includes('FROM employment_history eh')) return { rows: [employment({ company_website: 'acme.com', company_verification_status: 'pending' })] };
+      if (sql.includes('INSERT INTO employer_verification_links')) return { rows: [{ id: 'link-1', status: params[5] }] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .post('/api/employer-verification/request')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ employmentId: 'emp-1', hrEmail: 'hr@acme.com' });
+    expect(res.body.link.status).toBe('awaiting_review');
+    expect(mockSendEmployerVerificationRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('admin review of employer links', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should email the link once an admin approves the HR address', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: USER_ID, email: 'admin@veriboard.com', account_type: 'admin', name: 'Admin' }] };
+      }
+      if (sql.includes('FROM employment_history eh')) return { rows: [employment()] };
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes("SET status = 'pending'")) {
+        return { rows: [{ id: 'link-1', employment_id: 'emp-1', hr_email: 'hr@acme.com', status: 'pending', magic_token: 'tok-1' }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/employer-verification/review/link-1/approve')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO audit_log'))).toBe(true);
+    expect(mockSendEmployerVerificationRequest).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'hr@acme.com', magicLink: expect.stringContaining('/employer-verify/tok-1') })
+    );
+  });
+});
+
+describe('POST /api/employer-verification/link/:token/respond', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should refuse a used or expired link', async () => {
+    mockClientQuery.mockImplementation(async () => ({ rows: [] }));
+    const res = await request(buildApp())
+      .post('/api/employer-verification/link/tok-1/respond')
+      .send({ decision: 'confirm', responderName: 'Bob' });
+    expect(res.status).toBe(410);
+  });
+
+  it('should verify the employment as employer_link on confirm', async () => {
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('UPDATE employer_verification_links')) {
+        return { rows: [{ id: 'link-1', employment_id: 'emp-1', candidate_id: 'cand-1', status: 'confirmed', responder_name: 'Bob', hr_email: 'hr@acme.com' }] };
+      }
+      if (sql.includes('UPDATE employment_history')) return { rows: [{ id: 'emp-1', position: 'Engineer' }] };
+      return { rows: [] };
+    });
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT user_id FROM candidates')) return { rows: [{ user_id: USER_ID }] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/employer-verification/link/tok-1/respond')
+      .send({ decision: 'confirm', responderName: 'Bob', responderTitle: 'HR Manager' });
+
+    expect(res.status).toBe(200);
+    const empUpdate = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE employment_history'));
+    expect(empUpdate[0]).toContain("verification_type = 'employer_link'");
+    expect(empUpdate[0]).toContain("verification_status = 'verified'");
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO notifications'))).toBe(true);
+  });
+
+  it('should require corrections or a comment to dispute', async () => {
+    const res = await request(buildApp())
+      .post('/api/employer-verification/link/tok-1/respond')
+      .send({ decision: 'dispute', responderName: 'Bob' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should cut off an overlong comment before storing it', async () => {
+    mockClientQuery.mockImplementation(async () => ({ rows: [] }));
+    await request(buildApp())
+      .post('/api/employer-verification/link/tok-1/respond')
+      .send({ decision: 'dispute', responderName: 'Bob', comment: 'x'.repeat(50000) });
+    const [, params] = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE employer_verification_links'));
+    expect(params[6]).toHaveLength(2000);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for HRIS export reconciliation
+ *
+ *   1. XLSX exports are read from the first worksheet, dates included
+ *   2. Employees are matched to claims; name-only matches need confirmation and
+ *      date disagreements become conflicts
+ *   3. The reconcile endpoint verifies email matches for verified companies only
+ *      and stores the report
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { mockQuery, mockClientQuery } from './setup.js';
+import bulkOnboardRouter from '../routes/bulk-onboard.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import ExcelJS from 'exceljs';
+import { detectMapping, mapEmployees, reconcile, readXlsxRows } from '../services/hrisReconciliationService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const claims = [
+  { id: 'emp-1', candidate_email: 'priya@example.com', candidate_name: 'Priya Sharma', position: 'Engineer', start_date: '2021-03-01', end_date: null, is_current: true, verification_status: 'pending' },
+  { id: 'emp-2', candidate_email: 'rahul@example.com', candidate_name: 'Rahul Verma', position: 'Analyst', start_date: '2019-01-01', end_date: '2020-12-31', is_current: false, verification_status: 'pending' },
+  { id: 'emp-3', candidate_email: 'anya@example.com', candidate_name: 'Anya Rao', position: 'Designer', start_date: '2018-01-01', end_date: '2019-01-01', is_current: false, verification_status: null },
+];
+
+describe('readXlsxRows', () => {
+  it('should read text, rich text, dates and serial numbers by header', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Staff');
+    sheet.addRow(['Work Email', 'Hire Date', 'Name', 'Exit Date']);
+    sheet.addRow(['priya@example.com', 44256, { richText: [{ text: 'Priya ' }, { text: 'Sharma' }] }, new Date(Date.UTC(2023, 5, 30))]);
+    const rows = await readXlsxRows(await workbook.xlsx.writeBuffer());
+    expect(rows).toEqual([{ 'Work Email': 'priya@example.com', 'Hire Date': '44256', Name: 'Priya Sharma', 'Exit Date': '2023-06-30' }]);
+
+    const employees = mapEmployees(rows, { ...detectMapping(Object.keys(rows[0])), endDate: 'Exit Date' });
+    expect(employees[0]).toMatchObject({ email: 'priya@example.com', fullName: 'Priya Sharma', startDate: '2021-03-01', endDate: '2023-06-30' });
+  });
+});
+
+describe('reconcile', () => {
+  it('should sort employees into matches, conflicts and unmatched records', () => {
+    const employees = mapEmployees([
+      { Email: 'PRIYA@example.com', 'Hire Date': '2021-03-15', 'Termination Date': '' },
+      { Email: '', Name: 'Rahul  Verma', 'Hire Date': '2019-01-01', 'Termination Date': '2022-06-30' },
+      { Email: 'nobody@example.com', 'Hire Date': '2015-01-01' },
+      { Email: 'broken@example.com', 'Hire Date': 'someday' },
+      { Email: '', Name: 'Anya Rao', 'Hire Date': '2018-01-01', 'Termination Date': '2019-01-01' },
+    ], { email: 'Email', fullName: 'Name', startDate: 'Hire Date', endDate: 'Termination Date' });
+
+    const report = reconcile(employees, claims);
+    expect(report.matched.map((m) => m.claim.employmentId)).toEqual(['emp-1']);
+    expect(report.dateConflicts).toHaveLength(1);
+    expect(report.dateConflicts[0]).toMatchObject({ matchedBy: 'name', claim: { employmentId: 'emp-2' } });
+    expect(report.dateConflicts[0].conflicts).toEqual([{ field: 'endDate', claimed: '2020-12-31', hris: '2022-06-30' }]);
+    expect(report.unmatchedEmployees.map((e) => e.email)).toEqual(['nobody@example.com']);
+    expect(report.needsConfirmation).toEqual([expect.objectContaining({ matchedBy: 'name', claim: expect.objectContaining({ employmentId: 'emp-3' }) })]);
+    expect(report.unmatchedClaims).toEqual([]);
+    expect(report.invalidRows).toEqual([{ rowIndex: 4, errors: ['Valid start date required'] }]);
+  });
+});
+
+describe('POST /api/company/employees/hris-reconcile', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/company', bulkOnboardRouter);
+    app.use(errorHandler);
+    return app;
+  }
+
+  it('should verify matched claims and save the report', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: 'hr-1', email: 'hr@acme.com', account_type: 'company', name: 'HR' }] };
+      }
+      if (sql.includes('FROM companies WHERE user_id')) return { rows: [{ id: 'co-1', name: 'Acme', verification_status: 'verified' }] };
+      if (sql.includes('FROM employment_history eh')) return { rows: claims };
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('UPDATE employment_history')) {
+        return { rows: params[0].map((id) => ({ id, position: 'Engineer', candidate_id: 'cand-1' })) };
+      }
+      if (sql.includes('INSERT INTO hris_reconciliations')) return { rows: [{ id: 'rec-1', created_at: new Date() }] };
+      return { rows: [] };
+    });
+    const token = jwt.sign({ id: 'hr-1' }, process.env.JWT_SECRET);
+
+    const res = await request(buildApp())
+      .post('/api/company/employees/hris-reconcile')
+      .set('Authorization', `Bearer ${token}`)
+      .field('saveMapping', 'true')
+      .attach('file', Buffer.from('Work Email,Hire Date\npriya@example.com,2021-03-01\n'), { filename: 'export.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ totalRows: 1, matched: 1, verified: 1, unmatchedClaims: 2 });
+    const update = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE employment_history'));
+    expect(update[1][0]).toEqual(['emp-1']);
+    expect(update[0]).toContain("verification_type = 'hris'");
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO hris_column_mappings'))).toBe(true);
+  });
+
+  it('should only report, not verify, for an unverified company', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: 'hr-1', email: 'hr@acme.com', account_type: 'company', name: 'HR' }] };
+      }
+      if (sql.includes('FROM companies WHERE user_id')) return { rows: [{ id: 'co-1', name: 'Acme', verification_status: 'pending' }] };
+      if (sql.includes('FROM employment_history eh')) return { rows: claims };
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO hris_reconciliations')) return { rows: [{ id: 'rec-1', created_at: new Date() }] };
+      return { rows: [] };
+    });
+    const token = jwt.sign({ id: 'hr-1' }, process.env.JWT_SECRET);
+
+    const res = await request(buildApp())
+      .post('/api/company/employees/hris-reconcile')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from('Work Email,Hire Date\npriya@example.com,2021-03-01\n'), { filename: 'export.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ matched: 1, verified: 0, companyVerified: false });
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('UPDATE employment_history'))).toBe(false);
+  });
+
+  it('should reject a mapping that names a missing column', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: 'hr-1', email: 'hr@acme.com', account_type: 'company', name: 'HR' }] };
+      }
+      if (sql.includes('FROM companies WHERE user_id')) return { rows: [{ id: 'co-1', name: 'Acme' }] };
+      return { rows: [] };
+    });
+    const token = jwt.sign({ id: 'hr-1' }, process.env.JWT_SECRET);
+
+    const res = await request(buildApp())
+      .post('/api/company/employees/hris-reconcile')
+      .set('Authorization', `Bearer ${token}`)
+      .field('mapping', JSON.stringify({ email: 'Mail', startDate: 'Hire Date' }))
+      .attach('file', Buffer.from('Work Email,Hire Date\npriya@example.com,2021-03-01\n'), { filename: 'export.csv', contentType: 'text/csv' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Column "Mail" not found/);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Tests for institution accounts verifying education records
+ *
+ *   1. Unverified institutions cannot list or decide records
+ *   2. Documents are only shared for records awaiting review
+ *   3. Approvals only touch pending records naming the institution
+ *   4. Cohort bulk approval selects records by graduation year
+ *   5. New names added after verification need review before they verify records
+ *   6. Profile changes are audited in the transaction that makes them
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery } from './setup.js';
+import institutionRouter from '../routes/institution.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/institutions', institutionRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000e1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+function mockInstitution(status, handler = async () => ({ rows: [] })) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: USER_ID, email: 'registrar@uni.edu', account_type: 'institution', name: 'Registrar' }] };
+    }
+    if (sql.includes('FROM institutions WHERE user_id')) {
+      return { rows: [{ id: 'inst-1', user_id: USER_ID, name: 'State University', aliases: ['SU'], verification_status: status }] };
+    }
+    return handler(sql, params);
+  });
+}
+
+describe('institution verification requests', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should refuse approvals until the institution is verified', async () => {
+    mockInstitution('pending');
+    const res = await request(buildApp())
+      .post('/api/institutions/verification-requests/edu-1/approve')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(403);
+    expect(mockClientQuery).not.toHaveBeenCalled();
+  });
+
+  it('should refuse listing records until the institution is verified', async () => {
+    mockInstitution('pending');
+    const res = await request(buildApp())
+      .get('/api/institutions/verification-requests?status=all')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(403);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('FROM education_history'))).toBe(false);
+  });
+
+  it('should only sign documents for records awaiting review', async () => {
+    mockInstitution('verified', async (sql) => {
+      if (sql.includes('FROM education_history')) {
+        return {
+          rows: [
+            { id: 'edu-1', verification_status: 'pending', document_url: 'https://x/storage/v1/object/public/bucket/a.pdf' },
+            { id: 'edu-2', verification_status: 'verified', document_url: 'https://x/storage/v1/object/public/bucket/b.pdf' },
+          ],
+        };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .get('/api/institutions/verification-requests?status=all')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const [pending, decided] = res.body.requests;
+    expect(pending.documentUrl).toBe('https://test.example/signed');
+    expect(decided).toMatchObject({ documentUrl: null, hasDocument: true });
+  });
+
+  it('should only approve pending records naming the institution or an alias', async () => {
+    mockInstitution('verified');
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('UPDATE education_history')) return { rows: [{ id: 'edu-1', degree: 'BSc', candidate_id: 'cand-1' }] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/institutions/verification-requests/edu-1/approve')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const update = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE education_history'));
+    expect(update[0]).toContain("verification_type = 'institution'");
+    expect(update[0]).toContain("verification_status IN ('pending', 'in_review')");
+    expect(update[1]).toEqual([['edu-1'], USER_ID, ['state university', 'su']]);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('DELETE FROM verification_claims'))).toBe(true);
+  });
+
+  it('should approve a whole graduating cohort', async () => {
+    mockInstitution('verified', async (sql) => {
+      if (sql.includes('EXTRACT(YEAR FROM ed.end_date) = $2')) return { rows: [{ id: 'edu-1' }, { id: 'edu-2' }] };
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('UPDATE education_history')) {
+        return { rows: params[0].map((id) => ({ id, degree: 'BSc', candidate_id: `cand-${id}` })) };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/institutions/verification-requests/bulk-approve')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ graduationYear: 2025, degree: 'BSc' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ requested: 2, approved: 2, approvedIds: ['edu-1', 'edu-2'] });
+    const cohort = mockQuery.mock.calls.find(([sql]) => sql.includes('EXTRACT(YEAR FROM ed.end_date) = $2'));
+    expect(cohort[1]).toEqual([['state university', 'su'], 2025, '%BSc%']);
+  });
+
+  it('should require a rejection reason', async () => {
+    mockInstitution('verified');
+    const res = await request(buildApp())
+      .post('/api/institutions/verification-requests/edu-1/reject')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('institution profile', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should send the institution back for review when it adds an alias', async () => {
+    let institution = { id: 'inst-1', user_id: USER_ID, name: 'State University', aliases: ['SU'], verification_status: 'verified' };
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: USER_ID, email: 'registrar@uni.edu', account_type: 'institution', name: 'Registrar' }] };
+      }
+      if (sql.includes('FROM institutions WHERE user_id')) return { rows: [institution] };
+      return { rows: [] };
+    });
+    mockClientQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('UPDATE institutions')) {
+        institution = { ...institution, aliases: params[4], verification_status: params[5] ? 'pending' : institution.verification_status };
+        return { rows: [institution] };
+      }
+      return { rows: [] };
+    });
+    const app = buildApp();
+
+    const update = await request(app)
+      .put('/api/institutions/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ aliases: ['SU', 'Harvard University'] });
+    expect(update.status).toBe(200);
+    expect(update.body.institution.verificationStatus).toBe('pending');
+
+    const approve = await request(app)
+      .post('/api/institutions/verification-requests/edu-1/approve')
+      .set('Authorization', `Bearer ${token}`);
+    expect(approve.status).toBe(403);
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('UPDATE education_history'))).toBe(false);
+  });
+
+  it('should keep the verification when aliases are only removed or re-cased', async () => {
+    mockInstitution('verified');
+    mockClientQuery.mockImplementation(async (sql, params) => ({ rows: [{ id: 'inst-1', name: 'State University', aliases: params?.[4], verification_status: 'verified' }] }));
+    await request(buildApp())
+      .put('/api/institutions/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ aliases: ['su'] });
+    const [, params] = mockClientQuery.mock.calls.find(([sql]) => sql.includes('UPDATE institutions'));
+    expect(params[5]).toBe(false);
+  });
+
+  it('should audit profile changes in the same transaction', async () => {
+    mockInstitution('verified');
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM institutions WHERE id = $1')) return { rows: [{ id: 'inst-1', name: 'State University', website: null }] };
+      if (sql.includes('UPDATE institutions')) return { rows: [{ id: 'inst-1', name: 'State University', website: 'https://su.edu' }] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .put('/api/institutions/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ website: 'https://su.edu' });
+    expect(res.status).toBe(200);
+
+    const audit = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audit[1].slice(2, 5)).toEqual(['institution.update', 'institution', 'inst-1']);
+    expect(JSON.parse(audit[1][5])).toEqual({ website: { before: null, after: 'https://su.edu' } });
+    expect(mockClientQuery.mock.calls.map(([sql]) => sql)).toContain('COMMIT');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for job funnel analytics
+ *
+ *   1. Visitors are keyed by a hash, per user or per guest browser
+ *   2. Listings record impressions with their source
+ *   3. Client events are validated before they are recorded
+ *   4. The funnel endpoint reports unique visitors and conversion per stage and source
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery } from './setup.js';
+import jobRouter from '../routes/job.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { visitorKey, userVisitorKey } from '../services/jobAnalyticsService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/jobs', jobRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const JOB_ID = '00000000-0000-0000-0000-0000000000f1';
+const OLD_JOB_ID = '00000000-0000-0000-0000-0000000000f2';
+const COMPANY_USER_ID = '00000000-0000-0000-0000-0000000000f3';
+
+function fakeReq({ user, ip = '203.0.113.7', ua = 'Browser/1.0' } = {}) {
+  return { user, ip, get: (name) => (name === 'user-agent' ? ua : undefined) };
+}
+
+describe('visitor keys', () => {
+  it('should hash users and guests without keeping the raw identity', () => {
+    const guest = visitorKey(fakeReq());
+    expect(guest).toHaveLength(32);
+    expect(guest).not.toContain('203.0.113.7');
+    expect(visitorKey(fakeReq())).toBe(guest);
+    expect(visitorKey(fakeReq({ ua: 'Other/2.0' }))).not.toBe(guest);
+    expect(visitorKey(fakeReq({ user: { id: COMPANY_USER_ID } }))).toBe(userVisitorKey(COMPANY_USER_ID));
+  });
+});
+
+describe('recording funnel events', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should record an impression for each listed job, attributed to search', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('OFFSET $')) return { rows: [{ id: JOB_ID }, { id: OLD_JOB_ID }] };
+      return { rows: [], rowCount: 0 };
+    });
+
+    const res = await request(buildApp()).get('/api/jobs?search=react&sortBy=recent');
+    expect(res.status).toBe(200);
+
+    const [sql, params] = mockQuery.mock.calls.find(([q]) => q.includes('INSERT INTO job_events'));
+    expect(sql).toContain('ON CONFLICT (job_id, event_type, visitor_key, event_date) DO NOTHING');
+    expect(params[0]).toEqual([JOB_ID, OLD_JOB_ID]);
+    expect(params[1]).toBe('impression');
+    expect(params[3]).toBe('search');
+  });
+
+  it('should validate client events', async () => {
+    const app = buildApp();
+    const badType = await request(app).post('/api/jobs/events').send({ type: 'apply_submit', jobIds: [JOB_ID] });
+    expect(badType.status).toBe(400);
+    const badIds = await request(app).post('/api/jobs/events').send({ type: 'apply_start', jobIds: ['1; DROP'] });
+    expect(badIds.status).toBe(400);
+    const badSource = await request(app).post('/api/jobs/events').send({ type: 'apply_start', jobIds: [JOB_ID], source: 'email' });
+    expect(badSource.status).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should let apply starts inherit the visitor source', async () => {
+    mockQuery.mockResolvedValue({ rows: [], rowCount: 1 });
+    const res = await request(buildApp()).post('/api/jobs/events').send({ type: 'apply_start', jobIds: [JOB_ID] });
+    expect(res.body).toEqual({ success: true, recorded: 1 });
+    const [, params] = mockQuery.mock.calls[0];
+    expect(params[1]).toBe('apply_start');
+    expect(params[3]).toBeNull();
+  });
+});
+
+describe('job funnel', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  const company = { id: COMPANY_USER_ID, email: 'hr@example.com', account_type: 'company', name: 'HR' };
+  const token = jwt.sign({ id: COMPANY_USER_ID }, process.env.JWT_SECRET);
+
+  it('should report unique visitors and conversion per stage and source', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [company] };
+      if (sql.includes('WHERE j.id = $1 AND c.user_id = $2')) return { rows: [{ id: JOB_ID }] };
+      if (sql.includes('WITH RECURSIVE chain')) return { rows: [{ id: JOB_ID }, { id: OLD_JOB_ID }] };
+      if (sql.includes('GROUP BY source, event_type')) {
+        return {
+          rows: [
+            { source: 'search', event_type: 'impression', visitors: 150 },
+            { source: 'search', event_type: 'detail_view', visitors: 30 },
+            { source: 'feed', event_type: 'impression', visitors: 50 },
+          ],
+        };
+      }
+      if (sql.includes('GROUP BY event_type')) {
+        return {
+          rows: [
+            { event_type: 'impression', visitors: 200, events: 260 },
+            { event_type: 'detail_view', visitors: 40, events: 45 },
+            { event_type: 'apply_start', visitors: 10, events: 10 },
+            { event_type: 'apply_submit', visitors: 4, events: 4 },
+          ],
+        };
+      }
+      if (sql.includes("to_char(event_date, 'YYYY-MM-DD')")) {
+        return { rows: [{ date: '2026-10-17', event_type: 'impression', count: 12 }, { date: '2026-10-17', event_type: 'apply_submit', count: 1 }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .get(`/api/jobs/${JOB_ID}/funnel?range=7&includeReposts=true`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+
+    const { funnel } = res.body;
+    expect(funnel.jobIds).toEqual([JOB_ID, OLD_JOB_ID]);
+    expect(funnel.range).toBe(7);
+    expect(funnel.stages.map((s) => [s.stage, s.visitors, s.conversionFromPrevious])).toEqual([
+      ['impression', 200, null],
+      ['detail_view', 40, 20],
+      ['apply_start', 10, 25],
+      ['apply_submit', 4, 40],
+    ]);
+    expect(funnel.overallConversion).toBe(2);
+    expect(funnel.bySource.find((s) => s.source === 'search').stages[1]).toMatchObject({ visitors: 30, conversionFromPrevious: 20 });
+    expect(funnel.daily).toEqual([{ date: '2026-10-17', impression: 12, detail_view: 0, apply_start: 0, apply_submit: 1 }]);
+
+    const [, params] = mockQuery.mock.calls.find(([q]) => q.includes('GROUP BY event_type'));
+    expect(params[0]).toEqual([JOB_ID, OLD_JOB_ID]);
+  });
+
+  it('should refuse users without access to the job', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [company] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .get(`/api/jobs/${JOB_ID}/funnel`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(403);
+  });
+});
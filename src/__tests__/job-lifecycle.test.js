@@ -0,0 +1,296 @@
+/**
+ * Tests for the job posting lifecycle
+ *
+ *   1. Lifecycle input and transitions are validated
+ *   2. Status changes are conditional, respect the plan limit and are audited,
+ *      as are edits
+ *   3. Closed jobs are reposted as new jobs linked to the original
+ *   4. Applications close at the deadline
+ *   5. The hourly job publishes, reminds and expires
+ *   6. Matching candidates hear about a job whenever it is first published
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery, mockSendJobExpiryNotice } from './setup.js';
+import jobRouter from '../routes/job.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import {
+  canTransition,
+  validateLifecycleInput,
+  lifecycleOf,
+  processJobLifecycle,
+} from '../services/jobLifecycleService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/jobs', jobRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const JOB_ID = '00000000-0000-0000-0000-0000000000e1';
+const COMPANY_ID = '00000000-0000-0000-0000-0000000000e2';
+const COMPANY_USER_ID = '00000000-0000-0000-0000-0000000000e3';
+const CANDIDATE_ID = '00000000-0000-0000-0000-0000000000e4';
+
+const company = { id: COMPANY_USER_ID, email: 'hr@example.com', account_type: 'company', name: 'HR', plan_tier: 'free' };
+const companyToken = jwt.sign({ id: COMPANY_USER_ID }, process.env.JWT_SECRET);
+
+// Route SQL to a handler by substring, on the pool and on transaction
+// clients alike; unmatched queries return nothing.
+function mockDb(user, handlers) {
+  const route = async (sql, params) => {
+    for (const [needle, handler] of handlers) {
+      if (sql.includes(needle)) return handler(sql, params);
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) return { rows: [user] };
+    return route(sql, params);
+  });
+  mockClientQuery.mockImplementation(route);
+}
+
+const auditActions = () => mockClientQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO audit_log')).map(([, p]) => p[2]);
+
+function ownJob(job) {
+  return ['WHERE j.id = $1 AND c.user_id = $2', () => ({ rows: [{ id: JOB_ID, company_id: COMPANY_ID, title: 'Engineer', ...job }] })];
+}
+
+describe('job lifecycle rules', () => {
+  it('should only allow the documented transitions', () => {
+    expect(canTransition('draft', 'scheduled')).toBe(true);
+    expect(canTransition('open', 'paused')).toBe(true);
+    expect(canTransition('paused', 'open')).toBe(true);
+    expect(canTransition('open', 'draft')).toBe(false);
+    expect(canTransition('closed', 'open')).toBe(false);
+    expect(canTransition('expired', 'open')).toBe(false);
+    expect(canTransition('open', 'bogus')).toBe(false);
+  });
+
+  it('should validate lifecycle input', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    expect(validateLifecycleInput({ status: 'paused' }, { creating: true, now }).error).toMatch(/draft, scheduled or open/);
+    expect(validateLifecycleInput({ status: 'scheduled' }, { creating: true, now }).error).toMatch(/publish_at in the future/);
+    expect(validateLifecycleInput({ application_deadline: '2026-10-01' }, { now }).error).toMatch(/in the future/);
+    expect(validateLifecycleInput({ expires_at: 'soon' }, { now }).error).toMatch(/valid date/);
+    expect(validateLifecycleInput(
+      { status: 'scheduled', publish_at: '2026-10-20T09:00:00Z', application_deadline: null },
+      { creating: true, now }
+    ).fields).toEqual({ status: 'scheduled', publish_at: '2026-10-20T09:00:00.000Z', application_deadline: null });
+  });
+
+  it('should stop accepting applications after the deadline', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    expect(lifecycleOf({ status: 'open', application_deadline: '2026-10-19T00:00:00Z' }, now).acceptingApplications).toBe(true);
+    expect(lifecycleOf({ status: 'open', application_deadline: '2026-10-17T00:00:00Z' }, now).acceptingApplications).toBe(false);
+    expect(lifecycleOf({ status: 'paused' }, now).acceptingApplications).toBe(false);
+  });
+});
+
+describe('changing a job status', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should refuse a transition the lifecycle does not allow', async () => {
+    mockDb(company, [ownJob({ status: 'closed' })]);
+    const res = await request(buildApp())
+      .put(`/api/jobs/${JOB_ID}/status`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ status: 'open' });
+    expect(res.status).toBe(400);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.startsWith('UPDATE jobs'))).toBe(false);
+  });
+
+  it('should check the plan limit before publishing a draft', async () => {
+    mockDb(company, [
+      ownJob({ status: 'draft' }),
+      ['COUNT(*)::int AS cnt FROM jobs', () => ({ rows: [{ cnt: 1 }] })],
+    ]);
+    const res = await request(buildApp())
+      .put(`/api/jobs/${JOB_ID}/status`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ status: 'open' });
+    expect(res.status).toBe(403);
+    expect(res.body.limitReached).toBe(true);
+  });
+
+  it('should 409 when the status changed in the meantime', async () => {
+    mockDb(company, [ownJob({ status: 'open' })]);
+    const res = await request(buildApp())
+      .put(`/api/jobs/${JOB_ID}/status`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ status: 'paused' });
+    expect(res.status).toBe(409);
+    const [sql, params] = mockClientQuery.mock.calls.find(([q]) => q.startsWith('UPDATE jobs'));
+    expect(sql).toContain('WHERE id = $1 AND status = $2');
+    expect(params.slice(0, 3)).toEqual([JOB_ID, 'open', 'paused']);
+    expect(auditActions()).toEqual([]);
+  });
+
+  it('should audit a status change made by the owner', async () => {
+    mockDb(company, [
+      ownJob({ status: 'open', published_at: new Date() }),
+      ['UPDATE jobs SET', () => ({ rows: [{ id: JOB_ID, title: 'Engineer', status: 'paused' }] })],
+    ]);
+    const res = await request(buildApp())
+      .put(`/api/jobs/${JOB_ID}/status`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ status: 'paused' });
+    expect(res.status).toBe(200);
+    expect(auditActions()).toEqual(['job.status']);
+  });
+
+  it('should audit edits to a posting', async () => {
+    mockDb(company, [
+      ['FROM companies WHERE user_id = $1', () => ({ rows: [{ id: COMPANY_ID }] })],
+      ['SELECT id FROM jobs WHERE id = $1 AND company_id = $2', () => ({ rows: [{ id: JOB_ID }] })],
+      ['SELECT * FROM jobs WHERE id = $1', () => ({ rows: [{ id: JOB_ID, title: 'Engineer' }] })],
+      ['UPDATE jobs', () => ({ rows: [{ id: JOB_ID, title: 'Senior Engineer' }] })],
+    ]);
+    const res = await request(buildApp())
+      .put(`/api/jobs/${JOB_ID}`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ title: 'Senior Engineer' });
+    expect(res.status).toBe(200);
+    const audit = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audit[1][2]).toBe('job.update');
+    expect(JSON.parse(audit[1][5])).toEqual({ title: { before: 'Engineer', after: 'Senior Engineer' } });
+  });
+
+  it('should repost a closed job as a new linked posting', async () => {
+    mockDb(company, [
+      ownJob({ status: 'closed' }),
+      ['COUNT(*)::int AS cnt FROM jobs', () => ({ rows: [{ cnt: 0 }] })],
+      ['INSERT INTO jobs', (sql, params) => ({
+        rows: [{ id: 'job-2', title: 'Engineer', status: params[1], reposted_from: params[0] }],
+      })],
+    ]);
+    const res = await request(buildApp())
+      .post(`/api/jobs/${JOB_ID}/repost`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({});
+    expect(res.status).toBe(201);
+    expect(res.body.job).toMatchObject({ id: 'job-2', status: 'open', repostedFrom: JOB_ID });
+    expect(auditActions()).toEqual(['job.repost']);
+  });
+});
+
+describe('application deadline', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should refuse applications after the deadline', async () => {
+    const candidate = { id: CANDIDATE_ID, email: 'c@example.com', account_type: 'candidate', name: 'C' };
+    mockDb(candidate, [
+      ['FROM jobs WHERE id = $1 AND is_active = true', () => ({
+        rows: [{ id: JOB_ID, application_form: null, screening_questions: null, resume_required: false, application_deadline: new Date(Date.now() - 60000) }],
+      })],
+    ]);
+    const res = await request(buildApp())
+      .post(`/api/jobs/${JOB_ID}/apply`)
+      .set('Authorization', `Bearer ${jwt.sign({ id: CANDIDATE_ID }, process.env.JWT_SECRET)}`)
+      .send({});
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/deadline/);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO job_applications'))).toBe(false);
+  });
+});
+
+describe('hourly lifecycle job', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should publish scheduled jobs, then remind and expire with notifications', async () => {
+    const owner = { title: 'Engineer', company_name: 'Acme', owner_user_id: COMPANY_USER_ID, owner_email: 'hr@example.com' };
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("WHERE status = 'scheduled' AND publish_at <= NOW()")) return { rows: [{ id: 'j1' }], rowCount: 1 };
+      if (sql.includes('SET expiry_reminder_sent_at = NOW()')) {
+        return { rows: [{ id: 'j2', expires_at: new Date('2026-10-20T00:00:00Z'), ...owner }] };
+      }
+      if (sql.includes("SET status = 'expired'")) return { rows: [{ id: 'j3', ...owner }] };
+      return { rows: [], rowCount: 1 };
+    });
+
+    expect(await processJobLifecycle()).toEqual({ published: 1, reminded: 1, expired: 1 });
+    const notifications = mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO notifications'));
+    expect(notifications.map(([, p]) => p[2])).toEqual(['Job Posting Expiring Soon', 'Job Posting Expired']);
+    expect(notifications[1][1][4]).toBe('/company/jobs/j3');
+    expect(mockSendJobExpiryNotice).toHaveBeenCalledTimes(2);
+    expect(mockSendJobExpiryNotice.mock.calls[1][0]).toMatchObject({ to: 'hr@example.com', expired: true });
+  });
+});
+
+describe('candidate match notifications', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  const matchCalls = () => mockQuery.mock.calls.filter(([sql]) => sql.includes('FROM candidates') && sql.includes('INSERT INTO notifications'));
+
+  it('should notify when a draft is published, but not when a paused job resumes', async () => {
+    const limitOk = ['COUNT(*)::int AS cnt FROM jobs', () => ({ rows: [{ cnt: 0 }] })];
+    const opened = ['UPDATE jobs SET', () => ({
+      rows: [{ id: JOB_ID, title: 'Backend Engineer', required_skills: ['node'], status: 'open', published_at: new Date() }],
+    })];
+    mockDb(company, [ownJob({ status: 'draft', published_at: null }), limitOk, opened]);
+    const res = await request(buildApp())
+      .put(`/api/jobs/${JOB_ID}/status`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ status: 'open' });
+    expect(res.status).toBe(200);
+    expect(matchCalls()).toHaveLength(1);
+    expect(matchCalls()[0][1].slice(0, 5)).toEqual([
+      'New job: Backend Engineer',
+      expect.stringContaining('Backend Engineer'),
+      `/jobs/${JOB_ID}`,
+      ['node'],
+      ['%Backend%', '%Engineer%'],
+    ]);
+
+    vi.clearAllMocks();
+    mockDb(company, [ownJob({ status: 'paused', published_at: new Date() }), limitOk, opened]);
+    const resumed = await request(buildApp())
+      .put(`/api/jobs/${JOB_ID}/status`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ status: 'open' });
+    expect(resumed.status).toBe(200);
+    expect(matchCalls()).toHaveLength(0);
+  });
+
+  it('should notify for reposts published straight away, not for drafts', async () => {
+    const handlers = [
+      ownJob({ status: 'closed' }),
+      ['COUNT(*)::int AS cnt FROM jobs', () => ({ rows: [{ cnt: 0 }] })],
+      ['INSERT INTO jobs', (sql, params) => ({ rows: [{ id: 'job-2', title: 'Engineer', status: params[1], reposted_from: params[0] }] })],
+    ];
+    mockDb(company, handlers);
+    await request(buildApp()).post(`/api/jobs/${JOB_ID}/repost`).set('Authorization', `Bearer ${companyToken}`).send({});
+    expect(matchCalls()).toHaveLength(1);
+
+    vi.clearAllMocks();
+    mockDb(company, handlers);
+    await request(buildApp()).post(`/api/jobs/${JOB_ID}/repost`).set('Authorization', `Bearer ${companyToken}`).send({ status: 'draft' });
+    expect(matchCalls()).toHaveLength(0);
+  });
+
+  it('should notify for each scheduled job the hourly run publishes', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("WHERE status = 'scheduled' AND publish_at <= NOW()")) {
+        return { rows: [{ id: 'j1', title: 'Data Analyst', required_skills: [], status: 'open' }], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+    await processJobLifecycle();
+    expect(matchCalls()).toHaveLength(1);
+    expect(matchCalls()[0][1][2]).toBe('/jobs/j1');
+  });
+});
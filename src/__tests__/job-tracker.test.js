@@ -0,0 +1,191 @@
+/**
+ * Tests for saved jobs and the job-tracking board
+ *
+ *   1. Bookmarking a job toggles it
+ *   2. The board seeds default stages, syncs applications and groups cards by stage
+ *   3. Cards for crawled jobs keep the job's external link; open application cards stay
+ *   4. Follow-up and deadline reminders go out once
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery } from './setup.js';
+import jobRouter from '../routes/job.routes.js';
+import jobTrackerRouter from '../routes/job-tracker.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { processJobTrackerReminders } from '../services/jobTrackerService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/jobs', jobRouter);
+  app.use('/api/job-tracker', jobTrackerRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000a1';
+const JOB_ID = '00000000-0000-0000-0000-0000000000b1';
+const STAGE_INTERESTED = '00000000-0000-0000-0000-0000000000c1';
+const STAGE_APPLIED = '00000000-0000-0000-0000-0000000000c2';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+const USER = { id: USER_ID, email: 'cand@example.com', account_type: 'candidate', name: 'Cand' };
+
+// Route SQL to a handler by substring; unmatched queries return nothing.
+function mockDb(handlers) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) return { rows: [USER] };
+    for (const [needle, handler] of handlers) {
+      if (sql.includes(needle)) return handler(sql, params);
+    }
+    return { rows: [], rowCount: 0 };
+  });
+}
+
+describe('saved jobs', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should save a job, then unsave it', async () => {
+    let saved = false;
+    mockDb([
+      ['INSERT INTO saved_jobs', () => {
+        if (saved) return { rows: [] };
+        saved = true;
+        return { rows: [{ job_id: JOB_ID }] };
+      }],
+      ['DELETE FROM saved_jobs', () => {
+        saved = false;
+        return { rows: [], rowCount: 1 };
+      }],
+    ]);
+
+    const app = buildApp();
+    const first = await request(app).post(`/api/jobs/${JOB_ID}/bookmark`).set('Authorization', `Bearer ${token}`);
+    expect(first.body).toEqual({ success: true, bookmarked: true });
+    const second = await request(app).post(`/api/jobs/${JOB_ID}/bookmark`).set('Authorization', `Bearer ${token}`);
+    expect(second.body).toEqual({ success: true, bookmarked: false });
+  });
+
+  it('should 404 for a job that is neither open nor saved', async () => {
+    mockDb([]);
+    const res = await request(buildApp()).post(`/api/jobs/${JOB_ID}/bookmark`).set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('job-tracking board', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should seed stages, sync applications and group cards by stage', async () => {
+    mockDb([
+      ['SELECT * FROM job_tracker_stages WHERE user_id = $1 ORDER BY', () => ({
+        rows: [
+          { id: STAGE_INTERESTED, name: 'Interested', position: 0 },
+          { id: STAGE_APPLIED, name: 'Applied', position: 1 },
+        ],
+      })],
+      ['FROM job_tracker_items t\n       LEFT JOIN jobs j', () => ({
+        rows: [
+          { id: 'i1', stage_id: STAGE_APPLIED, job_id: JOB_ID, application_id: 'app-1', application_status: 'reviewing', job_is_active: true, title: 'Engineer' },
+          { id: 'i2', stage_id: STAGE_INTERESTED, job_id: null, application_id: null, title: 'Designer', external_url: 'https://jobs.example.com/42' },
+        ],
+      })],
+    ]);
+
+    const res = await request(buildApp()).get('/api/job-tracker').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.stages.map((s) => s.name)).toEqual(['Interested', 'Applied']);
+    expect(res.body.stages[1].items[0]).toMatchObject({ kind: 'application', applicationStatus: 'reviewing', jobActive: true });
+    expect(res.body.stages[0].items[0]).toMatchObject({ kind: 'external', externalUrl: 'https://jobs.example.com/42', jobActive: null });
+
+    const sql = mockQuery.mock.calls.map(([q]) => q);
+    expect(sql.some((q) => q.includes('INSERT INTO job_tracker_stages'))).toBe(true);
+    expect(sql.some((q) => q.includes('INSERT INTO job_tracker_items') && q.includes("LOWER(name) = 'applied'"))).toBe(true);
+  });
+
+  it('should track a crawled job with its external link', async () => {
+    mockDb([
+      ['FROM jobs j JOIN companies c', () => ({
+        rows: [{ id: JOB_ID, title: 'Backend Engineer', location: 'Remote', external_url: 'https://careers.example.com/7', is_active: true, company_name: 'Acme' }],
+      })],
+      ['COUNT(*)::int AS total FROM job_tracker_items', () => ({ rows: [{ total: 3 }] })],
+      ['ORDER BY position ASC, created_at ASC LIMIT 1', () => ({ rows: [{ id: STAGE_INTERESTED }] })],
+      ['INSERT INTO job_tracker_items', (sql, params) => ({
+        rows: [{
+          id: 'i3', stage_id: params[1], job_id: params[2], title: params[3], company_name: params[4],
+          location: params[5], external_url: params[6], notes: params[7], deadline_at: params[10],
+        }],
+      })],
+    ]);
+
+    const res = await request(buildApp())
+      .post('/api/job-tracker/items')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ jobId: JOB_ID, notes: 'Referral from Sam', deadlineAt: '2026-11-01T12:00:00Z' });
+    expect(res.status).toBe(201);
+    expect(res.body.item).toMatchObject({
+      stageId: STAGE_INTERESTED,
+      title: 'Backend Engineer',
+      companyName: 'Acme',
+      externalUrl: 'https://careers.example.com/7',
+      jobActive: true,
+      notes: 'Referral from Sam',
+      deadlineAt: '2026-11-01T12:00:00.000Z',
+    });
+  });
+
+  it('should re-arm the reminder when a follow-up date changes', async () => {
+    mockDb([
+      ['UPDATE job_tracker_items SET', () => ({ rows: [{ id: 'i1', stage_id: STAGE_APPLIED, title: 'Engineer' }] })],
+    ]);
+    const res = await request(buildApp())
+      .put('/api/job-tracker/items/i1')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ followUpAt: '2026-11-03T09:00:00Z' });
+    expect(res.status).toBe(200);
+    const [sql, params] = mockQuery.mock.calls.find(([q]) => q.startsWith('UPDATE job_tracker_items SET'));
+    expect(sql).toContain('follow_up_notified_at = CASE WHEN follow_up_at IS DISTINCT FROM $3::timestamptz THEN NULL');
+    expect(params[2]).toBe('2026-11-03T09:00:00.000Z');
+  });
+
+  it('should keep cards for open applications on the board', async () => {
+    mockDb([
+      ['DELETE FROM job_tracker_items', () => ({ rows: [] })],
+      ['SELECT 1 FROM job_tracker_items', () => ({ rows: [{ '?column?': 1 }] })],
+    ]);
+    const res = await request(buildApp()).delete('/api/job-tracker/items/i1').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('job tracker reminders', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should notify once per claimed follow-up and deadline', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('SET follow_up_notified_at = NOW()')) {
+        return { rows: [{ id: 'i1', user_id: USER_ID, title: 'Engineer', company_name: 'Acme' }] };
+      }
+      if (sql.includes('SET deadline_notified_at = NOW()')) {
+        return { rows: [{ id: 'i2', user_id: USER_ID, title: 'Designer', company_name: null, deadline_at: new Date('2026-10-19T12:00:00Z') }] };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+
+    expect(await processJobTrackerReminders()).toEqual({ followUps: 1, deadlines: 1 });
+    const notifications = mockQuery.mock.calls.filter(([sql]) => sql.includes('INSERT INTO notifications'));
+    expect(notifications.map(([, p]) => p[2])).toEqual(['Time to Follow Up', 'Deadline Approaching']);
+    expect(notifications[0][1][3]).toBe('You planned to follow up on Engineer at Acme.');
+    expect(notifications[1][1][3]).toContain('The deadline for Designer is');
+  });
+});
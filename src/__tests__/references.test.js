@@ -0,0 +1,133 @@
+/**
+ * Tests for reference checks
+ *
+ *   1. Question and answer validation
+ *   2. Referees must be nominated with a work email
+ *   3. Referee responses are validated and the link is single use
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { mockQuery, mockSendReferenceRequest } from './setup.js';
+import referenceRouter from '../routes/reference.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { normaliseQuestions, validateAnswers, DEFAULT_QUESTIONS } from '../services/referenceService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/references', referenceRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000f1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+const LINK = '11111111-2222-3333-4444-555555555555';
+
+describe('reference questions', () => {
+  it('should normalise question sets and reject unknown types', () => {
+    const ok = normaliseQuestions([{ prompt: 'Strengths?' }, { id: 'score', prompt: 'Rate them', type: 'rating', required: false }]);
+    expect(ok.error).toBeNull();
+    expect(ok.questions).toEqual([
+      { id: 'q1', type: 'text', prompt: 'Strengths?', required: true },
+      { id: 'score', type: 'rating', prompt: 'Rate them', required: false },
+    ]);
+    expect(normaliseQuestions([{ prompt: 'x', type: 'essay' }]).error).toMatch(/type must be one of/);
+    expect(normaliseQuestions([]).error).toBeTruthy();
+  });
+
+  it('should validate answers by question type', () => {
+    const answers = { relationship: 'Managed them for 2 years', strengths: 'Ownership', performance: 4, rehire: true };
+    expect(validateAnswers(DEFAULT_QUESTIONS, answers)).toEqual({ error: null, answers });
+    expect(validateAnswers(DEFAULT_QUESTIONS, { ...answers, performance: 6 }).error).toMatch(/1 to 5/);
+    expect(validateAnswers(DEFAULT_QUESTIONS, { ...answers, rehire: 'yes' }).error).toMatch(/true or false/);
+    expect(validateAnswers(DEFAULT_QUESTIONS, { ...answers, strengths: ' ' }).error).toMatch(/required/);
+  });
+});
+
+describe('reference nominations', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: USER_ID, email: 'cand@example.com', account_type: 'candidate', name: 'Cand' }] };
+      }
+      if (sql.includes('FROM employment_history eh')) {
+        return {
+          rows: [{
+            id: 'emp-1', candidate_id: 'cand-1', position: 'Engineer', company_name: 'Acme',
+            company_website: 'https://www.acme.com', candidate_name: 'Cand', candidate_email: 'cand@example.com',
+          }],
+        };
+      }
+      if (sql.includes('SELECT referee_email FROM reference_requests')) return { rows: [] };
+      if (sql.includes('INSERT INTO reference_requests')) {
+        return { rows: [{ id: 'ref-1', token: LINK, referee_name: 'Boss', referee_email: 'boss@acme.com', status: 'pending' }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  it('should reject webmail referee addresses', async () => {
+    const res = await request(buildApp())
+      .post('/api/references')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ employmentId: 'emp-1', refereeName: 'Boss', refereeEmail: 'boss@gmail.com', relationship: 'manager' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/work email/);
+    expect(mockSendReferenceRequest).not.toHaveBeenCalled();
+  });
+
+  it('should record whether the referee domain matches the employer and email the link', async () => {
+    const res = await request(buildApp())
+      .post('/api/references')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ employmentId: 'emp-1', refereeName: 'Boss', refereeEmail: 'Boss@Acme.com', relationship: 'manager' });
+    expect(res.status).toBe(201);
+
+    const insert = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO reference_requests'));
+    expect(insert[1][4]).toBe('boss@acme.com');
+    expect(JSON.parse(insert[1][8])).toEqual(DEFAULT_QUESTIONS);
+    expect(insert[1][9]).toBe(true);
+    expect(mockSendReferenceRequest).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'boss@acme.com', link: expect.stringContaining(`/reference/${LINK}`) })
+    );
+  });
+});
+
+describe('referee responses', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should store validated answers and refuse a second submission', async () => {
+    let used = false;
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT id, questions, candidate_id')) {
+        return used ? { rows: [] } : { rows: [{ id: 'ref-1', questions: DEFAULT_QUESTIONS, candidate_id: 'cand-1', referee_name: 'Boss' }] };
+      }
+      if (sql.includes('UPDATE reference_requests')) {
+        used = true;
+        return { rows: [{ id: 'ref-1' }] };
+      }
+      return { rows: [] };
+    });
+
+    const answers = { relationship: 'Manager', strengths: 'Reliable', performance: 5, rehire: true };
+    const bad = await request(buildApp()).post(`/api/references/respond/${LINK}`).send({ answers: { ...answers, performance: 0 } });
+    expect(bad.status).toBe(400);
+
+    const ok = await request(buildApp()).post(`/api/references/respond/${LINK}`).send({ answers });
+    expect(ok.status).toBe(200);
+    expect(ok.body.status).toBe('completed');
+    const update = mockQuery.mock.calls.find(([sql]) => sql.includes('UPDATE reference_requests'));
+    expect(update[0]).toContain('email_verified_at = NOW()');
+    expect(JSON.parse(update[1][2])).toEqual(answers);
+
+    const again = await request(buildApp()).post(`/api/references/respond/${LINK}`).send({ answers });
+    expect(again.status).toBe(410);
+  });
+});
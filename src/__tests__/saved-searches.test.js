@@ -0,0 +1,120 @@
+/**
+ * Tests for saved job searches
+ *
+ *   1. Filters are validated and build the same conditions as GET /api/jobs
+ *   2. Saving a search stores the normalised filter set
+ *   3. Due searches alert only on jobs they have not alerted on before
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { mockQuery, mockSendSavedSearchDigest } from './setup.js';
+import savedSearchRouter from '../routes/saved-search.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { normaliseJobFilters, jobFilterClause } from '../services/jobSearchService.js';
+import { runSavedSearch } from '../services/savedSearchService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/saved-searches', savedSearchRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000f1';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+const USER = { id: USER_ID, email: 'cand@example.com', account_type: 'candidate', name: 'Cand' };
+
+describe('job search filters', () => {
+  it('should normalise filters and reject bad values', () => {
+    expect(normaliseJobFilters({ search: ' react ', employmentType: 'all', salaryMin: '50000', foo: 'bar', topCompaniesOnly: 'true' }))
+      .toEqual({ filters: { search: 'react', salaryMin: 50000, topCompaniesOnly: true } });
+    expect(normaliseJobFilters({ salaryMin: 90000, salaryMax: 50000 }).error).toMatch(/salaryMin/);
+    expect(normaliseJobFilters({ companyId: '1 OR 1=1' }).error).toMatch(/companyId/);
+    expect(normaliseJobFilters(null).error).toBeDefined();
+  });
+
+  it('should number its placeholders after existing params', () => {
+    const params = ['a', 'b'];
+    const sql = jobFilterClause({ location: 'Berlin', salaryMax: 90000, topCompaniesOnly: true }, params);
+    expect(params).toEqual(['a', 'b', '%Berlin%', 90000]);
+    expect(sql).toContain('j.location ILIKE $3');
+    expect(sql).toContain('j.salary_min <= $4');
+    expect(sql).toContain("c.verification_status = 'verified'");
+  });
+});
+
+describe('saved searches', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should save the normalised filter set', async () => {
+    mockQuery.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [USER] };
+      if (sql.includes('COUNT(*)::int AS total FROM saved_searches')) return { rows: [{ total: 0 }] };
+      if (sql.includes('INSERT INTO saved_searches')) {
+        return { rows: [{ id: 'ss-1', name: params[1], filters: JSON.parse(params[2]), frequency: params[3], email_enabled: params[4] }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/saved-searches')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Remote React', filters: { search: 'react', location: '', salaryMin: '60000' }, frequency: 'weekly' });
+    expect(res.status).toBe(201);
+    expect(res.body.savedSearch).toMatchObject({ filters: { search: 'react', salaryMin: 60000 }, frequency: 'weekly', emailEnabled: true });
+  });
+
+  it('should reject an unknown frequency', async () => {
+    mockQuery.mockImplementation(async (sql) => (sql.includes('FROM users WHERE id = $1') ? { rows: [USER] } : { rows: [] }));
+    const res = await request(buildApp())
+      .post('/api/saved-searches')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'x', filters: {}, frequency: 'hourly' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should alert only on jobs not sent before', async () => {
+    const search = {
+      id: 'ss-1', user_id: USER_ID, name: 'React', filters: { search: 'react' }, frequency: 'daily',
+      email_enabled: true, email: USER.email, user_name: 'Cand', last_run_at: new Date(), created_at: new Date(),
+    };
+    const jobs = [
+      { id: 'job-1', title: 'React Developer', company: 'Acme' },
+      { id: 'job-2', title: 'Frontend Engineer (React)', company: 'Globex' },
+    ];
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.startsWith('UPDATE saved_searches SET last_run_at')) return { rows: [], rowCount: 1 };
+      if (sql.includes('FROM jobs j')) return { rows: jobs };
+      // job-1 was already sent by an earlier, overlapping run.
+      if (sql.includes('INSERT INTO saved_search_results')) return { rows: [{ job_id: 'job-2' }] };
+      return { rows: [], rowCount: 1 };
+    });
+
+    expect(await runSavedSearch(search)).toBe(1);
+
+    const matchQuery = mockQuery.mock.calls.find(([sql]) => sql.includes('FROM jobs j'));
+    expect(matchQuery[0]).toContain('j.title ILIKE $4');
+    expect(matchQuery[1][3]).toBe('%react%');
+
+    const notification = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO notifications'));
+    expect(notification[1][2]).toBe('1 New Job for "React"');
+    expect(mockSendSavedSearchDigest).toHaveBeenCalledWith(expect.objectContaining({
+      total: 1,
+      jobs: [jobs[1]],
+      searchUrl: expect.stringContaining('/jobs?search=react'),
+    }));
+  });
+
+  it('should stop when another run already claimed the search', async () => {
+    mockQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+    expect(await runSavedSearch({ id: 'ss-1', filters: {}, last_run_at: new Date(), created_at: new Date() })).toBe(0);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    expect(mockSendSavedSearchDigest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for screening questions
+ *
+ *   1. Questions and knockout rules are validated per type
+ *   2. Answers are validated and knockouts reject or flag
+ *   3. Applying with a knockout answer rejects the application without exposing flags,
+ *      and leaves the candidate's resume file alone
+ *   4. Applicants can be filtered by answers
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery, mockClientQuery, mockStorageRemove } from './setup.js';
+import jobRouter from '../routes/job.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import {
+  validateScreeningQuestions,
+  publicScreeningQuestions,
+  validateScreeningAnswers,
+  evaluateScreening,
+  screeningAnswerFilter,
+} from '../services/screeningService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/jobs', jobRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const QUESTIONS = [
+  { id: 'visa', label: 'Do you require visa sponsorship?', type: 'yes_no', required: true, knockout: { action: 'reject', equals: true } },
+  { id: 'years', label: 'Years of React experience', type: 'number', required: true, min: 0, max: 50, knockout: { action: 'flag', below: 3 } },
+  { id: 'shift', label: 'Preferred shift', type: 'single_select', options: ['Day', 'Night'] },
+  { id: 'langs', label: 'Languages', type: 'multi_select', options: ['English', 'German', 'French'] },
+  { id: 'why', label: 'Why us?', type: 'text', maxLength: 20 },
+];
+
+const JOB_ID = '00000000-0000-0000-0000-0000000000d1';
+const CANDIDATE_ID = '00000000-0000-0000-0000-0000000000d2';
+const COMPANY_USER_ID = '00000000-0000-0000-0000-0000000000d3';
+
+describe('screening questions', () => {
+  it('should validate questions and their knockout rules', () => {
+    const { questions, error } = validateScreeningQuestions(QUESTIONS);
+    expect(error).toBeUndefined();
+    expect(questions).toHaveLength(5);
+    expect(questions[2].required).toBe(false);
+
+    expect(validateScreeningQuestions([{ label: 'Remote?', type: 'yes_no' }]).questions[0].id).toBe('q1');
+    expect(validateScreeningQuestions([{ label: 'x', type: 'rating' }]).error).toMatch(/type/);
+    expect(validateScreeningQuestions([{ label: 'x', type: 'single_select', options: ['Only'] }]).error).toMatch(/options/);
+    expect(validateScreeningQuestions([{ label: 'x', type: 'number', knockout: { action: 'reject', below: 1, above: 5 } }]).error).toMatch(/exactly one/);
+    expect(validateScreeningQuestions([{ label: 'x', type: 'single_select', options: ['A', 'B'], knockout: { action: 'flag', anyOf: ['C'] } }]).error).toMatch(/anyOf/);
+    expect(validateScreeningQuestions([{ label: 'x', type: 'text', knockout: { action: 'flag' } }]).error).toMatch(/cannot have knockout/);
+    expect(validateScreeningQuestions([{ id: 'a', label: 'x', type: 'text' }, { id: 'a', label: 'y', type: 'text' }]).error).toMatch(/used twice/);
+  });
+
+  it('should hide knockout rules from candidates', () => {
+    expect(publicScreeningQuestions(QUESTIONS).some((q) => 'knockout' in q)).toBe(false);
+  });
+
+  it('should validate answers against the question types', () => {
+    expect(validateScreeningAnswers(QUESTIONS, { years: 4 }).error).toMatch(/visa sponsorship/);
+    expect(validateScreeningAnswers(QUESTIONS, { visa: 'no', years: 4 }).error).toMatch(/yes or no/);
+    expect(validateScreeningAnswers(QUESTIONS, { visa: false, years: 99 }).error).toMatch(/between 0 and 50/);
+    expect(validateScreeningAnswers(QUESTIONS, { visa: false, years: 4, shift: 'Evening' }).error).toMatch(/listed options/);
+    expect(validateScreeningAnswers(QUESTIONS, { visa: false, years: 4, why: 'x'.repeat(21) }).error).toMatch(/at most 20/);
+    expect(validateScreeningAnswers(QUESTIONS, { visa: false, years: '4', langs: ['German', 'German'], extra: 1 }).answers)
+      .toEqual({ visa: false, years: 4, langs: ['German'] });
+    expect(validateScreeningAnswers([], { anything: true }).answers).toBeNull();
+  });
+
+  it('should reject on a reject rule, and flag on a flag rule', () => {
+    expect(evaluateScreening(QUESTIONS, { visa: false, years: 5 })).toEqual({ outcome: 'passed', flags: [] });
+    expect(evaluateScreening(QUESTIONS, { visa: false, years: 1 }).outcome).toBe('flagged');
+    const both = evaluateScreening(QUESTIONS, { visa: true, years: 1 });
+    expect(both.outcome).toBe('rejected');
+    expect(both.flags.map((f) => f.questionId)).toEqual(['visa', 'years']);
+    expect(evaluateScreening(null, {})).toEqual({ outcome: null, flags: [] });
+  });
+
+  it('should build answer filters by question type', () => {
+    const params = ['company'];
+    const { sql } = screeningAnswerFilter(QUESTIONS, { visa: 'false', years: { min: '3' }, langs: ['German', 'French'] }, params);
+    expect(sql).toContain('(ja.screening_answers->$2::text) = to_jsonb($3::boolean)');
+    expect(sql).toContain('(ja.screening_answers->>$4::text)::numeric >= $5');
+    expect(sql).toContain('(ja.screening_answers->$6::text) ?| $7::text[]');
+    expect(params).toEqual(['company', 'visa', false, 'years', 3, 'langs', ['German', 'French']]);
+
+    expect(screeningAnswerFilter(QUESTIONS, { nope: 'x' }, []).error).toMatch(/no screening question/);
+    expect(screeningAnswerFilter(QUESTIONS, { shift: 'Evening' }, []).error).toMatch(/options/);
+  });
+});
+
+describe('applying with screening questions', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  const candidate = { id: CANDIDATE_ID, email: 'c@example.com', account_type: 'candidate', name: 'C' };
+  const token = jwt.sign({ id: CANDIDATE_ID }, process.env.JWT_SECRET);
+
+  function mockApply() {
+    const handler = async (sql, params) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [candidate] };
+      if (sql.includes('FROM jobs WHERE id = $1 AND is_active = true')) {
+        return { rows: [{ id: JOB_ID, application_form: null, screening_questions: QUESTIONS, resume_required: false }] };
+      }
+      if (sql.includes('INSERT INTO job_applications')) {
+        return {
+          rows: [{
+            id: 'app-1', job_id: JOB_ID, resume_url: params[5], status: params[6],
+            screening_answers: JSON.parse(params[7]), screening_outcome: params[8], screening_flags: params[9] && JSON.parse(params[9]),
+          }],
+        };
+      }
+      return { rows: [] };
+    };
+    mockQuery.mockImplementation(handler);
+    mockClientQuery.mockImplementation(handler);
+  }
+
+  it('should refuse answers that do not fit the questions', async () => {
+    mockApply();
+    const res = await request(buildApp())
+      .post(`/api/jobs/${JOB_ID}/apply`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ screeningAnswers: { years: 5 } });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/visa sponsorship/);
+  });
+
+  it('should reject a knockout answer, drop the resume and audit it', async () => {
+    mockApply();
+    const res = await request(buildApp())
+      .post(`/api/jobs/${JOB_ID}/apply`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ resumeUrl: 'resumes/c.pdf', screeningAnswers: { visa: true, years: 5 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.application.status).toBe('rejected');
+    expect(res.body.application.resume_url).toBeNull();
+    expect(res.body.application).not.toHaveProperty('screening_flags');
+    expect(res.body.application).not.toHaveProperty('screening_outcome');
+
+    // Written in the transaction that creates the application.
+    const statements = mockClientQuery.mock.calls.map(([sql]) => sql);
+    expect(statements.findIndex((sql) => sql.includes('INSERT INTO audit_log'))).toBeLessThan(statements.indexOf('COMMIT'));
+    const audit = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+    expect(audit[1][2]).toBe('application.knockout');
+    expect(JSON.parse(audit[1][6])).toEqual({ jobId: JOB_ID, rules: [{ questionId: 'visa', action: 'reject' }] });
+    // The resume is usually the profile one; only the application lets go of it.
+    expect(mockStorageRemove).not.toHaveBeenCalled();
+  });
+
+  it('should keep a flagged application pending', async () => {
+    mockApply();
+    await request(buildApp())
+      .post(`/api/jobs/${JOB_ID}/apply`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ screeningAnswers: { visa: false, years: 1 } });
+    const insert = mockClientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO job_applications'));
+    expect(insert[1][6]).toBe('pending');
+    expect(insert[1][8]).toBe('flagged');
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO audit_log'))).toBe(false);
+  });
+});
+
+describe('filtering applicants by answers', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  const company = { id: COMPANY_USER_ID, email: 'hr@example.com', account_type: 'company', name: 'HR' };
+  const token = jwt.sign({ id: COMPANY_USER_ID }, process.env.JWT_SECRET);
+
+  it('should filter on the outcome and answers of a job', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [company] };
+      if (sql.includes('SELECT id FROM companies WHERE user_id = $1')) return { rows: [{ id: 'co-1' }] };
+      if (sql.includes('WHERE j.id = $1 AND c.user_id = $2')) return { rows: [{ id: JOB_ID }] };
+      if (sql.includes('SELECT screening_questions FROM jobs')) return { rows: [{ screening_questions: QUESTIONS }] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .get(`/api/jobs/company/applicants?job_id=${JOB_ID}&screening=flagged&answer[years][min]=3`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+
+    const [sql, params] = mockQuery.mock.calls.find(([q]) => q.includes('FROM job_applications ja'));
+    expect(sql).toContain('ja.screening_outcome = $3');
+    expect(sql).toContain('(ja.screening_answers->>$4::text)::numeric >= $5');
+    expect(params).toEqual(['co-1', JOB_ID, 'flagged', 'years', 3]);
+  });
+
+  it('should require a job for answer filters', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: [company] };
+      if (sql.includes('SELECT id FROM companies WHERE user_id = $1')) return { rows: [{ id: 'co-1' }] };
+      return { rows: [] };
+    });
+    const res = await request(buildApp())
+      .get('/api/jobs/company/applicants?answer[visa]=false')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(400);
+  });
+});
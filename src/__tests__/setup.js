@@ -25,9 +25,27 @@ mockConnect.mockResolvedValue({
 
 // ── Mailer mock ────────────────────────────────────────────────────────────────
 export const mockSendOtpEmail = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendEmployerVerificationRequest = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendDomainVerificationCode = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendVerificationReminder = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendReferenceRequest = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendCertificationExpiryNotice = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendDataExportReady = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendAccountDeletionScheduled = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendSavedSearchDigest = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
+export const mockSendJobExpiryNotice = vi.fn().mockResolvedValue({ ok: true, messageId: 'test-id' });
 
 vi.mock('../utils/mailer.js', () => ({
   sendOtpEmail: mockSendOtpEmail,
+  sendEmployerVerificationRequest: mockSendEmployerVerificationRequest,
+  sendDomainVerificationCode: mockSendDomainVerificationCode,
+  sendVerificationReminder: mockSendVerificationReminder,
+  sendReferenceRequest: mockSendReferenceRequest,
+  sendCertificationExpiryNotice: mockSendCertificationExpiryNotice,
+  sendDataExportReady: mockSendDataExportReady,
+  sendAccountDeletionScheduled: mockSendAccountDeletionScheduled,
+  sendSavedSearchDigest: mockSendSavedSearchDigest,
+  sendJobExpiryNotice: mockSendJobExpiryNotice,
 }));
 
 // ── Passport mock ──────────────────────────────────────────────────────────────
@@ -39,6 +57,8 @@ vi.mock('../config/passport.js', () => ({
 }));
 
 // ── Supabase mock ──────────────────────────────────────────────────────────────
+export const mockStorageRemove = vi.fn().mockResolvedValue({ data: {}, error: null });
+
 vi.mock('@supabase/supabase-js', () => ({
   createClient: () => ({
     storage: {
@@ -46,7 +66,8 @@ vi.mock('@supabase/supabase-js', () => ({
         upload: vi.fn().mockResolvedValue({ data: {}, error: null }),
         getPublicUrl: vi.fn().mockReturnValue({ data: { publicUrl: 'https://test.example/file' } }),
         createSignedUrl: vi.fn().mockResolvedValue({ data: { signedUrl: 'https://test.example/signed' }, error: null }),
-        remove: vi.fn().mockResolvedValue({ data: {}, error: null }),
+        remove: mockStorageRemove,
+        download: vi.fn().mockResolvedValue({ data: new Blob(['file-bytes']), error: null }),
       }),
     },
   }),
@@ -0,0 +1,156 @@
+/**
+ * Tests for skill endorsements and assessments
+ *
+ *   1. Assessment definitions are validated and grading is by option index
+ *   2. Only colleagues with shared verified employment can endorse
+ *   3. Passing an assessment badges the skill; late submissions fail
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { mockQuery, mockClientQuery } from './setup.js';
+import skillRouter from '../routes/skill.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { normaliseAssessment, gradeAttempt } from '../services/skillService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/skills', skillRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const USER_ID = '00000000-0000-0000-0000-0000000000a7';
+const token = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+const QUESTIONS = [
+  { id: 'q1', prompt: 'SQL keyword to filter rows?', options: ['WHERE', 'ORDER BY'], answer: 0 },
+  { id: 'q2', prompt: 'Join keeping unmatched left rows?', options: ['INNER', 'LEFT', 'CROSS'], answer: 1 },
+];
+
+function mockCandidateUser(handler) {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: USER_ID, email: 'me@example.com', account_type: 'candidate', name: 'Me' }] };
+    }
+    if (sql.includes('SELECT id, skills, verified_skills FROM candidates WHERE user_id')) {
+      return { rows: [{ id: 'cand-me', skills: [], verified_skills: [] }] };
+    }
+    return handler(sql, params);
+  });
+}
+
+describe('skill assessment definitions', () => {
+  it('should validate questions and grade by option index', () => {
+    const { error, assessment } = normaliseAssessment({ skill: ' SQL ', title: 'SQL basics', timeLimitSeconds: 600, questions: QUESTIONS });
+    expect(error).toBeNull();
+    expect(assessment.skillKey).toBe('sql');
+    expect(assessment.passPercent).toBe(70);
+
+    expect(normaliseAssessment({ skill: 'SQL', title: 'x', timeLimitSeconds: 600, questions: [{ prompt: 'p', options: ['a', 'b'], answer: 2 }] }).error)
+      .toMatch(/index of one of its options/);
+    expect(normaliseAssessment({ skill: 'SQL', title: 'x', timeLimitSeconds: 5, questions: QUESTIONS }).error).toMatch(/timeLimitSeconds/);
+
+    expect(gradeAttempt(QUESTIONS, { q1: 0, q2: '1' }, 70)).toEqual({ correct: 2, total: 2, percent: 100, passed: true });
+    expect(gradeAttempt(QUESTIONS, { q1: 0, q2: null }, 70)).toMatchObject({ correct: 1, passed: false });
+  });
+});
+
+describe('skill endorsements', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should refuse endorsements without shared verified employment', async () => {
+    mockCandidateUser(async (sql) => {
+      if (sql.includes('SELECT id, user_id, skills FROM candidates WHERE id')) {
+        return { rows: [{ id: 'cand-2', user_id: 'user-2', skills: ['SQL', 'Go'] }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/skills/candidates/cand-2/endorsements')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ skill: 'sql' });
+    expect(res.status).toBe(403);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO skill_endorsements'))).toBe(false);
+  });
+
+  it('should record an endorsement from a colleague', async () => {
+    mockCandidateUser(async (sql) => {
+      if (sql.includes('SELECT id, user_id, skills FROM candidates WHERE id')) {
+        return { rows: [{ id: 'cand-2', user_id: 'user-2', skills: ['SQL'] }] };
+      }
+      if (sql.includes('FROM employment_history theirs')) {
+        return { rows: [{ endorser_employment_id: 'emp-me', company_name: 'Acme' }] };
+      }
+      if (sql.includes('INSERT INTO skill_endorsements')) return { rows: [{ id: 'end-1' }] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post('/api/skills/candidates/cand-2/endorsements')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ skill: ' SQL ' });
+    expect(res.status).toBe(201);
+    const insert = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO skill_endorsements'));
+    expect(insert[1]).toEqual(['cand-2', 'sql', USER_ID, 'emp-me', 'Acme']);
+  });
+
+  it('should reject a skill that is not a string', async () => {
+    mockCandidateUser(async () => ({ rows: [] }));
+    const res = await request(buildApp())
+      .post('/api/skills/candidates/cand-2/endorsements')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ skill: ['SQL'] });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('skill assessment attempts', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockCandidateUser(async () => ({ rows: [] }));
+  });
+
+  function mockAttempt(timedOut) {
+    mockClientQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM skill_assessment_attempts t')) {
+        return {
+          rows: [{
+            id: 'att-1', candidate_id: 'cand-me', questions: QUESTIONS, submitted_at: null,
+            skill: 'SQL', skill_key: 'sql', pass_percent: '70.00', timed_out: timedOut,
+          }],
+        };
+      }
+      return { rows: [] };
+    });
+  }
+
+  it('should badge the skill when the attempt passes', async () => {
+    mockAttempt(false);
+    const res = await request(buildApp())
+      .post('/api/skills/attempts/att-1/submit')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ answers: { q1: 0, q2: 1 } });
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({ passed: true, percent: 100 });
+    const badge = mockClientQuery.mock.calls.find(([sql]) => sql.includes('SET verified_skills'));
+    expect(badge[1]).toEqual(['cand-me', 'sql', 'SQL']);
+  });
+
+  it('should fail a submission after the time limit', async () => {
+    mockAttempt(true);
+    const res = await request(buildApp())
+      .post('/api/skills/attempts/att-1/submit')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ answers: { q1: 0, q2: 1 } });
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({ passed: false, timedOut: true });
+    expect(mockClientQuery.mock.calls.some(([sql]) => sql.includes('SET verified_skills'))).toBe(false);
+  });
+});
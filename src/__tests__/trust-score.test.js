@@ -0,0 +1,116 @@
+/**
+ * Tests for candidate trust scores
+ *
+ *   1. Verified records score higher the stronger the verifier
+ *   2. Rejections, risky documents and stale records pull the score down
+ *   3. Search can filter by minimum trust score or by trust level
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+vi.hoisted(() => {
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+  process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+});
+
+import { mockQuery } from './setup.js';
+import searchRouter from '../routes/search.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { computeTrustScore, trustLevel } from '../services/trustScoreService.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const now = new Date('2026-06-01T00:00:00Z');
+const oneYearAgo = new Date('2025-06-01T00:00:00Z');
+
+const verified = (verifier_type, extra = {}) => ({ verification_status: 'verified', verifier_type, ...extra });
+
+describe('computeTrustScore', () => {
+  it('should give a fully employer-verified, year-old account a high score', () => {
+    const { score, level, breakdown } = computeTrustScore({
+      records: [verified('company'), verified('company'), verified('company')],
+      accountCreatedAt: oneYearAgo,
+      now,
+    });
+    expect(score).toBe(85);
+    expect(level).toBe('high');
+    expect(breakdown.verifiers.employer).toBe(3);
+  });
+
+  it('should weigh admin verification below employer verification', () => {
+    const employer = computeTrustScore({ records: [verified('company')], now });
+    const admin = computeTrustScore({ records: [verified('admin')], now });
+    const link = computeTrustScore({ records: [verified(null, { verification_type: 'employer_link' })], now });
+    expect(employer.score).toBeGreaterThan(link.score);
+    expect(link.score).toBeGreaterThan(admin.score);
+  });
+
+  it('should penalise rejections, risky documents and stale records', () => {
+    const clean = computeTrustScore({ records: [verified('company', { document_risk_score: 0 })], now });
+    const risky = computeTrustScore({ records: [verified('company', { document_risk_score: 80 })], now });
+    const stale = computeTrustScore({ records: [{ verification_status: 'stale', verifier_type: 'company' }], now });
+    const rejected = computeTrustScore({ records: [verified('company'), { verification_status: 'rejected' }], now });
+    expect(risky.score).toBeLessThan(clean.score);
+    expect(stale.score).toBeLessThan(clean.score);
+    expect(rejected.breakdown.rejectionPenalty).toBe(10);
+  });
+
+  it('should score an empty profile as low', () => {
+    expect(computeTrustScore({ records: [], now })).toMatchObject({ score: 0, level: 'low' });
+    expect(trustLevel(null)).toBeNull();
+  });
+});
+
+describe('GET /api/search/candidates', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  function buildApp() {
+    const app = express();
+    app.use('/api/search', searchRouter);
+    app.use(errorHandler);
+    return app;
+  }
+
+  it('should filter by trust level without a text query', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: 'u1', email: 'r@acme.com', account_type: 'company', name: 'Recruiter' }] };
+      }
+      if (sql.includes('COUNT(*)')) return { rows: [{ count: '1' }] };
+      return { rows: [{ user_id: 'c1', full_name: 'Priya', trust_score: 82, avatar_url: null }] };
+    });
+    const token = jwt.sign({ id: 'u1' }, process.env.JWT_SECRET);
+
+    const res = await request(buildApp())
+      .get('/api/search/candidates?trustLevel=high')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.candidates[0]).toMatchObject({ trust_score: 82, trust_level: 'high' });
+    const search = mockQuery.mock.calls.find(([sql]) => sql.includes('ORDER BY'));
+    expect(search[0]).toContain('c.trust_score >= $1');
+    expect(search[1]).toEqual([70, 12, 0]);
+  });
+
+  it('should keep only scores below 40 for the low level', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM users WHERE id = $1')) {
+        return { rows: [{ id: 'u1', email: 'r@acme.com', account_type: 'company', name: 'Recruiter' }] };
+      }
+      if (sql.includes('COUNT(*)')) return { rows: [{ count: '0' }] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .get('/api/search/candidates?trustLevel=low')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'u1' }, process.env.JWT_SECRET)}`);
+
+    expect(res.status).toBe(200);
+    const search = mockQuery.mock.calls.find(([sql]) => sql.includes('ORDER BY'));
+    expect(search[0]).toContain('c.trust_score >= $1 AND c.trust_score < $2');
+    expect(search[1]).toEqual([0, 40, 12, 0]);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for re-verification of current roles
+ *
+ *   1. Only verified current roles get a re-verification date
+ *   2. Stale records notify the candidate and the employer
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { mockQuery } from './setup.js';
+import { freshnessOf, markStaleVerifications, getReverifyMonths } from '../services/verificationFreshnessService.js';
+
+describe('freshnessOf', () => {
+  it('should schedule re-verification for a verified current role', () => {
+    const result = freshnessOf({ verification_status: 'verified', is_current: true, verified_at: '2025-01-15T00:00:00Z' });
+    expect(result.status).toBe('fresh');
+    expect(result.reverifyBy.toISOString().slice(0, 10)).toBe(
+      new Date(Date.UTC(2025, getReverifyMonths(), 15)).toISOString().slice(0, 10)
+    );
+  });
+
+  it('should never expire a past role', () => {
+    const result = freshnessOf({ verification_status: 'verified', is_current: false, verified_at: '2020-01-01T00:00:00Z' });
+    expect(result).toMatchObject({ status: 'fresh', reverifyBy: null });
+  });
+
+  it('should report stale and unverified records', () => {
+    expect(freshnessOf({ verification_status: 'stale', stale_since: '2026-01-01' }).status).toBe('stale');
+    expect(freshnessOf({ verification_status: 'pending' }).status).toBe('unverified');
+  });
+});
+
+describe('markStaleVerifications', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should notify the candidate and the employer for each stale record', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('UPDATE employment_history')) {
+        return {
+          rowCount: 1,
+          rows: [{ id: 'emp-1', position: 'Engineer', company_id: 'co-1', company_name: 'Acme', candidate_user_id: 'cand-user', full_name: 'Priya' }],
+        };
+      }
+      if (sql.includes('FROM companies')) return { rows: [{ user_id: 'hr-user' }] };
+      return { rows: [] };
+    });
+
+    expect(await markStaleVerifications()).toBe(1);
+
+    const update = mockQuery.mock.calls.find(([sql]) => sql.includes('UPDATE employment_history'));
+    expect(update[0]).toContain("verification_status = 'stale'");
+    expect(update[0]).toContain('eh.is_current = TRUE');
+    const notified = mockQuery.mock.calls
+      .filter(([sql]) => sql.includes('INSERT INTO notifications'))
+      .map(([, params]) => params[0]);
+    expect(notified).toEqual(['cand-user', 'hr-user']);
+  });
+});
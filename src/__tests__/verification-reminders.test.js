@@ -0,0 +1,133 @@
+/**
+ * Tests for reminders and escalation of verification requests waiting on companies
+ *
+ *   1. Reminders follow the configured schedule, then the request escalates
+ *   2. Reminders email HR and are recorded; escalation hands the request to admins
+ *   3. A failed email is not recorded so it is retried
+ *   4. Age runs from the verification request, not the record's last edit, and
+ *      the candidate's history only covers the current request
+ *   5. Requests naming a company without an account go straight to admins
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { mockQuery, mockSendVerificationReminder } from './setup.js';
+import { dueAction, processVerificationReminders, reminderSummaries } from '../services/verificationReminderService.js';
+
+const schedule = { reminderDays: [3, 7], escalationDays: 14 };
+
+describe('dueAction', () => {
+  it('should owe one reminder per elapsed interval', () => {
+    expect(dueAction({ ageDays: 2, remindersSent: 0 }, schedule)).toBeNull();
+    expect(dueAction({ ageDays: 3.5, remindersSent: 0 }, schedule)).toBe('remind');
+    expect(dueAction({ ageDays: 5, remindersSent: 1 }, schedule)).toBeNull();
+    expect(dueAction({ ageDays: 8, remindersSent: 1 }, schedule)).toBe('remind');
+  });
+
+  it('should escalate once the deadline has passed', () => {
+    expect(dueAction({ ageDays: 14, remindersSent: 2 }, schedule)).toBe('escalate');
+    expect(dueAction({ ageDays: 30, remindersSent: 0 }, schedule)).toBe('escalate');
+  });
+});
+
+const pendingRow = (overrides) => ({
+  id: 'emp-1',
+  position: 'Engineer',
+  company_id: 'co-1',
+  company_name: 'Acme',
+  company_user_id: 'hr-user',
+  hr_email: 'hr@acme.test',
+  candidate_user_id: 'cand-user',
+  candidate_name: 'Priya',
+  reminders_sent: 0,
+  ...overrides,
+});
+
+describe('processVerificationReminders', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should email HR and record the reminder', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("eh.verification_status = 'in_review'")) return { rows: [pendingRow({ age_days: 4.2 })] };
+      return { rows: [], rowCount: 1 };
+    });
+
+    const counts = await processVerificationReminders();
+
+    expect(counts).toEqual({ reminded: 1, escalated: 0, failed: 0 });
+    expect(mockSendVerificationReminder).toHaveBeenCalledWith(expect.objectContaining({ to: 'hr@acme.test', daysPending: 4 }));
+    const insert = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO verification_reminders'));
+    expect(insert[1]).toEqual(['emp-1', 'co-1', 'hr@acme.test', 1]);
+  });
+
+  it('should count age from the verification request rather than the last edit', async () => {
+    mockQuery.mockResolvedValue({ rows: [], rowCount: 0 });
+    await processVerificationReminders();
+
+    const [sql] = mockQuery.mock.calls.find(([q]) => q.includes("eh.verification_status = 'in_review'"));
+    expect(sql).toContain('NOW() - COALESCE(eh.verification_requested_at, eh.created_at)');
+    expect(sql).toContain('vr.sent_at >= COALESCE(eh.verification_requested_at, eh.created_at)');
+    expect(sql).not.toContain('updated_at');
+  });
+
+  it('should move overdue requests to the admin queue and tell the candidate', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("eh.verification_status = 'in_review'")) return { rows: [pendingRow({ age_days: 15, reminders_sent: 2 })] };
+      return { rows: [], rowCount: 1 };
+    });
+
+    const counts = await processVerificationReminders();
+
+    expect(counts.escalated).toBe(1);
+    expect(mockSendVerificationReminder).not.toHaveBeenCalled();
+    const update = mockQuery.mock.calls.find(([sql]) => sql.includes('UPDATE employment_history'));
+    expect(update[0]).toContain("verification_status = 'pending', escalated_at = NOW()");
+    const notification = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO notifications'));
+    expect(notification[1][0]).toBe('cand-user');
+  });
+
+  it('should escalate a request for a company without an account straight away', async () => {
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("eh.verification_status = 'in_review'")) {
+        return { rows: [pendingRow({ age_days: 0.5, company_id: null, company_user_id: null, hr_email: null })] };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+
+    const counts = await processVerificationReminders();
+
+    expect(counts).toEqual({ reminded: 0, escalated: 1, failed: 0 });
+    expect(mockSendVerificationReminder).not.toHaveBeenCalled();
+    const [sql] = mockQuery.mock.calls.find(([q]) => q.includes("eh.verification_status = 'in_review'"));
+    expect(sql).toContain('LEFT JOIN users hr');
+    const notification = mockQuery.mock.calls.find(([q]) => q.includes('INSERT INTO notifications'));
+    expect(notification[1][3]).toContain('does not have an account');
+  });
+
+  it('should not record a reminder whose email failed', async () => {
+    mockSendVerificationReminder.mockResolvedValueOnce({ ok: false, error: new Error('rate limited') });
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("eh.verification_status = 'in_review'")) return { rows: [pendingRow({ age_days: 3.1 })] };
+      return { rows: [], rowCount: 1 };
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const counts = await processVerificationReminders();
+
+    expect(counts.failed).toBe(1);
+    expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO verification_reminders'))).toBe(false);
+  });
+});
+
+describe('reminderSummaries', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should only count reminders about the current submission', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ employment_id: 'emp-1', count: 1, last_reminded_at: null, escalated_at: null }] });
+
+    const summaries = await reminderSummaries(['emp-1']);
+
+    expect(summaries.get('emp-1').count).toBe(1);
+    const [sql] = mockQuery.mock.calls[0];
+    expect(sql).toContain('vr.sent_at >= COALESCE(eh.verification_requested_at, eh.created_at)');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for the unified admin verification queue
+ *
+ *   1. Non-admins cannot see the queue
+ *   2. Listing returns SLA flags and pagination, and includes employment
+ *      requests no company account can answer
+ *   3. Claiming an item held by another admin returns 409
+ *   4. Only items that exist and are still pending can be claimed
+ *   5. Releasing a claim you don't hold returns 404
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+import { mockQuery } from './setup.js';
+
+import verificationRouter from '../routes/verification.routes.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/verifications', verificationRouter);
+  app.use(errorHandler);
+  return app;
+}
+
+const ADMIN_ID = '00000000-0000-0000-0000-00000000000a';
+const token = jwt.sign({ id: ADMIN_ID }, process.env.JWT_SECRET);
+const EMP_ID = '00000000-0000-0000-0000-0000000000e1';
+const EDU_ID = '00000000-0000-0000-0000-0000000000e2';
+
+// Route every query through a single handler: the `protect` user lookup
+// first, then whatever the test wants for the route's own queries.
+function mockDb(handler, accountType = 'admin') {
+  mockQuery.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM users WHERE id = $1')) {
+      return { rows: [{ id: ADMIN_ID, email: 'admin@example.com', account_type: accountType, name: 'Admin' }] };
+    }
+    return handler(sql, params);
+  });
+}
+
+describe('GET /api/verifications/pending', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should reject non-admin users', async () => {
+    mockDb(async () => ({ rows: [] }), 'candidate');
+    const res = await request(buildApp())
+      .get('/api/verifications/pending')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should flag items older than the SLA as breached', async () => {
+    const old = new Date(Date.now() - 100 * 3600 * 1000).toISOString();
+    mockDb(async (sql) => {
+      if (sql.includes('COUNT(*)::int AS total')) {
+        return { rows: [{ total: 1, breached: 1, employment: 1, education: 0, company: 0 }] };
+      }
+      return {
+        rows: [{
+          item_type: 'employment', id: 'emp-1', title: 'Engineer', subtitle: 'Acme',
+          requester_name: 'Cand', requester_email: 'c@example.com', submitted_at: old,
+          age_hours: 100, claimed_by: null,
+        }],
+      };
+    });
+
+    const res = await request(buildApp())
+      .get('/api/verifications/pending')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.items[0].slaBreached).toBe(true);
+    expect(res.body.items[0].claim).toBeNull();
+    expect(res.body.stats.breached).toBe(1);
+    expect(res.body.pagination.total).toBe(1);
+  });
+
+  it('should return 400 for an unknown type filter', async () => {
+    mockDb(async () => ({ rows: [] }));
+    const res = await request(buildApp())
+      .get('/api/verifications/pending?type=bogus')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(400);
+  });
+
+  it('should include employment requests sent to a company that has no account', async () => {
+    mockDb(async (sql) => (sql.includes('COUNT(*)::int AS total') ? { rows: [{ total: 0 }] } : { rows: [] }));
+    await request(buildApp())
+      .get('/api/verifications/pending')
+      .set('Authorization', `Bearer ${token}`);
+    const [sql] = mockQuery.mock.calls.find(([q]) => q.includes('FROM employment_history eh'));
+    expect(sql).toContain("eh.verification_status = 'in_review' AND NOT EXISTS");
+    expect(sql).toContain('co.user_id IS NOT NULL');
+  });
+});
+
+describe('POST /api/verifications/:type/:id/claim', () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it('should return 409 when another admin holds the claim', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('AS pending')) return { rows: [{ pending: true }] };
+      if (sql.includes('INSERT INTO verification_claims')) return { rows: [] };
+      return { rows: [{ claimed_by: 'other-admin', claimed_by_name: 'Other Admin', expires_at: new Date().toISOString() }] };
+    });
+
+    const res = await request(buildApp())
+      .post(`/api/verifications/employment/${EMP_ID}/claim`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toMatch(/Other Admin/);
+  });
+
+  it('should claim an unclaimed item', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('AS pending')) return { rows: [{ pending: true }] };
+      if (sql.includes('INSERT INTO verification_claims')) {
+        return { rows: [{ verification_type: 'education', verification_id: EDU_ID, claimed_at: 'now', expires_at: 'later' }] };
+      }
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post(`/api/verifications/education/${EDU_ID}/claim`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.claim.id).toBe(EDU_ID);
+  });
+
+  it('should return 404 for items that do not exist', async () => {
+    mockDb(async () => ({ rows: [] }));
+    const app = buildApp();
+
+    const missing = await request(app)
+      .post(`/api/verifications/employment/${EMP_ID}/claim`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(missing.status).toBe(404);
+
+    const malformed = await request(app)
+      .post('/api/verifications/employment/emp-1/claim')
+      .set('Authorization', `Bearer ${token}`);
+    expect(malformed.status).toBe(404);
+
+    expect(mockQuery.mock.calls.some(([q]) => q.includes('INSERT INTO verification_claims'))).toBe(false);
+  });
+
+  it('should return 409 for items that are no longer pending', async () => {
+    mockDb(async (sql) => {
+      if (sql.includes('AS pending')) return { rows: [{ pending: false }] };
+      return { rows: [] };
+    });
+
+    const res = await request(buildApp())
+      .post(`/api/verifications/education/${EDU_ID}/claim`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+    expect(mockQuery.mock.calls.some(([q]) => q.includes('INSERT INTO verification_claims'))).toBe(false);
+  });
+
+  it('should return 404 when releasing a claim you do not hold', async () => {
+    mockDb(async () => ({ rows: [] }));
+    const res = await request(buildApp())
+      .post('/api/verifications/company/co-1/release')
+      .set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(404);
+  });
+});
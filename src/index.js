@@ -28,6 +28,7 @@ import candidateRoutes from './routes/candidate.routes.js';
 import jobRoutes from './routes/job.routes.js';
 import verificationRoutes from './routes/verification.routes.js';
 import consentRoutes from './routes/consent.routes.js';
+import employerVerificationRoutes from './routes/employer-verification.routes.js';
 import searchRoutes from './routes/search.routes.js';
 import notificationRoutes from './routes/notification.routes.js';
 import dashboardRoutes from './routes/dashboard.routes.js';
@@ -46,11 +47,33 @@ import bulkOnboardRoutes from './routes/bulk-onboard.routes.js';
 import interviewRoutes from './routes/interview.routes.js';
 import hrFeatureRoutes from './routes/hr-features.routes.js';
 import crawlerRoutes from './routes/crawler.routes.js';
+import institutionRoutes from './routes/institution.routes.js';
+import referenceRoutes from './routes/reference.routes.js';
+import skillRoutes from './routes/skill.routes.js';
+import certificationRoutes from './routes/certification.routes.js';
+import backgroundCheckRoutes from './routes/background-check.routes.js';
+import accountRoutes from './routes/account.routes.js';
+import savedSearchRoutes from './routes/saved-search.routes.js';
+import jobTrackerRoutes from './routes/job-tracker.routes.js';
 import pool from './config/database.js';
+import { expireConsents } from './services/consentService.js';
+import { markStaleVerifications } from './services/verificationFreshnessService.js';
+import { refreshTrustScores } from './services/trustScoreService.js';
+import { processVerificationReminders } from './services/verificationReminderService.js';
+import { processCertificationExpiry } from './services/certificationService.js';
+import { processDataExports } from './services/dataExportService.js';
+import { processAccountDeletions } from './services/accountDeletionService.js';
+import { processSavedSearchAlerts } from './services/savedSearchService.js';
+import { processJobTrackerReminders } from './services/jobTrackerService.js';
+import { processJobLifecycle } from './services/jobLifecycleService.js';
+import { assertProviderConfig } from './services/backgroundCheckProviders/index.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 
+// Refuse to start with a background-check provider that would accept forged results.
+assertProviderConfig();
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -130,6 +153,8 @@ app.use('/api/auth/change-password', authLimiter);
 
 // Raw body parser for Razorpay webhook (must be before express.json)
 app.use('/api/subscriptions/webhook', express.raw({ type: 'application/json' }));
+// Same for background-check vendor webhooks
+app.use('/api/background-checks/webhooks', express.raw({ type: 'application/json' }));
 
 // Body parsing middleware
 // JSON body limit kept tight to defend against payload-based DoS. File
@@ -178,6 +203,7 @@ app.use('/api/candidates', candidateRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/verifications', verificationRoutes);
 app.use('/api/consent', consentRoutes);
+app.use('/api/employer-verification', employerVerificationRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
@@ -193,6 +219,14 @@ app.use('/api/company', bulkOnboardRoutes);
 app.use('/api/interviews', interviewRoutes);
 app.use('/api', hrFeatureRoutes);
 app.use('/api/admin/crawler', crawlerRoutes);
+app.use('/api/institutions', institutionRoutes);
+app.use('/api/references', referenceRoutes);
+app.use('/api/skills', skillRoutes);
+app.use('/api/certifications', certificationRoutes);
+app.use('/api/background-checks', backgroundCheckRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/job-tracker', jobTrackerRoutes);
 
 // Development-only debug routes removed
 
@@ -672,6 +706,925 @@ const runCrawlerMigration = async () => {
   }
 };
 
+// Auto-migrate: admin verification queue claims
+const runVerificationQueueMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS verification_claims (
+        id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        verification_type TEXT NOT NULL CHECK (verification_type IN ('employment','education','company')),
+        verification_id   UUID NOT NULL,
+        claimed_by        UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        claimed_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at        TIMESTAMPTZ NOT NULL,
+        UNIQUE(verification_type, verification_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_verification_claims_admin ON verification_claims(claimed_by)');
+    logger.info('Verification queue migration applied');
+  } catch (err) {
+    logger.error('Verification queue migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: candidate consent requests + append-only consent log
+const runConsentMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS consent_requests (
+        id                   UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        candidate_id         UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        requester_user_id    UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        requester_company_id UUID REFERENCES companies(id) ON DELETE SET NULL,
+        requester_type       TEXT NOT NULL CHECK (requester_type IN ('company','admin')),
+        scope_records        JSONB NOT NULL DEFAULT '[]',
+        scope_fields         TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+        purpose              TEXT NOT NULL,
+        duration_days        INT NOT NULL DEFAULT 30,
+        status               TEXT NOT NULL DEFAULT 'pending'
+                               CHECK (status IN ('pending','granted','denied','revoked','expired')),
+        response_note        TEXT,
+        responded_at         TIMESTAMPTZ,
+        expires_at           TIMESTAMPTZ,
+        created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_consent_candidate ON consent_requests(candidate_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_consent_requester ON consent_requests(requester_user_id, created_at DESC)');
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_consent_active ON consent_requests(requester_user_id, candidate_id) WHERE status = 'granted'`);
+
+    // The log outlives the rows it describes, so its ids are plain UUIDs
+    // rather than foreign keys, and a trigger rejects any UPDATE or DELETE
+    // except the redaction done by account erasure.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS consent_log (
+        id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        consent_request_id UUID,
+        candidate_id       UUID NOT NULL,
+        actor_user_id      UUID,
+        action             TEXT NOT NULL CHECK (action IN ('requested','granted','denied','revoked','expired','accessed')),
+        details            JSONB,
+        ip_address         TEXT,
+        user_agent         TEXT,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_consent_log_candidate ON consent_log(candidate_id, created_at DESC)');
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION consent_log_immutable() RETURNS trigger AS $$
+      BEGIN
+        -- Account erasure may redact details, IP and user agent, and nothing else.
+        IF TG_OP = 'UPDATE' AND current_setting('veriboard.log_redaction', true) = 'on'
+           AND (NEW.id, NEW.consent_request_id, NEW.candidate_id, NEW.actor_user_id, NEW.action, NEW.created_at)
+               IS NOT DISTINCT FROM (OLD.id, OLD.consent_request_id, OLD.candidate_id, OLD.actor_user_id, OLD.action, OLD.created_at) THEN
+          RETURN NEW;
+        END IF;
+        RAISE EXCEPTION 'consent_log is append-only';
+      END $$ LANGUAGE plpgsql
+    `);
+    await pool.query('DROP TRIGGER IF EXISTS trg_consent_log_immutable ON consent_log');
+    await pool.query(`
+      CREATE TRIGGER trg_consent_log_immutable
+      BEFORE UPDATE OR DELETE ON consent_log
+      FOR EACH ROW EXECUTE FUNCTION consent_log_immutable()
+    `);
+    logger.info('Consent migration applied');
+  } catch (err) {
+    logger.error('Consent migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: signed verification credentials
+const runCredentialMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS verification_credentials (
+        id             UUID PRIMARY KEY,
+        candidate_id   UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        record_type    TEXT NOT NULL CHECK (record_type IN ('employment','education')),
+        record_id      UUID NOT NULL,
+        credential     JSONB NOT NULL,
+        signature      JSONB NOT NULL,
+        issued_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        revoked_at     TIMESTAMPTZ,
+        revoked_reason TEXT
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_credentials_candidate ON verification_credentials(candidate_id, issued_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_credentials_record ON verification_credentials(record_type, record_id)');
+    logger.info('Credential migration applied');
+  } catch (err) {
+    logger.error('Credential migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: employer verification magic links
+const runEmployerLinkMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS employer_verification_links (
+        id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        employment_id      UUID NOT NULL REFERENCES employment_history(id) ON DELETE CASCADE,
+        candidate_id       UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        hr_email           TEXT NOT NULL,
+        hr_domain          TEXT NOT NULL,
+        company_website    TEXT,
+        magic_token        UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+        status             TEXT NOT NULL DEFAULT 'pending',
+        decision           TEXT CHECK (decision IN ('confirm','dispute')),
+        corrections        JSONB NOT NULL DEFAULT '{}',
+        responder_name     TEXT,
+        responder_title    TEXT,
+        responder_ip       TEXT,
+        comment            TEXT,
+        expires_at         TIMESTAMPTZ NOT NULL,
+        responded_at       TIMESTAMPTZ,
+        created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    // Links to an HR address the candidate vouched for wait for an admin (awaiting_review)
+    await pool.query('ALTER TABLE employer_verification_links DROP CONSTRAINT IF EXISTS employer_verification_links_status_check');
+    await pool.query(`
+      ALTER TABLE employer_verification_links ADD CONSTRAINT employer_verification_links_status_check
+        CHECK (status IN ('awaiting_review','pending','confirmed','disputed','cancelled','rejected'))
+    `);
+    await pool.query('ALTER TABLE employer_verification_links ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL');
+    await pool.query('ALTER TABLE employer_verification_links ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_employer_links_employment ON employer_verification_links(employment_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_employer_links_token ON employer_verification_links(magic_token)');
+    logger.info('Employer link migration applied');
+  } catch (err) {
+    logger.error('Employer link migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: domain-based company verification
+const runDomainVerificationMigration = async () => {
+  try {
+    await pool.query('ALTER TABLE companies ADD COLUMN IF NOT EXISTS verified_domain TEXT');
+    await pool.query('ALTER TABLE companies ADD COLUMN IF NOT EXISTS verification_method TEXT');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS company_domain_verifications (
+        id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id         UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        domain             TEXT NOT NULL,
+        method             TEXT NOT NULL CHECK (method IN ('dns','email')),
+        token              TEXT,
+        email              TEXT,
+        code_hash          TEXT,
+        attempts           INT NOT NULL DEFAULT 0,
+        status             TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','verified','failed','cancelled')),
+        expires_at         TIMESTAMPTZ NOT NULL,
+        verified_at        TIMESTAMPTZ,
+        created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_domain_verif_company ON company_domain_verifications(company_id, created_at DESC)');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS company_verification_audit (
+        id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id    UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        action        TEXT NOT NULL,
+        method        TEXT,
+        details       JSONB NOT NULL DEFAULT '{}',
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_company_verif_audit ON company_verification_audit(company_id, created_at DESC)');
+    logger.info('Domain verification migration applied');
+  } catch (err) {
+    logger.error('Domain verification migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: field-level employment discrepancies
+const runDiscrepancyMigration = async () => {
+  try {
+    await pool.query('ALTER TABLE employment_history ADD COLUMN IF NOT EXISTS employment_type TEXT');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS employment_discrepancies (
+        id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        employment_id      UUID NOT NULL REFERENCES employment_history(id) ON DELETE CASCADE,
+        field              TEXT NOT NULL CHECK (field IN ('position','startDate','endDate','employmentType')),
+        claimed_value      TEXT,
+        confirmed_value    TEXT,
+        verifier_user_id   UUID REFERENCES users(id) ON DELETE SET NULL,
+        status             TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','accepted','disputed','superseded')),
+        candidate_response TEXT,
+        resolved_at        TIMESTAMPTZ,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_discrepancies_employment ON employment_discrepancies(employment_id, status)');
+    logger.info('Discrepancy migration applied');
+  } catch (err) {
+    logger.error('Discrepancy migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: verification appeals
+const runAppealMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS verification_appeals (
+        id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        verification_type   TEXT NOT NULL CHECK (verification_type IN ('employment','education')),
+        verification_id     UUID NOT NULL,
+        candidate_id        UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        appellant_user_id   UUID REFERENCES users(id) ON DELETE SET NULL,
+        reason              TEXT NOT NULL,
+        evidence_paths      JSONB NOT NULL DEFAULT '[]',
+        original_decision   JSONB NOT NULL DEFAULT '{}',
+        original_decider_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        assigned_admin_id   UUID REFERENCES users(id) ON DELETE SET NULL,
+        status              TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','upheld','overturned')),
+        outcome_notes       TEXT,
+        decided_by          UUID REFERENCES users(id) ON DELETE SET NULL,
+        decided_at          TIMESTAMPTZ,
+        created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_appeals_one_pending
+        ON verification_appeals(verification_type, verification_id) WHERE status = 'pending'
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_appeals_assigned ON verification_appeals(assigned_admin_id, status)');
+    logger.info('Appeal migration applied');
+  } catch (err) {
+    logger.error('Appeal migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: automatic document pre-check results
+const runDocumentCheckMigration = async () => {
+  try {
+    for (const table of ['employment_history', 'education_history']) {
+      await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS document_check JSONB`);
+      await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS document_risk_score INT`);
+    }
+    logger.info('Document check migration applied');
+  } catch (err) {
+    logger.error('Document check migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: re-verification of current roles
+const runFreshnessMigration = async () => {
+  try {
+    await pool.query('ALTER TABLE employment_history ADD COLUMN IF NOT EXISTS stale_since TIMESTAMPTZ');
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_employment_current_verified
+        ON employment_history(verified_at) WHERE is_current = TRUE AND verification_status = 'verified'
+    `);
+    logger.info('Freshness migration applied');
+  } catch (err) {
+    logger.error('Freshness migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: candidate trust scores, marked dirty whenever a record changes
+const runTrustScoreMigration = async () => {
+  try {
+    await pool.query('ALTER TABLE candidates ADD COLUMN IF NOT EXISTS trust_score INT');
+    await pool.query('ALTER TABLE candidates ADD COLUMN IF NOT EXISTS trust_score_breakdown JSONB');
+    await pool.query('ALTER TABLE candidates ADD COLUMN IF NOT EXISTS trust_score_updated_at TIMESTAMPTZ');
+    await pool.query('ALTER TABLE candidates ADD COLUMN IF NOT EXISTS trust_score_dirty BOOLEAN NOT NULL DEFAULT TRUE');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_candidates_trust_score ON candidates(trust_score)');
+
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION mark_candidate_trust_dirty() RETURNS trigger LANGUAGE plpgsql AS $$
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          UPDATE candidates SET trust_score_dirty = TRUE WHERE id = OLD.candidate_id;
+          RETURN OLD;
+        END IF;
+        UPDATE candidates SET trust_score_dirty = TRUE WHERE id = NEW.candidate_id;
+        RETURN NEW;
+      END $$
+    `);
+    for (const table of ['employment_history', 'education_history']) {
+      await pool.query(`DROP TRIGGER IF EXISTS trg_${table}_trust ON ${table}`);
+      await pool.query(`
+        CREATE TRIGGER trg_${table}_trust
+          AFTER INSERT OR UPDATE OR DELETE ON ${table}
+          FOR EACH ROW EXECUTE FUNCTION mark_candidate_trust_dirty()
+      `);
+    }
+    logger.info('Trust score migration applied');
+  } catch (err) {
+    logger.error('Trust score migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: HRIS export mappings and reconciliation reports
+const runHrisMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS hris_column_mappings (
+        company_id UUID PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+        mapping    JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS hris_reconciliations (
+        id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id  UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        file_name   TEXT,
+        mapping     JSONB NOT NULL,
+        summary     JSONB NOT NULL,
+        report      JSONB NOT NULL,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_hris_reconciliations_company ON hris_reconciliations(company_id, created_at DESC)');
+    logger.info('HRIS migration applied');
+  } catch (err) {
+    logger.error('HRIS migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: institution accounts that verify education records
+const runInstitutionMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS institutions (
+        id                        UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id                   UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        name                      TEXT NOT NULL,
+        slug                      TEXT UNIQUE,
+        website                   TEXT,
+        country                   TEXT,
+        aliases                   TEXT[] NOT NULL DEFAULT '{}',
+        verification_status       TEXT NOT NULL DEFAULT 'unverified'
+                                  CHECK (verification_status IN ('unverified','pending','verified','rejected')),
+        verification_document_url TEXT,
+        rejection_reason          TEXT,
+        verified_by               UUID REFERENCES users(id) ON DELETE SET NULL,
+        verified_at               TIMESTAMPTZ,
+        created_at                TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at                TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_education_institution_lower ON education_history(LOWER(institution))');
+    logger.info('Institution migration applied');
+  } catch (err) {
+    logger.error('Institution migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: reminders and escalation for verification requests waiting on companies
+const runVerificationReminderMigration = async () => {
+  try {
+    await pool.query('ALTER TABLE employment_history ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMPTZ');
+    await pool.query('ALTER TABLE employment_history ADD COLUMN IF NOT EXISTS verification_requested_at TIMESTAMPTZ');
+    // Requests submitted before the column existed: their last edit is the best guess.
+    await pool.query(`
+      UPDATE employment_history SET verification_requested_at = COALESCE(updated_at, created_at)
+      WHERE verification_requested_at IS NULL AND verification_status IN ('pending', 'in_review')
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS verification_reminders (
+        id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        employment_id   UUID NOT NULL REFERENCES employment_history(id) ON DELETE CASCADE,
+        company_id      UUID REFERENCES companies(id) ON DELETE SET NULL,
+        kind            TEXT NOT NULL CHECK (kind IN ('reminder','escalation')),
+        sent_to         TEXT,
+        reminder_number INT,
+        sent_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_verification_reminders_employment ON verification_reminders(employment_id, sent_at DESC)');
+    logger.info('Verification reminder migration applied');
+  } catch (err) {
+    logger.error('Verification reminder migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: append-only audit log of admin, verifier and collaborator actions
+const runAuditLogMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        actor_user_id UUID,
+        actor_role    TEXT,
+        action        TEXT NOT NULL,
+        target_type   TEXT NOT NULL,
+        target_id     TEXT,
+        changes       JSONB NOT NULL DEFAULT '{}',
+        metadata      JSONB,
+        ip_address    TEXT,
+        user_agent    TEXT,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_user_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id, created_at DESC)');
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION audit_log_immutable() RETURNS trigger AS $$
+      BEGIN
+        -- Account erasure may redact changes, metadata, IP and user agent, and nothing else.
+        IF TG_OP = 'UPDATE' AND current_setting('veriboard.log_redaction', true) = 'on'
+           AND (NEW.id, NEW.actor_user_id, NEW.actor_role, NEW.action, NEW.target_type, NEW.target_id, NEW.created_at)
+               IS NOT DISTINCT FROM (OLD.id, OLD.actor_user_id, OLD.actor_role, OLD.action, OLD.target_type, OLD.target_id, OLD.created_at) THEN
+          RETURN NEW;
+        END IF;
+        RAISE EXCEPTION 'audit_log is append-only';
+      END $$ LANGUAGE plpgsql
+    `);
+    await pool.query('DROP TRIGGER IF EXISTS trg_audit_log_immutable ON audit_log');
+    await pool.query(`
+      CREATE TRIGGER trg_audit_log_immutable
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_immutable()
+    `);
+    logger.info('Audit log migration applied');
+  } catch (err) {
+    logger.error('Audit log migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: reference checks (company question sets and referee requests)
+const runReferenceMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS reference_question_sets (
+        id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        company_id  UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        name        VARCHAR(200) NOT NULL,
+        questions   JSONB NOT NULL,
+        is_default  BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by  UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_reference_question_sets_default
+      ON reference_question_sets(company_id) WHERE is_default = TRUE
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS reference_requests (
+        id                     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        employment_id          UUID NOT NULL REFERENCES employment_history(id) ON DELETE CASCADE,
+        candidate_id           UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        application_id         UUID REFERENCES job_applications(id) ON DELETE SET NULL,
+        question_set_id        UUID REFERENCES reference_question_sets(id) ON DELETE SET NULL,
+        referee_name           VARCHAR(255) NOT NULL,
+        referee_email          VARCHAR(255) NOT NULL,
+        referee_title          VARCHAR(255),
+        relationship           VARCHAR(20) NOT NULL
+                                 CHECK (relationship IN ('manager','peer','direct_report','client','other')),
+        email_matches_employer BOOLEAN,
+        token                  UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+        status                 VARCHAR(20) NOT NULL DEFAULT 'pending'
+                                 CHECK (status IN ('pending','completed','declined','cancelled')),
+        questions              JSONB NOT NULL,
+        answers                JSONB,
+        email_verified_at      TIMESTAMPTZ,
+        responder_ip           TEXT,
+        completed_at           TIMESTAMPTZ,
+        expires_at             TIMESTAMPTZ NOT NULL,
+        created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_reference_requests_candidate ON reference_requests(candidate_id, status)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_reference_requests_employment ON reference_requests(employment_id, status)');
+    logger.info('Reference migration applied');
+  } catch (err) {
+    logger.error('Reference migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: skill endorsements and assessments
+const runSkillMigration = async () => {
+  try {
+    // Lower-cased names of skills proven by a passed assessment; used in job matching.
+    await pool.query("ALTER TABLE candidates ADD COLUMN IF NOT EXISTS verified_skills TEXT[] NOT NULL DEFAULT '{}'");
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS skill_endorsements (
+        id                     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        candidate_id           UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        skill_key              VARCHAR(100) NOT NULL,
+        endorser_user_id       UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        endorser_employment_id UUID REFERENCES employment_history(id) ON DELETE SET NULL,
+        company_name           VARCHAR(255),
+        created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (candidate_id, skill_key, endorser_user_id)
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS skill_assessments (
+        id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        skill              VARCHAR(100) NOT NULL,
+        skill_key          VARCHAR(100) NOT NULL,
+        title              VARCHAR(200) NOT NULL,
+        description        TEXT,
+        time_limit_seconds INTEGER NOT NULL,
+        pass_percent       NUMERIC(5,2) NOT NULL DEFAULT 70,
+        questions          JSONB NOT NULL,
+        is_active          BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by         UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS skill_assessment_attempts (
+        id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        assessment_id UUID NOT NULL REFERENCES skill_assessments(id) ON DELETE CASCADE,
+        candidate_id  UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        questions     JSONB NOT NULL,
+        answers       JSONB,
+        correct       INTEGER,
+        percent       NUMERIC(5,1),
+        passed        BOOLEAN,
+        timed_out     BOOLEAN NOT NULL DEFAULT FALSE,
+        started_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at    TIMESTAMPTZ NOT NULL,
+        submitted_at  TIMESTAMPTZ
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_skill_endorsements_candidate ON skill_endorsements(candidate_id, skill_key)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_skill_attempts_candidate ON skill_assessment_attempts(candidate_id, assessment_id, started_at DESC)');
+    logger.info('Skill migration applied');
+  } catch (err) {
+    logger.error('Skill migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: certifications and licenses
+const runCertificationMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS certifications (
+        id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        candidate_id        UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        name                VARCHAR(255) NOT NULL,
+        issuer              VARCHAR(255) NOT NULL,
+        credential_id       VARCHAR(255),
+        credential_url      TEXT,
+        issue_date          DATE NOT NULL,
+        expiry_date         DATE,
+        document_url        TEXT,
+        document_check      JSONB,
+        document_risk_score NUMERIC(5,1),
+        verification_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+                              CHECK (verification_status IN ('pending','verified','rejected')),
+        rejection_reason    TEXT,
+        verified_by         UUID REFERENCES users(id) ON DELETE SET NULL,
+        verified_at         TIMESTAMPTZ,
+        expiry_notice_days  INTEGER,
+        created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_certifications_candidate ON certifications(candidate_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_certifications_status ON certifications(verification_status, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_certifications_expiry ON certifications(expiry_date) WHERE expiry_date IS NOT NULL');
+    logger.info('Certification migration applied');
+  } catch (err) {
+    logger.error('Certification migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: background checks ordered through a vendor
+const runBackgroundCheckMigration = async () => {
+  try {
+    // Package ordered automatically when an applicant reaches 'offered'.
+    await pool.query('ALTER TABLE companies ADD COLUMN IF NOT EXISTS background_check_package VARCHAR(50)');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS background_checks (
+        id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        application_id     UUID NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+        candidate_id       UUID NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        job_id             UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        company_id         UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        provider           VARCHAR(50) NOT NULL,
+        package_id         VARCHAR(50) NOT NULL,
+        external_id        VARCHAR(255),
+        status             VARCHAR(20) NOT NULL DEFAULT 'awaiting_consent'
+                             CHECK (status IN ('awaiting_consent','declined','pending','in_progress','completed','cancelled','failed')),
+        result             VARCHAR(20) CHECK (result IN ('clear','consider')),
+        report             JSONB,
+        report_fetched_at  TIMESTAMPTZ,
+        consent_given_at   TIMESTAMPTZ,
+        consent_signature  VARCHAR(255),
+        consent_version    VARCHAR(20),
+        consent_ip         TEXT,
+        consent_user_agent TEXT,
+        ordered_by         UUID REFERENCES users(id) ON DELETE SET NULL,
+        ordered_at         TIMESTAMPTZ,
+        completed_at       TIMESTAMPTZ,
+        cancelled_at       TIMESTAMPTZ,
+        failure_reason     TEXT,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (provider, external_id)
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS background_check_events (
+        id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        background_check_id UUID NOT NULL REFERENCES background_checks(id) ON DELETE CASCADE,
+        provider            VARCHAR(50) NOT NULL,
+        provider_event_id   VARCHAR(255) NOT NULL,
+        status              VARCHAR(20),
+        payload             JSONB,
+        received_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (provider, provider_event_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_background_checks_application ON background_checks(application_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_background_checks_candidate ON background_checks(candidate_id, created_at DESC)');
+    // At most one open check per application, however many offers race to order one.
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_background_checks_one_open
+        ON background_checks(application_id) WHERE status IN ('awaiting_consent', 'pending', 'in_progress')
+    `);
+    logger.info('Background check migration applied');
+  } catch (err) {
+    logger.error('Background check migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: self-service data exports
+const runDataExportMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status          VARCHAR(20) NOT NULL DEFAULT 'pending'
+                          CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+        download_token  UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+        file_path       TEXT,
+        file_size       BIGINT,
+        error           TEXT,
+        requested_ip    VARCHAR(64),
+        started_at      TIMESTAMPTZ,
+        completed_at    TIMESTAMPTZ,
+        expires_at      TIMESTAMPTZ,
+        downloaded_at   TIMESTAMPTZ,
+        download_count  INTEGER NOT NULL DEFAULT 0,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_data_exports_user ON data_exports(user_id, created_at DESC)');
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_data_exports_open ON data_exports(status) WHERE status IN ('pending', 'processing', 'ready')`);
+    // One export in progress per user, even when requests race. Duplicates
+    // left by earlier races are failed first so the index can be built.
+    await pool.query(`
+      UPDATE data_exports d SET status = 'failed', error = 'Superseded by another export', updated_at = NOW()
+      WHERE d.status IN ('pending', 'processing')
+        AND EXISTS (
+          SELECT 1 FROM data_exports newer
+          WHERE newer.user_id = d.user_id AND newer.status IN ('pending', 'processing')
+            AND (newer.created_at, newer.id) > (d.created_at, d.id)
+        )
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_data_exports_one_open
+        ON data_exports(user_id) WHERE status IN ('pending', 'processing')
+    `);
+    logger.info('Data export migration applied');
+  } catch (err) {
+    logger.error('Data export migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: account deletion requests and erased-account marker
+const runAccountDeletionMigration = async () => {
+  try {
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS account_deletions (
+        id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status          VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+                          CHECK (status IN ('scheduled', 'cancelled', 'completed')),
+        reason          TEXT,
+        requested_ip    VARCHAR(64),
+        scheduled_for   TIMESTAMPTZ NOT NULL,
+        cancelled_at    TIMESTAMPTZ,
+        completed_at    TIMESTAMPTZ,
+        summary         JSONB,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_account_deletions_scheduled ON account_deletions(user_id) WHERE status = 'scheduled'`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_account_deletions_due ON account_deletions(scheduled_for) WHERE status = 'scheduled'`);
+    logger.info('Account deletion migration applied');
+  } catch (err) {
+    logger.error('Account deletion migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: saved job searches and the jobs each has alerted on
+const runSavedSearchMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name            VARCHAR(100) NOT NULL,
+        filters         JSONB NOT NULL DEFAULT '{}',
+        frequency       VARCHAR(10) NOT NULL DEFAULT 'daily' CHECK (frequency IN ('daily', 'weekly')),
+        email_enabled   BOOLEAN NOT NULL DEFAULT TRUE,
+        is_active       BOOLEAN NOT NULL DEFAULT TRUE,
+        last_run_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_alerted_at TIMESTAMPTZ,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_search_results (
+        saved_search_id UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+        job_id          UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        alerted_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (saved_search_id, job_id)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_saved_searches_due ON saved_searches(last_run_at) WHERE is_active');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at DESC)');
+    logger.info('Saved search migration applied');
+  } catch (err) {
+    logger.error('Saved search migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: saved jobs and the candidate job-tracking board
+const runJobTrackerMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_jobs (
+        user_id    UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        job_id     UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, job_id)
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_tracker_stages (
+        id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id    UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name       VARCHAR(50) NOT NULL,
+        position   INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_tracker_items (
+        id                    UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id               UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        stage_id              UUID NOT NULL REFERENCES job_tracker_stages(id),
+        job_id                UUID REFERENCES jobs(id) ON DELETE SET NULL,
+        application_id        UUID REFERENCES job_applications(id) ON DELETE SET NULL,
+        title                 VARCHAR(255) NOT NULL,
+        company_name          VARCHAR(255),
+        location              VARCHAR(255),
+        external_url          TEXT,
+        notes                 TEXT,
+        applied_at            TIMESTAMPTZ,
+        follow_up_at          TIMESTAMPTZ,
+        follow_up_notified_at TIMESTAMPTZ,
+        deadline_at           TIMESTAMPTZ,
+        deadline_notified_at  TIMESTAMPTZ,
+        position              INT NOT NULL DEFAULT 0,
+        created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_saved_jobs_user ON saved_jobs(user_id, created_at DESC)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_job_tracker_stage_name ON job_tracker_stages(user_id, LOWER(name))');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_job_tracker_items_user ON job_tracker_items(user_id, stage_id, position)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_job_tracker_item_job ON job_tracker_items(user_id, job_id) WHERE job_id IS NOT NULL');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS uq_job_tracker_item_application ON job_tracker_items(application_id) WHERE application_id IS NOT NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_job_tracker_follow_up ON job_tracker_items(follow_up_at) WHERE follow_up_notified_at IS NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_job_tracker_deadline ON job_tracker_items(deadline_at) WHERE deadline_notified_at IS NULL');
+    logger.info('Job tracker migration applied');
+  } catch (err) {
+    logger.error('Job tracker migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: typed screening questions with knockout rules
+const runScreeningMigration = async () => {
+  try {
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS screening_questions JSONB');
+    await pool.query('ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS screening_answers JSONB');
+    await pool.query(`
+      ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS screening_outcome VARCHAR(10)
+        CHECK (screening_outcome IN ('passed', 'flagged', 'rejected'))
+    `);
+    await pool.query('ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS screening_flags JSONB');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_job_applications_screening ON job_applications(job_id, screening_outcome)');
+    logger.info('Screening question migration applied');
+  } catch (err) {
+    logger.error('Screening question migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: job posting lifecycle — status, scheduling, deadlines, expiry and reposts
+const runJobLifecycleMigration = async () => {
+  try {
+    await pool.query(`
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS status VARCHAR(10)
+        CHECK (status IN ('draft', 'scheduled', 'open', 'paused', 'closed', 'expired'))
+    `);
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ');
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ');
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS application_deadline TIMESTAMPTZ');
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ');
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS expiry_reminder_sent_at TIMESTAMPTZ');
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ');
+    await pool.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS reposted_from UUID REFERENCES jobs(id) ON DELETE SET NULL');
+    // Existing jobs keep their visibility and never expire on their own.
+    await pool.query(`
+      UPDATE jobs
+      SET status = CASE WHEN is_active THEN 'open' ELSE 'closed' END,
+          published_at = COALESCE(published_at, created_at)
+      WHERE status IS NULL
+    `);
+    // status drives is_active, which every listing and apply query reads. Callers
+    // that only set is_active (admin toggle, older clients) open or pause a job
+    // that is open or paused; the other statuses ignore the toggle.
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION jobs_sync_status()
+      RETURNS TRIGGER LANGUAGE plpgsql AS $$
+      BEGIN
+        IF TG_OP = 'INSERT' THEN
+          IF NEW.status IS NULL THEN
+            NEW.status := CASE WHEN NEW.is_active IS FALSE THEN 'draft' ELSE 'open' END;
+          END IF;
+        ELSIF NEW.status IS NOT DISTINCT FROM OLD.status AND NEW.is_active IS DISTINCT FROM OLD.is_active
+              AND OLD.status IN ('open', 'paused') THEN
+          NEW.status := CASE WHEN NEW.is_active THEN 'open' ELSE 'paused' END;
+        END IF;
+        NEW.is_active := NEW.status = 'open';
+        IF NEW.status = 'open' AND NEW.published_at IS NULL THEN
+          NEW.published_at := NOW();
+        END IF;
+        RETURN NEW;
+      END; $$
+    `);
+    await pool.query(`
+      DROP TRIGGER IF EXISTS trg_jobs_sync_status ON jobs;
+      CREATE TRIGGER trg_jobs_sync_status
+        BEFORE INSERT OR UPDATE ON jobs
+        FOR EACH ROW EXECUTE FUNCTION jobs_sync_status()
+    `);
+    await pool.query('ALTER TABLE jobs ALTER COLUMN status SET NOT NULL');
+    await pool.query("CREATE INDEX IF NOT EXISTS idx_jobs_publish_at ON jobs(publish_at) WHERE status = 'scheduled'");
+    await pool.query("CREATE INDEX IF NOT EXISTS idx_jobs_expires_at ON jobs(expires_at) WHERE status IN ('open', 'paused')");
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_jobs_reposted_from ON jobs(reposted_from) WHERE reposted_from IS NOT NULL');
+    logger.info('Job lifecycle migration applied');
+  } catch (err) {
+    logger.error('Job lifecycle migration error:', err.message || err);
+  }
+};
+
+// Auto-migrate: job funnel events — impressions, detail views and applications per visitor and source
+const runJobAnalyticsMigration = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_events (
+        id BIGSERIAL PRIMARY KEY,
+        job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        event_type VARCHAR(20) NOT NULL
+          CHECK (event_type IN ('impression', 'detail_view', 'apply_start', 'apply_submit')),
+        source VARCHAR(20) NOT NULL
+          CHECK (source IN ('feed', 'search', 'recommended', 'direct')),
+        visitor_key VARCHAR(64) NOT NULL,
+        event_date DATE NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC')::date,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    // One event per visitor, job, type and day
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_job_events_dedup
+        ON job_events(job_id, event_type, visitor_key, event_date)
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_job_events_job_created ON job_events(job_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_job_events_visitor ON job_events(visitor_key)');
+    logger.info('Job analytics migration applied');
+  } catch (err) {
+    logger.error('Job analytics migration error:', err.message || err);
+  }
+};
+
 // Start server only if not in Vercel environment
 if (process.env.VERCEL !== '1' && !process.env.AWS_LAMBDA_FUNCTION_VERSION) {
   app.listen(PORT, () => {
@@ -688,6 +1641,31 @@ if (process.env.VERCEL !== '1' && !process.env.AWS_LAMBDA_FUNCTION_VERSION) {
   runFeedUpgradeMigration();
   runPlanMigration();
   runHrFeaturesMigration();
+  runVerificationQueueMigration();
+  runConsentMigration();
+  runCredentialMigration();
+  runEmployerLinkMigration();
+  runDomainVerificationMigration();
+  runDiscrepancyMigration();
+  runAppealMigration();
+  runDocumentCheckMigration();
+  runFreshnessMigration();
+  runTrustScoreMigration();
+  runHrisMigration();
+  runInstitutionMigration();
+  runVerificationReminderMigration();
+  runAuditLogMigration();
+  runReferenceMigration();
+  runSkillMigration();
+  runCertificationMigration();
+  runBackgroundCheckMigration();
+  runDataExportMigration();
+  runAccountDeletionMigration();
+  runSavedSearchMigration();
+  runJobTrackerMigration();
+  runScreeningMigration();
+  runJobLifecycleMigration();
+  runJobAnalyticsMigration();
   runCrawlerMigration().then(() => {
     // Lazy-import so the scheduler is only loaded after migrations exist.
     import('./crawlers/scheduler.js')
@@ -709,6 +1687,123 @@ if (process.env.VERCEL !== '1' && !process.env.AWS_LAMBDA_FUNCTION_VERSION) {
   cleanupOldNotifications();
   const ONE_DAY_MS = 24 * 60 * 60 * 1000;
   setInterval(cleanupOldNotifications, ONE_DAY_MS);
+
+  // Expire lapsed consent grants and stale consent requests hourly.
+  const expireConsentRequests = async () => {
+    try {
+      const count = await expireConsents();
+      if (count > 0) logger.info(`Expired ${count} consent request(s)`);
+    } catch (err) {
+      logger.error('Error expiring consent requests:', err.message || err);
+    }
+  };
+  setInterval(expireConsentRequests, 60 * 60 * 1000);
+
+  // Mark current-role verifications past the re-verification period as stale.
+  const flagStaleVerifications = async () => {
+    try {
+      const count = await markStaleVerifications();
+      if (count > 0) logger.info(`Marked ${count} current-role verification(s) stale`);
+    } catch (err) {
+      logger.error('Error marking stale verifications:', err.message || err);
+    }
+  };
+  setInterval(flagStaleVerifications, 6 * 60 * 60 * 1000);
+
+  // Recompute trust scores whose records changed since the last run.
+  const refreshCandidateTrustScores = async () => {
+    try {
+      const count = await refreshTrustScores();
+      if (count > 0) logger.info(`Recomputed ${count} trust score(s)`);
+    } catch (err) {
+      logger.error('Error refreshing trust scores:', err.message || err);
+    }
+  };
+  setInterval(refreshCandidateTrustScores, 10 * 60 * 1000);
+
+  // Remind company HR about verification requests they have not decided, and
+  // hand overdue ones to the admin queue.
+  const remindPendingVerifications = async () => {
+    try {
+      const { reminded, escalated } = await processVerificationReminders();
+      if (reminded > 0 || escalated > 0) {
+        logger.info(`Sent ${reminded} verification reminder(s), escalated ${escalated} request(s)`);
+      }
+    } catch (err) {
+      logger.error('Error processing verification reminders:', err.message || err);
+    }
+  };
+  setInterval(remindPendingVerifications, 60 * 60 * 1000);
+
+  // Warn candidates about certifications that are about to lapse, or have.
+  const notifyExpiringCertifications = async () => {
+    try {
+      const { notified, expired } = await processCertificationExpiry();
+      if (notified > 0 || expired > 0) {
+        logger.info(`Sent ${notified} certification expiry warning(s), ${expired} expiry notice(s)`);
+      }
+    } catch (err) {
+      logger.error('Error processing certification expiry:', err.message || err);
+    }
+  };
+  setInterval(notifyExpiringCertifications, 6 * 60 * 60 * 1000);
+
+  // Build data exports a restart left behind and delete expired archives.
+  const sweepDataExports = async () => {
+    try {
+      const { built, expired } = await processDataExports();
+      if (built > 0 || expired > 0) logger.info(`Built ${built} data export(s), expired ${expired}`);
+    } catch (err) {
+      logger.error('Error processing data exports:', err.message || err);
+    }
+  };
+  setInterval(sweepDataExports, 60 * 60 * 1000);
+
+  // Erase accounts whose deletion grace period has ended.
+  const eraseDeletedAccounts = async () => {
+    try {
+      const { erased, failed } = await processAccountDeletions();
+      if (erased > 0 || failed > 0) logger.info(`Erased ${erased} account(s), ${failed} failed`);
+    } catch (err) {
+      logger.error('Error processing account deletions:', err.message || err);
+    }
+  };
+  setInterval(eraseDeletedAccounts, 60 * 60 * 1000);
+
+  // Send daily and weekly alerts for saved job searches with new matches.
+  const sendSavedSearchAlerts = async () => {
+    try {
+      const { searched, alerted, jobs } = await processSavedSearchAlerts();
+      if (searched > 0) logger.info(`Ran ${searched} saved search(es), alerted ${alerted} with ${jobs} new job(s)`);
+    } catch (err) {
+      logger.error('Error processing saved search alerts:', err.message || err);
+    }
+  };
+  setInterval(sendSavedSearchAlerts, 60 * 60 * 1000);
+
+  // Remind candidates of follow-ups and upcoming deadlines on their job-tracking board.
+  const sendJobTrackerReminders = async () => {
+    try {
+      const { followUps, deadlines } = await processJobTrackerReminders();
+      if (followUps > 0 || deadlines > 0) logger.info(`Sent ${followUps} follow-up and ${deadlines} deadline reminder(s)`);
+    } catch (err) {
+      logger.error('Error processing job tracker reminders:', err.message || err);
+    }
+  };
+  setInterval(sendJobTrackerReminders, 60 * 60 * 1000);
+
+  // Publish scheduled jobs, warn owners before expiry and expire overdue postings.
+  const advanceJobLifecycle = async () => {
+    try {
+      const { published, reminded, expired } = await processJobLifecycle();
+      if (published > 0 || reminded > 0 || expired > 0) {
+        logger.info(`Published ${published} scheduled job(s), sent ${reminded} expiry reminder(s), expired ${expired}`);
+      }
+    } catch (err) {
+      logger.error('Error processing job lifecycle:', err.message || err);
+    }
+  };
+  setInterval(advanceJobLifecycle, 60 * 60 * 1000);
 }
 
 export default app;
@@ -21,13 +21,16 @@ export const protect = async (req, res, next) => {
 
       // Get user from database - include name from users table
       const result = await pool.query(
-        'SELECT id, email, account_type, is_verified, name, is_pro, plan_tier, plan_billing FROM users WHERE id = $1',
+        'SELECT id, email, account_type, is_verified, name, is_pro, plan_tier, plan_billing, deleted_at FROM users WHERE id = $1',
         [decoded.id]
       );
 
       if (result.rows.length === 0) {
         return next(new AppError('User not found', 404));
       }
+      if (result.rows[0].deleted_at) {
+        return next(new AppError('This account has been deleted', 401));
+      }
 
       const user = result.rows[0];
 
@@ -89,7 +92,7 @@ export const optionalAuth = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const result = await pool.query(
-        'SELECT id, email, account_type FROM users WHERE id = $1',
+        'SELECT id, email, account_type FROM users WHERE id = $1 AND deleted_at IS NULL',
         [decoded.id]
       );
       if (result.rows.length > 0) {
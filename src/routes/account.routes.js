@@ -0,0 +1,152 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { protect } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { BUCKET_NAME, createSignedUrl } from '../utils/supabaseStorage.js';
+import {
+  OPEN_EXPORT_STATUSES,
+  mapDataExport,
+  processDataExport,
+} from '../services/dataExportService.js';
+import {
+  mapAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from '../services/accountDeletionService.js';
+
+const router = express.Router();
+
+// ── Data export (GDPR access request) ─────────────────────────────────────
+
+// POST /api/account/exports - request a copy of all your data
+// Returns 202 straight away; the download link is emailed once the archive is built.
+router.post('/exports', protect, async (req, res, next) => {
+  try {
+    const open = await pool.query(
+      'SELECT id FROM data_exports WHERE user_id = $1 AND status = ANY($2::text[])',
+      [req.user.id, OPEN_EXPORT_STATUSES]
+    );
+    if (open.rows.length > 0) return next(new AppError('An export is already being prepared', 409));
+
+    let result;
+    try {
+      result = await pool.query(
+        `INSERT INTO data_exports (user_id, requested_ip)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [req.user.id, req.ip || null]
+      );
+    } catch (err) {
+      // A concurrent request opened one since the check above.
+      if (err.code === '23505') return next(new AppError('An export is already being prepared', 409));
+      throw err;
+    }
+    const exp = result.rows[0];
+
+    setImmediate(() => {
+      processDataExport(exp.id).catch((err) => console.error('[DataExport] background build error:', err.message));
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      export: mapDataExport(exp),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/account/exports - your exports, newest first
+router.get('/exports', protect, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM data_exports WHERE user_id = $1 ORDER BY created_at DESC LIMIT 20',
+      [req.user.id]
+    );
+    res.json({ success: true, exports: result.rows.map(mapDataExport) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/account/exports/:id/download?token= - short-lived URL for the archive (PUBLIC, tokenized)
+// The token comes from the emailed link, so this works without a session.
+router.get('/exports/:id/download', async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    if (!token) return next(new AppError('Download token is required', 400));
+
+    const result = await pool.query(
+      `SELECT id, status, file_path, expires_at, expires_at <= NOW() AS is_expired
+       FROM data_exports
+       WHERE id::text = $1 AND download_token::text = $2`,
+      [req.params.id, String(token)]
+    );
+    const exp = result.rows[0];
+    if (!exp) return next(new AppError('Export not found', 404));
+    if (exp.status === 'expired' || (exp.status === 'ready' && exp.is_expired)) {
+      return next(new AppError('This download link has expired. Request a new export.', 410));
+    }
+    if (exp.status !== 'ready') return next(new AppError('This export is not ready yet', 409));
+
+    const { data, error } = await createSignedUrl(BUCKET_NAME, exp.file_path, 300);
+    if (error || !data?.signedUrl) return next(new AppError('Failed to generate download URL', 500));
+
+    await pool.query(
+      'UPDATE data_exports SET downloaded_at = NOW(), download_count = download_count + 1 WHERE id = $1',
+      [exp.id]
+    );
+    res.json({ success: true, url: data.signedUrl, expiresAt: exp.expires_at });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── Account deletion ──────────────────────────────────────────────────────
+
+// GET /api/account/deletion - the scheduled deletion, if any
+router.get('/deletion', protect, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM account_deletions WHERE user_id = $1 AND status = 'scheduled'`,
+      [req.user.id]
+    );
+    res.json({ success: true, deletion: result.rows[0] ? mapAccountDeletion(result.rows[0]) : null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/account/deletion - schedule deletion of your account after the grace period
+// Body: { confirmEmail, reason? }. confirmEmail must match the account's email.
+router.post('/deletion', protect, async (req, res, next) => {
+  try {
+    const { confirmEmail, reason } = req.body;
+    if (!confirmEmail || String(confirmEmail).trim().toLowerCase() !== req.user.email.toLowerCase()) {
+      return next(new AppError('Type your account email to confirm', 400));
+    }
+
+    const deletion = await requestAccountDeletion({ user: req.user, reason, req });
+    res.status(202).json({
+      success: true,
+      message: 'Your account is scheduled for deletion. You can cancel until then.',
+      deletion: mapAccountDeletion(deletion),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/account/deletion - cancel a scheduled deletion
+router.delete('/deletion', protect, async (req, res, next) => {
+  try {
+    const deletion = await cancelAccountDeletion(req.user.id);
+    if (!deletion) return next(new AppError('No account deletion is scheduled', 404));
+    res.json({ success: true, message: 'Account deletion cancelled', deletion: mapAccountDeletion(deletion) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
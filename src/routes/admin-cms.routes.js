@@ -3,6 +3,7 @@ import crypto from 'crypto';
 import { createUpload } from '../utils/upload.js';
 import pool from '../config/database.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditLogService.js';
 import { uploadToBucket, createSignedUrl, deleteFromBucket, BUCKET_NAME, FOLDERS } from '../utils/supabaseStorage.js';
 
 const router = express.Router();
@@ -184,6 +185,18 @@ router.post('/posts/bulk-import', async (req, res) => {
       }
     }
 
+    await recordAudit(req, {
+      action: 'cms_post.bulk_import',
+      targetType: 'cms_post',
+      targetId: null,
+      metadata: {
+        total: results.total,
+        succeeded: results.succeeded,
+        failed: results.failed.length,
+        postIds: results.inserted.map((p) => p.id),
+      },
+    });
+
     res.json({ success: true, ...results });
   } catch (error) {
     console.error('Error in bulk import:', error);
@@ -211,6 +224,12 @@ router.patch('/posts/bulk-status', async (req, res) => {
        RETURNING id`,
       [ids, status]
     );
+    await recordAudit(req, {
+      action: 'cms_post.bulk_status',
+      targetType: 'cms_post',
+      targetId: null,
+      metadata: { status, postIds: result.rows.map((r) => r.id) },
+    });
 
     res.json({ success: true, updated: result.rows.length });
   } catch (error) {
@@ -228,9 +247,15 @@ router.post('/posts/bulk-delete', async (req, res) => {
     }
 
     const result = await pool.query(
-      `DELETE FROM cms_posts WHERE id = ANY($1::uuid[]) RETURNING id`,
+      `DELETE FROM cms_posts WHERE id = ANY($1::uuid[]) RETURNING id, slug, title`,
       [ids]
     );
+    await recordAudit(req, {
+      action: 'cms_post.bulk_delete',
+      targetType: 'cms_post',
+      targetId: null,
+      metadata: { posts: result.rows },
+    });
 
     res.json({ success: true, deleted: result.rows.length });
   } catch (error) {
@@ -284,6 +309,8 @@ router.post('/posts', async (req, res) => {
       ]
     );
 
+    await recordAudit(req, { action: 'cms_post.create', targetType: 'cms_post', targetId: result.rows[0].id, before: null, after: result.rows[0] });
+
     res.status(201).json({ success: true, post: result.rows[0] });
   } catch (error) {
     console.error('Error creating CMS post:', error);
@@ -371,6 +398,8 @@ router.put('/posts/:id', async (req, res) => {
       ]
     );
 
+    await recordAudit(req, { action: 'cms_post.update', targetType: 'cms_post', targetId: id, before: old, after: result.rows[0] });
+
     res.json({ success: true, post: result.rows[0] });
   } catch (error) {
     console.error('Error updating CMS post:', error);
@@ -384,7 +413,7 @@ router.delete('/posts/:id', async (req, res) => {
     const { id } = req.params;
 
     // Get post to clean up documents from storage
-    const postResult = await pool.query('SELECT documents FROM cms_posts WHERE id = $1', [id]);
+    const postResult = await pool.query('SELECT * FROM cms_posts WHERE id = $1', [id]);
     if (postResult.rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Post not found' });
     }
@@ -399,6 +428,7 @@ router.delete('/posts/:id', async (req, res) => {
     }
 
     await pool.query('DELETE FROM cms_posts WHERE id = $1', [id]);
+    await recordAudit(req, { action: 'cms_post.delete', targetType: 'cms_post', targetId: id, before: postResult.rows[0], after: null });
 
     res.json({ success: true, message: 'Post deleted' });
   } catch (error) {
@@ -459,6 +489,12 @@ router.post('/posts/:id/documents', upload.array('documents', 5), async (req, re
     const allDocs = [...existingDocs, ...newDocs];
 
     await pool.query('UPDATE cms_posts SET documents = $1 WHERE id = $2', [JSON.stringify(allDocs), id]);
+    await recordAudit(req, {
+      action: 'cms_post.documents_add',
+      targetType: 'cms_post',
+      targetId: id,
+      metadata: { documents: newDocs.map((d) => ({ id: d.id, name: d.name })) },
+    });
 
     res.json({ success: true, documents: allDocs });
   } catch (error) {
@@ -490,6 +526,12 @@ router.delete('/posts/:id/documents/:docId', async (req, res) => {
     // Remove from JSONB array
     const updatedDocs = documents.filter(d => d.id !== docId);
     await pool.query('UPDATE cms_posts SET documents = $1 WHERE id = $2', [JSON.stringify(updatedDocs), id]);
+    await recordAudit(req, {
+      action: 'cms_post.documents_remove',
+      targetType: 'cms_post',
+      targetId: id,
+      metadata: { document: { id: doc.id, name: doc.name } },
+    });
 
     res.json({ success: true, documents: updatedDocs });
   } catch (error) {
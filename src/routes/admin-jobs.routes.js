@@ -1,6 +1,8 @@
 import express from 'express';
 import pool from '../config/database.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { recordAudit, auditSnapshot } from '../services/auditLogService.js';
+import { withTransaction } from '../utils/transaction.js';
 
 const router = express.Router();
 
@@ -203,6 +205,18 @@ router.post('/bulk-import', async (req, res) => {
       }
     }
 
+    await recordAudit(req, {
+      action: 'job.bulk_import',
+      targetType: 'job',
+      targetId: null,
+      metadata: {
+        total: results.total,
+        succeeded: results.succeeded,
+        failed: results.failed.length,
+        jobIds: results.inserted.map((j) => j.id),
+      },
+    });
+
     res.json({ success: true, ...results });
   } catch (error) {
     console.error('Error in admin jobs bulk import:', error);
@@ -223,14 +237,20 @@ router.patch('/:id/status', async (req, res) => {
       return res.status(400).json({ success: false, message: 'is_active must be boolean' });
     }
 
-    const result = await pool.query(
-      'UPDATE jobs SET is_active = $1, updated_at = NOW() WHERE id = $2 RETURNING id, is_active',
-      [is_active, id]
-    );
-    if (result.rows.length === 0) {
+    const job = await withTransaction(async (client) => {
+      const before = await auditSnapshot('job', id, client);
+      const result = await client.query(
+        'UPDATE jobs SET is_active = $1, updated_at = NOW() WHERE id = $2 RETURNING id, is_active',
+        [is_active, id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'job.status', targetType: 'job', targetId: id, before, after: { ...before, ...result.rows[0] } }, client);
+      return result.rows[0];
+    });
+    if (!job) {
       return res.status(404).json({ success: false, message: 'Job not found' });
     }
-    res.json({ success: true, job: result.rows[0] });
+    res.json({ success: true, job });
   } catch (error) {
     console.error('Error updating job status:', error);
     res.status(500).json({ success: false, message: 'Error updating job status' });
@@ -244,8 +264,13 @@ router.delete('/:id', async (req, res) => {
     if (!UUID_RE.test(id)) {
       return res.status(400).json({ success: false, message: 'Invalid job id' });
     }
-    const result = await pool.query('DELETE FROM jobs WHERE id = $1 RETURNING id', [id]);
-    if (result.rows.length === 0) {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query('DELETE FROM jobs WHERE id = $1 RETURNING *', [id]);
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'job.delete', targetType: 'job', targetId: id, before: result.rows[0], after: null }, client);
+      return result.rows[0];
+    });
+    if (!deleted) {
       return res.status(404).json({ success: false, message: 'Job not found' });
     }
     res.json({ success: true, message: 'Job deleted' });
@@ -4,9 +4,35 @@ import { protect, authorize } from '../middleware/auth.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { supabase } from '../config/supabase.js';
 import { BUCKET_NAME, createSignedUrl, signImageUrl } from '../utils/supabaseStorage.js';
+import { EMPLOYMENT_AWAITING_ADMIN_SQL, getConflictingClaim, clearClaim } from '../services/verificationQueueService.js';
+import { awaitingReview, useDocumentGrant } from '../services/consentService.js';
+import {
+  APPEAL_OUTCOMES,
+  recordTable,
+  addVerificationComment,
+  mapAppeal,
+} from '../services/appealService.js';
+import { mapInstitution } from '../services/institutionService.js';
+import { withTransaction } from '../utils/transaction.js';
+import { CERTIFICATION_STATUSES, mapCertification } from '../services/certificationService.js';
+import {
+  recordAudit,
+  auditSnapshot,
+  listAuditLog,
+  exportAuditLog,
+  auditLogToCsv,
+} from '../services/auditLogService.js';
 
 const router = express.Router();
 
+// Refuse to decide an item another admin has claimed from /api/verifications/pending.
+async function ensureNotClaimedByOther(type, id, adminId) {
+  const claim = await getConflictingClaim(type, id, adminId);
+  if (claim) {
+    throw new AppError(`This item is currently claimed by ${claim.claimed_by_name || 'another admin'}`, 409);
+  }
+}
+
 // Protect all admin routes
 router.use(protect);
 router.use(authorize('admin'));
@@ -230,13 +256,13 @@ router.get('/employments', async (req, res, next) => {
     const statsQuery = `
       SELECT 
         COUNT(*) as total,
-        COUNT(CASE WHEN verification_status = 'pending' OR verification_status IS NULL THEN 1 END) as pending,
+        COUNT(CASE WHEN ${EMPLOYMENT_AWAITING_ADMIN_SQL} THEN 1 END) as pending,
         COUNT(CASE WHEN verification_status = 'pending' AND verification_type = 'manual' THEN 1 END) as pending_manual,
         COUNT(CASE WHEN verification_status = 'verified' THEN 1 END) as verified,
         COUNT(CASE WHEN verification_status = 'verified' AND verification_type = 'manual' THEN 1 END) as verified_manual,
         COUNT(CASE WHEN verification_status = 'rejected' THEN 1 END) as rejected,
         COUNT(CASE WHEN verification_status = 'rejected' AND verification_type = 'manual' THEN 1 END) as rejected_manual
-      FROM employment_history
+      FROM employment_history eh
     `;
 
     const statsResult = await pool.query(statsQuery);
@@ -257,7 +283,7 @@ router.get('/employments', async (req, res, next) => {
 
     if (status && status !== 'all') {
       if (status === 'pending') {
-        whereConditions.push(`(eh.verification_status = 'pending' OR eh.verification_status IS NULL)`);
+        whereConditions.push(EMPLOYMENT_AWAITING_ADMIN_SQL);
       } else {
         whereConditions.push(`eh.verification_status = $${paramIndex}`);
         queryParams.push(status);
@@ -299,6 +325,7 @@ router.get('/employments', async (req, res, next) => {
         eh.is_current,
         eh.verification_status,
         eh.verification_type,
+        eh.document_check,
         eh.created_at,
         cand.id as candidate_id,
         u.name as candidate_name,
@@ -397,6 +424,7 @@ router.get('/employments', async (req, res, next) => {
           isCurrent: row.is_current,
           verificationStatus: row.verification_status || 'pending',
           verificationType: row.verification_type || 'auto',
+          documentCheck: row.document_check || null,
           createdAt: row.created_at,
           documentUrl,
           avatarUrl,
@@ -416,14 +444,17 @@ router.get('/employments', async (req, res, next) => {
 });
 
 // @route   GET /api/admin/employments/:id/document
-// @desc    Get employment verification document with signed URL
+// @desc    Get employment verification document with signed URL.
+//          While the record awaits review the candidate has submitted it to us,
+//          so no separate consent is needed. Once decided, access requires an
+//          active consent grant from the candidate (see /api/consent).
 // @access  Admin only
 router.get('/employments/:id/document', async (req, res, next) => {
   try {
     const { id } = req.params;
 
     const result = await pool.query(
-      'SELECT document_url FROM employment_history WHERE id = $1',
+      'SELECT document_url, candidate_id, verification_status FROM employment_history WHERE id = $1',
       [id]
     );
 
@@ -431,6 +462,11 @@ router.get('/employments/:id/document', async (req, res, next) => {
       return next(new AppError('Document not found', 404));
     }
 
+    const { candidate_id: candidateId, verification_status: status } = result.rows[0];
+    if (!awaitingReview(status) && !(await useDocumentGrant(req, { candidateId, recordType: 'employment', recordId: id }))) {
+      return next(new AppError('Candidate consent is required to view this document', 403));
+    }
+
     const documentUrl = result.rows[0].document_url;
     const urlParts = documentUrl.split('/VeriBoard_bucket/');
     
@@ -462,26 +498,36 @@ router.post('/employments/:id/verify', async (req, res, next) => {
     const { id } = req.params;
     const { notes } = req.body;
 
-    const result = await pool.query(
-      `UPDATE employment_history 
-       SET verification_status = 'verified', 
-           verified_by = $1,
-           verified_at = NOW(),
-           notes = $2,
-           updated_at = NOW()
-       WHERE id = $3
-       RETURNING *`,
-      [req.user.id, notes, id]
-    );
+    await ensureNotClaimedByOther('employment', id, req.user.id);
+
+    const employment = await withTransaction(async (client) => {
+      const before = await auditSnapshot('employment', id, client);
+      const result = await client.query(
+        `UPDATE employment_history 
+         SET verification_status = 'verified', 
+             verified_by = $1,
+             verified_at = NOW(),
+             notes = $2,
+             updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [req.user.id, notes, id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'employment.verify', targetType: 'employment', targetId: id, before, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
 
-    if (result.rows.length === 0) {
+    if (!employment) {
       return next(new AppError('Employment record not found', 404));
     }
 
+    await clearClaim('employment', id);
+
     res.json({
       success: true,
       message: 'Employment verified successfully',
-      employment: result.rows[0],
+      employment,
     });
   } catch (error) {
     next(error);
@@ -496,26 +542,36 @@ router.post('/employments/:id/reject', async (req, res, next) => {
     const { id } = req.params;
     const { reason } = req.body;
 
-    const result = await pool.query(
-      `UPDATE employment_history 
-       SET verification_status = 'rejected',
-           rejection_reason = $1,
-           verified_by = $2,
-           verified_at = NOW(),
-           updated_at = NOW()
-       WHERE id = $3
-       RETURNING *`,
-      [reason, req.user.id, id]
-    );
+    await ensureNotClaimedByOther('employment', id, req.user.id);
+
+    const employment = await withTransaction(async (client) => {
+      const before = await auditSnapshot('employment', id, client);
+      const result = await client.query(
+        `UPDATE employment_history 
+         SET verification_status = 'rejected',
+             rejection_reason = $1,
+             verified_by = $2,
+             verified_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [reason, req.user.id, id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'employment.reject', targetType: 'employment', targetId: id, before, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
 
-    if (result.rows.length === 0) {
+    if (!employment) {
       return next(new AppError('Employment record not found', 404));
     }
 
+    await clearClaim('employment', id);
+
     res.json({
       success: true,
       message: 'Employment rejected',
-      employment: result.rows[0],
+      employment,
     });
   } catch (error) {
     next(error);
@@ -734,34 +790,53 @@ router.post('/companies/:id/verify', async (req, res, next) => {
     const { id } = req.params;
     const { notes } = req.body;
 
-    // Update companies table, not users table
-    const result = await pool.query(
-      `UPDATE companies 
-       SET verification_status = 'verified', 
-           is_verified = true,
-           updated_at = NOW()
-       WHERE user_id = $1
-       RETURNING id, name`,
-      [id]
-    );
+    const companyLookup = await pool.query('SELECT * FROM companies WHERE user_id = $1', [id]);
+    if (companyLookup.rows[0]) {
+      await ensureNotClaimedByOther('company', companyLookup.rows[0].id, req.user.id);
+    }
 
-    if (result.rows.length === 0) {
+    const company = await withTransaction(async (client) => {
+      // Update companies table, not users table
+      const result = await client.query(
+        `UPDATE companies 
+         SET verification_status = 'verified', 
+             is_verified = true,
+             updated_at = NOW()
+         WHERE user_id = $1
+         RETURNING id, name`,
+        [id]
+      );
+      if (result.rows.length === 0) return null;
+
+      // Also update user's is_verified flag
+      await client.query(
+        `UPDATE users 
+         SET is_verified = true,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [id]
+      );
+
+      await recordAudit(req, {
+        action: 'company.verify',
+        targetType: 'company',
+        targetId: result.rows[0].id,
+        before: companyLookup.rows[0],
+        after: await auditSnapshot('company', result.rows[0].id, client),
+      }, client);
+      return result.rows[0];
+    });
+
+    if (!company) {
       return next(new AppError('Company not found', 404));
     }
 
-    // Also update user's is_verified flag
-    await pool.query(
-      `UPDATE users 
-       SET is_verified = true,
-           updated_at = NOW()
-       WHERE id = $1`,
-      [id]
-    );
+    await clearClaim('company', company.id);
 
     res.json({
       success: true,
       message: 'Company verified successfully',
-      company: result.rows[0],
+      company,
     });
   } catch (error) {
     next(error);
@@ -776,25 +851,44 @@ router.post('/companies/:id/reject', async (req, res, next) => {
     const { id } = req.params;
     const { reason } = req.body;
 
-    // Update companies table, not users table
-    const result = await pool.query(
-      `UPDATE companies 
-       SET verification_status = 'rejected',
-           rejection_reason = $2,
-           updated_at = NOW()
-       WHERE user_id = $1
-       RETURNING id, name`,
-      [id, reason]
-    );
+    const companyLookup = await pool.query('SELECT * FROM companies WHERE user_id = $1', [id]);
+    if (companyLookup.rows[0]) {
+      await ensureNotClaimedByOther('company', companyLookup.rows[0].id, req.user.id);
+    }
 
-    if (result.rows.length === 0) {
+    const company = await withTransaction(async (client) => {
+      // Update companies table, not users table
+      const result = await client.query(
+        `UPDATE companies 
+         SET verification_status = 'rejected',
+             rejection_reason = $2,
+             updated_at = NOW()
+         WHERE user_id = $1
+         RETURNING id, name`,
+        [id, reason]
+      );
+      if (result.rows.length === 0) return null;
+
+      await recordAudit(req, {
+        action: 'company.reject',
+        targetType: 'company',
+        targetId: result.rows[0].id,
+        before: companyLookup.rows[0],
+        after: await auditSnapshot('company', result.rows[0].id, client),
+      }, client);
+      return result.rows[0];
+    });
+
+    if (!company) {
       return next(new AppError('Company not found', 404));
     }
 
+    await clearClaim('company', company.id);
+
     res.json({
       success: true,
       message: 'Company rejected',
-      company: result.rows[0],
+      company,
     });
   } catch (error) {
     next(error);
@@ -814,24 +908,30 @@ router.put('/users/:id/status', async (req, res, next) => {
       return next(new AppError('Invalid status', 400));
     }
 
-    const result = await pool.query(
-      `UPDATE users 
-       SET verification_status = $1,
-           is_verified = $2,
-           updated_at = NOW()
-       WHERE id = $3
-       RETURNING id, email, name, account_type, verification_status`,
-      [status, status === 'verified', id]
-    );
+    const user = await withTransaction(async (client) => {
+      const before = await auditSnapshot('user', id, client);
+      const result = await client.query(
+        `UPDATE users 
+         SET verification_status = $1,
+             is_verified = $2,
+             updated_at = NOW()
+         WHERE id = $3
+         RETURNING id, email, name, account_type, verification_status`,
+        [status, status === 'verified', id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'user.status', targetType: 'user', targetId: id, before, after: await auditSnapshot('user', id, client) }, client);
+      return result.rows[0];
+    });
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return next(new AppError('User not found', 404));
     }
 
     res.json({
       success: true,
       message: 'User status updated successfully',
-      user: result.rows[0],
+      user,
     });
   } catch (error) {
     next(error);
@@ -862,26 +962,39 @@ router.put('/employments/:id', async (req, res, next) => {
     const previousRecord = currentRecord.rows[0];
     const candidateUserId = previousRecord.candidate_user_id;
 
-    const result = await pool.query(
-      `UPDATE employment_history 
-       SET position = $1,
-           company_name = $2,
-           start_date = $3,
-           end_date = $4,
-           verification_status = $5,
-           updated_at = NOW()
-       WHERE id = $6
-       RETURNING *`,
-      [position, companyName, startDate, endDate, verificationStatus, id]
-    );
+    await ensureNotClaimedByOther('employment', id, req.user.id);
+
+    const employment = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE employment_history 
+         SET position = $1,
+             company_name = $2,
+             start_date = $3,
+             end_date = $4,
+             verification_status = $5,
+             verified_by = CASE WHEN $5 IN ('verified', 'rejected') THEN $7 ELSE verified_by END,
+             verified_at = CASE WHEN $5 IN ('verified', 'rejected') THEN NOW() ELSE verified_at END,
+             updated_at = NOW()
+         WHERE id = $6
+         RETURNING *`,
+        [position, companyName, startDate, endDate, verificationStatus, id, req.user.id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'employment.update', targetType: 'employment', targetId: id, before: previousRecord, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
 
-    if (result.rows.length === 0) {
+    if (!employment) {
       return next(new AppError('Employment record not found', 404));
     }
 
     // Create notification if status changed
     const statusChanged = previousRecord.verification_status !== verificationStatus;
 
+    if (statusChanged && verificationStatus !== 'pending') {
+      await clearClaim('employment', id);
+    }
+
     if (candidateUserId && statusChanged) {
       let notificationTitle = '';
       let notificationMessage = '';
@@ -913,7 +1026,7 @@ router.put('/employments/:id', async (req, res, next) => {
     res.json({
       success: true,
       message: 'Employment verification updated successfully',
-      employment: result.rows[0],
+      employment,
     });
   } catch (error) {
     next(error);
@@ -943,26 +1056,37 @@ router.put('/companies/:id', async (req, res, next) => {
     const previousRecord = currentRecord.rows[0];
     const companyUserId = previousRecord.user_id;
 
-    const result = await pool.query(
-      `UPDATE companies 
-       SET name = $1,
-           industry = $2,
-           location = $3,
-           verification_status = $4,
-           is_verified = $5,
-           updated_at = NOW()
-       WHERE id = $6
-       RETURNING *`,
-      [name, industry, location, verificationStatus, verificationStatus === 'verified', id]
-    );
+    await ensureNotClaimedByOther('company', id, req.user.id);
+
+    const company = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE companies 
+         SET name = $1,
+             industry = $2,
+             location = $3,
+             verification_status = $4,
+             is_verified = $5,
+             updated_at = NOW()
+         WHERE id = $6
+         RETURNING *`,
+        [name, industry, location, verificationStatus, verificationStatus === 'verified', id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'company.update', targetType: 'company', targetId: id, before: previousRecord, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
 
-    if (result.rows.length === 0) {
+    if (!company) {
       return next(new AppError('Company not found', 404));
     }
 
     // Create notification if status changed
     const statusChanged = previousRecord.verification_status !== verificationStatus;
 
+    if (statusChanged && verificationStatus !== 'pending') {
+      await clearClaim('company', id);
+    }
+
     if (companyUserId && statusChanged) {
       const statusLabels = {
         'verified': 'Verified',
@@ -988,7 +1112,7 @@ router.put('/companies/:id', async (req, res, next) => {
     res.json({
       success: true,
       message: 'Company verification updated successfully',
-      company: result.rows[0],
+      company,
     });
   } catch (error) {
     next(error);
@@ -1146,13 +1270,22 @@ router.post('/verifications/:type/:id/comments', async (req, res, next) => {
     const user = userResult.rows[0];
 
     // Insert comment
-    const result = await pool.query(
-      `INSERT INTO verification_comments 
-       (verification_type, verification_id, user_id, user_name, user_role, comment_text, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
-       RETURNING *`,
-      [type, id, user.id, user.name || 'Admin', user.account_type, comment.trim()]
-    );
+    const inserted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO verification_comments 
+         (verification_type, verification_id, user_id, user_name, user_role, comment_text, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING *`,
+        [type, id, user.id, user.name || 'Admin', user.account_type, comment.trim()]
+      );
+      await recordAudit(req, {
+        action: `${type}.comment`,
+        targetType: type,
+        targetId: id,
+        metadata: { commentId: result.rows[0].id, comment: comment.trim() },
+      }, client);
+      return result.rows[0];
+    });
 
     // Get candidate user ID based on verification type
     let candidateUserId = null;
@@ -1197,7 +1330,7 @@ router.post('/verifications/:type/:id/comments', async (req, res, next) => {
 
     res.json({
       success: true,
-      comment: result.rows[0]
+      comment: inserted
     });
   } catch (error) {
     next(error);
@@ -1235,6 +1368,387 @@ router.get('/verifications/:type/:id/comments', async (req, res, next) => {
   }
 });
 
+// ============= AUDIT LOG =============
+
+// Shared filters for the audit log list and export; returns an error message or the filters.
+function auditFilters(query) {
+  const { actorId, action, targetType, targetId, from, to } = query;
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return { error: `${name} must be a valid date` };
+    }
+  }
+  return {
+    filters: {
+      actorId: actorId || null,
+      action: action || null,
+      targetType: targetType || null,
+      targetId: targetId || null,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+    },
+  };
+}
+
+// @route   GET /api/admin/audit-log
+// @desc    Query the audit log. Filters: actorId, action, targetType, targetId, from, to
+// @access  Admin only
+router.get('/audit-log', async (req, res, next) => {
+  try {
+    const { error, filters } = auditFilters(req.query);
+    if (error) return next(new AppError(error, 400));
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const { entries, total } = await listAuditLog(filters, { page, limit });
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/audit-log/export
+// @desc    Download the filtered audit log as CSV (oldest first)
+// @access  Admin only
+router.get('/audit-log/export', async (req, res, next) => {
+  try {
+    const { error, filters } = auditFilters(req.query);
+    if (error) return next(new AppError(error, 400));
+
+    const rows = await exportAuditLog(filters);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.send(auditLogToCsv(rows));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============= REJECTION APPEALS =============
+
+// @route   GET /api/admin/institutions
+// @desc    List institution accounts, optionally by verification status
+// @access  Admin only
+router.get('/institutions', async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const params = [];
+    let where = '';
+    if (status && status !== 'all') {
+      params.push(status);
+      where = 'WHERE i.verification_status = $1';
+    }
+
+    const result = await pool.query(
+      `SELECT i.*, u.email
+       FROM institutions i
+       JOIN users u ON i.user_id = u.id
+       ${where}
+       ORDER BY (i.verification_status = 'pending') DESC, i.updated_at DESC`,
+      params
+    );
+
+    const institutions = await Promise.all(result.rows.map(async (row) => {
+      let documentUrl = row.verification_document_url;
+      if (documentUrl) {
+        const urlParts = documentUrl.split('/VeriBoard_bucket/');
+        const { data } = await createSignedUrl(BUCKET_NAME, urlParts.length >= 2 ? urlParts[1] : documentUrl, 3600);
+        documentUrl = data?.signedUrl || documentUrl;
+      }
+      return { ...mapInstitution(row), email: row.email, documentUrl };
+    }));
+
+    res.json({ success: true, institutions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/institutions/:id/verify
+// @desc    Verify an institution so it can verify education records
+// @access  Admin only
+router.post('/institutions/:id/verify', async (req, res, next) => {
+  try {
+    const institution = await withTransaction(async (client) => {
+      const before = await auditSnapshot('institution', req.params.id, client);
+      const result = await client.query(
+        `UPDATE institutions
+         SET verification_status = 'verified', rejection_reason = NULL,
+             verified_by = $2, verified_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id, req.user.id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'institution.verify', targetType: 'institution', targetId: result.rows[0].id, before, after: result.rows[0] }, client);
+      await client.query('UPDATE users SET is_verified = true, updated_at = NOW() WHERE id = $1', [result.rows[0].user_id]);
+      return result.rows[0];
+    });
+    if (!institution) {
+      return next(new AppError('Institution not found', 404));
+    }
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [
+        institution.user_id,
+        'verification_update',
+        'Institution Verified',
+        `${institution.name} is verified and can now verify education records.`,
+        '/institution/verification-requests',
+      ]
+    );
+
+    res.json({ success: true, message: 'Institution verified successfully', institution: mapInstitution(institution) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/institutions/:id/reject
+// @desc    Reject an institution's verification
+// @access  Admin only
+router.post('/institutions/:id/reject', async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const institution = await withTransaction(async (client) => {
+      const before = await auditSnapshot('institution', req.params.id, client);
+      const result = await client.query(
+        `UPDATE institutions
+         SET verification_status = 'rejected', rejection_reason = $2, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id, reason || null]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'institution.reject', targetType: 'institution', targetId: result.rows[0].id, before, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
+    if (!institution) {
+      return next(new AppError('Institution not found', 404));
+    }
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [
+        institution.user_id,
+        'verification_update',
+        'Institution Verification Rejected',
+        reason ? `Your institution verification was rejected: ${reason}` : 'Your institution verification was rejected.',
+        '/institution/profile',
+      ]
+    );
+
+    res.json({ success: true, message: 'Institution rejected', institution: mapInstitution(institution) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/appeals
+// @desc    List appeals. scope=mine (default) shows appeals assigned to you or unassigned
+//          ones you are allowed to decide; scope=all shows every appeal
+// @access  Admin only
+router.get('/appeals', async (req, res, next) => {
+  try {
+    const { status = 'pending', scope = 'mine' } = req.query;
+
+    const conditions = [];
+    const params = [];
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`a.status = $${params.length}`);
+    }
+    if (scope !== 'all') {
+      params.push(req.user.id);
+      conditions.push(`(a.assigned_admin_id = $${params.length}
+        OR (a.assigned_admin_id IS NULL AND a.original_decider_id IS DISTINCT FROM $${params.length}))`);
+    }
+
+    const result = await pool.query(
+      `SELECT a.*, au.name AS assigned_admin_name, ca.full_name AS candidate_name
+       FROM verification_appeals a
+       LEFT JOIN users au ON a.assigned_admin_id = au.id
+       LEFT JOIN candidates ca ON a.candidate_id = ca.id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.created_at ASC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      appeals: result.rows.map((row) => ({ ...mapAppeal(row), candidateName: row.candidate_name })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/appeals/:id
+// @desc    Appeal details with signed evidence URLs
+// @access  Admin only
+router.get('/appeals/:id', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT a.*, au.name AS assigned_admin_name, ca.full_name AS candidate_name
+       FROM verification_appeals a
+       LEFT JOIN users au ON a.assigned_admin_id = au.id
+       LEFT JOIN candidates ca ON a.candidate_id = ca.id
+       WHERE a.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('Appeal not found', 404));
+    }
+    const appeal = result.rows[0];
+
+    const evidence = await Promise.all((appeal.evidence_paths || []).map(async (filePath) => {
+      const { data, error } = await supabase.storage
+        .from(BUCKET_NAME)
+        .createSignedUrl(filePath, 3600);
+      return { path: filePath, signedUrl: error ? null : data?.signedUrl };
+    }));
+
+    res.json({
+      success: true,
+      appeal: { ...mapAppeal(appeal), candidateName: appeal.candidate_name, evidence },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/appeals/:id/decide
+// @desc    Uphold or overturn the original rejection. The original decider can never decide
+// @access  Admin only
+router.post('/appeals/:id/decide', async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const { outcome, notes } = req.body;
+
+    if (!APPEAL_OUTCOMES.includes(outcome)) {
+      return next(new AppError('outcome must be upheld or overturned', 400));
+    }
+    if (typeof notes !== 'string' || !notes.trim()) {
+      return next(new AppError('Decision notes are required', 400));
+    }
+
+    await client.query('BEGIN');
+
+    const appealResult = await client.query(
+      'SELECT * FROM verification_appeals WHERE id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+    if (appealResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return next(new AppError('Appeal not found', 404));
+    }
+    const appeal = appealResult.rows[0];
+
+    if (appeal.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return next(new AppError(`Appeal has already been ${appeal.status}`, 400));
+    }
+    if (appeal.original_decider_id && appeal.original_decider_id === req.user.id) {
+      await client.query('ROLLBACK');
+      return next(new AppError('You made the original decision; another admin must review this appeal', 403));
+    }
+    if (appeal.assigned_admin_id && appeal.assigned_admin_id !== req.user.id) {
+      await client.query('ROLLBACK');
+      return next(new AppError('This appeal is assigned to another admin', 403));
+    }
+
+    const table = recordTable(appeal.verification_type);
+    if (outcome === 'overturned') {
+      // Only a record that is still rejected can be overturned; another admin
+      // may have re-reviewed it since the appeal was filed.
+      const overturned = await client.query(
+        `UPDATE ${table}
+         SET verification_status = 'verified',
+             rejection_reason = NULL,
+             verified_by = $1,
+             verified_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $2 AND verification_status = 'rejected'`,
+        [req.user.id, appeal.verification_id]
+      );
+      if (overturned.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return next(new AppError('The record is no longer rejected; it has been re-reviewed since the appeal was filed', 409));
+      }
+    }
+
+    const updated = await client.query(
+      `UPDATE verification_appeals
+       SET status = $1, outcome_notes = $2, decided_by = $3, decided_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [outcome, notes.trim(), req.user.id, appeal.id]
+    );
+
+    await recordAudit(req, {
+      action: `appeal.${outcome}`,
+      targetType: 'appeal',
+      targetId: appeal.id,
+      before: appeal,
+      after: updated.rows[0],
+      metadata: { verificationType: appeal.verification_type, verificationId: appeal.verification_id },
+    }, client);
+
+    await addVerificationComment({
+      type: appeal.verification_type,
+      id: appeal.verification_id,
+      userId: req.user.id,
+      userName: req.user.name || 'Admin',
+      userRole: 'admin',
+      text: outcome === 'overturned'
+        ? `Appeal accepted: the rejection has been overturned and the record is now verified.\n${notes.trim()}`
+        : `Appeal reviewed: the original rejection stands.\n${notes.trim()}`,
+    }, client);
+
+    const candidateResult = await client.query('SELECT user_id FROM candidates WHERE id = $1', [appeal.candidate_id]);
+    if (candidateResult.rows[0]?.user_id) {
+      await client.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          candidateResult.rows[0].user_id,
+          'verification_update',
+          outcome === 'overturned' ? 'Appeal Successful' : 'Appeal Decided',
+          outcome === 'overturned'
+            ? `Your appeal was accepted and your ${appeal.verification_type} record is now verified.`
+            : `Your appeal was reviewed and the original decision on your ${appeal.verification_type} record stands.`,
+          appeal.verification_type === 'education' ? '/education-verifications' : '/verifications',
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    await clearClaim(appeal.verification_type, appeal.verification_id);
+
+    res.json({ success: true, appeal: mapAppeal(updated.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
 // ============= EDUCATION VERIFICATION ROUTES =============
 
 // @route   GET /api/admin/educations
@@ -1302,6 +1816,7 @@ router.get('/educations', async (req, res, next) => {
         eh.document_url,
         eh.rejection_reason,
         eh.verified_at,
+        eh.document_check,
         eh.created_at,
         c.id as candidate_id,
         u.id as user_id,
@@ -1321,7 +1836,8 @@ router.get('/educations', async (req, res, next) => {
 
     // Generate signed URLs for documents and avatars
     const educations = await Promise.all(result.rows.map(async (row) => {
-      let documentUrl = row.document_url;
+      // Decided records' documents are fetched one at a time, under consent.
+      let documentUrl = awaitingReview(row.verification_status) ? row.document_url : null;
       let avatarUrl = row.avatar_url;
 
       // Generate signed URL for document
@@ -1375,7 +1891,9 @@ router.get('/educations', async (req, res, next) => {
         verificationType: row.verification_type || 'manual',
         rejectionReason: row.rejection_reason,
         verifiedAt: row.verified_at,
+        documentCheck: row.document_check || null,
         createdAt: row.created_at,
+        hasDocument: Boolean(row.document_url),
         documentUrl,
         avatarUrl,
       };
@@ -1423,10 +1941,10 @@ router.get('/educations/:id', async (req, res, next) => {
       return next(new AppError('Education record not found', 404));
     }
 
-    const education = result.rows[0];
+    const { document_url: storedDocumentUrl, ...education } = result.rows[0];
 
-    // Generate signed URL for document
-    let documentUrl = education.document_url;
+    // Generate signed URL for document; decided records' documents need the candidate's consent
+    let documentUrl = awaitingReview(education.verification_status) ? storedDocumentUrl : null;
     if (documentUrl) {
       try {
         const urlParts = documentUrl.split('/VeriBoard_bucket/');
@@ -1448,6 +1966,7 @@ router.get('/educations/:id', async (req, res, next) => {
       success: true,
       education: {
         ...education,
+        hasDocument: Boolean(storedDocumentUrl),
         documentUrl
       }
     });
@@ -1457,14 +1976,15 @@ router.get('/educations/:id', async (req, res, next) => {
 });
 
 // @route   GET /api/admin/educations/:id/document
-// @desc    Get education verification document with signed URL
+// @desc    Get education verification document with signed URL. As for
+//          employment, a decided record's document needs an active consent grant.
 // @access  Admin only
 router.get('/educations/:id/document', async (req, res, next) => {
   try {
     const { id } = req.params;
 
     const result = await pool.query(
-      'SELECT document_url FROM education_history WHERE id = $1',
+      'SELECT document_url, candidate_id, verification_status FROM education_history WHERE id = $1',
       [id]
     );
 
@@ -1472,6 +1992,11 @@ router.get('/educations/:id/document', async (req, res, next) => {
       return next(new AppError('Document not found', 404));
     }
 
+    const { candidate_id: candidateId, verification_status: status } = result.rows[0];
+    if (!awaitingReview(status) && !(await useDocumentGrant(req, { candidateId, recordType: 'education', recordId: id }))) {
+      return next(new AppError('Candidate consent is required to view this document', 403));
+    }
+
     const documentUrl = result.rows[0].document_url;
     const urlParts = documentUrl.split('/VeriBoard_bucket/');
     
@@ -1520,28 +2045,39 @@ router.put('/educations/:id', async (req, res, next) => {
     const candidateUserId = previousRecord.candidate_user_id;
     const statusChanged = previousRecord.verification_status !== verificationStatus;
 
+    await ensureNotClaimedByOther('education', id, req.user.id);
+
     // Update education record
-    const result = await pool.query(
-      `UPDATE education_history 
-       SET institution_name = $1,
-           degree = $2,
-           field_of_study = $3,
-           start_date = $4,
-           end_date = $5,
-           verification_status = $6,
-           rejection_reason = $7,
-           verified_by = $8,
-           verified_at = CASE WHEN $6 = 'verified' THEN NOW() ELSE verified_at END,
-           updated_at = NOW()
-       WHERE id = $9
-       RETURNING *`,
-      [institutionName, degree, fieldOfStudy, startDate, endDate, verificationStatus, rejectionReason, req.user.id, id]
-    );
+    const education = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE education_history 
+         SET institution_name = $1,
+             degree = $2,
+             field_of_study = $3,
+             start_date = $4,
+             end_date = $5,
+             verification_status = $6,
+             rejection_reason = $7,
+             verified_by = CASE WHEN $6 IN ('verified', 'rejected') THEN $8 ELSE verified_by END,
+             verified_at = CASE WHEN $6 IN ('verified', 'rejected') THEN NOW() ELSE verified_at END,
+             updated_at = NOW()
+         WHERE id = $9
+         RETURNING *`,
+        [institutionName, degree, fieldOfStudy, startDate, endDate, verificationStatus, rejectionReason, req.user.id, id]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, { action: 'education.update', targetType: 'education', targetId: id, before: previousRecord, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
 
-    if (result.rows.length === 0) {
+    if (!education) {
       return next(new AppError('Education record not found', 404));
     }
 
+    if (statusChanged && verificationStatus !== 'pending') {
+      await clearClaim('education', id);
+    }
+
     // Create notification if status changed
     if (candidateUserId && statusChanged) {
       const statusLabels = {
@@ -1569,7 +2105,222 @@ router.put('/educations/:id', async (req, res, next) => {
     res.json({
       success: true,
       message: 'Education verification updated successfully',
-      education: result.rows[0],
+      education,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============= CERTIFICATION VERIFICATION ROUTES =============
+
+async function signedDocumentUrl(documentUrl) {
+  if (!documentUrl) return null;
+  try {
+    const filePath = documentUrl.split('/VeriBoard_bucket/')[1] || documentUrl;
+    const { data, error } = await createSignedUrl(BUCKET_NAME, filePath, 3600);
+    return !error && data?.signedUrl ? data.signedUrl : documentUrl;
+  } catch (err) {
+    console.error('Error generating signed URL for certification document:', err);
+    return documentUrl;
+  }
+}
+
+// @route   GET /api/admin/certifications
+// @desc    Certifications for admin review; filter by status, search, expiry=expiring|expired
+// @access  Admin only
+router.get('/certifications', async (req, res, next) => {
+  try {
+    const { status, search, expiry, page: pageRaw, limit: limitRaw } = req.query;
+    const page = Math.max(1, parseInt(pageRaw, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(limitRaw, 10) || 20));
+
+    const statsResult = await pool.query(`
+      SELECT
+        COUNT(*)::int AS total,
+        COUNT(*) FILTER (WHERE verification_status = 'pending')::int AS pending,
+        COUNT(*) FILTER (WHERE verification_status = 'verified')::int AS verified,
+        COUNT(*) FILTER (WHERE verification_status = 'rejected')::int AS rejected,
+        COUNT(*) FILTER (WHERE expiry_date < CURRENT_DATE)::int AS expired
+      FROM certifications
+    `);
+
+    const where = [];
+    const params = [];
+    if (status && status !== 'all') {
+      if (!CERTIFICATION_STATUSES.includes(status)) {
+        return next(new AppError(`status must be one of: all, ${CERTIFICATION_STATUSES.join(', ')}`, 400));
+      }
+      params.push(status);
+      where.push(`ce.verification_status = $${params.length}`);
+    }
+    if (search && search.trim()) {
+      params.push(`%${search.trim()}%`);
+      where.push(`(u.email ILIKE $${params.length} OR u.name ILIKE $${params.length} OR ce.name ILIKE $${params.length} OR ce.issuer ILIKE $${params.length})`);
+    }
+    if (expiry === 'expired') where.push('ce.expiry_date < CURRENT_DATE');
+    if (expiry === 'expiring') where.push("ce.expiry_date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '60 days'");
+    const whereClause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const from = `
+      FROM certifications ce
+      JOIN candidates c ON ce.candidate_id = c.id
+      JOIN users u ON c.user_id = u.id
+      ${whereClause}
+    `;
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total ${from}`, params);
+    const total = countResult.rows[0]?.total || 0;
+
+    const result = await pool.query(
+      `SELECT ce.*, COALESCE(c.full_name, u.name) AS candidate_name, u.email AS candidate_email
+       ${from}
+       ORDER BY ce.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const certifications = await Promise.all(result.rows.map(async (row) => ({
+      ...mapCertification(row, { includePrivate: true }),
+      candidateId: row.candidate_id,
+      candidateName: row.candidate_name,
+      candidateEmail: row.candidate_email,
+      documentUrl: await signedDocumentUrl(row.document_url),
+    })));
+
+    res.json({
+      success: true,
+      stats: statsResult.rows[0],
+      certifications,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/certifications/:id
+// @desc    Single certification with a signed document URL
+// @access  Admin only
+router.get('/certifications/:id', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ce.*, COALESCE(c.full_name, u.name) AS candidate_name, u.email AS candidate_email
+       FROM certifications ce
+       JOIN candidates c ON ce.candidate_id = c.id
+       JOIN users u ON c.user_id = u.id
+       WHERE ce.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('Certification not found', 404));
+    }
+    const row = result.rows[0];
+
+    res.json({
+      success: true,
+      certification: {
+        ...mapCertification(row, { includePrivate: true }),
+        candidateId: row.candidate_id,
+        candidateName: row.candidate_name,
+        candidateEmail: row.candidate_email,
+        documentUrl: await signedDocumentUrl(row.document_url),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/certifications/:id
+// @desc    Decide a certification (verificationStatus, rejectionReason), optionally correcting
+//          name, issuer, credentialId, issueDate or expiryDate
+// @access  Admin only
+router.put('/certifications/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { verificationStatus, rejectionReason, name, issuer, credentialId, issueDate, expiryDate } = req.body;
+
+    if (!CERTIFICATION_STATUSES.includes(verificationStatus)) {
+      return next(new AppError(`verificationStatus must be one of: ${CERTIFICATION_STATUSES.join(', ')}`, 400));
+    }
+    if (verificationStatus === 'rejected' && !String(rejectionReason || '').trim()) {
+      return next(new AppError('A rejection reason is required', 400));
+    }
+
+    const currentRecord = await pool.query(
+      `SELECT ce.*, c.user_id AS candidate_user_id
+       FROM certifications ce
+       JOIN candidates c ON ce.candidate_id = c.id
+       WHERE ce.id = $1`,
+      [id]
+    );
+    if (currentRecord.rows.length === 0) {
+      return next(new AppError('Certification not found', 404));
+    }
+    const previousRecord = currentRecord.rows[0];
+    const statusChanged = previousRecord.verification_status !== verificationStatus;
+
+    const cert = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE certifications
+         SET name = COALESCE($2, name),
+             issuer = COALESCE($3, issuer),
+             credential_id = COALESCE($4, credential_id),
+             issue_date = COALESCE($5, issue_date),
+             expiry_date = CASE WHEN $6::boolean THEN $7::date ELSE expiry_date END,
+             expiry_notice_days = CASE WHEN $6::boolean AND $7::date IS DISTINCT FROM expiry_date
+                                       THEN NULL ELSE expiry_notice_days END,
+             verification_status = $8,
+             rejection_reason = CASE WHEN $8 = 'rejected' THEN $9 ELSE NULL END,
+             verified_by = $10,
+             verified_at = CASE WHEN $8 = 'verified' THEN NOW() ELSE NULL END,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          id,
+          name || null,
+          issuer || null,
+          credentialId || null,
+          issueDate || null,
+          expiryDate !== undefined,
+          expiryDate || null,
+          verificationStatus,
+          rejectionReason || null,
+          req.user.id,
+        ]
+      );
+      await recordAudit(req, { action: 'certification.update', targetType: 'certification', targetId: id, before: previousRecord, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
+
+    if (statusChanged) {
+      const labels = { verified: 'Verified', rejected: 'Rejected', pending: 'Under Review' };
+      await pool.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          previousRecord.candidate_user_id,
+          'verification_update',
+          `Certification ${labels[verificationStatus]}`,
+          verificationStatus === 'rejected'
+            ? `Your ${cert.name} (${cert.issuer}) was rejected: ${rejectionReason}`
+            : `Your ${cert.name} (${cert.issuer}) has been ${labels[verificationStatus].toLowerCase()}.`,
+          '/certifications',
+        ]
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Certification updated successfully',
+      certification: mapCertification(cert, { includePrivate: true }),
     });
   } catch (error) {
     next(error);
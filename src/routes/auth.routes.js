@@ -7,6 +7,7 @@ import pool from '../config/database.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { protect } from '../middleware/auth.js';
 import { sendOtpEmail } from '../utils/mailer.js';
+import { createInstitutionProfile } from '../services/institutionService.js';
 import passport from '../config/passport.js';
 
 // Temporary in-memory store for OAuth authorization codes
@@ -339,6 +340,8 @@ router.post('/otp/verify', async (req, res, next) => {
       } else if (accountType === 'company') {
         const slug = (name || email.split('@')[0]).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
         await pool.query(`INSERT INTO companies (user_id, slug, created_at) VALUES ($1, $2, NOW())`, [user.id, slug]);
+      } else if (accountType === 'institution') {
+        await createInstitutionProfile(user.id, name || email.split('@')[0]);
       }
     } else {
       // login flow: require existing user
@@ -381,7 +384,7 @@ router.post(
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Valid email is required'),
     body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
-    body('accountType').isIn(['candidate', 'company']).withMessage('Invalid account type'),
+    body('accountType').isIn(['candidate', 'company', 'institution']).withMessage('Invalid account type'),
   ],
   async (req, res, next) => {
     try {
@@ -390,7 +393,7 @@ router.post(
         return res.status(400).json({ success: false, errors: errors.array() });
       }
 
-      const { name, email, password, accountType, companyName, recaptchaToken } = req.body;
+      const { name, email, password, accountType, companyName, institutionName, recaptchaToken } = req.body;
 
       // Verify reCAPTCHA token if configured
       if (process.env.RECAPTCHA_SECRET) {
@@ -450,7 +453,7 @@ router.post(
       }
 
       // Return success with OTP requirement; keep registration data server-side
-      storePendingRegistration(email, { name, hashedPassword, accountType, companyName });
+      storePendingRegistration(email, { name, hashedPassword, accountType, companyName, institutionName });
 
       res.status(201).json({
         success: true,
@@ -461,6 +464,7 @@ router.post(
           name,
           accountType,
           companyName,
+          institutionName,
         },
       });
     } catch (error) {
@@ -508,7 +512,7 @@ router.post('/verify-email', async (req, res, next) => {
     }
 
     // Now create the user account
-    const { name, hashedPassword, accountType, companyName } = effectiveRegData;
+    const { name, hashedPassword, accountType, companyName, institutionName } = effectiveRegData;
     
     // Create user - insert name into users table along with other data
     const pwColCreate = await detectPasswordColumn() || 'password_hash';
@@ -534,6 +538,11 @@ router.post('/verify-email', async (req, res, next) => {
       );
     }
 
+    // If institution account, create institution profile (verified later by an admin)
+    if (accountType === 'institution') {
+      await createInstitutionProfile(user.id, institutionName || name);
+    }
+
     // Generate token
     const token = generateToken(user.id);
 
@@ -1110,7 +1119,7 @@ router.post('/google/exchange',
 router.post('/google/complete-registration',
   [
     body('code').notEmpty().withMessage('Profile code is required'),
-    body('accountType').isIn(['candidate', 'company']).withMessage('Account type must be candidate or company'),
+    body('accountType').isIn(['candidate', 'company', 'institution']).withMessage('Account type must be candidate, company or institution'),
     body('name').optional().trim()
   ],
   async (req, res, next) => {
@@ -1184,6 +1193,8 @@ router.post('/google/complete-registration',
           'INSERT INTO companies (user_id, name, slug, logo_url, created_at) VALUES ($1, $2, $3, $4, NOW())',
           [newUser.id, userName, companySlug, profileData.profilePicture]
         );
+      } else if (accountType === 'institution') {
+        await createInstitutionProfile(newUser.id, userName);
       }
 
       // Delete the profile code after successful registration
@@ -1349,7 +1360,7 @@ router.get('/linkedin/callback', async (req, res) => {
 router.post('/linkedin/complete-registration',
   [
     body('code').notEmpty().withMessage('Profile code is required'),
-    body('accountType').isIn(['candidate', 'company']).withMessage('Account type must be candidate or company'),
+    body('accountType').isIn(['candidate', 'company', 'institution']).withMessage('Account type must be candidate, company or institution'),
     body('name').optional().trim()
   ],
   async (req, res, next) => {
@@ -1415,6 +1426,8 @@ router.post('/linkedin/complete-registration',
           'INSERT INTO companies (user_id, name, slug, logo_url, created_at) VALUES ($1, $2, $3, $4, NOW())',
           [newUser.id, userName, companySlug, profileData.profilePicture]
         );
+      } else if (accountType === 'institution') {
+        await createInstitutionProfile(newUser.id, userName);
       }
 
       deleteLinkedinProfile(code);
@@ -0,0 +1,234 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getJobAccess } from '../utils/jobAccess.js';
+import { defaultProvider, getProvider } from '../services/backgroundCheckProviders/index.js';
+import {
+  CONSENT_DISCLOSURE,
+  CONSENT_VERSION,
+  CHECK_SELECT,
+  getCheck,
+  mapBackgroundCheck,
+  requestBackgroundCheck,
+  recordConsent,
+  applyProviderUpdate,
+  reportForCheck,
+  cancelBackgroundCheck,
+} from '../services/backgroundCheckService.js';
+
+const router = express.Router();
+
+// POST /api/background-checks/webhooks/:provider - vendor status updates (PUBLIC, signed)
+// Mounted with a raw body parser in index.js so the signature covers the exact bytes.
+router.post('/webhooks/:provider', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return res.status(404).json({ status: 'unknown_provider' });
+
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+    if (!provider.verifyWebhook(rawBody, req.headers)) {
+      console.error(`[BackgroundCheck] invalid ${provider.key} webhook signature`);
+      return res.status(400).json({ status: 'invalid_signature' });
+    }
+
+    const update = provider.parseWebhook(rawBody);
+    const { applied } = await applyProviderUpdate(provider.key, update);
+    res.json({ status: 'ok', applied });
+  } catch (err) {
+    console.error('[BackgroundCheck] webhook error:', err.message);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
+router.use(protect);
+
+// Who may see a check: the candidate it is about, or anyone with access to the job.
+// Acting on it (ordering, cancelling, reading the report) needs manage_applicants.
+async function loadCheckFor(req, { manage = false } = {}) {
+  const check = await getCheck(req.params.id);
+  if (!check) throw new AppError('Background check not found', 404);
+  if (check.candidate_user_id === req.user.id) return { check, isCandidate: true };
+
+  const access = await getJobAccess(req.user.id, check.job_id);
+  if (!access.allowed || (manage && !access.perms.manage_applicants)) {
+    throw new AppError('Background check not found', 404);
+  }
+  return { check, isCandidate: false, access };
+}
+
+// GET /api/background-checks/packages - packages offered by the configured provider
+router.get('/packages', authorize('company'), (req, res) => {
+  const provider = defaultProvider();
+  res.json({ success: true, provider: { key: provider.key, name: provider.name }, packages: provider.packages });
+});
+
+// GET /api/background-checks/settings - the company's automatic ordering setting
+router.get('/settings', authorize('company'), async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT background_check_package FROM companies WHERE user_id = $1', [req.user.id]);
+    if (result.rows.length === 0) return next(new AppError('Company profile not found', 404));
+    res.json({ success: true, settings: { autoOrderPackage: result.rows[0].background_check_package } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/background-checks/settings - order this package whenever an applicant is offered
+// Body: { autoOrderPackage: packageId | null }
+router.put('/settings', authorize('company'), async (req, res, next) => {
+  try {
+    const { autoOrderPackage } = req.body;
+    const packages = defaultProvider().packages.map((p) => p.id);
+    if (autoOrderPackage !== null && !packages.includes(autoOrderPackage)) {
+      return next(new AppError(`autoOrderPackage must be null or one of: ${packages.join(', ')}`, 400));
+    }
+    if (autoOrderPackage && req.user.plan_tier !== 'enterprise') {
+      return next(new AppError('Background checks are available on the Enterprise plan', 403));
+    }
+
+    const result = await pool.query(
+      `UPDATE companies SET background_check_package = $2, updated_at = NOW()
+       WHERE user_id = $1
+       RETURNING background_check_package`,
+      [req.user.id, autoOrderPackage]
+    );
+    if (result.rows.length === 0) return next(new AppError('Company profile not found', 404));
+    res.json({ success: true, settings: { autoOrderPackage: result.rows[0].background_check_package } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/background-checks - order a check for an offered applicant
+// Body: { applicationId, packageId }. The candidate is asked to consent before anything is sent.
+router.post('/', async (req, res, next) => {
+  try {
+    const { applicationId, packageId } = req.body;
+    if (!applicationId || !packageId) return next(new AppError('applicationId and packageId are required', 400));
+
+    const app = await pool.query('SELECT job_id FROM job_applications WHERE id = $1', [applicationId]);
+    if (app.rows.length === 0) return next(new AppError('Application not found', 404));
+    const access = await getJobAccess(req.user.id, app.rows[0].job_id);
+    if (!access.allowed || !access.perms.manage_applicants) {
+      return next(new AppError('You do not have permission to manage applicants for this job', 403));
+    }
+
+    const check = await requestBackgroundCheck({ applicationId, packageId, orderedBy: req.user.id, req });
+    res.status(201).json({ success: true, backgroundCheck: mapBackgroundCheck(check) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/background-checks/mine - checks about the current candidate
+router.get('/mine', authorize('candidate'), async (req, res, next) => {
+  try {
+    const result = await pool.query(`${CHECK_SELECT} WHERE ca.user_id = $1 ORDER BY bc.created_at DESC`, [req.user.id]);
+    res.json({ success: true, backgroundChecks: result.rows.map((row) => mapBackgroundCheck(row, { includeConsent: true })) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/background-checks/application/:applicationId - checks for one application (job access)
+router.get('/application/:applicationId', async (req, res, next) => {
+  try {
+    const app = await pool.query('SELECT job_id FROM job_applications WHERE id = $1', [req.params.applicationId]);
+    if (app.rows.length === 0) return next(new AppError('Application not found', 404));
+    const access = await getJobAccess(req.user.id, app.rows[0].job_id);
+    if (!access.allowed) return next(new AppError('Not authorized for this application', 403));
+
+    const result = await pool.query(
+      `${CHECK_SELECT} WHERE bc.application_id = $1 ORDER BY bc.created_at DESC`,
+      [req.params.applicationId]
+    );
+    res.json({ success: true, backgroundChecks: result.rows.map((row) => mapBackgroundCheck(row, { includeConsent: true })) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/background-checks/:id - one check; candidates awaiting consent also get the disclosure
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { check, isCandidate } = await loadCheckFor(req);
+    res.json({
+      success: true,
+      backgroundCheck: mapBackgroundCheck(check, { includeConsent: true }),
+      ...(isCandidate && check.status === 'awaiting_consent' && {
+        disclosure: { version: CONSENT_VERSION, text: CONSENT_DISCLOSURE, packageChecks: getProvider(check.provider)?.packages.find((p) => p.id === check.package_id)?.checks || [] },
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/background-checks/:id/consent - sign or decline the authorization (candidate)
+// Body: { consent: true, signature: 'Full Name' } or { consent: false }
+router.post('/:id/consent', authorize('candidate'), async (req, res, next) => {
+  try {
+    const { check, isCandidate } = await loadCheckFor(req);
+    if (!isCandidate) return next(new AppError('Background check not found', 404));
+    if (typeof req.body.consent !== 'boolean') return next(new AppError('consent must be true or false', 400));
+
+    const updated = await recordConsent({
+      check,
+      consent: req.body.consent,
+      signature: req.body.signature,
+      candidateEmail: req.user.email,
+      req,
+    });
+    res.json({ success: true, backgroundCheck: mapBackgroundCheck({ ...check, ...updated }, { includeConsent: true }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/background-checks/:id/cancel - cancel an open check (manage_applicants)
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const { check, isCandidate } = await loadCheckFor(req, { manage: true });
+    if (isCandidate) return next(new AppError('Decline the authorization instead', 400));
+    const updated = await cancelBackgroundCheck({ check, req, reason: req.body.reason });
+    if (!updated) return next(new AppError('Only open background checks can be cancelled', 409));
+    res.json({ success: true, backgroundCheck: mapBackgroundCheck({ ...check, ...updated }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/background-checks/:id/report - the completed report (manage_applicants, or the candidate)
+router.get('/:id/report', async (req, res, next) => {
+  try {
+    const { check } = await loadCheckFor(req, { manage: true });
+    const report = await reportForCheck(check);
+    res.json({ success: true, backgroundCheck: mapBackgroundCheck(check), report });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/background-checks/:id/simulate - play the vendor's side with the mock provider
+// Body: { status: 'in_progress'|'completed'|'failed', result?: 'clear'|'consider' }. Not available in production.
+router.post('/:id/simulate', async (req, res, next) => {
+  try {
+    if (process.env.NODE_ENV === 'production') return next(new AppError('Not found', 404));
+    const { check, isCandidate } = await loadCheckFor(req, { manage: true });
+    if (isCandidate) return next(new AppError('Background check not found', 404));
+    const provider = getProvider(check.provider);
+    if (!provider?.simulate || !check.external_id) {
+      return next(new AppError('Only ordered checks with the mock provider can be simulated', 400));
+    }
+
+    const webhook = provider.simulate(check.external_id, { status: req.body.status, result: req.body.result });
+    const { applied } = await applyProviderUpdate(provider.key, provider.parseWebhook(webhook.body));
+    const updated = await getCheck(check.id);
+    res.json({ success: true, applied, backgroundCheck: mapBackgroundCheck(updated) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
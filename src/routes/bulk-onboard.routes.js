@@ -7,6 +7,16 @@ import pool from '../config/database.js';
 import { protect } from '../middleware/auth.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { sendBulkOnboardInvite } from '../utils/mailer.js';
+import { clearClaim } from '../services/verificationQueueService.js';
+import { recordAudit } from '../services/auditLogService.js';
+import {
+  readExport,
+  detectMapping,
+  validateMapping,
+  mapEmployees,
+  reconcile,
+  loadCompanyClaims,
+} from '../services/hrisReconciliationService.js';
 
 const router = express.Router();
 const upload = multer({
@@ -191,4 +201,292 @@ router.post('/employees/bulk-onboard', protect, async (req, res, next) => {
   }
 });
 
+async function getCompany(userId) {
+  const result = await pool.query('SELECT id, name, verification_status FROM companies WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+async function getSavedMapping(companyId) {
+  const result = await pool.query('SELECT mapping FROM hris_column_mappings WHERE company_id = $1', [companyId]);
+  return result.rows[0]?.mapping || null;
+}
+
+async function saveMapping(companyId, mapping) {
+  await pool.query(
+    `INSERT INTO hris_column_mappings (company_id, mapping, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (company_id) DO UPDATE SET mapping = EXCLUDED.mapping, updated_at = NOW()`,
+    [companyId, JSON.stringify(mapping)]
+  );
+}
+
+// Multipart fields arrive as strings.
+function parseMappingField(value) {
+  if (value === undefined || value === '') return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+async function readUploadedExport(file) {
+  try {
+    return { rows: await readExport(file) };
+  } catch (err) {
+    return { error: 'Failed to read HRIS export: ' + err.message };
+  }
+}
+
+// GET /api/company/employees/hris-mapping - saved column mapping
+router.get('/employees/hris-mapping', protect, async (req, res, next) => {
+  try {
+    if (req.user.account_type !== 'company') {
+      return next(new AppError('Companies only', 403));
+    }
+    const company = await getCompany(req.user.id);
+    if (!company) return next(new AppError('Company profile not found', 404));
+
+    res.json({ success: true, mapping: await getSavedMapping(company.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/company/employees/hris-mapping - save column mapping
+// Body: { mapping: { email, fullName, employeeId, position, startDate, endDate } } -> export column names
+router.put('/employees/hris-mapping', protect, async (req, res, next) => {
+  try {
+    if (req.user.account_type !== 'company') {
+      return next(new AppError('Companies only', 403));
+    }
+    const company = await getCompany(req.user.id);
+    if (!company) return next(new AppError('Company profile not found', 404));
+
+    const { mapping } = req.body;
+    const mappingError = validateMapping(mapping);
+    if (mappingError) return next(new AppError(mappingError, 400));
+
+    await saveMapping(company.id, mapping);
+    res.json({ success: true, mapping });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/company/employees/hris-preview - headers, proposed mapping and sample rows of a CSV/XLSX export
+router.post('/employees/hris-preview', protect, upload.single('file'), async (req, res, next) => {
+  try {
+    if (req.user.account_type !== 'company') {
+      return next(new AppError('Companies only', 403));
+    }
+    if (!req.file) return next(new AppError('No file uploaded', 400));
+    const company = await getCompany(req.user.id);
+    if (!company) return next(new AppError('Company profile not found', 404));
+
+    const { rows, error } = await readUploadedExport(req.file);
+    if (error) return next(new AppError(error, 400));
+
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    const saved = await getSavedMapping(company.id);
+    const mapping = saved && !validateMapping(saved, headers) ? saved : detectMapping(headers);
+
+    res.json({
+      success: true,
+      headers,
+      mapping,
+      mappingSource: mapping === saved ? 'saved' : 'detected',
+      mappingError: validateMapping(mapping, headers),
+      total: rows.length,
+      sample: mapEmployees(rows.slice(0, 10), mapping),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/company/employees/hris-reconcile - match an HRIS export against employment claims
+// Multipart: file (CSV/XLSX), mapping (JSON, defaults to the saved one),
+// saveMapping ('true' to remember it), dryRun ('true' to report without verifying)
+router.post('/employees/hris-reconcile', protect, upload.single('file'), async (req, res, next) => {
+  try {
+    if (req.user.account_type !== 'company') {
+      return next(new AppError('Companies only', 403));
+    }
+    if (!req.file) return next(new AppError('No file uploaded', 400));
+    const company = await getCompany(req.user.id);
+    if (!company) return next(new AppError('Company profile not found', 404));
+
+    const { rows, error } = await readUploadedExport(req.file);
+    if (error) return next(new AppError(error, 400));
+    if (rows.length === 0) return next(new AppError('The export has no rows', 400));
+
+    const headers = Object.keys(rows[0]);
+    let mapping = parseMappingField(req.body.mapping);
+    if (mapping === undefined) return next(new AppError('mapping must be valid JSON', 400));
+    mapping = mapping || (await getSavedMapping(company.id)) || detectMapping(headers);
+    const mappingError = validateMapping(mapping, headers);
+    if (mappingError) return next(new AppError(mappingError, 400));
+
+    const dryRun = req.body.dryRun === 'true';
+    if (req.body.saveMapping === 'true') await saveMapping(company.id, mapping);
+
+    const report = reconcile(mapEmployees(rows, mapping), await loadCompanyClaims(company));
+
+    // Verify every email match that is not already verified, but only for a
+    // verified company: otherwise anyone could verify claims naming it.
+    const companyVerified = company.verification_status === 'verified';
+    const toVerify = !companyVerified ? [] : report.matched
+      .filter((m) => m.claim.verificationStatus !== 'verified')
+      .map((m) => m.claim.employmentId);
+    let verified = [];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (!dryRun && toVerify.length > 0) {
+        const updated = await client.query(
+          `UPDATE employment_history
+           SET verification_status = 'verified',
+               verification_type = 'hris',
+               verified_by = $2,
+               verified_at = NOW(),
+               rejection_reason = NULL,
+               notes = $3,
+               updated_at = NOW()
+           WHERE id = ANY($1::uuid[])
+           RETURNING id, position, candidate_id, verification_status, verification_type`,
+          [toVerify, req.user.id, `Matched in ${company.name}'s HRIS records`]
+        );
+        verified = updated.rows;
+        const previousStatus = new Map(report.matched.map((m) => [m.claim.employmentId, m.claim.verificationStatus]));
+
+        for (const row of verified) {
+          await client.query(
+            `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+             SELECT c.user_id, $2, $3, $4, $5, NOW() FROM candidates c WHERE c.id = $1`,
+            [
+              row.candidate_id,
+              'verification_update',
+              'Employment Verified',
+              `${company.name} confirmed your role as ${row.position} from their HR records.`,
+              '/verifications',
+            ]
+          );
+          await recordAudit(req, {
+            action: 'employment.hris_verify',
+            targetType: 'employment',
+            targetId: row.id,
+            before: { verification_status: previousStatus.get(row.id) },
+            after: { verification_status: row.verification_status },
+            metadata: { companyId: company.id, fileName: req.file.originalname },
+          }, client);
+        }
+      }
+
+      const summary = {
+        totalRows: rows.length,
+        matched: report.matched.length,
+        verified: verified.length,
+        needsConfirmation: report.needsConfirmation.length,
+        dateConflicts: report.dateConflicts.length,
+        unmatchedClaims: report.unmatchedClaims.length,
+        unmatchedEmployees: report.unmatchedEmployees.length,
+        invalidRows: report.invalidRows.length,
+        companyVerified,
+        dryRun,
+      };
+      const saved = await client.query(
+        `INSERT INTO hris_reconciliations (company_id, uploaded_by, file_name, mapping, summary, report)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, created_at`,
+        [company.id, req.user.id, req.file.originalname, JSON.stringify(mapping), JSON.stringify(summary), JSON.stringify(report)]
+      );
+      await client.query('COMMIT');
+
+      for (const row of verified) {
+        await clearClaim('employment', row.id);
+      }
+
+      res.json({
+        success: true,
+        reconciliationId: saved.rows[0].id,
+        createdAt: saved.rows[0].created_at,
+        summary,
+        report,
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/company/employees/hris-reconciliations - past reconciliation runs
+router.get('/employees/hris-reconciliations', protect, async (req, res, next) => {
+  try {
+    if (req.user.account_type !== 'company') {
+      return next(new AppError('Companies only', 403));
+    }
+    const company = await getCompany(req.user.id);
+    if (!company) return next(new AppError('Company profile not found', 404));
+
+    const result = await pool.query(
+      `SELECT id, file_name, summary, created_at
+       FROM hris_reconciliations
+       WHERE company_id = $1
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [company.id]
+    );
+    res.json({
+      success: true,
+      reconciliations: result.rows.map((r) => ({
+        id: r.id,
+        fileName: r.file_name,
+        summary: r.summary,
+        createdAt: r.created_at,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/company/employees/hris-reconciliations/:id - full reconciliation report
+router.get('/employees/hris-reconciliations/:id', protect, async (req, res, next) => {
+  try {
+    if (req.user.account_type !== 'company') {
+      return next(new AppError('Companies only', 403));
+    }
+    const company = await getCompany(req.user.id);
+    if (!company) return next(new AppError('Company profile not found', 404));
+
+    const result = await pool.query(
+      'SELECT * FROM hris_reconciliations WHERE id = $1 AND company_id = $2',
+      [req.params.id, company.id]
+    );
+    if (result.rows.length === 0) return next(new AppError('Reconciliation not found', 404));
+    const r = result.rows[0];
+
+    res.json({
+      success: true,
+      reconciliation: {
+        id: r.id,
+        fileName: r.file_name,
+        mapping: r.mapping,
+        summary: r.summary,
+        report: r.report,
+        createdAt: r.created_at,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
@@ -3,6 +3,29 @@ import pool from '../config/database.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { createUpload } from '../utils/upload.js';
 import { supabase } from '../config/supabase.js';
+import { useDocumentGrant } from '../services/consentService.js';
+import {
+  CREDENTIAL_TYPE,
+  CREDENTIAL_RECORD_TYPES,
+  isSigningConfigured,
+  loadVerifiedClaim,
+  signCredential,
+  renderCredentialPdf,
+  buildVerifyUrl,
+} from '../services/credentialService.js';
+import { EMPLOYMENT_TYPES, DISCREPANCY_FIELDS, attachDiscrepancies, mapDiscrepancy } from '../services/discrepancyService.js';
+import {
+  APPEAL_TYPES,
+  MAX_EVIDENCE_FILES,
+  recordTable,
+  pickAppealReviewer,
+  addVerificationComment,
+  mapAppeal,
+} from '../services/appealService.js';
+import { safeDocumentPrecheck } from '../services/documentCheckService.js';
+import { freshnessOf } from '../services/verificationFreshnessService.js';
+import { reminderSummaries } from '../services/verificationReminderService.js';
+import crypto from 'crypto';
 import path from 'path';
 
 const router = express.Router();
@@ -37,6 +60,7 @@ router.get('/employment-history', protect, authorize('candidate'), async (req, r
         eh.start_date,
         eh.end_date,
         eh.is_current,
+        eh.employment_type,
         eh.description,
         eh.location,
         eh.verification_status,
@@ -45,6 +69,7 @@ router.get('/employment-history', protect, authorize('candidate'), async (req, r
         eh.rejection_reason,
         eh.notes,
         eh.verified_at,
+        eh.stale_since,
         eh.created_at,
         COALESCE(c.name, eh.company_name) as company_name
       FROM employment_history eh
@@ -61,6 +86,7 @@ router.get('/employment-history', protect, authorize('candidate'), async (req, r
       startDate: row.start_date,
       endDate: row.end_date,
       isCurrent: row.is_current,
+      employmentType: row.employment_type,
       description: row.description,
       verificationStatus: row.verification_status,
       verificationType: row.verification_type,
@@ -68,10 +94,17 @@ router.get('/employment-history', protect, authorize('candidate'), async (req, r
       rejectionReason: row.rejection_reason,
       notes: row.notes,
       verifiedAt: row.verified_at,
+      freshness: freshnessOf(row),
       createdAt: row.created_at
     }));
 
-    res.json({ employments });
+    // "Reminded 2 times, escalated on ..." for requests waiting on the company
+    const reminders = await reminderSummaries(employments.map(e => e.id));
+    for (const employment of employments) {
+      employment.reminders = reminders.get(employment.id) || { count: 0, lastRemindedAt: null, escalatedAt: null };
+    }
+
+    res.json({ employments: await attachDiscrepancies(employments) });
   } catch (error) {
     console.error('Error fetching employment history:', error);
     res.status(500).json({ message: 'Failed to fetch employment history' });
@@ -127,7 +160,7 @@ router.post('/employment-verification/update', protect, authorize('candidate'),
 
     // Get candidate_id from user_id
     const candidateResult = await pool.query(
-      'SELECT id FROM candidates WHERE user_id = $1',
+      'SELECT id, full_name FROM candidates WHERE user_id = $1',
       [req.user.id]
     );
 
@@ -139,13 +172,30 @@ router.post('/employment-verification/update', protect, authorize('candidate'),
 
     // Verify the employment belongs to this candidate
     const employmentCheck = await pool.query(
-      'SELECT id FROM employment_history WHERE id = $1 AND candidate_id = $2',
-      [employmentId, candidateId]
+      `SELECT eh.id, eh.start_date, eh.end_date, eh.is_current,
+              COALESCE(c.name, eh.company_name) AS company_name
+       FROM employment_history eh
+       LEFT JOIN companies c ON c.id = COALESCE($3, eh.company_id)
+       WHERE eh.id = $1 AND eh.candidate_id = $2`,
+      [employmentId, candidateId, companyId || null]
     );
 
     if (employmentCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Employment record not found or access denied' });
     }
+    const employment = employmentCheck.rows[0];
+
+    const documentCheck = await safeDocumentPrecheck({
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      claim: {
+        candidateName: candidateResult.rows[0].full_name || req.user.name,
+        organization: employment.company_name,
+        startDate: employment.start_date,
+        endDate: employment.end_date,
+        isCurrent: employment.is_current,
+      },
+    });
 
     // Upload to Supabase Storage
     const fileExt = path.extname(req.file.originalname);
@@ -183,10 +233,22 @@ router.post('/employment-verification/update', protect, authorize('candidate'),
         verification_status = $3,
         verification_type = $4,
         rejection_reason = NULL,
+        document_check = $7::jsonb,
+        document_risk_score = $8,
+        verification_requested_at = NOW(),
         updated_at = NOW()
       WHERE id = $5 AND candidate_id = $6
       RETURNING *
-    `, [companyId || null, publicUrl, verificationStatus, verificationType || 'auto', employmentId, candidateId]);
+    `, [
+      companyId || null,
+      publicUrl,
+      verificationStatus,
+      verificationType || 'auto',
+      employmentId,
+      candidateId,
+      documentCheck ? JSON.stringify(documentCheck) : null,
+      documentCheck?.riskScore ?? null
+    ]);
 
     res.json({
       message: 'Verification document uploaded successfully',
@@ -198,28 +260,42 @@ router.post('/employment-verification/update', protect, authorize('candidate'),
   }
 });
 
-// Get signed URL for employment document
-router.get('/employment-document/:employmentId', protect, authorize('candidate'), async (req, res) => {
+// Get signed URL for employment document.
+// Candidates can always fetch their own documents. Companies and admins need
+// an active consent grant from the candidate covering this record's document.
+router.get('/employment-document/:employmentId', protect, authorize('candidate', 'company', 'admin'), async (req, res) => {
   try {
     const { employmentId } = req.params;
+    let employmentResult;
 
-    // Get candidate_id from user_id
-    const candidateResult = await pool.query(
-      'SELECT id FROM candidates WHERE user_id = $1',
-      [req.user.id]
-    );
+    if (req.user.accountType === 'candidate') {
+      // Get candidate_id from user_id
+      const candidateResult = await pool.query(
+        'SELECT id FROM candidates WHERE user_id = $1',
+        [req.user.id]
+      );
 
-    if (candidateResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Candidate profile not found' });
-    }
+      if (candidateResult.rows.length === 0) {
+        return res.status(404).json({ message: 'Candidate profile not found' });
+      }
 
-    const candidateId = candidateResult.rows[0].id;
+      const candidateId = candidateResult.rows[0].id;
 
-    // Get employment document URL
-    const employmentResult = await pool.query(
-      'SELECT document_url FROM employment_history WHERE id = $1 AND candidate_id = $2',
-      [employmentId, candidateId]
-    );
+      // Get employment document URL
+      employmentResult = await pool.query(
+        'SELECT document_url FROM employment_history WHERE id = $1 AND candidate_id = $2',
+        [employmentId, candidateId]
+      );
+    } else {
+      employmentResult = await pool.query(
+        'SELECT document_url, candidate_id FROM employment_history WHERE id = $1',
+        [employmentId]
+      );
+      const candidateId = employmentResult.rows[0]?.candidate_id;
+      if (!(await useDocumentGrant(req, { candidateId, recordType: 'employment', recordId: employmentId }))) {
+        return res.status(403).json({ message: 'Candidate consent is required to view this document' });
+      }
+    }
 
     if (employmentResult.rows.length === 0 || !employmentResult.rows[0].document_url) {
       return res.status(404).json({ message: 'Document not found' });
@@ -267,7 +343,8 @@ router.post('/employment-verification', protect, authorize('candidate'), upload.
       endDate,
       isCurrent,
       verificationType,
-      companyId
+      companyId,
+      employmentType
     } = req.body;
 
     if (!req.file) {
@@ -275,6 +352,11 @@ router.post('/employment-verification', protect, authorize('candidate'), upload.
       return res.status(400).json({ message: 'Verification document is required' });
     }
 
+    if (employmentType && !EMPLOYMENT_TYPES.includes(employmentType)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `employmentType must be one of: ${EMPLOYMENT_TYPES.join(', ')}` });
+    }
+
     // Upload to Supabase Storage
     const fileExt = path.extname(req.file.originalname);
     const fileName = `candidate-${req.user.id}-${Date.now()}${fileExt}`;
@@ -300,7 +382,7 @@ router.post('/employment-verification', protect, authorize('candidate'), upload.
 
     // Get candidate ID from user ID
     const candidateResult = await client.query(
-      'SELECT id FROM candidates WHERE user_id = $1',
+      'SELECT id, full_name FROM candidates WHERE user_id = $1',
       [req.user.id]
     );
 
@@ -311,6 +393,23 @@ router.post('/employment-verification', protect, authorize('candidate'), upload.
 
     const candidateId = candidateResult.rows[0].id;
 
+    let organization = companyName;
+    if (companyId) {
+      const companyResult = await client.query('SELECT name FROM companies WHERE id = $1', [companyId]);
+      organization = companyResult.rows[0]?.name || companyName;
+    }
+    const documentCheck = await safeDocumentPrecheck({
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      claim: {
+        candidateName: candidateResult.rows[0].full_name || req.user.name,
+        organization,
+        startDate,
+        endDate,
+        isCurrent: isCurrent === 'true',
+      },
+    });
+
     // Insert employment record
     const insertResult = await client.query(`
       INSERT INTO employment_history (
@@ -325,9 +424,13 @@ router.post('/employment-verification', protect, authorize('candidate'), upload.
         verification_status,
         verification_type,
         document_url,
+        employment_type,
+        document_check,
+        document_risk_score,
+        verification_requested_at,
         created_at,
         updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13::jsonb, $14, NOW(), NOW(), NOW())
       RETURNING *
     `, [
       candidateId,
@@ -340,7 +443,10 @@ router.post('/employment-verification', protect, authorize('candidate'), upload.
       isCurrent === 'true',
       verificationType === 'manual' ? 'pending' : 'in_review',
       verificationType || 'auto',
-      publicUrl
+      publicUrl,
+      employmentType || null,
+      documentCheck ? JSON.stringify(documentCheck) : null,
+      documentCheck?.riskScore ?? null
     ]);
 
     await client.query('COMMIT');
@@ -358,6 +464,299 @@ router.post('/employment-verification', protect, authorize('candidate'), upload.
   }
 });
 
+// ============= EMPLOYMENT DISCREPANCIES =============
+
+// Load a discrepancy on one of the caller's own employment records
+async function findOwnDiscrepancy(discrepancyId, userId) {
+  const result = await pool.query(`
+    SELECT d.*, eh.candidate_id, eh.position, COALESCE(co.name, eh.company_name) AS company_name
+    FROM employment_discrepancies d
+    JOIN employment_history eh ON d.employment_id = eh.id
+    JOIN candidates c ON eh.candidate_id = c.id
+    LEFT JOIN companies co ON eh.company_id = co.id
+    WHERE d.id = $1 AND c.user_id = $2
+  `, [discrepancyId, userId]);
+  return result.rows[0] || null;
+}
+
+// List discrepancies (all statuses) for one of the candidate's employment records
+router.get('/employment/:employmentId/discrepancies', protect, authorize('candidate'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT d.*
+      FROM employment_discrepancies d
+      JOIN employment_history eh ON d.employment_id = eh.id
+      JOIN candidates c ON eh.candidate_id = c.id
+      WHERE d.employment_id = $1 AND c.user_id = $2
+      ORDER BY d.created_at DESC
+    `, [req.params.employmentId, req.user.id]);
+
+    res.json({ discrepancies: result.rows.map(mapDiscrepancy) });
+  } catch (error) {
+    console.error('Error fetching discrepancies:', error);
+    res.status(500).json({ message: 'Failed to fetch discrepancies' });
+  }
+});
+
+// Accept the employer's correction: the confirmed value replaces the claimed one
+router.post('/discrepancies/:id/accept', protect, authorize('candidate'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const discrepancy = await findOwnDiscrepancy(req.params.id, req.user.id);
+    if (!discrepancy) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Discrepancy not found or access denied' });
+    }
+    if (discrepancy.status !== 'open') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Discrepancy is already ${discrepancy.status}` });
+    }
+
+    // Resolve the discrepancy first; the status guard stops a concurrent
+    // accept or dispute from applying the correction a second time.
+    const updated = await client.query(`
+      UPDATE employment_discrepancies
+      SET status = 'accepted', resolved_at = NOW()
+      WHERE id = $1 AND status = 'open'
+      RETURNING *
+    `, [discrepancy.id]);
+    if (updated.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Discrepancy was resolved in the meantime' });
+    }
+
+    const column = DISCREPANCY_FIELDS[discrepancy.field];
+    if (discrepancy.field === 'endDate') {
+      await client.query(
+        'UPDATE employment_history SET end_date = $1, is_current = $2, updated_at = NOW() WHERE id = $3',
+        [discrepancy.confirmed_value, discrepancy.confirmed_value === null, discrepancy.employment_id]
+      );
+    } else {
+      await client.query(
+        `UPDATE employment_history SET ${column} = $1, updated_at = NOW() WHERE id = $2`,
+        [discrepancy.confirmed_value, discrepancy.employment_id]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Correction accepted', discrepancy: mapDiscrepancy(updated.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error accepting discrepancy:', error);
+    res.status(500).json({ message: 'Failed to accept correction' });
+  } finally {
+    client.release();
+  }
+});
+
+// Dispute the employer's correction; the claimed value stays on the record
+router.post('/discrepancies/:id/dispute', protect, authorize('candidate'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required to dispute a correction' });
+    }
+
+    const discrepancy = await findOwnDiscrepancy(req.params.id, req.user.id);
+    if (!discrepancy) {
+      return res.status(404).json({ message: 'Discrepancy not found or access denied' });
+    }
+    if (discrepancy.status !== 'open') {
+      return res.status(400).json({ message: `Discrepancy is already ${discrepancy.status}` });
+    }
+
+    const updated = await pool.query(`
+      UPDATE employment_discrepancies
+      SET status = 'disputed', candidate_response = $2
+      WHERE id = $1 AND status = 'open'
+      RETURNING *
+    `, [discrepancy.id, String(reason).trim()]);
+    if (updated.rowCount === 0) {
+      return res.status(409).json({ message: 'Discrepancy was resolved in the meantime' });
+    }
+
+    if (discrepancy.verifier_user_id) {
+      await pool.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          discrepancy.verifier_user_id,
+          'verification_update',
+          'Correction Disputed',
+          `${req.user.name || 'A candidate'} disputed your correction to the ${discrepancy.field} of their ${discrepancy.position} role.`,
+          '/company/verification-requests',
+        ]
+      );
+    }
+
+    res.json({ message: 'Correction disputed', discrepancy: mapDiscrepancy(updated.rows[0]) });
+  } catch (error) {
+    console.error('Error disputing discrepancy:', error);
+    res.status(500).json({ message: 'Failed to dispute correction' });
+  }
+});
+
+// ============= REJECTION APPEALS =============
+
+// Appeal a rejected employment/education record with new evidence documents
+router.post('/appeals', protect, authorize('candidate'), upload.array('documents', MAX_EVIDENCE_FILES), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { verificationType, verificationId, reason } = req.body;
+
+    if (!APPEAL_TYPES.includes(verificationType) || !verificationId) {
+      return res.status(400).json({ message: 'verificationType (employment|education) and verificationId are required' });
+    }
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'Please explain why the decision should be reconsidered' });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'At least one new evidence document is required' });
+    }
+
+    const table = recordTable(verificationType);
+    const recordResult = await pool.query(`
+      SELECT r.id, r.candidate_id, r.verification_status, r.rejection_reason, r.verified_by, r.verified_at,
+             du.name AS decider_name, du.account_type AS decider_type
+      FROM ${table} r
+      JOIN candidates c ON r.candidate_id = c.id
+      LEFT JOIN users du ON r.verified_by = du.id
+      WHERE r.id = $1 AND c.user_id = $2
+    `, [verificationId, req.user.id]);
+
+    if (recordResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Record not found or access denied' });
+    }
+    const record = recordResult.rows[0];
+
+    if (record.verification_status !== 'rejected') {
+      return res.status(400).json({ message: 'Only rejected records can be appealed' });
+    }
+
+    const openAppeal = await pool.query(
+      `SELECT id FROM verification_appeals
+       WHERE verification_type = $1 AND verification_id = $2 AND status = 'pending'`,
+      [verificationType, verificationId]
+    );
+    if (openAppeal.rows.length > 0) {
+      return res.status(409).json({ message: 'An appeal for this record is already under review' });
+    }
+
+    // Upload evidence
+    const evidencePaths = [];
+    for (const file of req.files) {
+      const fileExt = path.extname(file.originalname);
+      const filePath = `verification_docs/appeals/candidate-${record.candidate_id}-${Date.now()}-${evidencePaths.length}${fileExt}`;
+      const { error: uploadError } = await supabase.storage
+        .from('VeriBoard_bucket')
+        .upload(filePath, file.buffer, {
+          contentType: file.mimetype,
+          upsert: false
+        });
+      if (uploadError) {
+        console.error('Supabase upload error:', uploadError);
+        return res.status(500).json({ message: 'Failed to upload evidence document' });
+      }
+      evidencePaths.push(filePath);
+    }
+
+    const reviewer = await pickAppealReviewer(record.verified_by);
+
+    await client.query('BEGIN');
+
+    const originalDecision = {
+      status: record.verification_status,
+      rejectionReason: record.rejection_reason,
+      decidedBy: record.verified_by,
+      deciderName: record.decider_name,
+      deciderRole: record.decider_type,
+      decidedAt: record.verified_at,
+    };
+
+    const appealResult = await client.query(`
+      INSERT INTO verification_appeals (
+        verification_type, verification_id, candidate_id, appellant_user_id, reason,
+        evidence_paths, original_decision, original_decider_id, assigned_admin_id
+      ) VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8, $9)
+      RETURNING *
+    `, [
+      verificationType,
+      verificationId,
+      record.candidate_id,
+      req.user.id,
+      reason.trim(),
+      JSON.stringify(evidencePaths),
+      JSON.stringify(originalDecision),
+      record.verified_by || null,
+      reviewer?.id || null
+    ]);
+
+    const decidedOn = record.verified_at ? ` on ${new Date(record.verified_at).toISOString().slice(0, 10)}` : '';
+    await addVerificationComment({
+      type: verificationType,
+      id: verificationId,
+      userId: req.user.id,
+      userName: req.user.name || 'Candidate',
+      userRole: 'candidate',
+      text: `Appeal filed against the rejection by ${record.decider_name || 'the verifier'}${decidedOn}` +
+        `${record.rejection_reason ? ` ("${record.rejection_reason}")` : ''}.\n` +
+        `Grounds: ${reason.trim()}\n` +
+        `${evidencePaths.length} new evidence document(s) attached.`,
+    }, client);
+
+    await client.query('COMMIT');
+
+    if (reviewer) {
+      await pool.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          reviewer.id,
+          'verification_update',
+          'Appeal Assigned to You',
+          `A candidate has appealed a rejected ${verificationType} verification.`,
+          `/admin/appeals/${appealResult.rows[0].id}`,
+        ]
+      );
+    }
+
+    res.status(201).json({
+      message: 'Appeal submitted. A different reviewer will look at your evidence.',
+      appeal: mapAppeal({ ...appealResult.rows[0], assigned_admin_name: reviewer?.name })
+    });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error submitting appeal:', error);
+    res.status(500).json({ message: 'Failed to submit appeal' });
+  } finally {
+    client.release();
+  }
+});
+
+// List the candidate's appeals
+router.get('/appeals', protect, authorize('candidate'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT a.*
+      FROM verification_appeals a
+      JOIN candidates c ON a.candidate_id = c.id
+      WHERE c.user_id = $1
+      ORDER BY a.created_at DESC
+    `, [req.user.id]);
+
+    // Candidates don't need to know which admin is reviewing
+    res.json({ appeals: result.rows.map((row) => ({ ...mapAppeal(row), assignedAdminId: undefined })) });
+  } catch (error) {
+    console.error('Error fetching appeals:', error);
+    res.status(500).json({ message: 'Failed to fetch appeals' });
+  }
+});
+
 // ============= EDUCATION VERIFICATION ROUTES =============
 
 // Get candidate's education history with verification status
@@ -443,7 +842,7 @@ router.post('/education-verification/update', protect, authorize('candidate'), u
 
     // Get candidate_id from user_id
     const candidateResult = await pool.query(
-      'SELECT id FROM candidates WHERE user_id = $1',
+      'SELECT id, full_name FROM candidates WHERE user_id = $1',
       [req.user.id]
     );
 
@@ -455,13 +854,26 @@ router.post('/education-verification/update', protect, authorize('candidate'), u
 
     // Verify the education belongs to this candidate
     const educationCheck = await pool.query(
-      'SELECT id FROM education_history WHERE id = $1 AND candidate_id = $2',
+      'SELECT id, institution, start_date, end_date, is_current FROM education_history WHERE id = $1 AND candidate_id = $2',
       [educationId, candidateId]
     );
 
     if (educationCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Education record not found or access denied' });
     }
+    const education = educationCheck.rows[0];
+
+    const documentCheck = await safeDocumentPrecheck({
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      claim: {
+        candidateName: candidateResult.rows[0].full_name || req.user.name,
+        organization: education.institution,
+        startDate: education.start_date,
+        endDate: education.end_date,
+        isCurrent: education.is_current,
+      },
+    });
 
     // Upload to Supabase Storage
     const fileExt = path.extname(req.file.originalname);
@@ -495,10 +907,20 @@ router.post('/education-verification/update', protect, authorize('candidate'), u
         document_url = $1,
         verification_status = $2,
         verification_type = $3,
+        document_check = $6::jsonb,
+        document_risk_score = $7,
         updated_at = NOW()
       WHERE id = $4 AND candidate_id = $5
       RETURNING *
-    `, [publicUrl, verificationStatus, verificationType || 'auto', educationId, candidateId]);
+    `, [
+      publicUrl,
+      verificationStatus,
+      verificationType || 'auto',
+      educationId,
+      candidateId,
+      documentCheck ? JSON.stringify(documentCheck) : null,
+      documentCheck?.riskScore ?? null
+    ]);
 
     res.json({
       message: 'Verification document uploaded successfully',
@@ -563,4 +985,140 @@ router.get('/education-document/:educationId', protect, authorize('candidate'),
   }
 });
 
+// ============= VERIFICATION CREDENTIALS =============
+
+function mapCredential(row) {
+  return {
+    id: row.id,
+    recordType: row.record_type,
+    recordId: row.record_id,
+    credential: row.credential,
+    signature: row.signature,
+    verifyUrl: buildVerifyUrl(row.id),
+    issuedAt: row.issued_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+// Issue a signed credential for one of the candidate's verified records
+router.post('/credentials', protect, authorize('candidate'), async (req, res) => {
+  try {
+    const { recordType, recordId } = req.body;
+
+    if (!CREDENTIAL_RECORD_TYPES.includes(recordType) || !recordId) {
+      return res.status(400).json({ message: 'recordType (employment|education) and recordId are required' });
+    }
+    if (!isSigningConfigured()) {
+      return res.status(503).json({ message: 'Credential signing is not configured' });
+    }
+
+    const candidateResult = await pool.query(
+      'SELECT id, full_name FROM candidates WHERE user_id = $1',
+      [req.user.id]
+    );
+    if (candidateResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Candidate profile not found' });
+    }
+    const candidate = candidateResult.rows[0];
+
+    const record = await loadVerifiedClaim(candidate.id, recordType, recordId);
+    if (!record) {
+      return res.status(404).json({ message: 'Record not found or access denied' });
+    }
+    if (record.status !== 'verified') {
+      return res.status(400).json({ message: 'Only verified records can be issued as credentials' });
+    }
+
+    const credential = {
+      type: CREDENTIAL_TYPE,
+      version: 1,
+      id: crypto.randomUUID(),
+      issuer: { name: 'VeriBoard', url: process.env.CLIENT_URL || 'http://localhost:3000' },
+      issuedAt: new Date().toISOString(),
+      subject: { candidateId: candidate.id, name: candidate.full_name || req.user.name },
+      claim: record.claim,
+    };
+    const signature = signCredential(credential);
+
+    const insertResult = await pool.query(`
+      INSERT INTO verification_credentials (id, candidate_id, record_type, record_id, credential, signature, issued_at)
+      VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7)
+      RETURNING *
+    `, [credential.id, candidate.id, recordType, recordId, JSON.stringify(credential), JSON.stringify(signature), credential.issuedAt]);
+
+    res.status(201).json({ credential: mapCredential(insertResult.rows[0]) });
+  } catch (error) {
+    console.error('Error issuing credential:', error);
+    res.status(500).json({ message: 'Failed to issue credential' });
+  }
+});
+
+// List the candidate's issued credentials
+router.get('/credentials', protect, authorize('candidate'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT vc.*
+      FROM verification_credentials vc
+      JOIN candidates c ON vc.candidate_id = c.id
+      WHERE c.user_id = $1
+      ORDER BY vc.issued_at DESC
+    `, [req.user.id]);
+
+    res.json({ credentials: result.rows.map(mapCredential) });
+  } catch (error) {
+    console.error('Error fetching credentials:', error);
+    res.status(500).json({ message: 'Failed to fetch credentials' });
+  }
+});
+
+// Download a printable PDF certificate for a credential
+router.get('/credentials/:id/pdf', protect, authorize('candidate'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT vc.*
+      FROM verification_credentials vc
+      JOIN candidates c ON vc.candidate_id = c.id
+      WHERE vc.id = $1 AND c.user_id = $2
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Credential not found' });
+    }
+    const row = result.rows[0];
+    if (row.revoked_at) {
+      return res.status(410).json({ message: 'Credential has been revoked' });
+    }
+
+    const pdf = renderCredentialPdf(row.credential, row.signature);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="veriboard-credential-${row.id}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error rendering credential PDF:', error);
+    res.status(500).json({ message: 'Failed to render credential' });
+  }
+});
+
+// Revoke a credential so the public verify endpoint reports it as revoked
+router.post('/credentials/:id/revoke', protect, authorize('candidate'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE verification_credentials vc
+      SET revoked_at = NOW(), revoked_reason = $3
+      FROM candidates c
+      WHERE vc.candidate_id = c.id AND vc.id = $1 AND c.user_id = $2 AND vc.revoked_at IS NULL
+      RETURNING vc.*
+    `, [req.params.id, req.user.id, req.body.reason || null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Credential not found or already revoked' });
+    }
+
+    res.json({ message: 'Credential revoked', credential: mapCredential(result.rows[0]) });
+  } catch (error) {
+    console.error('Error revoking credential:', error);
+    res.status(500).json({ message: 'Failed to revoke credential' });
+  }
+});
+
 export default router;
@@ -5,6 +5,11 @@ import { AppError } from '../middleware/errorHandler.js';
 import multer from 'multer';
 import { createUpload } from '../utils/upload.js';
 import { uploadProfilePicture, uploadCoverImage, getProfilePictureSignedUrl, createSignedUrl, BUCKET_NAME, FOLDERS, uploadToBucket } from '../utils/supabaseStorage.js';
+import { EMPLOYMENT_TYPES, attachDiscrepancies } from '../services/discrepancyService.js';
+import { freshnessOf } from '../services/verificationFreshnessService.js';
+import { recomputeTrustScore, storedTrustScore } from '../services/trustScoreService.js';
+import { skillSummaries } from '../services/skillService.js';
+import { certificationsForCandidate } from '../services/certificationService.js';
 
 const router = express.Router();
 
@@ -55,7 +60,8 @@ router.get('/profile', protect, async (req, res, next) => {
       `SELECT eh.id, eh.company_name, eh.position as job_title, eh.location,
               TO_CHAR(eh.start_date, 'YYYY-MM') as start_month,
               CASE WHEN eh.is_current THEN NULL ELSE TO_CHAR(eh.end_date, 'YYYY-MM') END as end_month,
-              eh.is_current, eh.description, eh.verification_status,
+              eh.is_current, eh.employment_type, eh.description, eh.verification_status,
+              eh.verified_at, eh.stale_since,
               c.logo_url as company_logo, c.slug as company_slug
        FROM employment_history eh
        LEFT JOIN companies c ON eh.company_id = c.id
@@ -87,6 +93,7 @@ router.get('/profile', protect, async (req, res, next) => {
             console.error('Error generating company logo URL:', error);
           }
         }
+        exp.verification_freshness = freshnessOf(exp);
         return exp;
       })
     );
@@ -105,8 +112,10 @@ router.get('/profile', protect, async (req, res, next) => {
 
     const profile = {
       ...result.rows[0],
-      experiences: experiencesWithLogos,
+      experiences: await attachDiscrepancies(experiencesWithLogos),
       educations: educationResult.rows,
+      skill_details: await skillSummaries(result.rows[0].id, result.rows[0].skills, req.user.id),
+      certifications: await certificationsForCandidate(result.rows[0].id, { includePrivate: true }),
       hasVerifiedEmployment
     };
 
@@ -205,6 +214,7 @@ router.put('/profile', protect, async (req, res, next) => {
                      start_date = $5, end_date = $6, is_current = $7,
                      description = $8,
                      company_id = COALESCE($9, company_id),
+                     employment_type = COALESCE($11, employment_type),
                      updated_at = NOW()
                  WHERE id = $1 AND candidate_id = $10`,
                 [
@@ -217,14 +227,15 @@ router.put('/profile', protect, async (req, res, next) => {
                   exp.is_current || false,
                   exp.description,
                   exp.company_id || null,
-                  candidateId
+                  candidateId,
+                  EMPLOYMENT_TYPES.includes(exp.employment_type) ? exp.employment_type : null
                 ]
               );
             } else {
               // New entry — insert with 'pending' status
               await client.query(
-                `INSERT INTO employment_history (candidate_id, company_id, company_name, position, location, start_date, end_date, is_current, description, verification_status, created_at, updated_at)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', NOW(), NOW())`,
+                `INSERT INTO employment_history (candidate_id, company_id, company_name, position, location, start_date, end_date, is_current, description, employment_type, verification_status, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', NOW(), NOW())`,
                 [
                   candidateId,
                   exp.company_id || null,
@@ -234,7 +245,8 @@ router.put('/profile', protect, async (req, res, next) => {
                   startDate,
                   endDate,
                   exp.is_current || false,
-                  exp.description
+                  exp.description,
+                  EMPLOYMENT_TYPES.includes(exp.employment_type) ? exp.employment_type : null
                 ]
               );
             }
@@ -393,7 +405,8 @@ router.get('/:id', protect, async (req, res, next) => {
       `SELECT eh.id, eh.company_name, eh.position as job_title, eh.location,
               TO_CHAR(eh.start_date, 'YYYY-MM') as start_month,
               CASE WHEN eh.is_current THEN NULL ELSE TO_CHAR(eh.end_date, 'YYYY-MM') END as end_month,
-              eh.is_current, eh.description, eh.verification_status,
+              eh.is_current, eh.employment_type, eh.description, eh.verification_status,
+              eh.verified_at, eh.stale_since,
               c.logo_url as company_logo, c.slug as company_slug
        FROM employment_history eh
        LEFT JOIN companies c ON eh.company_id = c.id
@@ -425,6 +438,7 @@ router.get('/:id', protect, async (req, res, next) => {
             console.error('Error generating company logo URL:', error);
           }
         }
+        exp.verification_freshness = freshnessOf(exp);
         return exp;
       })
     );
@@ -458,13 +472,23 @@ router.get('/:id', protect, async (req, res, next) => {
       }
     }
 
+    // Records changed since the score was stored; recompute before showing it.
+    const trust = row.trust_score_dirty !== false || row.trust_score === null || row.trust_score === undefined
+      ? await recomputeTrustScore(candidateId)
+      : storedTrustScore(row);
+
     const profile = {
       ...row,
       name: row.full_name || row.username || null,
-      experiences: experiencesWithLogos,
+      experiences: await attachDiscrepancies(experiencesWithLogos),
       educations: educationResult.rows,
+      skill_details: await skillSummaries(candidateId, row.skills, req.user.id),
+      certifications: await certificationsForCandidate(candidateId),
       hasVerifiedEmployment,
-      following_by_me
+      following_by_me,
+      trust_score: trust.score,
+      trust_level: trust.level,
+      trust_score_breakdown: trust.breakdown
     };
 
     res.json({
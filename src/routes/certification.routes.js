@@ -0,0 +1,198 @@
+import express from 'express';
+import path from 'path';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { createUpload } from '../utils/upload.js';
+import { BUCKET_NAME, uploadToBucket, getPublicUrl, createSignedUrl } from '../utils/supabaseStorage.js';
+import { safeDocumentPrecheck } from '../services/documentCheckService.js';
+import {
+  validateCertificationInput,
+  mapCertification,
+  certificationsForCandidate,
+} from '../services/certificationService.js';
+
+const router = express.Router();
+const upload = createUpload({ allow: ['jpeg', 'jpg', 'png', 'pdf'] });
+
+router.use(protect);
+router.use(authorize('candidate'));
+
+router.use(async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT id, full_name FROM candidates WHERE user_id = $1', [req.user.id]);
+    if (result.rows.length === 0) return next(new AppError('Candidate profile not found', 404));
+    req.candidate = result.rows[0];
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Upload a certificate document and run the document pre-check on it.
+async function storeDocument(req, fields) {
+  const filePath = `verification_docs/certification-verifications/candidate-${req.candidate.id}-cert-${Date.now()}${path.extname(req.file.originalname)}`;
+  const { error } = await uploadToBucket(BUCKET_NAME, filePath, req.file.buffer, { contentType: req.file.mimetype });
+  if (error) {
+    console.error('Supabase upload error:', error);
+    throw new AppError('Failed to upload document', 500);
+  }
+  const documentCheck = await safeDocumentPrecheck({
+    buffer: req.file.buffer,
+    mimetype: req.file.mimetype,
+    claim: {
+      candidateName: req.candidate.full_name || req.user.name,
+      organization: fields.issuer,
+      startDate: fields.issueDate,
+      endDate: fields.expiryDate,
+      isCurrent: false,
+    },
+  });
+  return { documentUrl: getPublicUrl(BUCKET_NAME, filePath), documentCheck };
+}
+
+// GET /api/certifications - the candidate's certifications, with review details
+router.get('/', async (req, res, next) => {
+  try {
+    const certifications = await certificationsForCandidate(req.candidate.id, { includePrivate: true });
+    res.json({ success: true, certifications });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/certifications - add a certification or license (multipart, optional `document`)
+// Body: { name, issuer, issueDate, expiryDate?, credentialId?, credentialUrl? }
+router.post('/', upload.single('document'), async (req, res, next) => {
+  try {
+    const { error, fields } = validateCertificationInput(req.body);
+    if (error) return next(new AppError(error, 400));
+
+    const doc = req.file ? await storeDocument(req, fields) : { documentUrl: null, documentCheck: null };
+
+    const result = await pool.query(
+      `INSERT INTO certifications
+         (candidate_id, name, issuer, credential_id, credential_url, issue_date, expiry_date,
+          document_url, document_check, document_risk_score)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10)
+       RETURNING *`,
+      [
+        req.candidate.id,
+        fields.name,
+        fields.issuer,
+        fields.credentialId ?? null,
+        fields.credentialUrl ?? null,
+        fields.issueDate,
+        fields.expiryDate ?? null,
+        doc.documentUrl,
+        doc.documentCheck ? JSON.stringify(doc.documentCheck) : null,
+        doc.documentCheck?.riskScore ?? null,
+      ]
+    );
+    res.status(201).json({ success: true, certification: mapCertification(result.rows[0], { includePrivate: true }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/certifications/:id - edit a certification or replace its document (multipart)
+// Any change sends a reviewed certification back to pending.
+router.put('/:id', upload.single('document'), async (req, res, next) => {
+  try {
+    const current = await pool.query(
+      'SELECT * FROM certifications WHERE id = $1 AND candidate_id = $2',
+      [req.params.id, req.candidate.id]
+    );
+    if (current.rows.length === 0) return next(new AppError('Certification not found', 404));
+    const before = current.rows[0];
+
+    const { error, fields } = validateCertificationInput(req.body, { partial: true });
+    if (error) return next(new AppError(error, 400));
+    const issueDate = fields.issueDate ?? before.issue_date;
+    const expiryDate = fields.expiryDate !== undefined ? fields.expiryDate : before.expiry_date;
+    if (expiryDate && new Date(expiryDate) < new Date(issueDate)) {
+      return next(new AppError('expiryDate cannot be before issueDate', 400));
+    }
+    if (Object.keys(fields).length === 0 && !req.file) return next(new AppError('Nothing to update', 400));
+
+    const doc = req.file
+      ? await storeDocument(req, { issuer: fields.issuer ?? before.issuer, issueDate, expiryDate })
+      : null;
+
+    const result = await pool.query(
+      `UPDATE certifications
+       SET name = COALESCE($3, name),
+           issuer = COALESCE($4, issuer),
+           credential_id = CASE WHEN $5::boolean THEN $6 ELSE credential_id END,
+           credential_url = CASE WHEN $7::boolean THEN $8 ELSE credential_url END,
+           issue_date = COALESCE($9, issue_date),
+           expiry_date = CASE WHEN $10::boolean THEN $11::date ELSE expiry_date END,
+           expiry_notice_days = CASE WHEN $10::boolean AND $11::date IS DISTINCT FROM expiry_date
+                                     THEN NULL ELSE expiry_notice_days END,
+           document_url = COALESCE($12, document_url),
+           document_check = CASE WHEN $12 IS NOT NULL THEN $13::jsonb ELSE document_check END,
+           document_risk_score = CASE WHEN $12 IS NOT NULL THEN $14 ELSE document_risk_score END,
+           verification_status = 'pending',
+           rejection_reason = NULL,
+           verified_by = NULL,
+           verified_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND candidate_id = $2
+       RETURNING *`,
+      [
+        req.params.id,
+        req.candidate.id,
+        fields.name ?? null,
+        fields.issuer ?? null,
+        fields.credentialId !== undefined,
+        fields.credentialId ?? null,
+        fields.credentialUrl !== undefined,
+        fields.credentialUrl ?? null,
+        fields.issueDate ?? null,
+        fields.expiryDate !== undefined,
+        fields.expiryDate ?? null,
+        doc?.documentUrl ?? null,
+        doc?.documentCheck ? JSON.stringify(doc.documentCheck) : null,
+        doc?.documentCheck?.riskScore ?? null,
+      ]
+    );
+    res.json({ success: true, certification: mapCertification(result.rows[0], { includePrivate: true }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/certifications/:id
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM certifications WHERE id = $1 AND candidate_id = $2 RETURNING id',
+      [req.params.id, req.candidate.id]
+    );
+    if (result.rows.length === 0) return next(new AppError('Certification not found', 404));
+    res.json({ success: true, message: 'Certification deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/certifications/:id/document - signed URL for the candidate's own document
+router.get('/:id/document', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT document_url FROM certifications WHERE id = $1 AND candidate_id = $2',
+      [req.params.id, req.candidate.id]
+    );
+    const documentUrl = result.rows[0]?.document_url;
+    if (!documentUrl) return next(new AppError('Document not found', 404));
+
+    const filePath = documentUrl.split('/VeriBoard_bucket/')[1] || documentUrl;
+    const { data, error } = await createSignedUrl(BUCKET_NAME, filePath, 3600);
+    if (error || !data?.signedUrl) return next(new AppError('Failed to generate document access URL', 500));
+    res.json({ url: data.signedUrl });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -4,6 +4,7 @@ import { protect } from '../middleware/auth.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { getJobAccess } from '../utils/jobAccess.js';
 import { sendCollaboratorInvite } from '../utils/mailer.js';
+import { recordAudit } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -33,20 +34,38 @@ router.post('/jobs/:jobId/collaborators', protect, async (req, res, next) => {
       [jobId, email.toLowerCase()]
     );
 
+    if (existing.rows[0]?.accepted_at) {
+      return next(new AppError('That email has already accepted the invite', 409));
+    }
+
+    // The invite and its audit entry are written together.
     let row;
-    if (existing.rows.length > 0) {
-      if (existing.rows[0].accepted_at) {
-        return next(new AppError('That email has already accepted the invite', 409));
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (existing.rows.length > 0) {
+        // Re-use existing pending invite
+        row = existing.rows[0];
+      } else {
+        const ins = await client.query(
+          `INSERT INTO job_collaborators (job_id, email, role, invited_by_user_id)
+           VALUES ($1, $2, $3, $4) RETURNING id, magic_token`,
+          [jobId, email.toLowerCase(), role, req.user.id]
+        );
+        row = ins.rows[0];
       }
-      // Re-use existing pending invite
-      row = existing.rows[0];
-    } else {
-      const ins = await pool.query(
-        `INSERT INTO job_collaborators (job_id, email, role, invited_by_user_id)
-         VALUES ($1, $2, $3, $4) RETURNING id, magic_token`,
-        [jobId, email.toLowerCase(), role, req.user.id]
-      );
-      row = ins.rows[0];
+      await recordAudit(req, {
+        action: existing.rows.length > 0 ? 'collaborator.reinvite' : 'collaborator.invite',
+        targetType: 'collaborator',
+        targetId: row.id,
+        metadata: { jobId, email: email.toLowerCase(), role },
+      }, client);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
     }
 
     // Gather job details for the email
@@ -122,7 +141,20 @@ router.delete('/jobs/:jobId/collaborators/:id', protect, async (req, res, next)
     if (!access.allowed || !access.perms.invite) {
       return next(new AppError('Only the owner can remove collaborators', 403));
     }
-    await pool.query('DELETE FROM job_collaborators WHERE id = $1 AND job_id = $2', [id, jobId]);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const removed = await client.query('DELETE FROM job_collaborators WHERE id = $1 AND job_id = $2 RETURNING *', [id, jobId]);
+      if (removed.rows[0]) {
+        await recordAudit(req, { action: 'collaborator.remove', targetType: 'collaborator', targetId: id, before: removed.rows[0], after: null, metadata: { jobId } }, client);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
     res.json({ success: true, message: 'Collaborator removed' });
   } catch (err) {
     next(err);
@@ -173,7 +205,7 @@ router.post('/invites/accept/:token', protect, async (req, res, next) => {
   try {
     const { token } = req.params;
     const result = await pool.query(
-      'SELECT id, email, accepted_at, user_id FROM job_collaborators WHERE magic_token = $1',
+      'SELECT id, job_id, email, accepted_at, user_id FROM job_collaborators WHERE magic_token = $1',
       [token]
     );
     if (result.rows.length === 0) {
@@ -186,12 +218,30 @@ router.post('/invites/accept/:token', protect, async (req, res, next) => {
 
     // Optional: enforce email match - we'll allow any logged-in user to accept,
     // but warn if email differs. Soft check for now.
-    await pool.query(
-      `UPDATE job_collaborators
-       SET user_id = $1, accepted_at = NOW()
-       WHERE id = $2`,
-      [req.user.id, inv.id]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE job_collaborators
+         SET user_id = $1, accepted_at = NOW()
+         WHERE id = $2`,
+        [req.user.id, inv.id]
+      );
+      await recordAudit(req, {
+        action: 'collaborator.accept',
+        targetType: 'collaborator',
+        targetId: inv.id,
+        before: { user_id: inv.user_id, accepted_at: inv.accepted_at },
+        after: { user_id: req.user.id, accepted_at: new Date() },
+        metadata: { jobId: inv.job_id, invitedEmail: inv.email },
+      }, client);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
 
     res.json({ success: true, message: 'Invitation accepted' });
   } catch (err) {
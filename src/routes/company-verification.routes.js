@@ -3,6 +3,22 @@ import pool from '../config/database.js';
 import { protect, authorize } from '../middleware/auth.js';
 import { createUpload } from '../utils/upload.js';
 import { supabase } from '../config/supabase.js';
+import { sendDomainVerificationCode } from '../utils/mailer.js';
+import { hostnameFromUrl, emailDomain, isFreeEmailDomain, sameDomain } from '../utils/domain.js';
+import {
+  DOMAIN_METHODS,
+  txtRecordName,
+  txtRecordValue,
+  createChallenge,
+  getPendingChallenge,
+  findTxtToken,
+  checkEmailCode,
+  completeChallenge,
+  logCompanyVerificationEvent,
+} from '../services/domainVerificationService.js';
+import { diffCorrections, mapDiscrepancy } from '../services/discrepancyService.js';
+import { freshnessOf } from '../services/verificationFreshnessService.js';
+import { recordAudit, auditSnapshot } from '../services/auditLogService.js';
 import path from 'path';
 
 const router = express.Router();
@@ -58,6 +74,7 @@ router.post('/hr-verification', protect, authorize('company'), upload.single('do
       .getPublicUrl(filePath);
 
     // Update company with HR document
+    const before = await auditSnapshot('company', companyId, client);
     await client.query(`
       UPDATE companies
       SET 
@@ -67,6 +84,14 @@ router.post('/hr-verification', protect, authorize('company'), upload.single('do
       WHERE id = $2
     `, [publicUrl, companyId]);
 
+    await recordAudit(req, {
+      action: 'company.document_upload',
+      targetType: 'company',
+      targetId: companyId,
+      before,
+      after: await auditSnapshot('company', companyId, client),
+    }, client);
+
     await client.query('COMMIT');
 
     res.json({
@@ -82,6 +107,186 @@ router.post('/hr-verification', protect, authorize('company'), upload.single('do
   }
 });
 
+// ============= DOMAIN VERIFICATION =============
+
+function mapChallenge(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    domain: row.domain,
+    method: row.method,
+    status: row.status,
+    email: row.email,
+    txtRecord: row.method === 'dns' ? { name: txtRecordName(row.domain), value: txtRecordValue(row.token) } : null,
+    attempts: row.attempts,
+    expiresAt: row.expires_at,
+    verifiedAt: row.verified_at,
+    createdAt: row.created_at,
+  };
+}
+
+// Current domain verification state for the company
+router.get('/domain-verification', protect, authorize('company'), async (req, res) => {
+  try {
+    const companyResult = await pool.query(
+      'SELECT id, website, verification_status, verified_domain, verification_method FROM companies WHERE user_id = $1',
+      [req.user.id]
+    );
+    if (!companyResult.rows[0]?.id) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    const company = companyResult.rows[0];
+
+    res.json({
+      verificationStatus: company.verification_status,
+      verifiedDomain: company.verified_domain,
+      verificationMethod: company.verification_method,
+      suggestedDomain: hostnameFromUrl(company.website),
+      challenge: mapChallenge(await getPendingChallenge(company.id)),
+    });
+  } catch (error) {
+    console.error('Error fetching domain verification:', error);
+    res.status(500).json({ message: 'Failed to fetch domain verification' });
+  }
+});
+
+// Start domain verification: { method: 'dns' | 'email', domain?, email? }
+router.post('/domain-verification', protect, authorize('company'), async (req, res) => {
+  try {
+    const { method, email } = req.body;
+
+    if (!DOMAIN_METHODS.includes(method)) {
+      return res.status(400).json({ message: 'method must be dns or email' });
+    }
+
+    const companyResult = await pool.query(
+      'SELECT id, name, website, verification_status FROM companies WHERE user_id = $1',
+      [req.user.id]
+    );
+    if (!companyResult.rows[0]?.id) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    const company = companyResult.rows[0];
+
+    if (company.verification_status === 'verified') {
+      return res.status(400).json({ message: 'Company is already verified' });
+    }
+
+    // The domain must be the one on the company profile, so proving control of
+    // an unrelated domain doesn't verify the company.
+    const websiteDomain = hostnameFromUrl(company.website);
+    if (!websiteDomain) {
+      return res.status(400).json({ message: 'Add your company website to your profile before verifying a domain' });
+    }
+    const domain = hostnameFromUrl(req.body.domain) || websiteDomain;
+    if (!sameDomain(domain, websiteDomain)) {
+      return res.status(400).json({ message: `Domain must match your company website (${websiteDomain})` });
+    }
+    if (isFreeEmailDomain(domain)) {
+      return res.status(400).json({ message: 'Public email providers cannot be used for domain verification' });
+    }
+
+    if (method === 'email') {
+      const addressDomain = emailDomain(email);
+      if (!addressDomain || !sameDomain(addressDomain, domain)) {
+        return res.status(400).json({ message: `Email address must be on ${domain}` });
+      }
+    }
+
+    const { challenge, code, expiresInMinutes } = await createChallenge({
+      companyId: company.id,
+      userId: req.user.id,
+      domain,
+      method,
+      email: method === 'email' ? email.trim().toLowerCase() : null,
+    });
+
+    if (method === 'email') {
+      sendDomainVerificationCode({
+        to: challenge.email,
+        companyName: company.name,
+        domain,
+        code,
+        expiresInMinutes,
+      }).catch((err) => console.error('[DomainVerification] code email error:', err.message));
+    }
+
+    await logCompanyVerificationEvent({
+      companyId: company.id,
+      actorUserId: req.user.id,
+      action: 'domain_challenge_started',
+      method: `domain_${method}`,
+      details: { domain, challengeId: challenge.id, ...(method === 'email' ? { email: challenge.email } : {}) },
+    });
+
+    res.status(201).json({
+      message: method === 'dns'
+        ? 'Add the TXT record below to your DNS, then run the check'
+        : `A verification code has been sent to ${challenge.email}`,
+      challenge: mapChallenge(challenge),
+    });
+  } catch (error) {
+    console.error('Error starting domain verification:', error);
+    res.status(500).json({ message: 'Failed to start domain verification' });
+  }
+});
+
+// Complete domain verification: DNS challenges are checked live, email challenges need { code }
+router.post('/domain-verification/check', protect, authorize('company'), async (req, res) => {
+  try {
+    const companyResult = await pool.query(
+      'SELECT id FROM companies WHERE user_id = $1',
+      [req.user.id]
+    );
+    if (!companyResult.rows[0]?.id) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const challenge = await getPendingChallenge(companyResult.rows[0].id);
+    if (!challenge) {
+      return res.status(404).json({ message: 'No pending domain verification. Start a new one.' });
+    }
+
+    let passed;
+    if (challenge.method === 'dns') {
+      passed = await findTxtToken(challenge.domain, challenge.token);
+      if (!passed) {
+        return res.status(400).json({
+          message: 'TXT record not found yet. DNS changes can take a while to propagate.',
+          challenge: mapChallenge(challenge),
+        });
+      }
+    } else {
+      if (!req.body.code) {
+        return res.status(400).json({ message: 'Verification code is required' });
+      }
+      passed = await checkEmailCode(challenge, req.body.code);
+      if (!passed) {
+        return res.status(400).json({ message: 'Invalid verification code' });
+      }
+    }
+
+    const company = await completeChallenge(challenge, req);
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [
+        req.user.id,
+        'verification_update',
+        'Company Verified',
+        `${company?.name || 'Your company'} was verified automatically via ${challenge.domain}.`,
+        '/profile/company/edit',
+      ]
+    );
+
+    res.json({ message: 'Company verified', domain: challenge.domain, method: challenge.method });
+  } catch (error) {
+    console.error('Error checking domain verification:', error);
+    res.status(500).json({ message: 'Failed to check domain verification' });
+  }
+});
+
 // Get verification requests for the company
 router.get('/verification-requests', protect, authorize('company'), async (req, res) => {
   try {
@@ -122,10 +327,13 @@ router.get('/verification-requests', protect, authorize('company'), async (req,
         eh.start_date,
         eh.end_date,
         eh.is_current,
+        eh.employment_type,
         eh.location,
         eh.verification_status,
         eh.document_url,
         eh.rejection_reason,
+        eh.verified_at,
+        eh.stale_since,
         eh.created_at,
         u.name as "candidateName",
         u.email as "candidateEmail",
@@ -205,8 +413,10 @@ router.get('/verification-requests', protect, authorize('company'), async (req,
         startDate: row.start_date,
         endDate: row.end_date,
         isCurrent: row.is_current,
+        employmentType: row.employment_type,
         location: row.location,
         verificationStatus: row.verification_status,
+        freshness: freshnessOf(row),
         documentUrl,
         rejectionReason: row.rejection_reason,
         createdAt: row.created_at
@@ -224,7 +434,10 @@ router.get('/verification-requests', protect, authorize('company'), async (req,
   }
 });
 
-// Approve verification request
+// Approve verification request.
+// Optional body.corrections ({ position, startDate, endDate, employmentType }) records
+// the employer-confirmed value for any field that differs from the candidate's claim;
+// fields left out are taken as confirmed.
 router.post('/verification-requests/:id/approve', protect, authorize('company'), async (req, res) => {
   const client = await pool.connect();
   
@@ -232,7 +445,7 @@ router.post('/verification-requests/:id/approve', protect, authorize('company'),
     await client.query('BEGIN');
 
     const { id } = req.params;
-    const { notes } = req.body;
+    const { notes, corrections } = req.body;
 
     // Get company ID from companies table
     const companyResult = await client.query(
@@ -256,7 +469,11 @@ router.post('/verification-requests/:id/approve', protect, authorize('company'),
 
     // Verify the employment belongs to this company (by ID or name)
     const employmentCheck = await client.query(
-      'SELECT id FROM employment_history WHERE id = $1 AND (company_id = $2 OR LOWER(company_name) = LOWER($3))',
+      `SELECT eh.id, eh.position, eh.start_date, eh.end_date, eh.is_current, eh.employment_type,
+              c.user_id AS candidate_user_id
+       FROM employment_history eh
+       JOIN candidates c ON eh.candidate_id = c.id
+       WHERE eh.id = $1 AND (eh.company_id = $2 OR LOWER(eh.company_name) = LOWER($3))`,
       [id, companyId, companyName]
     );
 
@@ -264,9 +481,17 @@ router.post('/verification-requests/:id/approve', protect, authorize('company'),
       await client.query('ROLLBACK');
       return res.status(404).json({ message: 'Employment record not found or does not belong to your company' });
     }
+    const employment = employmentCheck.rows[0];
+
+    const { error: correctionError, discrepancies } = diffCorrections(employment, corrections || {});
+    if (correctionError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: correctionError });
+    }
 
     // Update verification status
-    await client.query(`
+    const before = await auditSnapshot('employment', id, client);
+    const updated = await client.query(`
       UPDATE employment_history
       SET 
         verification_status = 'verified',
@@ -275,11 +500,53 @@ router.post('/verification-requests/:id/approve', protect, authorize('company'),
         notes = $2,
         updated_at = NOW()
       WHERE id = $3
+      RETURNING *
     `, [req.user.id, notes || null, id]);
 
+    // A fresh approval replaces any unresolved discrepancies from an earlier one
+    await client.query(
+      `UPDATE employment_discrepancies SET status = 'superseded', resolved_at = NOW()
+       WHERE employment_id = $1 AND status IN ('open', 'disputed')`,
+      [id]
+    );
+
+    const savedDiscrepancies = [];
+    for (const d of discrepancies) {
+      const inserted = await client.query(
+        `INSERT INTO employment_discrepancies (employment_id, field, claimed_value, confirmed_value, verifier_user_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [id, d.field, d.claimedValue, d.confirmedValue, req.user.id]
+      );
+      savedDiscrepancies.push(mapDiscrepancy(inserted.rows[0]));
+    }
+
+    if (savedDiscrepancies.length > 0) {
+      await client.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          employment.candidate_user_id,
+          'verification_update',
+          'Employer Corrected Your Employment',
+          `${companyName} verified your role but corrected ${savedDiscrepancies.length} field(s). Review and accept or dispute the changes.`,
+          '/verifications',
+        ]
+      );
+    }
+
+    await recordAudit(req, {
+      action: 'employment.employer_verify',
+      targetType: 'employment',
+      targetId: id,
+      before,
+      after: updated.rows[0],
+      metadata: { companyId, corrections: discrepancies.length > 0 ? discrepancies : undefined },
+    }, client);
+
     await client.query('COMMIT');
 
-    res.json({ message: 'Employment verified successfully' });
+    res.json({ message: 'Employment verified successfully', discrepancies: savedDiscrepancies });
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Error approving verification:', error);
@@ -336,7 +603,8 @@ router.post('/verification-requests/:id/reject', protect, authorize('company'),
     }
 
     // Update verification status
-    await client.query(`
+    const before = await auditSnapshot('employment', id, client);
+    const updated = await client.query(`
       UPDATE employment_history
       SET 
         verification_status = 'rejected',
@@ -345,8 +613,18 @@ router.post('/verification-requests/:id/reject', protect, authorize('company'),
         rejection_reason = $2,
         updated_at = NOW()
       WHERE id = $3
+      RETURNING *
     `, [req.user.id, reason, id]);
 
+    await recordAudit(req, {
+      action: 'employment.employer_reject',
+      targetType: 'employment',
+      targetId: id,
+      before,
+      after: updated.rows[0],
+      metadata: { companyId },
+    }, client);
+
     await client.query('COMMIT');
 
     res.json({ message: 'Verification request rejected' });
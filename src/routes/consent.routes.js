@@ -1,12 +1,342 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import {
+  DEFAULT_CONSENT_DAYS,
+  MAX_CONSENT_DAYS,
+  logConsentEvent,
+  normaliseScope,
+} from '../services/consentService.js';
 
 const router = express.Router();
 
 router.use(protect);
 
-router.get('/requests', (req, res) => {
-  res.json({ message: 'Consent requests - Coming soon' });
+const VALID_STATUSES = ['pending', 'granted', 'denied', 'revoked', 'expired'];
+
+function mapConsent(row) {
+  return {
+    id: row.id,
+    candidateId: row.candidate_id,
+    candidateName: row.candidate_name,
+    requesterUserId: row.requester_user_id,
+    requesterName: row.company_name || row.requester_name,
+    requesterType: row.requester_type,
+    records: row.scope_records,
+    fields: row.scope_fields,
+    purpose: row.purpose,
+    durationDays: row.duration_days,
+    status: row.status,
+    responseNote: row.response_note,
+    respondedAt: row.responded_at,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+  };
+}
+
+async function getCandidateId(userId) {
+  const result = await pool.query('SELECT id FROM candidates WHERE user_id = $1', [userId]);
+  return result.rows[0]?.id || null;
+}
+
+// Load a consent request addressed to the logged-in candidate.
+async function loadOwnConsent(req) {
+  const candidateId = await getCandidateId(req.user.id);
+  if (!candidateId) throw new AppError('Candidate profile not found', 404);
+
+  const result = await pool.query(
+    'SELECT * FROM consent_requests WHERE id = $1 AND candidate_id = $2',
+    [req.params.id, candidateId]
+  );
+  if (result.rows.length === 0) throw new AppError('Consent request not found', 404);
+  return result.rows[0];
+}
+
+async function notifyRequester(consent, title, message) {
+  await pool.query(
+    `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+     VALUES ($1, 'consent_update', $2, $3, $4, NOW())`,
+    [consent.requester_user_id, title, message, '/consent']
+  );
+}
+
+// GET /api/consent/requests - candidates see requests addressed to them,
+// companies and admins see the requests they have made
+router.get('/requests', async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const params = [];
+    let where;
+
+    if (req.user.accountType === 'candidate') {
+      const candidateId = await getCandidateId(req.user.id);
+      if (!candidateId) return res.json({ success: true, requests: [] });
+      params.push(candidateId);
+      where = 'cr.candidate_id = $1';
+    } else {
+      params.push(req.user.id);
+      where = 'cr.requester_user_id = $1';
+    }
+
+    if (status && VALID_STATUSES.includes(status)) {
+      params.push(status);
+      where += ` AND cr.status = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT cr.*,
+              cand.full_name AS candidate_name,
+              ru.name AS requester_name,
+              co.name AS company_name
+       FROM consent_requests cr
+       JOIN candidates cand ON cr.candidate_id = cand.id
+       LEFT JOIN users ru ON cr.requester_user_id = ru.id
+       LEFT JOIN companies co ON cr.requester_company_id = co.id
+       WHERE ${where}
+       ORDER BY cr.created_at DESC
+       LIMIT 200`,
+      params
+    );
+
+    res.json({ success: true, requests: result.rows.map(mapConsent) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/consent/request/:candidateId - company or admin asks for access
+router.post('/request/:candidateId', authorize('company', 'admin'), async (req, res, next) => {
+  try {
+    const { candidateId } = req.params;
+    const { records, fields, purpose, durationDays } = req.body;
+
+    if (!purpose || !String(purpose).trim()) {
+      return next(new AppError('Purpose is required', 400));
+    }
+    const days = parseInt(durationDays, 10) || DEFAULT_CONSENT_DAYS;
+    if (days < 1 || days > MAX_CONSENT_DAYS) {
+      return next(new AppError(`durationDays must be between 1 and ${MAX_CONSENT_DAYS}`, 400));
+    }
+
+    const candRes = await pool.query('SELECT id, user_id FROM candidates WHERE id = $1', [candidateId]);
+    if (candRes.rows.length === 0) return next(new AppError('Candidate not found', 404));
+    const candidate = candRes.rows[0];
+
+    const scope = await normaliseScope(candidateId, records, fields);
+    if (scope.error) return next(new AppError(scope.error, 400));
+
+    let companyId = null;
+    let requesterLabel = 'A VeriBoard administrator';
+    if (req.user.accountType === 'company') {
+      const companyRes = await pool.query('SELECT id, name FROM companies WHERE user_id = $1', [req.user.id]);
+      if (companyRes.rows.length === 0) return next(new AppError('Company not found', 404));
+      companyId = companyRes.rows[0].id;
+      requesterLabel = companyRes.rows[0].name;
+    }
+
+    const ins = await pool.query(
+      `INSERT INTO consent_requests
+         (candidate_id, requester_user_id, requester_company_id, requester_type,
+          scope_records, scope_fields, purpose, duration_days)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8)
+       RETURNING *`,
+      [
+        candidateId,
+        req.user.id,
+        companyId,
+        req.user.accountType,
+        JSON.stringify(scope.records),
+        scope.fields,
+        String(purpose).trim().slice(0, 500),
+        days,
+      ]
+    );
+    const consent = ins.rows[0];
+
+    await logConsentEvent({
+      consentId: consent.id,
+      candidateId,
+      actorUserId: req.user.id,
+      action: 'requested',
+      details: { records: scope.records, fields: scope.fields, purpose: consent.purpose, durationDays: days },
+      req,
+    });
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       VALUES ($1, 'consent_request', $2, $3, $4, NOW())`,
+      [
+        candidate.user_id,
+        'New data access request',
+        `${requesterLabel} is requesting access to ${scope.records.length} of your verification record(s).`,
+        '/consent',
+      ]
+    );
+
+    res.status(201).json({ success: true, request: mapConsent(consent) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/consent/:id/grant - candidate grants access, optionally narrowing scope/duration
+router.post('/:id/grant', authorize('candidate'), async (req, res, next) => {
+  try {
+    const consent = await loadOwnConsent(req);
+    if (consent.status !== 'pending') {
+      return next(new AppError(`Request is already ${consent.status}`, 400));
+    }
+
+    // The candidate may only narrow what was asked for, never widen it.
+    let records = consent.scope_records;
+    let fields = consent.scope_fields;
+    if (Array.isArray(req.body.records)) {
+      const asked = new Set(consent.scope_records.map((r) => `${r.type}:${r.id}`));
+      records = req.body.records.filter((r) => asked.has(`${r?.type}:${r?.id}`)).map((r) => ({ type: r.type, id: r.id }));
+    }
+    if (Array.isArray(req.body.fields)) {
+      fields = req.body.fields.filter((f) => consent.scope_fields.includes(f));
+    }
+    if (records.length === 0 || fields.length === 0) {
+      return next(new AppError('Grant must include at least one record and one field', 400));
+    }
+    const days = Math.min(parseInt(req.body.durationDays, 10) || consent.duration_days, consent.duration_days);
+
+    const result = await pool.query(
+      `UPDATE consent_requests
+       SET status = 'granted',
+           scope_records = $1::jsonb,
+           scope_fields = $2,
+           duration_days = $3,
+           responded_at = NOW(),
+           expires_at = NOW() + make_interval(days => $3::int),
+           updated_at = NOW()
+       WHERE id = $4 AND status = 'pending'
+       RETURNING *`,
+      [JSON.stringify(records), fields, days, consent.id]
+    );
+    if (result.rows.length === 0) return next(new AppError('Request is no longer pending', 409));
+    const updated = result.rows[0];
+
+    await logConsentEvent({
+      consentId: consent.id,
+      candidateId: consent.candidate_id,
+      actorUserId: req.user.id,
+      action: 'granted',
+      details: { records, fields, durationDays: days, expiresAt: updated.expires_at },
+      req,
+    });
+    await notifyRequester(consent, 'Access granted', `${req.user.name} granted your data access request.`);
+
+    res.json({ success: true, request: mapConsent(updated) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/consent/:id/deny - candidate declines a pending request
+router.post('/:id/deny', authorize('candidate'), async (req, res, next) => {
+  try {
+    const consent = await loadOwnConsent(req);
+    if (consent.status !== 'pending') {
+      return next(new AppError(`Request is already ${consent.status}`, 400));
+    }
+    const note = req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+
+    const result = await pool.query(
+      `UPDATE consent_requests
+       SET status = 'denied', response_note = $1, responded_at = NOW(), updated_at = NOW()
+       WHERE id = $2 AND status = 'pending'
+       RETURNING *`,
+      [note, consent.id]
+    );
+    if (result.rows.length === 0) return next(new AppError('Request is no longer pending', 409));
+
+    await logConsentEvent({
+      consentId: consent.id,
+      candidateId: consent.candidate_id,
+      actorUserId: req.user.id,
+      action: 'denied',
+      details: note ? { reason: note } : null,
+      req,
+    });
+    await notifyRequester(consent, 'Access denied', `${req.user.name} declined your data access request.`);
+
+    res.json({ success: true, request: mapConsent(result.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/consent/:id/revoke - candidate withdraws a previously granted consent
+router.post('/:id/revoke', authorize('candidate'), async (req, res, next) => {
+  try {
+    const consent = await loadOwnConsent(req);
+    if (consent.status !== 'granted') {
+      return next(new AppError('Only granted consent can be revoked', 400));
+    }
+
+    const result = await pool.query(
+      `UPDATE consent_requests
+       SET status = 'revoked', expires_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'granted'
+       RETURNING *`,
+      [consent.id]
+    );
+    if (result.rows.length === 0) return next(new AppError('Consent is no longer active', 409));
+
+    await logConsentEvent({
+      consentId: consent.id,
+      candidateId: consent.candidate_id,
+      actorUserId: req.user.id,
+      action: 'revoked',
+      req,
+    });
+    await notifyRequester(consent, 'Access revoked', `${req.user.name} revoked your access to their records.`);
+
+    res.json({ success: true, request: mapConsent(result.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/consent/log - candidate's immutable consent history
+router.get('/log', authorize('candidate'), async (req, res, next) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+    const candidateId = await getCandidateId(req.user.id);
+    if (!candidateId) return res.json({ success: true, log: [] });
+
+    const result = await pool.query(
+      `SELECT cl.id, cl.consent_request_id, cl.action, cl.details, cl.created_at,
+              u.name AS actor_name, u.account_type AS actor_type
+       FROM consent_log cl
+       LEFT JOIN users u ON cl.actor_user_id = u.id
+       WHERE cl.candidate_id = $1
+       ORDER BY cl.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [candidateId, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      log: result.rows.map((r) => ({
+        id: r.id,
+        consentRequestId: r.consent_request_id,
+        action: r.action,
+        details: r.details,
+        actorName: r.actor_name,
+        actorType: r.actor_type,
+        createdAt: r.created_at,
+      })),
+      pagination: { limit, offset, hasMore: result.rows.length === limit },
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
 export default router;
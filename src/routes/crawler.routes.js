@@ -2,6 +2,7 @@ import express from 'express';
 import { protect, authorize } from '../middleware/auth.js';
 import pool from '../config/database.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { recordAudit, auditSnapshot } from '../services/auditLogService.js';
 
 const router = express.Router();
 const logger = { info: (...a) => console.log('[INFO]', ...a), error: (...a) => console.error('[ERROR]', ...a) };
@@ -45,9 +46,11 @@ router.patch('/sources/:id', async (req, res, next) => {
 
     fields.push(`updated_at = NOW()`);
     values.push(id);
+    const before = await auditSnapshot('crawler_source', id);
     const updateSql = `UPDATE crawler_sources SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`;
     const result = await pool.query(updateSql, values);
     if (result.rows.length === 0) return next(new AppError('Source not found', 404));
+    await recordAudit(req, { action: 'crawler_source.update', targetType: 'crawler_source', targetId: id, before, after: result.rows[0] });
 
     // Reload cron schedule if available (best-effort; never fail the request).
     try {
@@ -76,6 +79,7 @@ router.post('/sources/:id/run', async (req, res, next) => {
       [source.id]
     );
     const runId = runResult.rows[0].id;
+    await recordAudit(req, { action: 'crawler_source.run', targetType: 'crawler_source', targetId: source.id, metadata: { runId } });
 
     // Schedule the actual run without blocking the response.
     setImmediate(async () => {
@@ -211,9 +215,11 @@ router.patch('/company-careers/:id', async (req, res, next) => {
 
     fields.push(`updated_at = NOW()`);
     values.push(id);
+    const before = await auditSnapshot('company_career', id);
     const updateSql = `UPDATE company_careers SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`;
     const result = await pool.query(updateSql, values);
     if (result.rows.length === 0) return next(new AppError('Company career entry not found', 404));
+    await recordAudit(req, { action: 'company_career.update', targetType: 'company_career', targetId: id, before, after: result.rows[0] });
 
     res.json({ success: true, company: result.rows[0] });
   } catch (err) {
@@ -235,6 +241,7 @@ router.post('/company-careers/:id/run', async (req, res, next) => {
       [row.id]
     );
     const runId = runResult.rows[0].id;
+    await recordAudit(req, { action: 'company_career.run', targetType: 'company_career', targetId: row.id, metadata: { runId } });
 
     setImmediate(async () => {
       try {
@@ -266,6 +273,7 @@ router.post('/company-careers/run-all', async (req, res, next) => {
     const result = await pool.query(
       'SELECT * FROM company_careers WHERE enabled = TRUE ORDER BY last_run_at ASC NULLS FIRST'
     );
+    await recordAudit(req, { action: 'company_career.run_all', targetType: 'company_career', targetId: null, metadata: { started: result.rows.length } });
 
     res.status(202).json({ success: true, started: result.rows.length });
 
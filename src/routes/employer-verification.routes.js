@@ -0,0 +1,457 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sendEmployerVerificationRequest } from '../utils/mailer.js';
+import { hostnameFromUrl, emailDomain, isFreeEmailDomain, domainsMatch } from '../utils/domain.js';
+import { clearClaim } from '../services/verificationQueueService.js';
+import { recordAudit, auditSnapshot } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+const LINK_TTL_DAYS = parseInt(process.env.EMPLOYER_LINK_TTL_DAYS, 10) || 14;
+const VALID_DECISIONS = ['confirm', 'dispute'];
+// Free text from a public form; longer comments are cut off.
+const MAX_COMMENT_LENGTH = 2000;
+
+function toDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : null;
+}
+
+function mapLink(row) {
+  return {
+    id: row.id,
+    employmentId: row.employment_id,
+    hrEmail: row.hr_email,
+    status: row.status,
+    decision: row.decision,
+    corrections: row.corrections,
+    responderName: row.responder_name,
+    responderTitle: row.responder_title,
+    comment: row.comment,
+    expiresAt: row.expires_at,
+    respondedAt: row.responded_at,
+    createdAt: row.created_at,
+  };
+}
+
+const EMPLOYMENT_FOR_EMAIL_SQL = `
+  SELECT eh.position, eh.start_date, eh.end_date, eh.is_current,
+         COALESCE(c.name, eh.company_name) AS company_name, ca.full_name AS candidate_name
+  FROM employment_history eh
+  JOIN candidates ca ON eh.candidate_id = ca.id
+  LEFT JOIN companies c ON eh.company_id = c.id
+  WHERE eh.id = $1`;
+
+function emailLink(link, emp, fallbackName) {
+  const magicLink = `${process.env.CLIENT_URL || 'http://localhost:3000'}/employer-verify/${link.magic_token}`;
+  sendEmployerVerificationRequest({
+    to: link.hr_email,
+    candidateName: emp.candidate_name || fallbackName || 'A candidate',
+    companyName: emp.company_name,
+    position: emp.position,
+    startDate: toDate(emp.start_date),
+    endDate: emp.is_current ? 'Present' : toDate(emp.end_date) || 'Present',
+    magicLink,
+    expiresInDays: LINK_TTL_DAYS,
+  }).catch((err) => console.error('[EmployerLink] request email error:', err.message));
+}
+
+// POST /api/employer-verification/request - candidate asks a former employer's HR to verify a role
+// Body: { employmentId, hrEmail, companyWebsite? }
+// The link is emailed straight away only when the employer's website has been
+// vouched for (a verified company, or one that proved its domain). Otherwise
+// the website comes from the candidate, so an admin checks the HR address first.
+router.post('/request', protect, authorize('candidate'), async (req, res, next) => {
+  try {
+    const { employmentId, hrEmail, companyWebsite } = req.body;
+    if (!employmentId || !hrEmail) {
+      return next(new AppError('employmentId and hrEmail are required', 400));
+    }
+
+    const result = await pool.query(
+      `SELECT eh.id, eh.candidate_id, eh.position, eh.start_date, eh.end_date, eh.is_current,
+              eh.verification_status, COALESCE(c.name, eh.company_name) AS company_name,
+              c.website AS company_website, c.user_id AS company_user_id,
+              c.verification_status AS company_verification_status, c.verified_domain AS company_verified_domain,
+              ca.full_name AS candidate_name
+       FROM employment_history eh
+       JOIN candidates ca ON eh.candidate_id = ca.id
+       LEFT JOIN companies c ON eh.company_id = c.id
+       WHERE eh.id = $1 AND ca.user_id = $2`,
+      [employmentId, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('Employment record not found or access denied', 404));
+    }
+    const emp = result.rows[0];
+
+    if (emp.verification_status === 'verified') {
+      return next(new AppError('This employment is already verified', 400));
+    }
+    if (emp.company_user_id) {
+      return next(new AppError('This employer is on VeriBoard; request verification through their company portal instead', 400));
+    }
+
+    // The HR address must belong to the employer's own domain.
+    const hrDomain = emailDomain(hrEmail);
+    if (!hrDomain) {
+      return next(new AppError('Invalid HR email address', 400));
+    }
+    if (isFreeEmailDomain(hrDomain)) {
+      return next(new AppError('Please use a company email address, not a personal webmail account', 400));
+    }
+    const trustedDomain = emp.company_verified_domain
+      || (emp.company_verification_status === 'verified' ? hostnameFromUrl(emp.company_website) : null);
+    const website = trustedDomain ? emp.company_website : companyWebsite || emp.company_website;
+    const siteDomain = trustedDomain || hostnameFromUrl(website);
+    if (!siteDomain) {
+      return next(new AppError('A valid company website is required to check the HR email domain', 400));
+    }
+    if (!domainsMatch(hrDomain, siteDomain)) {
+      return next(new AppError(`HR email domain must match the company website (${siteDomain})`, 400));
+    }
+
+    // One outstanding link per employment record
+    await pool.query(
+      `UPDATE employer_verification_links SET status = 'cancelled'
+       WHERE employment_id = $1 AND status IN ('pending', 'awaiting_review')`,
+      [employmentId]
+    );
+
+    const ins = await pool.query(
+      `INSERT INTO employer_verification_links
+         (employment_id, candidate_id, hr_email, hr_domain, company_website, status, expires_at, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7), $8)
+       RETURNING *`,
+      [
+        employmentId, emp.candidate_id, hrEmail.trim().toLowerCase(), hrDomain, website,
+        trustedDomain ? 'pending' : 'awaiting_review', LINK_TTL_DAYS, req.user.id,
+      ]
+    );
+    const link = ins.rows[0];
+
+    if (link.status === 'pending') emailLink(link, emp, req.user.name);
+
+    res.status(201).json({ success: true, link: mapLink(link) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/employer-verification/review - links waiting for an admin to check the HR address
+router.get('/review', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT evl.*, COALESCE(c.name, eh.company_name) AS company_name, eh.position, ca.full_name AS candidate_name
+       FROM employer_verification_links evl
+       JOIN employment_history eh ON evl.employment_id = eh.id
+       JOIN candidates ca ON evl.candidate_id = ca.id
+       LEFT JOIN companies c ON eh.company_id = c.id
+       WHERE evl.status = 'awaiting_review'
+       ORDER BY evl.created_at ASC`
+    );
+    res.json({
+      success: true,
+      links: result.rows.map((row) => ({
+        ...mapLink(row),
+        hrDomain: row.hr_domain,
+        companyWebsite: row.company_website,
+        companyName: row.company_name,
+        position: row.position,
+        candidateName: row.candidate_name,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/employer-verification/review/:id/approve - the HR address belongs to the employer; send the link
+router.post('/review/:id/approve', protect, authorize('admin'), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE employer_verification_links
+       SET status = 'pending', expires_at = NOW() + make_interval(days => $2),
+           reviewed_by = $3, reviewed_at = NOW()
+       WHERE id = $1 AND status = 'awaiting_review'
+       RETURNING *`,
+      [req.params.id, LINK_TTL_DAYS, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return next(new AppError('Link not found or not awaiting review', 404));
+    }
+    const link = result.rows[0];
+    await recordAudit(req, {
+      action: 'employer_link.approve',
+      targetType: 'employment',
+      targetId: link.employment_id,
+      metadata: { linkId: link.id, hrDomain: link.hr_domain },
+    }, client);
+    await client.query('COMMIT');
+
+    const empRes = await pool.query(EMPLOYMENT_FOR_EMAIL_SQL, [link.employment_id]);
+    if (empRes.rows[0]) emailLink(link, empRes.rows[0]);
+
+    res.json({ success: true, link: mapLink(link) });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/employer-verification/review/:id/reject - the HR address cannot be tied to the employer
+// Body: { reason? }
+router.post('/review/:id/reject', protect, authorize('admin'), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const reason = req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE employer_verification_links
+       SET status = 'rejected', comment = $2, reviewed_by = $3, reviewed_at = NOW()
+       WHERE id = $1 AND status = 'awaiting_review'
+       RETURNING *`,
+      [req.params.id, reason, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return next(new AppError('Link not found or not awaiting review', 404));
+    }
+    const link = result.rows[0];
+    await recordAudit(req, {
+      action: 'employer_link.reject',
+      targetType: 'employment',
+      targetId: link.employment_id,
+      metadata: { linkId: link.id, hrDomain: link.hr_domain, reason },
+    }, client);
+    await client.query('COMMIT');
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       SELECT ca.user_id, $2, $3, $4, $5, NOW() FROM candidates ca WHERE ca.id = $1`,
+      [
+        link.candidate_id,
+        'verification_update',
+        'Employer Verification Request Declined',
+        reason
+          ? `We could not confirm that ${link.hr_email} belongs to your employer: ${reason}`
+          : `We could not confirm that ${link.hr_email} belongs to your employer.`,
+        '/profile',
+      ]
+    );
+
+    res.json({ success: true, link: mapLink(link) });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/employer-verification/employment/:employmentId - candidate sees links sent for a record
+router.get('/employment/:employmentId', protect, authorize('candidate'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT evl.*
+       FROM employer_verification_links evl
+       JOIN candidates ca ON evl.candidate_id = ca.id
+       WHERE evl.employment_id = $1 AND ca.user_id = $2
+       ORDER BY evl.created_at DESC`,
+      [req.params.employmentId, req.user.id]
+    );
+    res.json({ success: true, links: result.rows.map(mapLink) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/employer-verification/link/:token - public, HR contact views the record
+router.get('/link/:token', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT evl.status, evl.expires_at, evl.hr_email,
+              eh.position, eh.start_date, eh.end_date, eh.is_current, eh.location,
+              COALESCE(c.name, eh.company_name) AS company_name,
+              ca.full_name AS candidate_name
+       FROM employer_verification_links evl
+       JOIN employment_history eh ON evl.employment_id = eh.id
+       JOIN candidates ca ON evl.candidate_id = ca.id
+       LEFT JOIN companies c ON eh.company_id = c.id
+       WHERE evl.magic_token = $1`,
+      [req.params.token]
+    );
+    if (result.rows.length === 0) return next(new AppError('Invalid verification link', 404));
+    const r = result.rows[0];
+
+    const expired = r.status === 'pending' && new Date(r.expires_at) <= new Date();
+    res.json({
+      success: true,
+      request: {
+        status: expired ? 'expired' : r.status,
+        expiresAt: r.expires_at,
+        hrEmail: r.hr_email,
+        candidateName: r.candidate_name,
+        companyName: r.company_name,
+        position: r.position,
+        location: r.location,
+        startDate: toDate(r.start_date),
+        endDate: r.is_current ? null : toDate(r.end_date),
+        isCurrent: !!r.is_current,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/employer-verification/link/:token/respond - public, HR confirms or disputes
+// Body: { decision: 'confirm'|'dispute', responderName, responderTitle?, comment?,
+//         position?, startDate?, endDate? }  (the last three are corrections, dispute only)
+router.post('/link/:token/respond', async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const { decision, responderName, responderTitle, position, startDate, endDate } = req.body;
+    const comment = req.body.comment ? String(req.body.comment).trim().slice(0, MAX_COMMENT_LENGTH) : '';
+
+    if (!VALID_DECISIONS.includes(decision)) {
+      return next(new AppError('decision must be confirm or dispute', 400));
+    }
+    if (!responderName || !String(responderName).trim()) {
+      return next(new AppError('responderName is required', 400));
+    }
+
+    const corrections = {};
+    if (decision === 'dispute') {
+      if (position) corrections.position = String(position).slice(0, 255);
+      if (startDate) corrections.startDate = startDate;
+      if (endDate) corrections.endDate = endDate;
+      for (const key of ['startDate', 'endDate']) {
+        if (corrections[key] && Number.isNaN(new Date(corrections[key]).getTime())) {
+          return next(new AppError(`Invalid ${key}`, 400));
+        }
+      }
+      if (Object.keys(corrections).length === 0 && !comment) {
+        return next(new AppError('Please provide the correct details or a comment when disputing', 400));
+      }
+    }
+
+    await client.query('BEGIN');
+
+    // Single use: only a pending, unexpired link can be answered
+    const linkRes = await client.query(
+      `UPDATE employer_verification_links
+       SET status = $2, decision = $3, corrections = $4::jsonb, responder_name = $5,
+           responder_title = $6, comment = $7, responder_ip = $8, responded_at = NOW()
+       WHERE magic_token = $1 AND status = 'pending' AND expires_at > NOW()
+       RETURNING *`,
+      [
+        req.params.token,
+        decision === 'confirm' ? 'confirmed' : 'disputed',
+        decision,
+        JSON.stringify(corrections),
+        String(responderName).trim().slice(0, 255),
+        responderTitle ? String(responderTitle).slice(0, 255) : null,
+        comment || null,
+        req.ip || null,
+      ]
+    );
+    if (linkRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return next(new AppError('This link is invalid, expired or has already been used', 410));
+    }
+    const link = linkRes.rows[0];
+
+    const who = `${link.responder_name}${link.responder_title ? `, ${link.responder_title}` : ''} (${link.hr_email})`;
+    const before = await auditSnapshot('employment', link.employment_id, client);
+    let empRes;
+    if (decision === 'confirm') {
+      empRes = await client.query(
+        `UPDATE employment_history
+         SET verification_status = 'verified',
+             verification_type = 'employer_link',
+             verified_at = NOW(),
+             rejection_reason = NULL,
+             notes = $2,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [link.employment_id, `Confirmed by ${who}${comment ? `: ${comment}` : ''}`]
+      );
+    } else {
+      const details = [
+        corrections.position && `title should be "${corrections.position}"`,
+        corrections.startDate && `start date should be ${corrections.startDate}`,
+        corrections.endDate && `end date should be ${corrections.endDate}`,
+      ].filter(Boolean).join('; ');
+      empRes = await client.query(
+        `UPDATE employment_history
+         SET verification_status = 'rejected',
+             verification_type = 'employer_link',
+             rejection_reason = $2,
+             notes = $3,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          link.employment_id,
+          `Disputed by employer${details ? `: ${details}` : ''}`,
+          `Disputed by ${who}${comment ? `: ${comment}` : ''}`,
+        ]
+      );
+    }
+
+    // The responder has no account; the link identifies them.
+    await recordAudit(req, {
+      action: decision === 'confirm' ? 'employment.link_confirm' : 'employment.link_dispute',
+      targetType: 'employment',
+      targetId: link.employment_id,
+      before,
+      after: empRes.rows[0],
+      metadata: {
+        linkId: link.id,
+        responderName: link.responder_name,
+        responderTitle: link.responder_title,
+        hrEmail: link.hr_email,
+        corrections: decision === 'dispute' ? corrections : undefined,
+      },
+    }, client);
+
+    await client.query('COMMIT');
+
+    await clearClaim('employment', link.employment_id);
+
+    const emp = empRes.rows[0];
+    const candidateUser = await pool.query('SELECT user_id FROM candidates WHERE id = $1', [link.candidate_id]);
+    if (emp && candidateUser.rows[0]?.user_id) {
+      await pool.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          candidateUser.rows[0].user_id,
+          'verification_update',
+          decision === 'confirm' ? 'Employment Verified by Employer' : 'Employer Disputed Your Employment',
+          decision === 'confirm'
+            ? `Your former employer confirmed your role as ${emp.position}.`
+            : `Your former employer disputed your role as ${emp.position}. Check the details and update your record.`,
+          '/verifications',
+        ]
+      );
+    }
+
+    res.json({ success: true, status: link.status });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
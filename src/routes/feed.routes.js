@@ -4,6 +4,7 @@ import pool from '../config/database.js';
 import { protect } from '../middleware/auth.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { uploadToBucket, deleteFromBucket, signImageUrl, BUCKET_NAME } from '../utils/supabaseStorage.js';
+import { visitorKey, trackJobEvents } from '../services/jobAnalyticsService.js';
 import crypto from 'crypto';
 
 const router = express.Router();
@@ -424,7 +425,7 @@ router.get('/recommended-jobs', async (req, res, next) => {
     // the scoring expression below short-circuits with COALESCE so a brand-new
     // candidate still gets the most-recent jobs ordered by recency.
     const candRes = await pool.query(
-      `SELECT skills, title, location
+      `SELECT skills, verified_skills, title, location
        FROM candidates
        WHERE user_id = $1`,
       [req.user.id]
@@ -432,11 +433,13 @@ router.get('/recommended-jobs', async (req, res, next) => {
 
     const cand = candRes.rows[0] || {};
     const skills = Array.isArray(cand.skills) ? cand.skills.filter(Boolean) : [];
+    const verifiedSkills = Array.isArray(cand.verified_skills) ? cand.verified_skills : [];
     const candTitle = (cand.title || '').trim();
     const candLocation = (cand.location || '').trim();
 
     // Score breakdown:
     //   +1 per overlapping skill (uses array intersection via unnest+ANY)
+    //   +1 more per overlapping skill proven by a passed assessment
     //   +3 if candidate's title appears in the job title (substring match)
     //   +2 if candidate's location appears in the job's location
     // Order by score DESC, then recency. Excludes jobs the candidate has
@@ -465,6 +468,11 @@ router.get('/recommended-jobs', async (req, res, next) => {
            FROM unnest(COALESCE(j.required_skills, ARRAY[]::TEXT[])) AS s
            WHERE s = ANY($2::text[])
          )
+         + (
+           SELECT COUNT(*)::int
+           FROM unnest(COALESCE(j.required_skills, ARRAY[]::TEXT[])) AS s
+           WHERE LOWER(s) = ANY($6::text[])
+         )
          + CASE
              WHEN $3::text <> '' AND j.title ILIKE '%' || $3::text || '%'
              THEN 3 ELSE 0
@@ -482,7 +490,7 @@ router.get('/recommended-jobs', async (req, res, next) => {
          )
        ORDER BY match_score DESC, j.created_at DESC
        LIMIT $5`,
-      [req.user.id, skills, candTitle, candLocation, limit]
+      [req.user.id, skills, candTitle, candLocation, limit, verifiedSkills]
     );
 
     const jobs = await Promise.all(
@@ -492,6 +500,8 @@ router.get('/recommended-jobs', async (req, res, next) => {
       }))
     );
 
+    trackJobEvents(jobs.map((j) => j.id), 'impression', { visitor: visitorKey(req), source: 'recommended' });
+
     res.json({ success: true, jobs });
   } catch (error) {
     next(error);
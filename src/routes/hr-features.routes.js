@@ -5,6 +5,8 @@ import { protect } from '../middleware/auth.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { screenResume, generateInterviewQuestions } from '../services/aiService.js';
 import { getJobAccess } from '../utils/jobAccess.js';
+import { recordAudit, recordAuditEntries } from '../services/auditLogService.js';
+import { syncBackgroundChecks } from '../services/backgroundCheckService.js';
 import { sendApplicationStatusEmail } from '../utils/mailer.js';
 import { BUCKET_NAME, createSignedUrl } from '../utils/supabaseStorage.js';
 
@@ -95,12 +97,28 @@ router.post('/applications/:id/screen', protect, async (req, res, next) => {
       return next(new AppError('AI screening failed: ' + err.message, 502));
     }
 
-    await pool.query(
-      `UPDATE job_applications
-       SET ai_score = $1, ai_summary = $2, ai_strengths = $3, ai_concerns = $4, ai_screened_at = NOW()
-       WHERE id = $5`,
-      [result.score, result.summary, result.strengths, result.concerns, id]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE job_applications
+         SET ai_score = $1, ai_summary = $2, ai_strengths = $3, ai_concerns = $4, ai_screened_at = NOW()
+         WHERE id = $5`,
+        [result.score, result.summary, result.strengths, result.concerns, id]
+      );
+      await recordAudit(req, {
+        action: 'application.ai_screen',
+        targetType: 'application',
+        targetId: id,
+        metadata: { jobId: appRes.rows[0].job_id, score: result.score },
+      }, client);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
 
     res.json({ success: true, screening: result });
   } catch (err) {
@@ -188,11 +206,38 @@ router.put('/applications/bulk-status', protect, async (req, res, next) => {
       }
     }
 
+    // The update and one audit entry per application are written together.
     const validIds = checkRes.rows.map((r) => r.id);
-    await pool.query(
-      `UPDATE job_applications SET status = $1, updated_at = NOW() WHERE id = ANY($2::uuid[])`,
-      [status, validIds]
-    );
+    let previous;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      previous = await client.query(
+        'SELECT id, status FROM job_applications WHERE id = ANY($1::uuid[]) FOR UPDATE',
+        [validIds]
+      );
+      await client.query(
+        `UPDATE job_applications SET status = $1, updated_at = NOW() WHERE id = ANY($2::uuid[])`,
+        [status, validIds]
+      );
+      await recordAuditEntries(req, previous.rows.map((row) => ({
+        action: 'application.status',
+        targetType: 'application',
+        targetId: row.id,
+        before: { status: row.status },
+        after: { status },
+        metadata: { bulk: true },
+      })), client);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+    for (const row of previous.rows) {
+      await syncBackgroundChecks({ applicationId: row.id, status, previousStatus: row.status, req });
+    }
 
     // Send emails async
     let emailsSent = 0;
@@ -0,0 +1,324 @@
+import express from 'express';
+import path from 'path';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { createUpload } from '../utils/upload.js';
+import { BUCKET_NAME, uploadToBucket, getPublicUrl, createSignedUrl } from '../utils/supabaseStorage.js';
+import { clearClaim } from '../services/verificationQueueService.js';
+import { recordAudit, auditSnapshot } from '../services/auditLogService.js';
+import { awaitingReview } from '../services/consentService.js';
+import { withTransaction } from '../utils/transaction.js';
+import {
+  MAX_BULK_APPROVALS,
+  PENDING_EDUCATION_SQL,
+  getInstitutionForUser,
+  institutionNames,
+  mapInstitution,
+  approveEducationRecords,
+} from '../services/institutionService.js';
+
+const router = express.Router();
+const upload = createUpload({ allow: ['jpeg', 'jpg', 'png', 'pdf'] });
+
+const REQUEST_STATUSES = ['pending', 'verified', 'rejected', 'all'];
+
+router.use(protect);
+router.use(authorize('institution'));
+
+// Every route below acts on the caller's own institution.
+router.use(async (req, res, next) => {
+  try {
+    req.institution = await getInstitutionForUser(req.user.id);
+    if (!req.institution) return next(new AppError('Institution profile not found', 404));
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+function requireVerifiedInstitution(req, res, next) {
+  if (req.institution.verification_status !== 'verified') {
+    return next(new AppError('Your institution must be verified before it can verify education records', 403));
+  }
+  next();
+}
+
+// GET /api/institutions/profile - institution profile and verification state
+router.get('/profile', (req, res) => {
+  res.json({ success: true, institution: mapInstitution(req.institution) });
+});
+
+// PUT /api/institutions/profile - onboarding details
+// Body: { name, website, country, aliases: ['MIT', ...] } — aliases are other names
+// candidates may have typed for the institution on their education records.
+router.put('/profile', async (req, res, next) => {
+  try {
+    const { name, website, country, aliases } = req.body;
+    if (name !== undefined && !String(name).trim()) {
+      return next(new AppError('Name cannot be empty', 400));
+    }
+    if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some((a) => typeof a !== 'string'))) {
+      return next(new AppError('aliases must be an array of names', 400));
+    }
+
+    // Renaming a verified institution, or giving it a name it did not have,
+    // sends it back for review: names decide which records it can verify.
+    const newAliases = aliases ? [...new Set(aliases.map((a) => a.trim()).filter(Boolean))].slice(0, 20) : null;
+    const knownNames = institutionNames(req.institution);
+    const renamed = (name !== undefined && String(name).trim() !== req.institution.name)
+      || (newAliases || []).some((alias) => !knownNames.includes(alias.toLowerCase()));
+
+    const institution = await withTransaction(async (client) => {
+      const before = await auditSnapshot('institution', req.institution.id, client);
+      const result = await client.query(
+        `UPDATE institutions
+         SET name = COALESCE($2, name),
+             website = COALESCE($3, website),
+             country = COALESCE($4, country),
+             aliases = COALESCE($5, aliases),
+             verification_status = CASE WHEN $6 AND verification_status = 'verified' THEN 'pending' ELSE verification_status END,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          req.institution.id,
+          name !== undefined ? String(name).trim() : null,
+          website ?? null,
+          country ?? null,
+          newAliases,
+          renamed,
+        ]
+      );
+      await recordAudit(req, { action: 'institution.update', targetType: 'institution', targetId: req.institution.id, before, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
+    res.json({ success: true, institution: mapInstitution(institution) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/institutions/verification - upload an accreditation / authorisation document for admin review
+router.post('/verification', upload.single('document'), async (req, res, next) => {
+  try {
+    if (!req.file) return next(new AppError('Document is required', 400));
+
+    const filePath = `verification_docs/institution-verifications/institution-${req.institution.id}-${Date.now()}${path.extname(req.file.originalname)}`;
+    const { error } = await uploadToBucket(BUCKET_NAME, filePath, req.file.buffer, { contentType: req.file.mimetype });
+    if (error) {
+      console.error('Supabase upload error:', error);
+      return next(new AppError('Failed to upload document', 500));
+    }
+
+    const institution = await withTransaction(async (client) => {
+      const before = await auditSnapshot('institution', req.institution.id, client);
+      const result = await client.query(
+        `UPDATE institutions
+         SET verification_document_url = $2, verification_status = 'pending', rejection_reason = NULL, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [req.institution.id, getPublicUrl(BUCKET_NAME, filePath)]
+      );
+      await recordAudit(req, { action: 'institution.document_upload', targetType: 'institution', targetId: req.institution.id, before, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
+    res.json({
+      success: true,
+      message: 'Verification document uploaded. Pending admin review.',
+      institution: mapInstitution(institution),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/institutions/verification-requests - education records naming this institution
+// Query: status (pending|verified|rejected|all, default pending), graduationYear, degree
+// Documents are only shared while a record awaits review.
+router.get('/verification-requests', requireVerifiedInstitution, async (req, res, next) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!REQUEST_STATUSES.includes(status)) {
+      return next(new AppError(`status must be one of: ${REQUEST_STATUSES.join(', ')}`, 400));
+    }
+
+    const conditions = ['LOWER(ed.institution) = ANY($1::text[])'];
+    const params = [institutionNames(req.institution)];
+    if (status === 'pending') conditions.push(PENDING_EDUCATION_SQL);
+    else if (status !== 'all') {
+      params.push(status);
+      conditions.push(`ed.verification_status = $${params.length}`);
+    }
+    if (req.query.graduationYear) {
+      params.push(parseInt(req.query.graduationYear, 10));
+      conditions.push(`EXTRACT(YEAR FROM ed.end_date) = $${params.length}`);
+    }
+    if (req.query.degree) {
+      params.push(`%${req.query.degree}%`);
+      conditions.push(`ed.degree ILIKE $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT ed.id, ed.degree, ed.field_of_study, ed.start_date, ed.end_date, ed.is_current,
+              ed.verification_status, ed.document_url, ed.rejection_reason, ed.created_at,
+              c.id AS candidate_id, COALESCE(c.full_name, u.name) AS candidate_name, u.email AS candidate_email
+       FROM education_history ed
+       JOIN candidates c ON ed.candidate_id = c.id
+       JOIN users u ON c.user_id = u.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ed.end_date DESC NULLS FIRST, candidate_name ASC
+       LIMIT 1000`,
+      params
+    );
+
+    const requests = await Promise.all(result.rows.map(async (row) => {
+      let documentUrl = null;
+      if (row.document_url && awaitingReview(row.verification_status)) {
+        const parts = row.document_url.split(`/${BUCKET_NAME}/`);
+        const { data } = await createSignedUrl(BUCKET_NAME, parts.length >= 2 ? parts[1] : row.document_url, 3600);
+        documentUrl = data?.signedUrl || null;
+      }
+      return {
+        id: row.id,
+        candidateId: row.candidate_id,
+        candidateName: row.candidate_name,
+        candidateEmail: row.candidate_email,
+        degree: row.degree,
+        fieldOfStudy: row.field_of_study,
+        startDate: row.start_date,
+        endDate: row.end_date,
+        isCurrent: row.is_current,
+        verificationStatus: row.verification_status || 'pending',
+        documentUrl,
+        hasDocument: Boolean(row.document_url),
+        rejectionReason: row.rejection_reason,
+        createdAt: row.created_at,
+      };
+    }));
+
+    res.json({ success: true, requests });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/institutions/verification-requests/bulk-approve - verify a graduating cohort
+// Body: { ids: [...] } or { graduationYear, degree? } to approve every pending record of that cohort
+router.post('/verification-requests/bulk-approve', requireVerifiedInstitution, async (req, res, next) => {
+  try {
+    const { ids, graduationYear, degree } = req.body;
+    let targetIds;
+
+    if (Array.isArray(ids) && ids.length > 0) {
+      targetIds = ids;
+    } else if (graduationYear) {
+      const params = [institutionNames(req.institution), parseInt(graduationYear, 10)];
+      let degreeClause = '';
+      if (degree) {
+        params.push(`%${degree}%`);
+        degreeClause = 'AND ed.degree ILIKE $3';
+      }
+      const cohort = await pool.query(
+        `SELECT ed.id FROM education_history ed
+         WHERE LOWER(ed.institution) = ANY($1::text[])
+           AND EXTRACT(YEAR FROM ed.end_date) = $2
+           AND ${PENDING_EDUCATION_SQL}
+           ${degreeClause}`,
+        params
+      );
+      targetIds = cohort.rows.map((r) => r.id);
+    } else {
+      return next(new AppError('Provide ids or a graduationYear', 400));
+    }
+
+    if (targetIds.length > MAX_BULK_APPROVALS) {
+      return next(new AppError(`At most ${MAX_BULK_APPROVALS} records can be approved at once`, 400));
+    }
+    if (targetIds.length === 0) {
+      return res.json({ success: true, requested: 0, approved: 0, approvedIds: [] });
+    }
+
+    const approved = await approveEducationRecords({ institution: req.institution, ids: targetIds, userId: req.user.id, req });
+    res.json({
+      success: true,
+      requested: targetIds.length,
+      approved: approved.length,
+      approvedIds: approved.map((r) => r.id),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/institutions/verification-requests/:id/approve - verify one education record
+router.post('/verification-requests/:id/approve', requireVerifiedInstitution, async (req, res, next) => {
+  try {
+    const approved = await approveEducationRecords({ institution: req.institution, ids: [req.params.id], userId: req.user.id, req });
+    if (approved.length === 0) {
+      return next(new AppError('Pending education record not found for this institution', 404));
+    }
+    res.json({ success: true, message: 'Education verified successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/institutions/verification-requests/:id/reject - reject one education record
+// Body: { reason }
+router.post('/verification-requests/:id/reject', requireVerifiedInstitution, async (req, res, next) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return next(new AppError('A rejection reason is required', 400));
+
+    const record = await withTransaction(async (client) => {
+      const before = await auditSnapshot('education', req.params.id, client);
+      const result = await client.query(
+        `UPDATE education_history ed
+         SET verification_status = 'rejected',
+             verification_type = 'institution',
+             verified_by = $2,
+             verified_at = NOW(),
+             rejection_reason = $3,
+             updated_at = NOW()
+         WHERE ed.id = $1
+           AND LOWER(ed.institution) = ANY($4::text[])
+           AND ${PENDING_EDUCATION_SQL}
+         RETURNING ed.*`,
+        [req.params.id, req.user.id, reason, institutionNames(req.institution)]
+      );
+      if (result.rows.length === 0) return null;
+      await recordAudit(req, {
+        action: 'education.institution_reject',
+        targetType: 'education',
+        targetId: result.rows[0].id,
+        before,
+        after: result.rows[0],
+        metadata: { institutionId: req.institution.id },
+      }, client);
+      return result.rows[0];
+    });
+    if (!record) {
+      return next(new AppError('Pending education record not found for this institution', 404));
+    }
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       SELECT c.user_id, $2, $3, $4, $5, NOW() FROM candidates c WHERE c.id = $1`,
+      [
+        record.candidate_id,
+        'verification_update',
+        'Education Verification Rejected',
+        `${req.institution.name} could not verify your ${record.degree || 'degree'}: ${reason}`,
+        '/education-verifications',
+      ]
+    );
+    await clearClaim('education', record.id);
+
+    res.json({ success: true, message: 'Education verification rejected' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
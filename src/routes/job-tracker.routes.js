@@ -0,0 +1,327 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import {
+  MAX_STAGES,
+  MAX_TRACKER_ITEMS,
+  ensureDefaultStages,
+  getBoard,
+  mapTrackerStage,
+  mapTrackerItem,
+} from '../services/jobTrackerService.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('candidate'));
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function validateStageName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name || name.length > 50) return { error: 'name is required (max 50 characters)' };
+  return { name };
+}
+
+// Card fields a candidate can set. Dates accept ISO strings, or null to clear.
+function validateItem(body) {
+  const fields = {};
+  for (const [key, column, max] of [
+    ['title', 'title', 255],
+    ['companyName', 'company_name', 255],
+    ['location', 'location', 255],
+    ['notes', 'notes', 5000],
+  ]) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && typeof body[key] !== 'string') return { error: `${key} must be a string` };
+    const value = body[key] === null ? null : body[key].trim();
+    if (value && value.length > max) return { error: `${key} must be at most ${max} characters` };
+    if (key === 'title' && !value) return { error: 'title cannot be empty' };
+    fields[column] = value || null;
+  }
+  if (body.externalUrl !== undefined) {
+    if (body.externalUrl === null || body.externalUrl === '') {
+      fields.external_url = null;
+    } else if (typeof body.externalUrl !== 'string' || !/^https?:\/\/\S+$/i.test(body.externalUrl.trim())) {
+      return { error: 'externalUrl must be an http(s) URL' };
+    } else {
+      fields.external_url = body.externalUrl.trim();
+    }
+  }
+  for (const [key, column] of [['appliedAt', 'applied_at'], ['followUpAt', 'follow_up_at'], ['deadlineAt', 'deadline_at']]) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[column] = null;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (Number.isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+    fields[column] = date.toISOString();
+  }
+  if (body.position !== undefined) {
+    if (!Number.isInteger(body.position) || body.position < 0) return { error: 'position must be a non-negative integer' };
+    fields.position = body.position;
+  }
+  if (body.stageId !== undefined) {
+    if (!UUID_RE.test(String(body.stageId))) return { error: 'stageId must be a UUID' };
+    fields.stage_id = body.stageId;
+  }
+  return { fields };
+}
+
+async function ownStage(userId, stageId) {
+  const result = await pool.query('SELECT * FROM job_tracker_stages WHERE id = $1 AND user_id = $2', [stageId, userId]);
+  return result.rows[0] || null;
+}
+
+// GET /api/job-tracker - your board: stages in order, each with its cards
+router.get('/', async (req, res, next) => {
+  try {
+    const stages = await getBoard(req.user.id);
+    res.json({ success: true, stages });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/job-tracker/stages - add a stage at the end of the board
+router.post('/stages', async (req, res, next) => {
+  try {
+    const { name, error } = validateStageName(req.body.name);
+    if (error) return next(new AppError(error, 400));
+
+    await ensureDefaultStages(req.user.id);
+    const existing = await pool.query(
+      'SELECT COUNT(*)::int AS total, COALESCE(MAX(position), -1) AS last FROM job_tracker_stages WHERE user_id = $1',
+      [req.user.id]
+    );
+    if (existing.rows[0].total >= MAX_STAGES) {
+      return next(new AppError(`A board can have up to ${MAX_STAGES} stages`, 400));
+    }
+
+    const result = await pool.query(
+      `INSERT INTO job_tracker_stages (user_id, name, position) VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [req.user.id, name, existing.rows[0].last + 1]
+    );
+    if (result.rows.length === 0) return next(new AppError('You already have a stage with that name', 409));
+    res.status(201).json({ success: true, stage: mapTrackerStage(result.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/job-tracker/stages/order - reorder stages
+// Body: { stageIds: [...] } — every one of your stages, in the new order
+router.put('/stages/order', async (req, res, next) => {
+  try {
+    const { stageIds } = req.body;
+    if (!Array.isArray(stageIds) || stageIds.length === 0 || !stageIds.every((id) => UUID_RE.test(String(id)))) {
+      return next(new AppError('stageIds must be an array of stage ids', 400));
+    }
+    const current = await pool.query('SELECT id FROM job_tracker_stages WHERE user_id = $1', [req.user.id]);
+    const owned = new Set(current.rows.map((r) => r.id));
+    if (new Set(stageIds).size !== owned.size || !stageIds.every((id) => owned.has(id))) {
+      return next(new AppError('stageIds must list each of your stages exactly once', 400));
+    }
+
+    const result = await pool.query(
+      `UPDATE job_tracker_stages s SET position = o.position - 1
+       FROM unnest($2::uuid[]) WITH ORDINALITY AS o(id, position)
+       WHERE s.id = o.id AND s.user_id = $1
+       RETURNING s.*`,
+      [req.user.id, stageIds]
+    );
+    const stages = result.rows.sort((a, b) => a.position - b.position).map(mapTrackerStage);
+    res.json({ success: true, stages });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/job-tracker/stages/:id - rename a stage
+router.put('/stages/:id', async (req, res, next) => {
+  try {
+    const { name, error } = validateStageName(req.body.name);
+    if (error) return next(new AppError(error, 400));
+
+    const result = await pool.query(
+      'UPDATE job_tracker_stages SET name = $3 WHERE id = $1 AND user_id = $2 RETURNING *',
+      [req.params.id, req.user.id, name]
+    );
+    if (result.rows.length === 0) return next(new AppError('Stage not found', 404));
+    res.json({ success: true, stage: mapTrackerStage(result.rows[0]) });
+  } catch (err) {
+    if (err.code === '23505') return next(new AppError('You already have a stage with that name', 409));
+    next(err);
+  }
+});
+
+// DELETE /api/job-tracker/stages/:id - remove a stage, moving its cards
+// Query: ?moveTo=<stageId> (defaults to the first remaining stage)
+router.delete('/stages/:id', async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const stages = await client.query(
+      'SELECT id FROM job_tracker_stages WHERE user_id = $1 ORDER BY position ASC, created_at ASC FOR UPDATE',
+      [req.user.id]
+    );
+    const ids = stages.rows.map((r) => r.id);
+    if (!ids.includes(req.params.id)) {
+      await client.query('ROLLBACK');
+      return next(new AppError('Stage not found', 404));
+    }
+    if (ids.length === 1) {
+      await client.query('ROLLBACK');
+      return next(new AppError('A board needs at least one stage', 400));
+    }
+    const moveTo = req.query.moveTo || ids.find((id) => id !== req.params.id);
+    if (moveTo === req.params.id || !ids.includes(moveTo)) {
+      await client.query('ROLLBACK');
+      return next(new AppError('moveTo must be another of your stages', 400));
+    }
+
+    const moved = await client.query(
+      'UPDATE job_tracker_items SET stage_id = $2, updated_at = NOW() WHERE stage_id = $1',
+      [req.params.id, moveTo]
+    );
+    await client.query('DELETE FROM job_tracker_stages WHERE id = $1', [req.params.id]);
+    await client.query('COMMIT');
+    res.json({ success: true, message: 'Stage deleted', movedTo: moveTo, moved: moved.rowCount });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/job-tracker/items - track a job
+// Body: { jobId } for a job listed on VeriBoard (e.g. a crawled job you applied to
+// through its external link), or { title, companyName?, location?, externalUrl? } for
+// one found elsewhere; plus optional stageId, notes, appliedAt, followUpAt, deadlineAt.
+router.post('/items', async (req, res, next) => {
+  try {
+    const { fields, error } = validateItem(req.body);
+    if (error) return next(new AppError(error, 400));
+
+    let job = null;
+    if (req.body.jobId) {
+      if (!UUID_RE.test(String(req.body.jobId))) return next(new AppError('jobId must be a UUID', 400));
+      const found = await pool.query(
+        `SELECT j.id, j.title, j.location, j.external_url, j.is_active, c.name AS company_name
+         FROM jobs j JOIN companies c ON j.company_id = c.id
+         WHERE j.id = $1`,
+        [req.body.jobId]
+      );
+      if (found.rows.length === 0) return next(new AppError('Job not found', 404));
+      job = found.rows[0];
+      fields.title = fields.title || job.title;
+      if (fields.company_name === undefined) fields.company_name = job.company_name;
+      if (fields.location === undefined) fields.location = job.location;
+    } else if (!fields.title) {
+      return next(new AppError('Provide a jobId, or a title for a job found elsewhere', 400));
+    }
+
+    await ensureDefaultStages(req.user.id);
+    const count = await pool.query('SELECT COUNT(*)::int AS total FROM job_tracker_items WHERE user_id = $1', [req.user.id]);
+    if (count.rows[0].total >= MAX_TRACKER_ITEMS) {
+      return next(new AppError(`You can track up to ${MAX_TRACKER_ITEMS} jobs`, 400));
+    }
+
+    let stage;
+    if (fields.stage_id) {
+      stage = await ownStage(req.user.id, fields.stage_id);
+      if (!stage) return next(new AppError('Stage not found', 404));
+    } else {
+      const first = await pool.query(
+        'SELECT * FROM job_tracker_stages WHERE user_id = $1 ORDER BY position ASC, created_at ASC LIMIT 1',
+        [req.user.id]
+      );
+      stage = first.rows[0];
+    }
+
+    const result = await pool.query(
+      `INSERT INTO job_tracker_items
+         (user_id, stage_id, job_id, title, company_name, location, external_url, notes,
+          applied_at, follow_up_at, deadline_at, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [
+        req.user.id, stage.id, job?.id ?? null, fields.title, fields.company_name ?? null, fields.location ?? null,
+        fields.external_url ?? null, fields.notes ?? null, fields.applied_at ?? null,
+        fields.follow_up_at ?? null, fields.deadline_at ?? null, fields.position ?? 0,
+      ]
+    );
+    if (result.rows.length === 0) return next(new AppError('This job is already on your board', 409));
+    const item = { ...result.rows[0], job_external_url: job?.external_url, job_is_active: job?.is_active };
+    res.status(201).json({ success: true, item: mapTrackerItem(item) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/job-tracker/items/:id - move a card or edit its notes, dates and details
+router.put('/items/:id', async (req, res, next) => {
+  try {
+    const { fields, error } = validateItem(req.body);
+    if (error) return next(new AppError(error, 400));
+    if (Object.keys(fields).length === 0) return next(new AppError('Nothing to update', 400));
+    if (fields.stage_id && !(await ownStage(req.user.id, fields.stage_id))) {
+      return next(new AppError('Stage not found', 404));
+    }
+
+    const sets = [];
+    const params = [req.params.id, req.user.id];
+    for (const [column, value] of Object.entries(fields)) {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+      // A new date re-arms its reminder.
+      if (column === 'follow_up_at' || column === 'deadline_at') {
+        const notified = column === 'follow_up_at' ? 'follow_up_notified_at' : 'deadline_notified_at';
+        sets.push(`${notified} = CASE WHEN ${column} IS DISTINCT FROM $${params.length}::timestamptz THEN NULL ELSE ${notified} END`);
+      }
+    }
+    const result = await pool.query(
+      `UPDATE job_tracker_items SET ${sets.join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      params
+    );
+    if (result.rows.length === 0) return next(new AppError('Tracked job not found', 404));
+    res.json({ success: true, item: mapTrackerItem(result.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/job-tracker/items/:id - take a card off the board
+// Cards for open VeriBoard applications stay (the next sync would only add them back).
+router.delete('/items/:id', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM job_tracker_items t
+       WHERE t.id = $1 AND t.user_id = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM job_applications ja WHERE ja.id = t.application_id AND ja.status <> 'withdrawn'
+         )
+       RETURNING t.id`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT 1 FROM job_tracker_items WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+      if (exists.rows.length > 0) {
+        return next(new AppError('Cards for open VeriBoard applications stay on the board; move it to another stage instead', 409));
+      }
+      return next(new AppError('Tracked job not found', 404));
+    }
+    res.json({ success: true, message: 'Removed from your board' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
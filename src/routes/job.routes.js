@@ -3,8 +3,42 @@ import { protect, optionalAuth } from '../middleware/auth.js';
 import pool from '../config/database.js';
 import { deleteFromBucket, BUCKET_NAME, createSignedUrl, signImageUrl } from '../utils/supabaseStorage.js';
 import { AppError } from '../middleware/errorHandler.js';
-
-const JOB_POST_LIMITS = { free: 1, growth: 5, enterprise: Infinity };
+import { freshnessOf } from '../services/verificationFreshnessService.js';
+import { trustLevel } from '../services/trustScoreService.js';
+import { recordAudit, auditSnapshot } from '../services/auditLogService.js';
+import { completedReferencesForCandidate } from '../services/referenceService.js';
+import { syncBackgroundChecks } from '../services/backgroundCheckService.js';
+import { jobFilterClause } from '../services/jobSearchService.js';
+import {
+  SCREENING_OUTCOMES,
+  validateScreeningQuestions,
+  publicScreeningQuestions,
+  validateScreeningAnswers,
+  evaluateScreening,
+  screeningAnswerFilter,
+} from '../services/screeningService.js';
+import {
+  checkJobPostLimit,
+  validateLifecycleInput,
+  canTransition,
+  transitionJob,
+  repostJob,
+  notifyMatchingCandidates,
+  lifecycleOf,
+  getJobExpiryDays,
+} from '../services/jobLifecycleService.js';
+import {
+  CLIENT_EVENT_TYPES,
+  JOB_EVENT_SOURCES,
+  MAX_EVENT_JOBS,
+  visitorKey,
+  normalizeSource,
+  recordJobEvents,
+  trackJobEvents,
+  getJobFunnel,
+} from '../services/jobAnalyticsService.js';
+import { requireJobAccess } from '../utils/jobAccess.js';
+import { withTransaction } from '../utils/transaction.js';
 
 const router = express.Router();
 
@@ -116,10 +150,11 @@ router.get('/', optionalAuth, async (req, res) => {
     const userId = typeof rawUserId === 'string' && UUID_RE.test(rawUserId) ? rawUserId : null;
     if (userId) {
       query += `,
-        EXISTS(SELECT 1 FROM job_applications WHERE job_id = j.id AND user_id = '${userId}') as "hasApplied"
+        EXISTS(SELECT 1 FROM job_applications WHERE job_id = j.id AND user_id = '${userId}') as "hasApplied",
+        EXISTS(SELECT 1 FROM saved_jobs WHERE job_id = j.id AND user_id = '${userId}') as "isBookmarked"
       `;
     } else {
-      query += `, false as "hasApplied"`;
+      query += `, false as "hasApplied", false as "isBookmarked"`;
     }
 
     query += `
@@ -129,59 +164,8 @@ router.get('/', optionalAuth, async (req, res) => {
     `;
 
     const params = [];
-    let paramIndex = 1;
-
-    // Search filter
-    if (search && search.trim()) {
-      query += ` AND (
-        j.title ILIKE $${paramIndex} OR 
-        j.description ILIKE $${paramIndex} OR 
-        c.name ILIKE $${paramIndex} OR
-        j.location ILIKE $${paramIndex}
-      )`;
-      params.push(`%${search.trim()}%`);
-      paramIndex++;
-    }
-
-    // Location filter (simple text match)
-    if (location && location.trim()) {
-      query += ` AND j.location ILIKE $${paramIndex}`;
-      params.push(`%${location.trim()}%`);
-      paramIndex++;
-    }
-
-    // Salary range filter
-    if (salaryMin) {
-      query += ` AND j.salary_max >= $${paramIndex}`;
-      params.push(parseFloat(salaryMin));
-      paramIndex++;
-    }
-
-    if (salaryMax) {
-      query += ` AND j.salary_min <= $${paramIndex}`;
-      params.push(parseFloat(salaryMax));
-      paramIndex++;
-    }
-
-    // Employment type filter (stored values vary in case, e.g. 'Full-time')
-    if (employmentType && employmentType !== 'all') {
-      query += ` AND LOWER(j.employment_type) = LOWER($${paramIndex})`;
-      params.push(employmentType);
-      paramIndex++;
-    }
-
-    // Specific company filter
-    if (companyId) {
-      query += ` AND c.id = $${paramIndex}`;
-      // companyId may be a UUID string; do not coerce to integer.
-      params.push(companyId);
-      paramIndex++;
-    }
-
-    // Top companies only (verified companies)
-    if (topCompaniesOnly === 'true') {
-      query += ` AND c.verification_status = 'verified'`;
-    }
+    query += jobFilterClause({ search, location, salaryMin, salaryMax, employmentType, companyId, topCompaniesOnly }, params);
+    let paramIndex = params.length + 1;
 
     // Sorting
     let scoreParams = [];
@@ -192,19 +176,22 @@ router.get('/', optionalAuth, async (req, res) => {
       //    have no required_skills array)
       //  - role tokens (professional title + recent positions) matched against
       //    the job title — the strongest signal
-      //  - case-insensitive skill hits in required_skills when present
+      //  - case-insensitive skill hits in required_skills when present, with
+      //    extra weight for skills proven by a passed assessment
       //  - location / verified-company / freshness boosts
       //  - already-applied jobs sink to the bottom
       // A per-company rank penalty (instead of strict round-robin) keeps one
       // company from flooding the page without burying relevant clusters.
       // Guests/companies get only the non-personalized boosts.
       let skills = [];
+      let verifiedSkills = [];
       let roleTerms = [];
       let loc = '';
       if (req.user?.accountType === 'candidate') {
         try {
           const cand = await pool.query(
             `SELECT COALESCE(c.skills, ARRAY[]::text[]) AS skills,
+                    COALESCE(c.verified_skills, ARRAY[]::text[]) AS verified_skills,
                     COALESCE(NULLIF(c.professional_title, ''), c.title, '') AS title,
                     COALESCE(c.location, '') AS location,
                     COALESCE((
@@ -224,6 +211,7 @@ router.get('/', optionalAuth, async (req, res) => {
               .map((s) => String(s).toLowerCase().trim())
               .filter(Boolean)
               .slice(0, 15);
+            verifiedSkills = (Array.isArray(row.verified_skills) ? row.verified_skills : []).slice(0, 15);
             loc = (row.location || '').split(',')[0].trim();
             // Seniority/filler words would match nearly every job title, so
             // only role-describing tokens survive.
@@ -257,8 +245,9 @@ router.get('/', optionalAuth, async (req, res) => {
       const pRole = paramIndex + 1;
       const pSkills = paramIndex + 2;
       const pLoc = paramIndex + 3;
-      scoreParams = [tsQueryText, roleTerms.map(wordPattern), skills, loc];
-      paramIndex += 4;
+      const pVerified = paramIndex + 4;
+      scoreParams = [tsQueryText, roleTerms.map(wordPattern), skills, loc, verifiedSkills];
+      paramIndex += 5;
 
       const appliedPenalty = userId
         ? `- CASE WHEN EXISTS(SELECT 1 FROM job_applications WHERE job_id = j.id AND user_id = '${userId}') THEN 50 ELSE 0 END`
@@ -272,6 +261,8 @@ router.get('/', optionalAuth, async (req, res) => {
         + LEAST((SELECT COUNT(*) FROM unnest($${pRole}::text[]) t WHERE j.title ~* t), 3) * 3
         + LEAST((SELECT COUNT(*) FROM unnest(COALESCE(j.required_skills, ARRAY[]::text[])) rs
                  WHERE lower(rs) = ANY($${pSkills}::text[])), 4) * 2
+        + LEAST((SELECT COUNT(*) FROM unnest(COALESCE(j.required_skills, ARRAY[]::text[])) rs
+                 WHERE lower(rs) = ANY($${pVerified}::text[])), 4) * 1
         + CASE WHEN $${pLoc} <> '' AND j.location ILIKE '%' || $${pLoc} || '%' THEN 2.5
                WHEN COALESCE(j.location, '') ~* '(remote|work from home|anywhere)' THEN 1 ELSE 0 END
         + CASE WHEN c.verification_status = 'verified' THEN 1 ELSE 0 END
@@ -365,6 +356,11 @@ router.get('/', optionalAuth, async (req, res) => {
       return jobCopy;
     }));
 
+    trackJobEvents(result.rows.map((j) => j.id), 'impression', {
+      visitor: visitorKey(req),
+      source: normalizeSource(req.query.source, search ? 'search' : 'feed'),
+    });
+
     res.json({
       success: true,
       jobs: jobsWithLogos,
@@ -454,7 +450,9 @@ router.get('/company/my-jobs', protect, async (req, res) => {
         views_count: parseInt(job.views_count) || 0
         ,
         application_form: job.application_form || null,
-        resume_required: job.resume_required || false
+        screening_questions: job.screening_questions || [],
+        resume_required: job.resume_required || false,
+        accepting_applications: lifecycleOf(job).acceptingApplications
       }))
     });
   } catch (error) {
@@ -491,24 +489,6 @@ router.post('/', protect, async (req, res) => {
 
     const companyId = companyResult.rows[0].id;
 
-    const planTier = req.user.plan_tier || 'free';
-    const maxJobs = JOB_POST_LIMITS[planTier] ?? JOB_POST_LIMITS.free;
-    if (maxJobs !== Infinity) {
-      const activeCount = await pool.query(
-        'SELECT COUNT(*)::int AS cnt FROM jobs WHERE company_id = $1 AND is_active = true',
-        [companyId]
-      );
-      if (activeCount.rows[0].cnt >= maxJobs) {
-        return res.status(403).json({
-          success: false,
-          message: `Your ${planTier === 'free' ? 'Basic' : planTier.charAt(0).toUpperCase() + planTier.slice(1)} plan allows up to ${maxJobs} active job posting${maxJobs > 1 ? 's' : ''}. Upgrade your plan to post more jobs.`,
-          limitReached: true,
-          currentCount: activeCount.rows[0].cnt,
-          limit: maxJobs,
-        });
-      }
-    }
-
     const {
       title,
       description,
@@ -520,6 +500,7 @@ router.post('/', protect, async (req, res) => {
       salary_min,
       salary_max,
       application_form,
+      screening_questions,
       resume_required
     } = req.body;
 
@@ -530,6 +511,24 @@ router.post('/', protect, async (req, res) => {
       });
     }
 
+    const screening = validateScreeningQuestions(screening_questions);
+    if (screening.error) {
+      return res.status(400).json({ success: false, message: screening.error });
+    }
+
+    // Lifecycle: new jobs open immediately unless saved as a draft or scheduled
+    const lifecycle = validateLifecycleInput(req.body, { creating: true });
+    if (lifecycle.error) {
+      return res.status(400).json({ success: false, message: lifecycle.error });
+    }
+    const status = lifecycle.fields.status || 'open';
+
+    // Open and scheduled jobs count against the plan's limit; drafts do not
+    if (status !== 'draft') {
+      const limitReached = await checkJobPostLimit(companyId, req.user.plan_tier);
+      if (limitReached) return res.status(403).json(limitReached);
+    }
+
   // Prepare fields for insertion
   // required_skills and benefits are Postgres TEXT[] columns, so pass JS arrays directly (not JSON strings)
   const skillsArray = required_skills && Array.isArray(required_skills) && required_skills.length > 0 ? required_skills : null;
@@ -543,9 +542,11 @@ router.post('/', protect, async (req, res) => {
       INSERT INTO jobs (
         company_id, title, description, requirements, required_skills, 
         benefits, location, employment_type, salary_min, salary_max, application_form, resume_required,
-        is_active, created_at, updated_at
+        screening_questions, status, publish_at, application_deadline, expires_at, created_at, updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, true, NOW(), NOW())
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+        CASE WHEN $14 = 'open' THEN COALESCE($17::timestamptz, NOW() + make_interval(days => $18::int)) ELSE $17::timestamptz END,
+        NOW(), NOW())
       RETURNING *
     `, [
         companyId, 
@@ -559,48 +560,17 @@ router.post('/', protect, async (req, res) => {
       salaryMinNum, 
       salaryMaxNum,
       applicationFormJson,
-      resume_required ?? false
+      resume_required ?? false,
+      screening.questions.length > 0 ? JSON.stringify(screening.questions) : null,
+      status,
+      status === 'scheduled' ? lifecycle.fields.publish_at : null,
+      lifecycle.fields.application_deadline ?? null,
+      lifecycle.fields.expires_at ?? null,
+      getJobExpiryDays()
     ]);
     const createdJob = result.rows[0];
 
-    // After creating a job, notify matching candidates based on skills or title
-    try {
-      // Prepare match criteria
-      const jobSkills = createdJob.required_skills || [];
-      const title = createdJob.title || '';
-
-      // Build title keyword patterns (ignore short words)
-      const tokens = title
-        .split(/\W+/)
-        .map(t => t.trim())
-        .filter(t => t.length >= 3);
-
-      const titlePatterns = tokens.length > 0 ? tokens.map(t => `%${t}%`) : [];
-
-      // Only run candidate matching when we have at least one skill or title token
-      if ((Array.isArray(jobSkills) && jobSkills.length > 0) || titlePatterns.length > 0) {
-        // Insert notifications for matching candidates (use candidates.user_id)
-        const insertQuery = `
-          INSERT INTO notifications (user_id, type, title, message, link, is_read)
-          SELECT user_id, 'job', $1, $2, $3, false
-          FROM candidates
-          WHERE is_public = true
-            AND (
-              ($4::text[] IS NOT NULL AND array_length($4::text[], 1) > 0 AND (skills && $4::text[]))
-              OR
-              ($5::text[] IS NOT NULL AND array_length($5::text[], 1) > 0 AND (title ILIKE ANY ($5::text[])))
-            )
-        `;
-
-        const notifTitle = `New job: ${createdJob.title}`;
-        const notifMessage = `A new job was posted that matches your profile: ${createdJob.title} at ${createdJob.location || 'remote'}`;
-        const notifLink = `/jobs/${createdJob.id}`;
-
-        await pool.query(insertQuery, [notifTitle, notifMessage, notifLink, jobSkills, titlePatterns]);
-      }
-    } catch (notifyErr) {
-      console.warn('Failed to create notifications for new job:', notifyErr);
-    }
+    await notifyMatchingCandidates(createdJob);
 
     res.status(201).json({
       success: true,
@@ -674,51 +644,83 @@ router.put('/:id', protect, async (req, res) => {
       salary_max,
       is_active,
       application_form,
+      screening_questions,
       resume_required
     } = req.body;
 
+    // Deadline and expiry can be changed or cleared (null); status changes go through PUT /:id/status
+    const lifecycle = validateLifecycleInput(req.body);
+    if (lifecycle.error) {
+      return res.status(400).json({ success: false, message: lifecycle.error });
+    }
+    const { application_deadline, expires_at } = lifecycle.fields;
+
     // Update job posting
     const applicationFormJsonUpdate = application_form ? JSON.stringify(application_form) : null;
 
-    const result = await pool.query(`
-      UPDATE jobs 
-      SET 
-        title = COALESCE($1, title),
-        description = COALESCE($2, description),
-        requirements = COALESCE($3, requirements),
-        required_skills = COALESCE($4, required_skills),
-        benefits = COALESCE($5, benefits),
-        location = COALESCE($6, location),
-        employment_type = COALESCE($7, employment_type),
-        salary_min = COALESCE($8, salary_min),
-        salary_max = COALESCE($9, salary_max),
-        application_form = COALESCE($10, application_form),
-        resume_required = COALESCE($11, resume_required),
-        is_active = COALESCE($12, is_active),
-        updated_at = NOW()
-      WHERE id = $13 AND company_id = $14
-      RETURNING *
-    `, [
-      title, 
-      description, 
-      requirements, 
-      required_skills, 
-      benefits, 
-      location, 
-      employment_type, 
-      salary_min, 
-      salary_max,
-      applicationFormJsonUpdate,
-      resume_required,
-      is_active,
-      id,
-      companyId
-    ]);
+    // Screening questions are replaced as a whole; an empty array removes them.
+    let screeningQuestionsJsonUpdate = null;
+    if (screening_questions !== undefined) {
+      const screening = validateScreeningQuestions(screening_questions);
+      if (screening.error) {
+        return res.status(400).json({ success: false, message: screening.error });
+      }
+      screeningQuestionsJsonUpdate = JSON.stringify(screening.questions);
+    }
+
+    const job = await withTransaction(async (client) => {
+      const before = await auditSnapshot('job', id, client);
+      const result = await client.query(`
+        UPDATE jobs 
+        SET 
+          title = COALESCE($1, title),
+          description = COALESCE($2, description),
+          requirements = COALESCE($3, requirements),
+          required_skills = COALESCE($4, required_skills),
+          benefits = COALESCE($5, benefits),
+          location = COALESCE($6, location),
+          employment_type = COALESCE($7, employment_type),
+          salary_min = COALESCE($8, salary_min),
+          salary_max = COALESCE($9, salary_max),
+          application_form = COALESCE($10, application_form),
+          resume_required = COALESCE($11, resume_required),
+          is_active = COALESCE($12, is_active),
+          screening_questions = COALESCE($15, screening_questions),
+          application_deadline = CASE WHEN $16::boolean THEN $17::timestamptz ELSE application_deadline END,
+          expires_at = CASE WHEN $18::boolean THEN $19::timestamptz ELSE expires_at END,
+          expiry_reminder_sent_at = CASE WHEN $18::boolean THEN NULL ELSE expiry_reminder_sent_at END,
+          updated_at = NOW()
+        WHERE id = $13 AND company_id = $14
+        RETURNING *
+      `, [
+        title, 
+        description, 
+        requirements, 
+        required_skills, 
+        benefits, 
+        location, 
+        employment_type, 
+        salary_min, 
+        salary_max,
+        applicationFormJsonUpdate,
+        resume_required,
+        is_active,
+        id,
+        companyId,
+        screeningQuestionsJsonUpdate,
+        application_deadline !== undefined,
+        application_deadline ?? null,
+        expires_at !== undefined,
+        expires_at ?? null
+      ]);
+      await recordAudit(req, { action: 'job.update', targetType: 'job', targetId: id, before, after: result.rows[0] }, client);
+      return result.rows[0];
+    });
 
     res.json({
       success: true,
       message: 'Job posting updated successfully',
-      job: result.rows[0]
+      job
     });
   } catch (error) {
     console.error('Error updating job:', error);
@@ -726,6 +728,188 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
+// Load a job owned by the logged-in company, or send the error response
+async function findOwnJob(req, res) {
+  if (req.user.account_type !== 'company') {
+    res.status(403).json({ success: false, message: 'Access denied. Only companies can manage job postings.' });
+    return null;
+  }
+  const result = await pool.query(
+    `SELECT j.* FROM jobs j
+     JOIN companies c ON j.company_id = c.id
+     WHERE j.id = $1 AND c.user_id = $2`,
+    [req.params.id, req.user.id]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ success: false, message: 'Job not found or you do not have permission to update it.' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// @route   PUT /api/jobs/:id/status
+// @desc    Move a job through its lifecycle: { status, publish_at? }
+//          draft -> scheduled/open/closed, scheduled -> draft/open/closed,
+//          open <-> paused, open/paused -> closed
+// @access  Private (Company only - owner of the job)
+router.put('/:id/status', protect, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    const { status } = req.body;
+    if (!canTransition(job.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${job.status} job cannot be moved to ${status || 'that status'}.`,
+      });
+    }
+
+    let publishAt = null;
+    if (status === 'scheduled') {
+      const lifecycle = validateLifecycleInput({ status, publish_at: req.body.publish_at }, { creating: true });
+      if (lifecycle.error) {
+        return res.status(400).json({ success: false, message: lifecycle.error });
+      }
+      publishAt = lifecycle.fields.publish_at;
+    }
+
+    // Taking a slot (draft -> scheduled/open) checks the plan limit
+    if (['open', 'scheduled'].includes(status) && !['open', 'scheduled'].includes(job.status)) {
+      const limitReached = await checkJobPostLimit(job.company_id, req.user.plan_tier, { excludeJobId: job.id });
+      if (limitReached) return res.status(403).json(limitReached);
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const row = await transitionJob(job, status, { publishAt }, client);
+      if (row) {
+        await recordAudit(req, { action: 'job.status', targetType: 'job', targetId: job.id, before: job, after: row }, client);
+      }
+      return row;
+    });
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'The job changed in the meantime. Reload and try again.' });
+    }
+    // Only the first publication is news; resuming a paused job is not.
+    if (!job.published_at) await notifyMatchingCandidates(updated);
+
+    res.json({
+      success: true,
+      message: `Job is now ${updated.status}`,
+      job: { ...updated, ...lifecycleOf(updated) },
+    });
+  } catch (error) {
+    console.error('Error updating job status:', error);
+    res.status(500).json({ success: false, message: 'Error updating job status' });
+  }
+});
+
+// @route   POST /api/jobs/:id/repost
+// @desc    Clone a closed or expired job into a new posting linked to the original: { status?: 'open' | 'draft' }
+// @access  Private (Company only - owner of the job)
+router.post('/:id/repost', protect, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    if (!['closed', 'expired'].includes(job.status)) {
+      return res.status(400).json({ success: false, message: 'Only closed or expired jobs can be reposted.' });
+    }
+    const status = req.body.status || 'open';
+    if (!['open', 'draft'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'status must be open or draft' });
+    }
+
+    if (status === 'open') {
+      const limitReached = await checkJobPostLimit(job.company_id, req.user.plan_tier);
+      if (limitReached) return res.status(403).json(limitReached);
+    }
+
+    const reposted = await withTransaction(async (client) => {
+      const row = await repostJob(job, status, client);
+      await recordAudit(req, {
+        action: 'job.repost',
+        targetType: 'job',
+        targetId: row.id,
+        before: null,
+        after: row,
+        metadata: { repostedFrom: job.id },
+      }, client);
+      return row;
+    });
+    await notifyMatchingCandidates(reposted);
+    res.status(201).json({
+      success: true,
+      message: 'Job reposted successfully',
+      job: { ...reposted, ...lifecycleOf(reposted) },
+    });
+  } catch (error) {
+    console.error('Error reposting job:', error);
+    res.status(500).json({ success: false, message: 'Error reposting job' });
+  }
+});
+
+// @route   POST /api/jobs/events
+// @desc    Report funnel events seen by the client: { type: 'impression' | 'apply_start', jobIds, source? }
+//          Each counts once per visitor, job and day
+// @access  Public
+router.post('/events', optionalAuth, async (req, res) => {
+  try {
+    const { type, jobIds, source } = req.body;
+    if (!CLIENT_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${CLIENT_EVENT_TYPES.join(', ')}` });
+    }
+    const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!Array.isArray(jobIds) || jobIds.length === 0 || jobIds.length > MAX_EVENT_JOBS
+      || !jobIds.every((jobId) => typeof jobId === 'string' && UUID_RE.test(jobId))) {
+      return res.status(400).json({ success: false, message: `jobIds must be a list of 1-${MAX_EVENT_JOBS} job ids` });
+    }
+    if (source !== undefined && !normalizeSource(source)) {
+      return res.status(400).json({ success: false, message: `source must be one of: ${JOB_EVENT_SOURCES.join(', ')}` });
+    }
+
+    const recorded = await recordJobEvents(jobIds, type, { visitor: visitorKey(req), source: source || null });
+    res.json({ success: true, recorded });
+  } catch (error) {
+    console.error('Error recording job events:', error);
+    res.status(500).json({ success: false, message: 'Error recording job events' });
+  }
+});
+
+// @route   GET /api/jobs/:id/funnel?range=30&includeReposts=true
+// @desc    Impression -> detail view -> apply start -> apply submit funnel of a job, by source and per day.
+//          includeReposts adds the postings this job was reposted from
+// @access  Private (job owner or collaborator)
+router.get('/:id/funnel', protect, requireJobAccess('view'), async (req, res) => {
+  try {
+    const rangeParam = parseInt(req.query.range, 10);
+    const range = [7, 30, 90, 365].includes(rangeParam) ? rangeParam : 30;
+    const since = new Date(Date.now() - range * 24 * 60 * 60 * 1000);
+
+    let jobIds = [req.params.id];
+    if (req.query.includeReposts === 'true') {
+      const chain = await pool.query(
+        `WITH RECURSIVE chain AS (
+           SELECT id, reposted_from, 1 AS depth FROM jobs WHERE id = $1
+           UNION ALL
+           SELECT j.id, j.reposted_from, chain.depth + 1 FROM jobs j
+           JOIN chain ON j.id = chain.reposted_from
+           WHERE chain.depth < 20
+         )
+         SELECT id FROM chain`,
+        [req.params.id]
+      );
+      jobIds = chain.rows.map((row) => row.id);
+    }
+
+    const funnel = await getJobFunnel(jobIds, since);
+    res.json({ success: true, funnel: { jobId: req.params.id, jobIds, range, ...funnel } });
+  } catch (error) {
+    console.error('Error fetching job funnel:', error);
+    res.status(500).json({ success: false, message: 'Error fetching job funnel' });
+  }
+});
+
 // @route   DELETE /api/jobs/:id
 // @desc    Delete a job posting
 // @access  Private (Company only - owner of the job)
@@ -787,7 +971,7 @@ router.delete('/:id', protect, async (req, res) => {
 // @access  Private (Company only)
 router.get('/company/applicants', protect, async (req, res) => {
   try {
-    const { job_id, status } = req.query;
+    const { job_id, status, screening, answer } = req.query;
     const isCompany = req.user.account_type === 'company';
 
     // Determine job_id scope: company owner sees their jobs, collaborator sees jobs they have access to
@@ -838,6 +1022,10 @@ router.get('/company/applicants', protect, async (req, res) => {
         ja.updated_at,
         ja.cover_letter,
         ja.resume_url,
+        ja.application_answers,
+        ja.screening_answers,
+        ja.screening_outcome,
+        ja.screening_flags,
         ja.ai_score,
         ja.ai_summary,
         j.title as job_title,
@@ -848,7 +1036,12 @@ router.get('/company/applicants', protect, async (req, res) => {
         c.full_name as candidate_name,
         c.phone as candidate_phone,
         c.linkedin_url as candidate_linkedin,
-        c.avatar_url as candidate_avatar
+        c.avatar_url as candidate_avatar,
+        c.trust_score,
+        (SELECT COUNT(*)::int FROM employment_history eh
+          WHERE eh.candidate_id = c.id AND eh.verification_status = 'verified') as verified_employment_count,
+        (SELECT COUNT(*)::int FROM employment_history eh
+          WHERE eh.candidate_id = c.id AND eh.verification_status = 'stale') as stale_employment_count
       FROM job_applications ja
       JOIN jobs j ON ja.job_id = j.id
       JOIN users u ON ja.user_id = u.id
@@ -881,6 +1074,29 @@ router.get('/company/applicants', protect, async (req, res) => {
       params.push(status);
     }
 
+    // Screening filters: ?screening=flagged and answer[<questionId>]=<value> (needs job_id)
+    if (screening) {
+      if (!SCREENING_OUTCOMES.includes(screening)) {
+        return res.status(400).json({ success: false, message: `screening must be one of: ${SCREENING_OUTCOMES.join(', ')}` });
+      }
+      paramIndex++;
+      query += ` AND ja.screening_outcome = $${paramIndex}`;
+      params.push(screening);
+    }
+
+    if (answer) {
+      if (!job_id) {
+        return res.status(400).json({ success: false, message: 'Filtering by answers requires job_id' });
+      }
+      const questionsRes = await pool.query('SELECT screening_questions FROM jobs WHERE id = $1', [job_id]);
+      const filter = screeningAnswerFilter(questionsRes.rows[0]?.screening_questions, answer, params);
+      if (filter.error) {
+        return res.status(400).json({ success: false, message: filter.error });
+      }
+      query += filter.sql;
+      paramIndex = params.length;
+    }
+
     query += ` ORDER BY ja.applied_at DESC`;
 
     const result = await pool.query(query, params);
@@ -935,12 +1151,21 @@ router.get('/company/applicants', protect, async (req, res) => {
           cover_letter: app.cover_letter,
           resume_url: resumeUrl,
           application_answers: app.application_answers || null,
+          screening_answers: app.screening_answers || null,
+          screening_outcome: app.screening_outcome || null,
+          screening_flags: app.screening_flags || [],
           candidate_id: app.candidate_id,
           candidate_name: app.candidate_name || 'N/A',
           candidate_email: app.candidate_email,
           candidate_phone: app.candidate_phone || 'N/A',
           candidate_linkedin: app.candidate_linkedin || '',
-          candidate_avatar: avatarUrl
+          candidate_avatar: avatarUrl,
+          verification_freshness: {
+            verified: app.verified_employment_count || 0,
+            stale: app.stale_employment_count || 0
+          },
+          trust_score: app.trust_score ?? null,
+          trust_level: trustLevel(app.trust_score)
         };
       })
     );
@@ -984,6 +1209,7 @@ router.get('/company/applicants/:applicationId', protect, async (req, res) => {
         j.title as job_title,
         j.id as job_id,
         j.application_form as job_application_form,
+        j.screening_questions as job_screening_questions,
         j.resume_required as job_resume_required,
         u.id as user_id,
         u.email as candidate_email,
@@ -1049,13 +1275,13 @@ router.get('/company/applicants/:applicationId', protect, async (req, res) => {
           `SELECT id, company_name as company, position as job_title, location,
                   TO_CHAR(start_date, 'YYYY-MM') as start_month,
                   CASE WHEN is_current THEN NULL ELSE TO_CHAR(end_date, 'YYYY-MM') END as end_month,
-                  is_current, description, verification_status
+                  is_current, description, verification_status, verified_at, stale_since
            FROM employment_history
            WHERE candidate_id = $1
            ORDER BY start_date DESC`,
           [app.candidate_id]
         );
-        experiences = empRes.rows;
+        experiences = empRes.rows.map((exp) => ({ ...exp, verification_freshness: freshnessOf(exp) }));
 
         const edRes = await pool.query(
           `SELECT id, institution, degree, field_of_study, 
@@ -1076,6 +1302,17 @@ router.get('/company/applicants/:applicationId', protect, async (req, res) => {
       console.warn('Failed to fetch candidate histories:', err);
     }
 
+    // Reference answers are hiring material: only for those who can act on applicants.
+    let references;
+    if (app.candidate_id && access.perms?.manage_applicants) {
+      try {
+        references = await completedReferencesForCandidate(app.candidate_id);
+      } catch (err) {
+        console.warn('Failed to fetch candidate references:', err);
+        references = [];
+      }
+    }
+
     res.json({
       success: true,
       application: {
@@ -1088,11 +1325,15 @@ router.get('/company/applicants/:applicationId', protect, async (req, res) => {
         coverLetter: app.cover_letter,
         resumeUrl: resumeSigned || app.resume_url,
         applicationAnswers: app.application_answers || null,
+        screeningAnswers: app.screening_answers || null,
+        screeningOutcome: app.screening_outcome || null,
+        screeningFlags: app.screening_flags || [],
         // include job metadata so client can resolve question ids (application form)
         job: {
           id: app.job_id,
           title: app.job_title,
           applicationForm: app.job_application_form || app.application_form || null,
+          screeningQuestions: app.job_screening_questions || [],
           resumeRequired: app.job_resume_required || false
         },
         candidate: {
@@ -1106,7 +1347,8 @@ router.get('/company/applicants/:applicationId', protect, async (req, res) => {
           bio: app.candidate_bio,
           skills: skills,
           experiences: experiences,
-          educations: educations
+          educations: educations,
+          ...(references !== undefined && { references })
         }
       }
     });
@@ -1116,6 +1358,36 @@ router.get('/company/applicants/:applicationId', protect, async (req, res) => {
   }
 });
 
+// Set an application's status (clearing the resume on rejection) and audit
+// the change in one transaction.
+async function setApplicationStatus(req, { applicationId, status, clearResume = false, before, metadata }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      UPDATE job_applications 
+      SET status = $1, ${clearResume ? 'resume_url = NULL, ' : ''}updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `, [status, applicationId]);
+    await recordAudit(req, {
+      action: 'application.status',
+      targetType: 'application',
+      targetId: applicationId,
+      before,
+      after: result.rows[0],
+      metadata,
+    }, client);
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 // @route   PUT /api/jobs/applications/:applicationId/status
 // @desc    Update application status (accept/reject/reviewing)
 // @access  Private (Company only - owner of the job)
@@ -1142,7 +1414,7 @@ router.put('/applications/:applicationId/status', protect, async (req, res) => {
     }
 
     // Fetch current resume_url for possible deletion if changing to a terminal status
-    const appFetch = await pool.query('SELECT resume_url, status FROM job_applications WHERE id = $1', [applicationId]);
+    const appFetch = await pool.query('SELECT * FROM job_applications WHERE id = $1', [applicationId]);
     const currentResume = appFetch.rows[0]?.resume_url || null;
     const previousStatus = appFetch.rows[0]?.status || null;
 
@@ -1157,17 +1429,19 @@ router.put('/applications/:applicationId/status', protect, async (req, res) => {
 
       // Update status and clear resume_url
       try {
-        const result = await pool.query(`
-          UPDATE job_applications 
-          SET status = $1, resume_url = NULL, updated_at = NOW()
-          WHERE id = $2
-          RETURNING *
-        `, [status, applicationId]);
+        const application = await setApplicationStatus(req, {
+          applicationId,
+          status,
+          clearResume: true,
+          before: appFetch.rows[0],
+          metadata: { jobId: jobLookup.rows[0].job_id, jobRole: access.role },
+        });
+        await syncBackgroundChecks({ applicationId, status, previousStatus, req });
 
         return res.json({
           success: true,
           message: `Application status updated to ${status}`,
-          application: result.rows[0]
+          application
         });
       } catch (dbErr) {
         // Handle DB check constraint violations (e.g. invalid status value)
@@ -1181,17 +1455,18 @@ router.put('/applications/:applicationId/status', protect, async (req, res) => {
 
     // Otherwise, perform a normal status update
     try {
-      const result = await pool.query(`
-        UPDATE job_applications 
-        SET status = $1, updated_at = NOW()
-        WHERE id = $2
-        RETURNING *
-      `, [status, applicationId]);
+      const application = await setApplicationStatus(req, {
+        applicationId,
+        status,
+        before: appFetch.rows[0],
+        metadata: { jobId: jobLookup.rows[0].job_id, jobRole: access.role },
+      });
+      await syncBackgroundChecks({ applicationId, status, previousStatus, req });
 
       res.json({
         success: true,
         message: `Application status updated to ${status}`,
-        application: result.rows[0]
+        application
       });
     } catch (dbErr) {
       if (dbErr && dbErr.code === '23514') {
@@ -1242,6 +1517,7 @@ router.get('/applications/my-applications', protect, async (req, res) => {
         coverLetter: app.cover_letter,
         resumeUrl: app.resume_url,
         applicationAnswers: app.application_answers || null,
+        screeningAnswers: app.screening_answers || null,
         job: {
           title: app.job_title,
           location: app.job_location,
@@ -1265,8 +1541,86 @@ router.get('/applications/my-applications', protect, async (req, res) => {
   }
 });
 
+// Get saved (bookmarked) jobs for the logged-in candidate
+router.get('/bookmarks', protect, async (req, res) => {
+  try {
+    if (req.user.account_type !== 'candidate') {
+      return res.status(403).json({ success: false, message: 'Access denied. Only candidates can save jobs.' });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        j.id,
+        j.title,
+        j.location,
+        j.employment_type as "employmentType",
+        j.salary_min as "salaryMin",
+        j.salary_max as "salaryMax",
+        j.source_key as "sourceKey",
+        j.external_url as "externalUrl",
+        j.is_active as "isActive",
+        j.created_at as "postedAt",
+        c.id as "companyId",
+        c.name as company,
+        c.logo_url as "companyLogo",
+        sj.created_at as "savedAt",
+        EXISTS(SELECT 1 FROM job_applications WHERE job_id = j.id AND user_id = $1 AND status != 'withdrawn') as "hasApplied"
+      FROM saved_jobs sj
+      JOIN jobs j ON sj.job_id = j.id
+      JOIN companies c ON j.company_id = c.id
+      WHERE sj.user_id = $1
+      ORDER BY sj.created_at DESC
+    `, [req.user.id]);
+
+    const jobs = await Promise.all(result.rows.map(async (job) => ({
+      ...job,
+      companyLogo: await signImageUrl(job.companyLogo),
+    })));
+
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('Error fetching saved jobs:', error);
+    res.status(500).json({ success: false, message: 'Error fetching saved jobs' });
+  }
+});
+
+// Toggle a job bookmark for the logged-in candidate
+router.post('/:id/bookmark', protect, async (req, res) => {
+  try {
+    if (req.user.account_type !== 'candidate') {
+      return res.status(403).json({ success: false, message: 'Access denied. Only candidates can save jobs.' });
+    }
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const inserted = await pool.query(
+      `INSERT INTO saved_jobs (user_id, job_id)
+       SELECT $1, id FROM jobs WHERE id = $2 AND is_active = true
+       ON CONFLICT (user_id, job_id) DO NOTHING RETURNING job_id`,
+      [userId, id]
+    );
+
+    let bookmarked;
+    if (inserted.rows.length > 0) {
+      bookmarked = true;
+    } else {
+      // Unsaving works even after the job has closed.
+      const removed = await pool.query('DELETE FROM saved_jobs WHERE user_id = $1 AND job_id = $2', [userId, id]);
+      if (removed.rowCount === 0) {
+        return res.status(404).json({ success: false, message: 'Job not found' });
+      }
+      bookmarked = false;
+    }
+
+    res.json({ success: true, bookmarked });
+  } catch (error) {
+    console.error('Error bookmarking job:', error);
+    res.status(500).json({ success: false, message: 'Error bookmarking job' });
+  }
+});
+
 // Get single job
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -1286,7 +1640,8 @@ router.get('/:id', async (req, res) => {
       WHERE j.id = $1
     `, [id]);
     
-    if (result.rows.length === 0) {
+    // Drafts and scheduled jobs are not public yet
+    if (result.rows.length === 0 || ['draft', 'scheduled'].includes(result.rows[0].status)) {
       return res.status(404).json({ success: false, message: 'Job not found' });
     }
     
@@ -1338,6 +1693,7 @@ router.get('/:id', async (req, res) => {
         console.error('Error tracking view:', viewError);
       }
     }
+    trackJobEvents([id], 'detail_view', { visitor: visitorKey(req), source: normalizeSource(req.query.source, 'direct') });
     
     res.json({ 
       success: true, 
@@ -1350,6 +1706,10 @@ router.get('/:id', async (req, res) => {
         requiredSkills: job.required_skills || [],
         benefits: job.benefits || [],
         applicationForm: job.application_form || null,
+        // Knockout rules stay with the hiring team.
+        screening_questions: undefined,
+        screeningQuestions: publicScreeningQuestions(job.screening_questions),
+        ...lifecycleOf(job),
         resumeRequired: job.resume_required || false,
         sourceKey: job.source_key || null,
         externalUrl: job.external_url || null,
@@ -1367,7 +1727,7 @@ router.get('/:id', async (req, res) => {
 router.post('/:id/apply', protect, async (req, res) => {
   try {
     const { id } = req.params;
-    const { coverLetter, resumeUrl, applicationAnswers } = req.body;
+    const { coverLetter, resumeUrl, applicationAnswers, screeningAnswers } = req.body;
     const userId = req.user.id;
     
     // Verify user is a candidate (companies cannot apply to jobs)
@@ -1379,16 +1739,29 @@ router.post('/:id/apply', protect, async (req, res) => {
     }
     
     // Check if job exists and get application form / resume flag
-    const jobRes = await pool.query('SELECT id, application_form, resume_required FROM jobs WHERE id = $1 AND is_active = true', [id]);
+    const jobRes = await pool.query('SELECT id, application_form, screening_questions, resume_required, application_deadline FROM jobs WHERE id = $1 AND is_active = true', [id]);
     if (jobRes.rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Job not found' });
     }
     const jobRow = jobRes.rows[0];
 
+    // The application deadline closes applications even while the job stays listed
+    if (jobRow.application_deadline && new Date(jobRow.application_deadline) <= new Date()) {
+      return res.status(400).json({ success: false, message: 'The application deadline for this job has passed.' });
+    }
+
     // Enforce resume requirement server-side when the job requires it
     if (jobRow.resume_required && (!resumeUrl || String(resumeUrl).trim() === '')) {
       return res.status(400).json({ success: false, message: 'This job requires a resume. Please upload a resume before applying.' });
     }
+
+    // Validate typed screening answers and apply the job's knockout rules
+    const answersCheck = validateScreeningAnswers(jobRow.screening_questions, screeningAnswers);
+    if (answersCheck.error) {
+      return res.status(400).json({ success: false, message: answersCheck.error });
+    }
+    const screening = evaluateScreening(jobRow.screening_questions, answersCheck.answers);
+    const knockedOut = screening.outcome === 'rejected';
     
     // Check if an active (non-withdrawn) application exists
     // Allow re-apply only if the previous application was withdrawn
@@ -1408,17 +1781,49 @@ router.post('/:id/apply', protect, async (req, res) => {
     // Prepare application answers JSON if provided
     const applicationAnswersJson = applicationAnswers ? JSON.stringify(applicationAnswers) : null;
 
-    // Create application (store application answers if provided)
-    const result = await pool.query(`
-      INSERT INTO job_applications (job_id, candidate_id, user_id, cover_letter, application_answers, resume_url, status)
-      VALUES ($1, $2, $3, $4, $5, $6, 'pending')
-      RETURNING *
-    `, [id, candidateId, userId, coverLetter, applicationAnswersJson, resumeUrl]);
-
-    const application = result.rows[0];
+    // Create application (store application answers if provided). A knockout
+    // rejects it immediately and the application does not keep the resume; the
+    // file itself is left alone, as it is usually the candidate's profile
+    // resume. The audit entry is written with the application.
+    let application;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        INSERT INTO job_applications
+          (job_id, candidate_id, user_id, cover_letter, application_answers, resume_url, status,
+           screening_answers, screening_outcome, screening_flags)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        id, candidateId, userId, coverLetter, applicationAnswersJson,
+        knockedOut ? null : resumeUrl,
+        knockedOut ? 'rejected' : 'pending',
+        answersCheck.answers ? JSON.stringify(answersCheck.answers) : null,
+        screening.outcome,
+        screening.flags.length > 0 ? JSON.stringify(screening.flags) : null,
+      ]);
+      application = result.rows[0];
+      if (knockedOut) {
+        await recordAudit(req, {
+          action: 'application.knockout',
+          targetType: 'application',
+          targetId: application.id,
+          after: { status: application.status, screening_outcome: application.screening_outcome },
+          metadata: { jobId: id, rules: screening.flags.map((f) => ({ questionId: f.questionId, action: f.action })) },
+        }, client);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
 
     // Hybrid AI screening: auto-screen for paid-tier companies if enabled on the job
     setImmediate(async () => {
+      if (knockedOut) return;
       try {
         const cfgRes = await pool.query(
           `SELECT j.ai_screening_enabled, u.plan_tier
@@ -1473,10 +1878,14 @@ router.post('/:id/apply', protect, async (req, res) => {
       }
     });
 
+    trackJobEvents([id], 'apply_submit', { visitor: visitorKey(req), source: normalizeSource(req.body.source) });
+
+    // Flags are for the hiring team only.
+    const { screening_outcome, screening_flags, ...ownApplication } = application;
     res.json({
       success: true,
       message: 'Application submitted successfully',
-      application,
+      application: ownApplication,
     });
   } catch (error) {
     console.error('Error applying to job:', error);
@@ -1566,6 +1975,7 @@ router.delete('/applications/:applicationId/withdraw', protect, async (req, res)
        RETURNING *`,
       [applicationId, userId]
     );
+    await syncBackgroundChecks({ applicationId, status: 'withdrawn', previousStatus: currentStatus, req });
     
     res.json({ 
       success: true, 
@@ -0,0 +1,393 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sendReferenceRequest } from '../utils/mailer.js';
+import { hostnameFromUrl, emailDomain, isFreeEmailDomain, domainsMatch } from '../utils/domain.js';
+import {
+  RELATIONSHIPS,
+  MAX_OPEN_REFERENCES_PER_EMPLOYMENT,
+  normaliseQuestions,
+  validateAnswers,
+  questionsForCompany,
+  mapQuestionSet,
+  mapReferenceForCandidate,
+} from '../services/referenceService.js';
+
+const router = express.Router();
+
+const LINK_TTL_DAYS = parseInt(process.env.REFERENCE_LINK_TTL_DAYS, 10) || 14;
+
+async function companyIdForUser(userId) {
+  const result = await pool.query('SELECT id FROM companies WHERE user_id = $1', [userId]);
+  return result.rows[0]?.id || null;
+}
+
+// ── Company question sets ─────────────────────────────────────────────────
+
+// GET /api/references/question-sets - the company's question sets
+router.get('/question-sets', protect, authorize('company'), async (req, res, next) => {
+  try {
+    const companyId = await companyIdForUser(req.user.id);
+    if (!companyId) return next(new AppError('Company profile not found', 404));
+
+    const result = await pool.query(
+      'SELECT * FROM reference_question_sets WHERE company_id = $1 ORDER BY is_default DESC, created_at ASC',
+      [companyId]
+    );
+    res.json({ success: true, questionSets: result.rows.map(mapQuestionSet) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Only one default set per company; making one default clears the others.
+async function clearDefault(client, companyId, exceptId = null) {
+  await client.query(
+    `UPDATE reference_question_sets SET is_default = FALSE, updated_at = NOW()
+     WHERE company_id = $1 AND is_default = TRUE AND ($2::uuid IS NULL OR id <> $2)`,
+    [companyId, exceptId]
+  );
+}
+
+// POST /api/references/question-sets - create a question set
+// Body: { name, questions: [{ id?, prompt, type: text|rating|yes_no, required? }], isDefault? }
+router.post('/question-sets', protect, authorize('company'), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const companyId = await companyIdForUser(req.user.id);
+    if (!companyId) return next(new AppError('Company profile not found', 404));
+
+    const name = String(req.body.name || '').trim();
+    if (!name) return next(new AppError('name is required', 400));
+    const { error, questions } = normaliseQuestions(req.body.questions);
+    if (error) return next(new AppError(error, 400));
+
+    await client.query('BEGIN');
+    if (req.body.isDefault) await clearDefault(client, companyId);
+    const result = await client.query(
+      `INSERT INTO reference_question_sets (company_id, name, questions, is_default, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [companyId, name.slice(0, 200), JSON.stringify(questions), !!req.body.isDefault, req.user.id]
+    );
+    await client.query('COMMIT');
+
+    res.status(201).json({ success: true, questionSet: mapQuestionSet(result.rows[0]) });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/references/question-sets/:id - rename, replace questions or make default
+router.put('/question-sets/:id', protect, authorize('company'), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    const companyId = await companyIdForUser(req.user.id);
+    if (!companyId) return next(new AppError('Company profile not found', 404));
+
+    const { name, isDefault } = req.body;
+    if (name !== undefined && !String(name).trim()) return next(new AppError('name cannot be empty', 400));
+    let questions = null;
+    if (req.body.questions !== undefined) {
+      const normalised = normaliseQuestions(req.body.questions);
+      if (normalised.error) return next(new AppError(normalised.error, 400));
+      questions = normalised.questions;
+    }
+
+    await client.query('BEGIN');
+    if (isDefault === true) await clearDefault(client, companyId, req.params.id);
+    const result = await client.query(
+      `UPDATE reference_question_sets
+       SET name = COALESCE($3, name),
+           questions = COALESCE($4::jsonb, questions),
+           is_default = COALESCE($5, is_default),
+           updated_at = NOW()
+       WHERE id = $1 AND company_id = $2
+       RETURNING *`,
+      [
+        req.params.id,
+        companyId,
+        name !== undefined ? String(name).trim().slice(0, 200) : null,
+        questions ? JSON.stringify(questions) : null,
+        typeof isDefault === 'boolean' ? isDefault : null,
+      ]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return next(new AppError('Question set not found', 404));
+    }
+    await client.query('COMMIT');
+
+    res.json({ success: true, questionSet: mapQuestionSet(result.rows[0]) });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/references/question-sets/:id
+router.delete('/question-sets/:id', protect, authorize('company'), async (req, res, next) => {
+  try {
+    const companyId = await companyIdForUser(req.user.id);
+    if (!companyId) return next(new AppError('Company profile not found', 404));
+
+    const result = await pool.query(
+      'DELETE FROM reference_question_sets WHERE id = $1 AND company_id = $2 RETURNING id',
+      [req.params.id, companyId]
+    );
+    if (result.rows.length === 0) return next(new AppError('Question set not found', 404));
+    res.json({ success: true, message: 'Question set deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── Candidate nominations ─────────────────────────────────────────────────
+
+// POST /api/references - nominate a referee for one of the candidate's employment records
+// Body: { employmentId, refereeName, refereeEmail, relationship, refereeTitle?, applicationId? }
+// With applicationId, the hiring company's default question set is used.
+router.post('/', protect, authorize('candidate'), async (req, res, next) => {
+  try {
+    const { employmentId, refereeName, refereeEmail, relationship, refereeTitle, applicationId } = req.body;
+    if (!employmentId || !refereeName || !refereeEmail) {
+      return next(new AppError('employmentId, refereeName and refereeEmail are required', 400));
+    }
+    if (!RELATIONSHIPS.includes(relationship)) {
+      return next(new AppError(`relationship must be one of: ${RELATIONSHIPS.join(', ')}`, 400));
+    }
+
+    const empResult = await pool.query(
+      `SELECT eh.id, eh.candidate_id, eh.position, COALESCE(c.name, eh.company_name) AS company_name,
+              c.website AS company_website, ca.full_name AS candidate_name, u.email AS candidate_email
+       FROM employment_history eh
+       JOIN candidates ca ON eh.candidate_id = ca.id
+       JOIN users u ON ca.user_id = u.id
+       LEFT JOIN companies c ON eh.company_id = c.id
+       WHERE eh.id = $1 AND ca.user_id = $2`,
+      [employmentId, req.user.id]
+    );
+    if (empResult.rows.length === 0) {
+      return next(new AppError('Employment record not found or access denied', 404));
+    }
+    const emp = empResult.rows[0];
+
+    // References must come from a work address the referee controls.
+    const email = String(refereeEmail).trim().toLowerCase();
+    const domain = emailDomain(email);
+    if (!domain) return next(new AppError('Invalid referee email address', 400));
+    if (isFreeEmailDomain(domain)) {
+      return next(new AppError('Please use the referee\'s work email address, not a personal webmail account', 400));
+    }
+    if (email === String(emp.candidate_email || '').toLowerCase()) {
+      return next(new AppError('You cannot be your own referee', 400));
+    }
+    const siteDomain = hostnameFromUrl(emp.company_website);
+    const emailMatchesEmployer = siteDomain ? domainsMatch(domain, siteDomain) : null;
+
+    let hiringCompanyId = null;
+    if (applicationId) {
+      const appResult = await pool.query(
+        `SELECT j.company_id FROM job_applications ja
+         JOIN jobs j ON ja.job_id = j.id
+         WHERE ja.id = $1 AND ja.user_id = $2`,
+        [applicationId, req.user.id]
+      );
+      if (appResult.rows.length === 0) return next(new AppError('Application not found', 404));
+      hiringCompanyId = appResult.rows[0].company_id;
+    }
+
+    const open = await pool.query(
+      `SELECT referee_email FROM reference_requests
+       WHERE employment_id = $1 AND status = 'pending' AND expires_at > NOW()`,
+      [employmentId]
+    );
+    if (open.rows.some((r) => r.referee_email === email)) {
+      return next(new AppError('This referee already has an open request for this role', 409));
+    }
+    if (open.rows.length >= MAX_OPEN_REFERENCES_PER_EMPLOYMENT) {
+      return next(new AppError(`At most ${MAX_OPEN_REFERENCES_PER_EMPLOYMENT} open reference requests per role`, 400));
+    }
+
+    const { questionSetId, questions } = await questionsForCompany(hiringCompanyId);
+    const ins = await pool.query(
+      `INSERT INTO reference_requests
+         (employment_id, candidate_id, application_id, referee_name, referee_email, referee_title, relationship,
+          question_set_id, questions, email_matches_employer, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + make_interval(days => $11))
+       RETURNING *`,
+      [
+        employmentId,
+        emp.candidate_id,
+        applicationId || null,
+        String(refereeName).trim().slice(0, 255),
+        email,
+        refereeTitle ? String(refereeTitle).trim().slice(0, 255) : null,
+        relationship,
+        questionSetId,
+        JSON.stringify(questions),
+        emailMatchesEmployer,
+        LINK_TTL_DAYS,
+      ]
+    );
+    const reference = ins.rows[0];
+
+    sendReferenceRequest({
+      to: reference.referee_email,
+      refereeName: reference.referee_name,
+      candidateName: emp.candidate_name || req.user.name || 'A candidate',
+      companyName: emp.company_name,
+      position: emp.position,
+      link: `${process.env.CLIENT_URL || 'http://localhost:3000'}/reference/${reference.token}`,
+      expiresInDays: LINK_TTL_DAYS,
+    }).catch((err) => console.error('[Reference] request email error:', err.message));
+
+    res.status(201).json({ success: true, reference: mapReferenceForCandidate(reference) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/references - the candidate's reference requests (status only; answers are for recruiters)
+router.get('/', protect, authorize('candidate'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.*
+       FROM reference_requests r
+       JOIN candidates ca ON r.candidate_id = ca.id
+       WHERE ca.user_id = $1
+       ORDER BY r.created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ success: true, references: result.rows.map(mapReferenceForCandidate) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/references/:id/cancel - withdraw a pending request
+router.post('/:id/cancel', protect, authorize('candidate'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE reference_requests r
+       SET status = 'cancelled', updated_at = NOW()
+       FROM candidates ca
+       WHERE r.id = $1 AND r.candidate_id = ca.id AND ca.user_id = $2 AND r.status = 'pending'
+       RETURNING r.*`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) return next(new AppError('Pending reference request not found', 404));
+    res.json({ success: true, reference: mapReferenceForCandidate(result.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── Referee questionnaire (public, tokenized) ─────────────────────────────
+
+// GET /api/references/respond/:token - the questionnaire
+router.get('/respond/:token', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.status, r.expires_at, r.referee_name, r.referee_email, r.questions,
+              eh.position, COALESCE(c.name, eh.company_name) AS company_name,
+              ca.full_name AS candidate_name
+       FROM reference_requests r
+       JOIN employment_history eh ON r.employment_id = eh.id
+       JOIN candidates ca ON r.candidate_id = ca.id
+       LEFT JOIN companies c ON eh.company_id = c.id
+       WHERE r.token = $1`,
+      [req.params.token]
+    );
+    if (result.rows.length === 0) return next(new AppError('Invalid reference link', 404));
+    const r = result.rows[0];
+
+    const expired = r.status === 'pending' && new Date(r.expires_at) <= new Date();
+    res.json({
+      success: true,
+      request: {
+        status: expired ? 'expired' : r.status,
+        expiresAt: r.expires_at,
+        refereeName: r.referee_name,
+        refereeEmail: r.referee_email,
+        candidateName: r.candidate_name,
+        companyName: r.company_name,
+        position: r.position,
+        questions: r.questions,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/references/respond/:token - submit answers, or decline
+// Body: { answers: { [questionId]: value }, refereeTitle? } or { decline: true }
+router.post('/respond/:token', async (req, res, next) => {
+  try {
+    const pending = await pool.query(
+      `SELECT id, questions, candidate_id, referee_name FROM reference_requests
+       WHERE token = $1 AND status = 'pending' AND expires_at > NOW()`,
+      [req.params.token]
+    );
+    if (pending.rows.length === 0) {
+      return next(new AppError('This link is invalid, expired or has already been used', 410));
+    }
+    const request = pending.rows[0];
+
+    let status = 'declined';
+    let answers = null;
+    if (!req.body.decline) {
+      const validated = validateAnswers(request.questions, req.body.answers);
+      if (validated.error) return next(new AppError(validated.error, 400));
+      status = 'completed';
+      answers = validated.answers;
+    }
+
+    // Single use: the status guard stops a second submission racing this one.
+    // Opening the emailed link is what verifies the referee's work address.
+    const result = await pool.query(
+      `UPDATE reference_requests
+       SET status = $2, answers = $3, referee_title = COALESCE($4, referee_title),
+           email_verified_at = NOW(), responder_ip = $5, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [
+        request.id,
+        status,
+        answers ? JSON.stringify(answers) : null,
+        req.body.refereeTitle ? String(req.body.refereeTitle).trim().slice(0, 255) : null,
+        req.ip || null,
+      ]
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('This link is invalid, expired or has already been used', 410));
+    }
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       SELECT ca.user_id, $2, $3, $4, $5, NOW() FROM candidates ca WHERE ca.id = $1`,
+      [
+        request.candidate_id,
+        'verification_update',
+        status === 'completed' ? 'Reference Received' : 'Reference Declined',
+        status === 'completed'
+          ? `${request.referee_name} has completed your reference.`
+          : `${request.referee_name} declined to give a reference.`,
+        '/references',
+      ]
+    );
+
+    res.json({ success: true, status });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
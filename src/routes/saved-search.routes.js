@@ -0,0 +1,143 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { normaliseJobFilters, jobFilterClause } from '../services/jobSearchService.js';
+import { SAVED_SEARCH_FREQUENCIES, MAX_SAVED_SEARCHES, mapSavedSearch } from '../services/savedSearchService.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('candidate'));
+
+function validateSavedSearch(body, { partial = false } = {}) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) return { error: 'name is required (max 100 characters)' };
+    fields.name = name;
+  }
+  if (body.filters !== undefined || !partial) {
+    const { filters, error } = normaliseJobFilters(body.filters);
+    if (error) return { error };
+    fields.filters = filters;
+  }
+  if (body.frequency !== undefined) {
+    if (!SAVED_SEARCH_FREQUENCIES.includes(body.frequency)) {
+      return { error: `frequency must be one of: ${SAVED_SEARCH_FREQUENCIES.join(', ')}` };
+    }
+    fields.frequency = body.frequency;
+  }
+  for (const [key, column] of [['emailEnabled', 'email_enabled'], ['isActive', 'is_active']]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'boolean') return { error: `${key} must be true or false` };
+    fields[column] = body[key];
+  }
+  return { fields };
+}
+
+// GET /api/saved-searches - your saved searches
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM saved_searches WHERE user_id = $1 ORDER BY created_at DESC',
+      [req.user.id]
+    );
+    res.json({ success: true, savedSearches: result.rows.map(mapSavedSearch) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/saved-searches - save a job search
+// Body: { name, filters: { search, location, salaryMin, salaryMax, employmentType, companyId, topCompaniesOnly }, frequency?, emailEnabled? }
+router.post('/', async (req, res, next) => {
+  try {
+    const { fields, error } = validateSavedSearch(req.body);
+    if (error) return next(new AppError(error, 400));
+
+    const count = await pool.query('SELECT COUNT(*)::int AS total FROM saved_searches WHERE user_id = $1', [req.user.id]);
+    if (count.rows[0].total >= MAX_SAVED_SEARCHES) {
+      return next(new AppError(`You can save up to ${MAX_SAVED_SEARCHES} searches`, 400));
+    }
+
+    const result = await pool.query(
+      `INSERT INTO saved_searches (user_id, name, filters, frequency, email_enabled)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [req.user.id, fields.name, JSON.stringify(fields.filters), fields.frequency || 'daily', fields.email_enabled ?? true]
+    );
+    res.status(201).json({ success: true, savedSearch: mapSavedSearch(result.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/saved-searches/:id - rename, change filters or alert settings, pause or resume
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { fields, error } = validateSavedSearch(req.body, { partial: true });
+    if (error) return next(new AppError(error, 400));
+    if (Object.keys(fields).length === 0) return next(new AppError('Nothing to update', 400));
+
+    const sets = [];
+    const params = [req.params.id, req.user.id];
+    for (const [column, value] of Object.entries(fields)) {
+      params.push(column === 'filters' ? JSON.stringify(value) : value);
+      sets.push(`${column} = $${params.length}`);
+    }
+    // A resumed search alerts on jobs posted from now on, not on everything it missed while paused.
+    if (fields.is_active === true) sets.push('last_run_at = CASE WHEN is_active THEN last_run_at ELSE NOW() END');
+    const result = await pool.query(
+      `UPDATE saved_searches SET ${sets.join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      params
+    );
+    if (result.rows.length === 0) return next(new AppError('Saved search not found', 404));
+    res.json({ success: true, savedSearch: mapSavedSearch(result.rows[0]) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/saved-searches/:id
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) return next(new AppError('Saved search not found', 404));
+    res.json({ success: true, message: 'Saved search deleted' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/saved-searches/:id/jobs - the newest active jobs matching the search now
+router.get('/:id/jobs', async (req, res, next) => {
+  try {
+    const saved = await pool.query('SELECT * FROM saved_searches WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+    if (saved.rows.length === 0) return next(new AppError('Saved search not found', 404));
+
+    const params = [];
+    const filterSql = jobFilterClause(saved.rows[0].filters, params);
+    params.push(Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20)));
+    const result = await pool.query(
+      `SELECT j.id, j.title, j.location, j.employment_type AS "employmentType",
+              j.salary_min AS "salaryMin", j.salary_max AS "salaryMax", j.created_at AS "postedAt",
+              c.id AS "companyId", c.name AS company, c.logo_url AS "companyLogo"
+       FROM jobs j
+       JOIN companies c ON j.company_id = c.id
+       WHERE j.is_active = true${filterSql}
+       ORDER BY j.created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    res.json({ success: true, jobs: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
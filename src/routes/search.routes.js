@@ -2,6 +2,8 @@ import express from 'express';
 import pool from '../config/database.js';
 import { protect } from '../middleware/auth.js';
 import { signImageUrl } from '../utils/supabaseStorage.js';
+import { trustLevel } from '../services/trustScoreService.js';
+import { visitorKey, trackJobEvents } from '../services/jobAnalyticsService.js';
 
 const router = express.Router();
 
@@ -100,13 +102,21 @@ router.get('/', async (req, res, next) => {
       }))
     );
 
+    trackJobEvents(jobsResult.rows.map((j) => j.id), 'impression', { visitor: visitorKey(req), source: 'search' });
+
     res.json({ success: true, candidates, companies, jobs: jobsResult.rows });
   } catch (error) {
     next(error);
   }
 });
 
-// ─── GET /api/search/candidates?q=...&page=1&limit=12 — paginated ───
+// ─── GET /api/search/candidates?q=...&minTrust=60&trustLevel=high&page=1&limit=12 — paginated ───
+// minTrust / trustLevel filter on the stored trust score; either one alone is
+// enough to search without a text query (results are then ranked by score).
+// A level matches exactly the scores trustLevel() gives that label, so
+// trustLevel=low means below 40, not "any score".
+const TRUST_LEVEL_RANGE = { low: [0, 40], medium: [40, 70], high: [70, null] };
+
 router.get('/candidates', async (req, res, next) => {
   try {
     const q = (req.query.q || '').trim();
@@ -114,26 +124,51 @@ router.get('/candidates', async (req, res, next) => {
     const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 12, 50));
     const offset = (page - 1) * limit;
 
-    if (q.length < 2) {
+    const minTrustRaw = parseInt(req.query.minTrust);
+    let minTrust = Number.isNaN(minTrustRaw) ? null : Math.max(0, Math.min(minTrustRaw, 100));
+    let belowTrust = null;
+    if (Object.hasOwn(TRUST_LEVEL_RANGE, req.query.trustLevel)) {
+      const [from, below] = TRUST_LEVEL_RANGE[req.query.trustLevel];
+      minTrust = Math.max(minTrust ?? 0, from);
+      belowTrust = below;
+    }
+
+    if (q.length < 2 && minTrust === null) {
       return res.json({ success: true, candidates: [], total: 0 });
     }
 
-    const tsquery = buildTsquery(q);
+    const tsquery = q.length >= 2 ? buildTsquery(q) : null;
+    const conditions = [];
+    const params = [];
+    let orderClause = 'c.trust_score DESC NULLS LAST';
 
-    const whereClause = tsquery
-      ? `(c.search_vector @@ to_tsquery('english', $1) OR c.full_name % $2)`
-      : `c.full_name % $1`;
-    const orderClause = tsquery
-      ? `ts_rank(c.search_vector, to_tsquery('english', $1)) DESC, similarity(c.full_name, $2) DESC`
-      : `similarity(c.full_name, $1) DESC`;
+    if (q.length >= 2) {
+      if (tsquery) {
+        params.push(tsquery, q);
+        conditions.push(`(c.search_vector @@ to_tsquery('english', $1) OR c.full_name % $2)`);
+        orderClause = `ts_rank(c.search_vector, to_tsquery('english', $1)) DESC, similarity(c.full_name, $2) DESC`;
+      } else {
+        params.push(q);
+        conditions.push('c.full_name % $1');
+        orderClause = 'similarity(c.full_name, $1) DESC';
+      }
+    }
+    if (minTrust !== null) {
+      params.push(minTrust);
+      conditions.push(`c.trust_score >= $${params.length}`);
+    }
+    if (belowTrust !== null) {
+      params.push(belowTrust);
+      conditions.push(`c.trust_score < $${params.length}`);
+    }
 
-    const params = tsquery ? [tsquery, q] : [q];
+    const whereClause = conditions.join(' AND ');
     const limitIdx = params.length + 1;
     const offsetIdx = params.length + 2;
 
     const [result, countResult] = await Promise.all([
       pool.query(
-        `SELECT c.user_id, c.full_name, c.title, c.location, c.avatar_url
+        `SELECT c.user_id, c.full_name, c.title, c.location, c.avatar_url, c.trust_score
          FROM candidates c
          JOIN users u ON u.id = c.user_id
          WHERE ${whereClause}
@@ -153,6 +188,7 @@ router.get('/candidates', async (req, res, next) => {
     const candidates = await Promise.all(
       result.rows.map(async (c) => ({
         ...c,
+        trust_level: trustLevel(c.trust_score),
         avatar_url: await signImageUrl(c.avatar_url),
       }))
     );
@@ -0,0 +1,372 @@
+import express from 'express';
+import pool from '../config/database.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { recordAudit, auditSnapshot } from '../services/auditLogService.js';
+import {
+  SUBMISSION_GRACE_SECONDS,
+  RETAKE_COOLDOWN_DAYS,
+  skillKey,
+  normaliseAssessment,
+  publicQuestions,
+  gradeAttempt,
+  mapAssessment,
+  sharedVerifiedEmployment,
+  skillSummaries,
+} from '../services/skillService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+async function candidateForUser(userId) {
+  const result = await pool.query('SELECT id, skills, verified_skills FROM candidates WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+// ── Endorsements ──────────────────────────────────────────────────────────
+
+// GET /api/skills/candidates/:candidateId - skills with endorsements and assessment badges
+router.get('/candidates/:candidateId', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, user_id, skills, is_public FROM candidates WHERE id = $1',
+      [req.params.candidateId]
+    );
+    const candidate = result.rows[0];
+    const isOwner = candidate && candidate.user_id === req.user.id;
+    if (!candidate || (!candidate.is_public && !isOwner && req.user.role !== 'admin')) {
+      return next(new AppError('Candidate profile not found', 404));
+    }
+
+    const skills = await skillSummaries(candidate.id, candidate.skills, req.user.id);
+    res.json({ success: true, skills });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/skills/candidates/:candidateId/endorsements - endorse a colleague's skill
+// Body: { skill }. Only candidates who share verified, overlapping employment may endorse.
+router.post('/candidates/:candidateId/endorsements', authorize('candidate'), async (req, res, next) => {
+  try {
+    if (typeof req.body.skill !== 'string') return next(new AppError('skill is required', 400));
+    const key = skillKey(req.body.skill);
+    if (!key) return next(new AppError('skill is required', 400));
+
+    const endorser = await candidateForUser(req.user.id);
+    if (!endorser) return next(new AppError('Candidate profile not found', 404));
+    if (endorser.id === req.params.candidateId) return next(new AppError('You cannot endorse your own skills', 400));
+
+    const target = await pool.query('SELECT id, user_id, skills FROM candidates WHERE id = $1', [req.params.candidateId]);
+    if (target.rows.length === 0) return next(new AppError('Candidate profile not found', 404));
+    const listed = (target.rows[0].skills || []).some((s) => skillKey(s) === key);
+    if (!listed) return next(new AppError('This skill is not on the candidate\'s profile', 400));
+
+    const shared = await sharedVerifiedEmployment(req.params.candidateId, endorser.id);
+    if (!shared) {
+      return next(new AppError('Only colleagues with verified employment at the same company, at the same time, can endorse', 403));
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO skill_endorsements (candidate_id, skill_key, endorser_user_id, endorser_employment_id, company_name)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (candidate_id, skill_key, endorser_user_id) DO NOTHING
+       RETURNING *`,
+      [req.params.candidateId, key, req.user.id, shared.endorserEmploymentId, shared.companyName]
+    );
+    if (inserted.rows.length === 0) return next(new AppError('You have already endorsed this skill', 409));
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [
+        target.rows[0].user_id,
+        'skill_endorsement',
+        'New Skill Endorsement',
+        `${req.user.name || 'A colleague'} from ${shared.companyName} endorsed your ${req.body.skill.trim()} skill.`,
+        '/profile',
+      ]
+    );
+
+    res.status(201).json({ success: true, endorsement: { id: inserted.rows[0].id, skill: key, companyName: shared.companyName } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/skills/candidates/:candidateId/endorsements/:skill - withdraw your endorsement
+router.delete('/candidates/:candidateId/endorsements/:skill', authorize('candidate'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM skill_endorsements
+       WHERE candidate_id = $1 AND skill_key = $2 AND endorser_user_id = $3
+       RETURNING id`,
+      [req.params.candidateId, skillKey(req.params.skill), req.user.id]
+    );
+    if (result.rows.length === 0) return next(new AppError('Endorsement not found', 404));
+    res.json({ success: true, message: 'Endorsement withdrawn' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── Assessments ───────────────────────────────────────────────────────────
+
+// GET /api/skills/assessments - active assessments; admins also see inactive ones and answers.
+// Candidates get their latest attempt per assessment.
+router.get('/assessments', async (req, res, next) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const result = await pool.query(
+      `SELECT * FROM skill_assessments ${isAdmin ? '' : 'WHERE is_active = TRUE'} ORDER BY skill ASC, title ASC`
+    );
+
+    const latest = new Map();
+    if (req.user.accountType === 'candidate' || req.user.account_type === 'candidate') {
+      const attempts = await pool.query(
+        `SELECT DISTINCT ON (t.assessment_id) t.assessment_id, t.id, t.passed, t.percent, t.submitted_at, t.expires_at
+         FROM skill_assessment_attempts t
+         JOIN candidates c ON t.candidate_id = c.id
+         WHERE c.user_id = $1
+         ORDER BY t.assessment_id, t.started_at DESC`,
+        [req.user.id]
+      );
+      for (const a of attempts.rows) latest.set(a.assessment_id, a);
+    }
+
+    res.json({
+      success: true,
+      assessments: result.rows.map((row) => {
+        const attempt = latest.get(row.id);
+        return {
+          ...mapAssessment(row, { includeAnswers: isAdmin }),
+          ...(attempt && {
+            lastAttempt: {
+              id: attempt.id,
+              passed: attempt.passed,
+              percent: attempt.percent !== null ? Number(attempt.percent) : null,
+              submittedAt: attempt.submitted_at,
+              expiresAt: attempt.expires_at,
+            },
+          }),
+        };
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/skills/assessments - create an assessment (admin)
+// Body: { skill, title, description?, timeLimitSeconds, passPercent?, questions: [{ id?, prompt, options[], answer }] }
+router.post('/assessments', authorize('admin'), async (req, res, next) => {
+  try {
+    const { error, assessment } = normaliseAssessment(req.body);
+    if (error) return next(new AppError(error, 400));
+
+    const result = await pool.query(
+      `INSERT INTO skill_assessments (skill, skill_key, title, description, time_limit_seconds, pass_percent, questions, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        assessment.skill,
+        assessment.skillKey,
+        assessment.title,
+        assessment.description,
+        assessment.timeLimitSeconds,
+        assessment.passPercent,
+        JSON.stringify(assessment.questions),
+        req.user.id,
+      ]
+    );
+    await recordAudit(req, {
+      action: 'skill_assessment.create',
+      targetType: 'skill_assessment',
+      targetId: result.rows[0].id,
+      after: result.rows[0],
+    });
+
+    res.status(201).json({ success: true, assessment: mapAssessment(result.rows[0], { includeAnswers: true }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/skills/assessments/:id - replace an assessment's definition, or toggle isActive (admin)
+// Attempts in progress keep the questions they started with.
+router.put('/assessments/:id', authorize('admin'), async (req, res, next) => {
+  try {
+    const before = await auditSnapshot('skill_assessment', req.params.id);
+    if (!before) return next(new AppError('Assessment not found', 404));
+
+    let assessment = null;
+    if (req.body.questions !== undefined || req.body.skill !== undefined || req.body.title !== undefined) {
+      const normalised = normaliseAssessment({
+        skill: before.skill,
+        title: before.title,
+        description: before.description,
+        timeLimitSeconds: before.time_limit_seconds,
+        passPercent: Number(before.pass_percent),
+        questions: before.questions,
+        ...req.body,
+      });
+      if (normalised.error) return next(new AppError(normalised.error, 400));
+      assessment = normalised.assessment;
+    }
+    const isActive = typeof req.body.isActive === 'boolean' ? req.body.isActive : null;
+
+    const result = await pool.query(
+      `UPDATE skill_assessments
+       SET skill = COALESCE($2, skill),
+           skill_key = COALESCE($3, skill_key),
+           title = COALESCE($4, title),
+           description = CASE WHEN $5::boolean THEN $6 ELSE description END,
+           time_limit_seconds = COALESCE($7, time_limit_seconds),
+           pass_percent = COALESCE($8, pass_percent),
+           questions = COALESCE($9::jsonb, questions),
+           is_active = COALESCE($10, is_active),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        req.params.id,
+        assessment?.skill ?? null,
+        assessment?.skillKey ?? null,
+        assessment?.title ?? null,
+        !!assessment,
+        assessment?.description ?? null,
+        assessment?.timeLimitSeconds ?? null,
+        assessment?.passPercent ?? null,
+        assessment ? JSON.stringify(assessment.questions) : null,
+        isActive,
+      ]
+    );
+    await recordAudit(req, {
+      action: 'skill_assessment.update',
+      targetType: 'skill_assessment',
+      targetId: req.params.id,
+      before,
+      after: result.rows[0],
+    });
+
+    res.json({ success: true, assessment: mapAssessment(result.rows[0], { includeAnswers: true }) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/skills/assessments/:id/attempts - start (or resume) a timed attempt (candidate)
+router.post('/assessments/:id/attempts', authorize('candidate'), async (req, res, next) => {
+  try {
+    const candidate = await candidateForUser(req.user.id);
+    if (!candidate) return next(new AppError('Candidate profile not found', 404));
+
+    const aResult = await pool.query('SELECT * FROM skill_assessments WHERE id = $1 AND is_active = TRUE', [req.params.id]);
+    const assessment = aResult.rows[0];
+    if (!assessment) return next(new AppError('Assessment not found', 404));
+
+    const previous = await pool.query(
+      `SELECT * FROM skill_assessment_attempts
+       WHERE assessment_id = $1 AND candidate_id = $2
+       ORDER BY started_at DESC LIMIT 1`,
+      [assessment.id, candidate.id]
+    );
+    const last = previous.rows[0];
+    if (last && !last.submitted_at && new Date(last.expires_at) > new Date()) {
+      return res.json({
+        success: true,
+        attempt: { id: last.id, expiresAt: last.expires_at, questions: publicQuestions(last.questions) },
+      });
+    }
+    if (last?.passed) return next(new AppError('You have already passed this assessment', 409));
+    if (last) {
+      const retakeAt = new Date(new Date(last.submitted_at || last.expires_at).getTime() + RETAKE_COOLDOWN_DAYS * 86400000);
+      if (retakeAt > new Date()) {
+        return next(new AppError(`You can retake this assessment after ${retakeAt.toISOString()}`, 429));
+      }
+    }
+
+    // The questions are copied so edits to the assessment cannot change a running attempt.
+    const result = await pool.query(
+      `INSERT INTO skill_assessment_attempts (assessment_id, candidate_id, questions, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+       RETURNING *`,
+      [assessment.id, candidate.id, JSON.stringify(assessment.questions), assessment.time_limit_seconds]
+    );
+    const attempt = result.rows[0];
+
+    res.status(201).json({
+      success: true,
+      attempt: { id: attempt.id, expiresAt: attempt.expires_at, questions: publicQuestions(attempt.questions) },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/skills/attempts/:attemptId/submit - submit answers for grading (candidate)
+// Body: { answers: { [questionId]: optionIndex } }
+router.post('/attempts/:attemptId/submit', authorize('candidate'), async (req, res, next) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const aResult = await client.query(
+      `SELECT t.*, a.skill, a.skill_key, a.pass_percent,
+              t.expires_at + make_interval(secs => $3) < NOW() AS timed_out
+       FROM skill_assessment_attempts t
+       JOIN skill_assessments a ON t.assessment_id = a.id
+       JOIN candidates c ON t.candidate_id = c.id
+       WHERE t.id = $1 AND c.user_id = $2
+       FOR UPDATE OF t`,
+      [req.params.attemptId, req.user.id, SUBMISSION_GRACE_SECONDS]
+    );
+    const attempt = aResult.rows[0];
+    if (!attempt) {
+      await client.query('ROLLBACK');
+      return next(new AppError('Attempt not found', 404));
+    }
+    if (attempt.submitted_at) {
+      await client.query('ROLLBACK');
+      return next(new AppError('This attempt has already been submitted', 409));
+    }
+
+    // Late submissions are recorded as a fail so they count towards the retake cooldown.
+    const grade = attempt.timed_out
+      ? { ...gradeAttempt(attempt.questions, {}, Number(attempt.pass_percent)), passed: false }
+      : gradeAttempt(attempt.questions, req.body.answers, Number(attempt.pass_percent));
+
+    await client.query(
+      `UPDATE skill_assessment_attempts
+       SET answers = $2, correct = $3, percent = $4, passed = $5, timed_out = $6, submitted_at = NOW()
+       WHERE id = $1`,
+      [attempt.id, JSON.stringify(attempt.timed_out ? {} : req.body.answers || {}), grade.correct, grade.percent, grade.passed, attempt.timed_out]
+    );
+
+    if (grade.passed) {
+      // Badge the skill, adding it to the profile if the candidate had not listed it.
+      await client.query(
+        `UPDATE candidates
+         SET verified_skills = ARRAY(SELECT DISTINCT unnest(COALESCE(verified_skills, ARRAY[]::text[]) || ARRAY[$2::text])),
+             skills = CASE WHEN EXISTS (SELECT 1 FROM unnest(COALESCE(skills, ARRAY[]::text[])) s WHERE LOWER(TRIM(s)) = $2)
+                           THEN skills ELSE COALESCE(skills, ARRAY[]::text[]) || ARRAY[$3::text] END,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [attempt.candidate_id, attempt.skill_key, attempt.skill]
+      );
+    }
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      result: { ...grade, timedOut: attempt.timed_out, skill: attempt.skill },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
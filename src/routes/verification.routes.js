@@ -1,14 +1,159 @@
 import express from 'express';
+import pool from '../config/database.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import {
+  QUEUE_TYPES,
+  listQueue,
+  claimItem,
+  releaseItem,
+} from '../services/verificationQueueService.js';
+import { checkCredential, getPublicKeyInfo } from '../services/credentialService.js';
+import { recordAudit } from '../services/auditLogService.js';
 
 const router = express.Router();
 
+// ── Public credential verification (no auth) ──────────────────────────────
+
+// GET /api/verifications/public-key - signing key for offline credential checks
+router.get('/public-key', (req, res, next) => {
+  const info = getPublicKeyInfo();
+  if (!info) return next(new AppError('Credential signing is not configured', 503));
+  res.json({ success: true, key: info });
+});
+
+// POST /api/verifications/verify - check a { credential, signature } pair
+router.post('/verify', async (req, res, next) => {
+  try {
+    const { credential, signature } = req.body || {};
+    const result = await checkCredential(credential, signature);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/verifications/verify/:credentialId - look up and check a stored credential
+// (the link printed on PDF certificates)
+router.get('/verify/:credentialId', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT credential, signature FROM verification_credentials WHERE id = $1',
+      [req.params.credentialId]
+    );
+    if (result.rows.length === 0) {
+      return next(new AppError('Credential not found', 404));
+    }
+    const { credential, signature } = result.rows[0];
+    const check = await checkCredential(credential, signature);
+    res.json({ success: true, ...check, credential, signature });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Admin only routes
 router.use(protect);
 router.use(authorize('admin'));
 
-router.get('/pending', (req, res) => {
-  res.json({ message: 'Pending verifications - Coming soon' });
+// GET /api/verifications/pending - unified admin work queue
+// Query: type, claimed (all|mine|unclaimed), breached (true), sort (oldest|newest|type|risk), page, limit
+router.get('/pending', async (req, res, next) => {
+  try {
+    const { type, claimed, breached, sort, page: pageRaw, limit: limitRaw } = req.query;
+    const page = Math.max(1, parseInt(pageRaw, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(limitRaw, 10) || 20));
+
+    if (type && type !== 'all' && !QUEUE_TYPES.includes(type)) {
+      return next(new AppError('Invalid verification type', 400));
+    }
+
+    const { items, total, stats } = await listQueue({
+      adminId: req.user.id,
+      type: type === 'all' ? undefined : type,
+      claimed,
+      breachedOnly: breached === 'true',
+      sort,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      stats,
+      items,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/verifications/:type/:id/claim - take an item for review
+router.post('/:type/:id/claim', async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+    if (!QUEUE_TYPES.includes(type)) {
+      return next(new AppError('Invalid verification type', 400));
+    }
+
+    const { claim, conflict } = await claimItem(type, id, req.user.id);
+    if (!claim) {
+      return res.status(409).json({
+        success: false,
+        message: `Already claimed by ${conflict?.claimed_by_name || 'another admin'}`,
+        claim: conflict
+          ? { claimedBy: conflict.claimed_by, claimedByName: conflict.claimed_by_name, expiresAt: conflict.expires_at }
+          : null,
+      });
+    }
+
+    await recordAudit(req, {
+      action: `${type}.claim`,
+      targetType: type,
+      targetId: id,
+      metadata: { expiresAt: claim.expires_at },
+    });
+
+    res.json({
+      success: true,
+      claim: {
+        type: claim.verification_type,
+        id: claim.verification_id,
+        claimedAt: claim.claimed_at,
+        expiresAt: claim.expires_at,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/verifications/:type/:id/release - hand an item back to the queue
+router.post('/:type/:id/release', async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+    if (!QUEUE_TYPES.includes(type)) {
+      return next(new AppError('Invalid verification type', 400));
+    }
+
+    const released = await releaseItem(type, id, req.user.id);
+    if (!released) {
+      return next(new AppError('You do not hold a claim on this item', 404));
+    }
+
+    await recordAudit(req, { action: `${type}.release`, targetType: type, targetId: id });
+
+    res.json({ success: true, message: 'Claim released' });
+  } catch (error) {
+    next(error);
+  }
 });
 
 export default router;
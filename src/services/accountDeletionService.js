@@ -0,0 +1,287 @@
+// Account deletion (right to erasure).
+//
+// A request schedules erasure ACCOUNT_DELETION_GRACE_DAYS (default 30) days
+// out; until then the account works as before and the request can be
+// cancelled. The hourly job then erases due accounts:
+//
+//   deleted     posts, comments, likes, bookmarks, connections, notifications,
+//               saved searches, saved jobs, the job-tracking board, job
+//               funnel events, resumes, data exports, employment and education
+//               history, certifications, issued verification credentials,
+//               reference requests, verification appeals, consent requests,
+//               skill endorsements given or received, skill assessment
+//               attempts, and every file the user uploaded
+//   anonymised  the users and candidates rows, and job applications (the
+//               company keeps the fact and status of the application, not its
+//               content)
+//   retained    subscriptions and subscription_payments (financial records),
+//               background checks with their signed consent, audit_log and
+//               consent_log. They stay attached to the user's id, which no
+//               longer leads to a name or email once the account is anonymised.
+//   redacted    the entries of both logs that concern the user: the IP address
+//               and user agent of the user's own actions, and every recorded
+//               value of the user's records except their status, so a log
+//               entry still says what was done to which record, and when
+//               (the logs are otherwise append-only)
+//
+// Only candidate accounts can be deleted this way; company and institution
+// accounts own jobs and verification decisions that others rely on.
+import pool from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { recordAudit } from './auditLogService.js';
+import { collectUserData } from './dataExportService.js';
+import { userVisitorKey } from './jobAnalyticsService.js';
+import { BUCKET_NAME, deleteFromBucket } from '../utils/supabaseStorage.js';
+import { sendAccountDeletionScheduled } from '../utils/mailer.js';
+
+export const DELETABLE_ACCOUNT_TYPES = ['candidate'];
+export const ACTIVE_SUBSCRIPTION_STATUSES = ['authenticated', 'active', 'pending'];
+export const DELETED_USER_NAME = 'Deleted user';
+
+// Values the redacted audit entries keep: the outcome, never the content.
+export const RETAINED_AUDIT_FIELDS = ['status', 'verification_status', 'is_verified'];
+// Free text the candidate wrote into consent_log details.
+export const REDACTED_CONSENT_DETAILS = ['reason'];
+
+// Replace every value of a JSON object column but the retained ones with '[redacted]'.
+function redactedJson(column) {
+  return `CASE WHEN jsonb_typeof(${column}) = 'object' THEN COALESCE((
+            SELECT jsonb_object_agg(key, CASE WHEN key = ANY($2::text[]) THEN value ELSE '"[redacted]"'::jsonb END)
+            FROM jsonb_each(${column})
+          ), '{}'::jsonb) ELSE ${column} END`;
+}
+
+export function getDeletionGraceDays() {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : 30;
+}
+
+export function mapAccountDeletion(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    reason: row.reason,
+    requestedAt: row.created_at,
+    scheduledFor: row.scheduled_for,
+    cancelledAt: row.cancelled_at,
+    completedAt: row.completed_at,
+  };
+}
+
+// Placeholder email for an erased account; unique, and not deliverable.
+export function anonymisedEmail(userId) {
+  return `deleted-${userId}@deleted.invalid`;
+}
+
+/**
+ * Schedule erasure of the requesting user's account. Throws AppError when the
+ * account type cannot be deleted here, a subscription is still active or a
+ * deletion is already scheduled.
+ */
+export async function requestAccountDeletion({ user, reason, req }) {
+  if (!DELETABLE_ACCOUNT_TYPES.includes(user.account_type)) {
+    throw new AppError('Company and institution accounts are closed by support. Please contact us.', 403);
+  }
+
+  const subscription = await pool.query(
+    'SELECT id FROM subscriptions WHERE user_id = $1 AND status = ANY($2::text[]) LIMIT 1',
+    [user.id, ACTIVE_SUBSCRIPTION_STATUSES]
+  );
+  if (subscription.rows.length > 0) {
+    throw new AppError('Cancel your subscription before deleting your account', 409);
+  }
+
+  const inserted = await pool.query(
+    `INSERT INTO account_deletions (user_id, reason, scheduled_for, requested_ip)
+     VALUES ($1, $2, NOW() + make_interval(days => $3::int), $4)
+     ON CONFLICT (user_id) WHERE status = 'scheduled' DO NOTHING
+     RETURNING *`,
+    [user.id, reason ? String(reason).slice(0, 1000) : null, getDeletionGraceDays(), req?.ip || null]
+  );
+  const deletion = inserted.rows[0];
+  if (!deletion) throw new AppError('Account deletion is already scheduled', 409);
+
+  await pool.query(
+    `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [
+      user.id,
+      'account_deletion',
+      'Account Deletion Scheduled',
+      `Your account will be deleted on ${new Date(deletion.scheduled_for).toDateString()}. You can cancel until then.`,
+      '/settings/privacy',
+    ]
+  );
+  sendAccountDeletionScheduled({
+    to: user.email,
+    name: user.name,
+    scheduledFor: deletion.scheduled_for,
+    cancelUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/settings/privacy`,
+  }).catch((err) => console.error('[AccountDeletion] email error:', err.message));
+
+  return deletion;
+}
+
+export async function cancelAccountDeletion(userId) {
+  const result = await pool.query(
+    `UPDATE account_deletions SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE user_id = $1 AND status = 'scheduled'
+     RETURNING *`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Erase one scheduled account. The database work is one transaction; uploaded
+ * files are removed after it commits, so a failed erasure never leaves records
+ * pointing at deleted files.
+ * @returns {Promise<object>} counts of what was deleted or anonymised
+ */
+export async function eraseAccount(deletion) {
+  const userId = deletion.user_id;
+  const data = await collectUserData(userId);
+  const files = data ? data.uploads.map((u) => u.path) : [];
+  const exports = await pool.query('SELECT file_path FROM data_exports WHERE user_id = $1 AND file_path IS NOT NULL', [userId]);
+  files.push(...exports.rows.map((r) => r.file_path));
+
+  const client = await pool.connect();
+  const summary = {};
+  try {
+    await client.query('BEGIN');
+    const claimed = await client.query(
+      `SELECT id FROM account_deletions WHERE id = $1 AND status = 'scheduled' AND scheduled_for <= NOW() FOR UPDATE`,
+      [deletion.id]
+    );
+    if (claimed.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const run = async (key, sql) => {
+      summary[key] = (await client.query(sql, [userId])).rowCount;
+    };
+    const candidateScope = 'candidate_id IN (SELECT id FROM candidates WHERE user_id = $1)';
+
+    // Before the records go: the audit entries are found through them.
+    await client.query("SET LOCAL veriboard.log_redaction = 'on'");
+    summary.auditEntries = (await client.query(
+      `UPDATE audit_log
+       SET changes = ${redactedJson('changes')}, metadata = ${redactedJson('metadata')}
+       WHERE (target_type = 'user' AND target_id = $1::text)
+          OR (target_type = 'employment' AND target_id IN (SELECT id::text FROM employment_history WHERE ${candidateScope}))
+          OR (target_type = 'education' AND target_id IN (SELECT id::text FROM education_history WHERE ${candidateScope}))
+          OR (target_type = 'certification' AND target_id IN (SELECT id::text FROM certifications WHERE ${candidateScope}))
+          OR (target_type = 'background_check' AND target_id IN (SELECT id::text FROM background_checks WHERE ${candidateScope}))
+          OR (target_type = 'appeal' AND target_id IN (SELECT id::text FROM verification_appeals WHERE ${candidateScope}))
+          OR (target_type = 'application' AND target_id IN (SELECT id::text FROM job_applications WHERE user_id = $1))`,
+      [userId, RETAINED_AUDIT_FIELDS]
+    )).rowCount;
+    await client.query('UPDATE audit_log SET ip_address = NULL, user_agent = NULL WHERE actor_user_id = $1', [userId]);
+    summary.consentEntries = (await client.query(
+      `UPDATE consent_log
+       SET details = details - $2::text[],
+           ip_address = CASE WHEN actor_user_id = $1 THEN NULL ELSE ip_address END,
+           user_agent = CASE WHEN actor_user_id = $1 THEN NULL ELSE user_agent END
+       WHERE ${candidateScope} OR actor_user_id = $1`,
+      [userId, REDACTED_CONSENT_DETAILS]
+    )).rowCount;
+
+    await run('comments', 'DELETE FROM social_post_comments WHERE user_id = $1');
+    await run('posts', 'DELETE FROM social_posts WHERE user_id = $1');
+    await run('likes', 'DELETE FROM social_post_likes WHERE user_id = $1');
+    await run('bookmarks', 'DELETE FROM social_bookmarks WHERE user_id = $1');
+    await run('connections', 'DELETE FROM user_connections WHERE follower_id = $1 OR following_id = $1');
+    await run('notifications', 'DELETE FROM notifications WHERE user_id = $1');
+    await run('savedSearches', 'DELETE FROM saved_searches WHERE user_id = $1');
+    await run('savedJobs', 'DELETE FROM saved_jobs WHERE user_id = $1');
+    await run('trackedJobs', 'DELETE FROM job_tracker_items WHERE user_id = $1');
+    await run('trackerStages', 'DELETE FROM job_tracker_stages WHERE user_id = $1');
+    summary.jobEvents = (await client.query('DELETE FROM job_events WHERE visitor_key = $1', [userVisitorKey(userId)])).rowCount;
+    await run('resumes', 'DELETE FROM resumes WHERE user_id = $1');
+    await run('dataExports', 'DELETE FROM data_exports WHERE user_id = $1');
+
+    // The candidates row survives, so nothing below goes by cascade.
+    await run('credentials', `DELETE FROM verification_credentials WHERE ${candidateScope}`);
+    await run('referenceRequests', `DELETE FROM reference_requests WHERE ${candidateScope}`);
+    await run('appeals', `DELETE FROM verification_appeals WHERE ${candidateScope}`);
+    await run('consentRequests', `DELETE FROM consent_requests WHERE ${candidateScope}`);
+    await run('endorsements', `DELETE FROM skill_endorsements WHERE endorser_user_id = $1 OR ${candidateScope}`);
+    await run('assessmentAttempts', `DELETE FROM skill_assessment_attempts WHERE ${candidateScope}`);
+    await run('employment', `DELETE FROM employment_history WHERE ${candidateScope}`);
+    await run('education', `DELETE FROM education_history WHERE ${candidateScope}`);
+    await run('certifications', `DELETE FROM certifications WHERE ${candidateScope}`);
+    await run('applications', `
+      UPDATE job_applications
+      SET cover_letter = NULL, application_answers = NULL, resume_url = NULL, internal_notes = NULL,
+          screening_answers = NULL, screening_flags = NULL, ai_summary = NULL, ai_strengths = NULL, ai_concerns = NULL, ai_interview_questions = NULL
+      WHERE user_id = $1`);
+    await run('candidateProfile', `
+      UPDATE candidates
+      SET full_name = '${DELETED_USER_NAME}', professional_title = NULL, bio = NULL, location = NULL,
+          phone = NULL, linkedin_url = NULL, skills = DEFAULT, verified_skills = DEFAULT,
+          avatar_url = NULL, cover_image_url = NULL, resume_url = NULL, is_public = FALSE,
+          search_vector = NULL, trust_score = NULL, trust_score_breakdown = NULL, updated_at = NOW()
+      WHERE user_id = $1`);
+
+    // The email is replaced, so neither password nor social sign-in can reach the account again.
+    await client.query(
+      `UPDATE users
+       SET email = $2, name = $3, google_id = NULL, linkedin_id = NULL, profile_picture = NULL,
+           is_verified = FALSE, deleted_at = NOW()
+       WHERE id = $1`,
+      [userId, anonymisedEmail(userId), DELETED_USER_NAME]
+    );
+
+    await client.query(
+      `UPDATE account_deletions SET status = 'completed', completed_at = NOW(), summary = $2, updated_at = NOW()
+       WHERE id = $1`,
+      [deletion.id, JSON.stringify(summary)]
+    );
+    await recordAudit({ user: { id: null, role: 'system' } }, {
+      action: 'account.erase',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { deletionId: deletion.id, ...summary },
+    }, client);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  let filesDeleted = 0;
+  for (const path of files) {
+    const { error } = await deleteFromBucket(BUCKET_NAME, path);
+    if (error) console.error(`[AccountDeletion] could not delete ${path}:`, error.message || error);
+    else filesDeleted += 1;
+  }
+  return { ...summary, files: filesDeleted };
+}
+
+/**
+ * Erase every account whose grace period has ended.
+ * @returns {Promise<{ erased: number, failed: number }>}
+ */
+export async function processAccountDeletions({ limit = 20 } = {}) {
+  const due = await pool.query(
+    `SELECT * FROM account_deletions
+     WHERE status = 'scheduled' AND scheduled_for <= NOW()
+     ORDER BY scheduled_for ASC
+     LIMIT $1`,
+    [limit]
+  );
+
+  const counts = { erased: 0, failed: 0 };
+  for (const deletion of due.rows) {
+    try {
+      if (await eraseAccount(deletion)) counts.erased += 1;
+    } catch (err) {
+      counts.failed += 1;
+      console.error(`[AccountDeletion] erasure ${deletion.id} failed:`, err.message || err);
+    }
+  }
+  return counts;
+}
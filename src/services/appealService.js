@@ -0,0 +1,67 @@
+// Appeals against rejected employment/education verifications.
+//
+// An appeal is always reviewed by an admin other than the one who made the
+// original decision, and every step (original decision, appeal, outcome) is
+// mirrored into the record's verification_comments thread.
+import pool from '../config/database.js';
+
+export const APPEAL_TYPES = ['employment', 'education'];
+export const APPEAL_OUTCOMES = ['upheld', 'overturned'];
+export const MAX_EVIDENCE_FILES = 5;
+
+const RECORD_TABLES = {
+  employment: 'employment_history',
+  education: 'education_history',
+};
+
+export function recordTable(type) {
+  return RECORD_TABLES[type];
+}
+
+// The admin with the fewest pending appeals, never the original decider.
+// Returns null when no other admin exists; the appeal then stays unassigned
+// and any admin except the original decider can take it.
+export async function pickAppealReviewer(excludeUserId) {
+  const result = await pool.query(
+    `SELECT u.id, u.name, COUNT(a.id) AS open_appeals
+     FROM users u
+     LEFT JOIN verification_appeals a ON a.assigned_admin_id = u.id AND a.status = 'pending'
+     WHERE u.account_type = 'admin' AND ($1::uuid IS NULL OR u.id <> $1)
+     GROUP BY u.id, u.name
+     ORDER BY open_appeals ASC, RANDOM()
+     LIMIT 1`,
+    [excludeUserId || null]
+  );
+  return result.rows[0] || null;
+}
+
+export async function addVerificationComment({ type, id, userId, userName, userRole, text }, db = pool) {
+  const result = await db.query(
+    `INSERT INTO verification_comments
+     (verification_type, verification_id, user_id, user_name, user_role, comment_text, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     RETURNING *`,
+    [type, id, userId, userName, userRole, text]
+  );
+  return result.rows[0];
+}
+
+export function mapAppeal(row) {
+  return {
+    id: row.id,
+    verificationType: row.verification_type,
+    verificationId: row.verification_id,
+    candidateId: row.candidate_id,
+    reason: row.reason,
+    evidenceCount: Array.isArray(row.evidence_paths) ? row.evidence_paths.length : 0,
+    originalDecision: row.original_decision,
+    originalDeciderId: row.original_decider_id,
+    assignedAdminId: row.assigned_admin_id,
+    assignedAdminName: row.assigned_admin_name,
+    status: row.status,
+    outcomeNotes: row.outcome_notes,
+    decidedBy: row.decided_by,
+    decidedAt: row.decided_at,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,223 @@
+// Append-only audit trail of state-changing admin, verifier and collaborator
+// actions. Each entry records who acted (with IP and user agent), what they
+// did, to which record, and the fields that changed. Like consent_log, the
+// table keeps plain ids rather than foreign keys so entries outlive the rows
+// they describe, and a trigger rejects any UPDATE or DELETE other than the
+// redaction of personal data when an account is erased.
+import pool from '../config/database.js';
+
+// Record kinds that can be snapshotted before a change, and their tables.
+const SNAPSHOT_TABLES = {
+  employment: 'employment_history',
+  education: 'education_history',
+  company: 'companies',
+  user: 'users',
+  institution: 'institutions',
+  appeal: 'verification_appeals',
+  job: 'jobs',
+  application: 'job_applications',
+  collaborator: 'job_collaborators',
+  cms_post: 'cms_posts',
+  crawler_source: 'crawler_sources',
+  company_career: 'company_careers',
+  skill_assessment: 'skill_assessments',
+  certification: 'certifications',
+  background_check: 'background_checks',
+};
+
+// Never copied into the log, even when they change.
+const REDACTED_FIELDS = new Set(['password', 'password_hash', 'magic_token', 'otp_code', 'reset_token']);
+// Bookkeeping columns that change on every write.
+const IGNORED_FIELDS = new Set(['updated_at']);
+
+export const AUDIT_CSV_COLUMNS = [
+  'created_at', 'actor_user_id', 'actor_name', 'actor_role', 'action',
+  'target_type', 'target_id', 'changes', 'metadata', 'ip_address', 'user_agent',
+];
+export const MAX_AUDIT_EXPORT_ROWS = 10000;
+
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fields that differ between two versions of a row.
+ * @returns {Object<string, { before, after }>}
+ */
+export function diffChanges(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    // A key missing on one side was simply not selected there.
+    if (before && after && (!(key in before) || !(key in after))) continue;
+    if (comparable(from) === comparable(to)) continue;
+    changes[key] = REDACTED_FIELDS.has(key)
+      ? { before: '[redacted]', after: '[redacted]' }
+      : { before: from ?? null, after: to ?? null };
+  }
+  return changes;
+}
+
+// Current state of a record, for diffing against after the change.
+export async function auditSnapshot(targetType, id, db = pool) {
+  const table = SNAPSHOT_TABLES[targetType];
+  if (!table) throw new Error(`Unknown audit target type: ${targetType}`);
+  const result = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+// Who made the request; system actions pass no request.
+function actorOf(req) {
+  return {
+    id: req?.user?.id || null,
+    role: req?.user ? req.user.role || req.user.account_type || null : 'anonymous',
+    ip: req?.ip || null,
+    userAgent: req?.get?.('user-agent') || null,
+  };
+}
+
+function changesOf(before, after) {
+  return before || after ? diffChanges(before, after) : {};
+}
+
+/**
+ * Append an entry to the audit log. Pass `db` to write inside a transaction.
+ * @param {object} req - the request (actor, IP and user agent); may be null for system actions
+ * @param {object} entry
+ * @param {string} entry.action      - e.g. 'employment.verify'
+ * @param {string} entry.targetType  - e.g. 'employment'
+ * @param {string} entry.targetId
+ * @param {object} [entry.before]    - row before the change
+ * @param {object} [entry.after]     - row after the change
+ * @param {object} [entry.metadata]  - anything else worth keeping (reason, bulk size...)
+ */
+export async function recordAudit(req, { action, targetType, targetId, before, after, metadata }, db = pool) {
+  const actor = actorOf(req);
+  await db.query(
+    `INSERT INTO audit_log (actor_user_id, actor_role, action, target_type, target_id, changes, metadata, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      actor.id,
+      actor.role,
+      action,
+      targetType,
+      targetId != null ? String(targetId) : null,
+      JSON.stringify(changesOf(before, after)),
+      metadata ? JSON.stringify(metadata) : null,
+      actor.ip,
+      actor.userAgent,
+    ]
+  );
+}
+
+/**
+ * Append several entries by the same actor in one INSERT, e.g. for a bulk
+ * action. Entries take the same fields as recordAudit.
+ */
+export async function recordAuditEntries(req, entries, db = pool) {
+  if (entries.length === 0) return;
+  const actor = actorOf(req);
+  await db.query(
+    `INSERT INTO audit_log (actor_user_id, actor_role, action, target_type, target_id, changes, metadata, ip_address, user_agent)
+     SELECT $1, $2, e.action, e.target_type, e.target_id, e.changes, e.metadata, $8, $9
+     FROM unnest($3::text[], $4::text[], $5::text[], $6::jsonb[], $7::jsonb[])
+       AS e(action, target_type, target_id, changes, metadata)`,
+    [
+      actor.id,
+      actor.role,
+      entries.map((e) => e.action),
+      entries.map((e) => e.targetType),
+      entries.map((e) => (e.targetId != null ? String(e.targetId) : null)),
+      entries.map((e) => JSON.stringify(changesOf(e.before, e.after))),
+      entries.map((e) => (e.metadata ? JSON.stringify(e.metadata) : null)),
+      actor.ip,
+      actor.userAgent,
+    ]
+  );
+}
+
+/**
+ * Build the WHERE clause for audit log queries.
+ * @param {object} filters - actorId, action, targetType, targetId, from, to
+ */
+function auditWhere({ actorId, action, targetType, targetId, from, to }) {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+  if (actorId) add('al.actor_user_id = ?', actorId);
+  if (action) add('al.action = ?', action);
+  if (targetType) add('al.target_type = ?', targetType);
+  if (targetId) add('al.target_id = ?', String(targetId));
+  if (from) add('al.created_at >= ?', from);
+  if (to) add('al.created_at <= ?', to);
+  return { clause: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+const AUDIT_SELECT = `
+  SELECT al.*, u.name AS actor_name, u.email AS actor_email
+  FROM audit_log al
+  LEFT JOIN users u ON al.actor_user_id = u.id
+`;
+
+export async function listAuditLog(filters, { page = 1, limit = 50 } = {}) {
+  const { clause, params } = auditWhere(filters);
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_log al ${clause}`, params);
+  const rows = await pool.query(
+    `${AUDIT_SELECT} ${clause}
+     ORDER BY al.created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  return { entries: rows.rows.map(mapAuditEntry), total: countResult.rows[0]?.total || 0 };
+}
+
+export async function exportAuditLog(filters) {
+  const { clause, params } = auditWhere(filters);
+  const rows = await pool.query(
+    `${AUDIT_SELECT} ${clause}
+     ORDER BY al.created_at ASC
+     LIMIT ${MAX_AUDIT_EXPORT_ROWS}`,
+    params
+  );
+  return rows.rows;
+}
+
+export function mapAuditEntry(row) {
+  return {
+    id: row.id,
+    actor: row.actor_user_id
+      ? { id: row.actor_user_id, name: row.actor_name || null, email: row.actor_email || null, role: row.actor_role }
+      : { id: null, role: row.actor_role },
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    changes: row.changes || {},
+    metadata: row.metadata || null,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Stop spreadsheets from evaluating cells as formulas.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function auditLogToCsv(rows) {
+  const lines = [AUDIT_CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(AUDIT_CSV_COLUMNS.map((col) => csvCell(row[col])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
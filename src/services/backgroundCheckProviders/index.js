@@ -0,0 +1,56 @@
+// Background-check vendors. Each adapter exposes the same shape:
+//
+//   key, name, packages: [{ id, name, checks[] }]
+//   createOrder({ reference, packageId, candidate: { name, email } }) → { externalId, status }
+//   cancelOrder(externalId)
+//   fetchReport(externalId) → { status, result, report }
+//   verifyWebhook(rawBody, headers) → boolean
+//   parseWebhook(rawBody) → { eventId, externalId, status, result, report }
+//
+// Statuses are normalised to pending | in_progress | completed | cancelled |
+// failed, and results to clear | consider. Adapters for real vendors map
+// their own vocabulary onto these. BACKGROUND_CHECK_PROVIDER picks the one new
+// orders go to (default: the bundled mock, outside production).
+//
+// The mock settles checks on a webhook signed with MOCK_BACKGROUND_CHECK_SECRET,
+// so in production it is only available when BACKGROUND_CHECK_PROVIDER=mock
+// is set together with that secret; the server refuses to start with the
+// mock selected and no secret.
+import mockProvider from './mock.js';
+import { AppError } from '../../middleware/errorHandler.js';
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+function mockEnabled() {
+  if (!isProduction()) return true;
+  return process.env.BACKGROUND_CHECK_PROVIDER === 'mock' && Boolean(process.env.MOCK_BACKGROUND_CHECK_SECRET);
+}
+
+/** Throws when the configured provider cannot run safely; called at startup. */
+export function assertProviderConfig() {
+  if (isProduction() && process.env.BACKGROUND_CHECK_PROVIDER === 'mock' && !process.env.MOCK_BACKGROUND_CHECK_SECRET) {
+    throw new Error('BACKGROUND_CHECK_PROVIDER=mock requires MOCK_BACKGROUND_CHECK_SECRET in production');
+  }
+}
+
+function providers() {
+  return mockEnabled() ? { [mockProvider.key]: mockProvider } : {};
+}
+
+export function getProvider(key) {
+  return providers()[key] || null;
+}
+
+export function defaultProvider() {
+  const key = process.env.BACKGROUND_CHECK_PROVIDER || (isProduction() ? null : 'mock');
+  if (!key) throw new AppError('Background checks are not configured', 503);
+  const provider = providers()[key];
+  if (!provider) throw new Error(`Unknown background check provider: ${key}`);
+  return provider;
+}
+
+export function listProviderKeys() {
+  return Object.keys(providers());
+}
@@ -0,0 +1,115 @@
+// Local stand-in for a background-check vendor. Orders live in memory and
+// nothing leaves the process; `simulate` plays the vendor's side by moving an
+// order along and building the signed webhook the vendor would send, so the
+// whole flow (order → webhook → report) can be exercised without a live
+// account. Webhooks are signed with HMAC-SHA256 of the raw body in the
+// `x-mock-signature` header.
+import crypto from 'crypto';
+
+const orders = new Map();
+
+const CHECKS = {
+  basic: ['identity', 'criminal'],
+  standard: ['identity', 'criminal', 'employment', 'education'],
+  professional: ['identity', 'criminal', 'employment', 'education', 'credit', 'professional_license'],
+};
+
+// Without a configured secret, a random one per process: only simulate() in
+// this same process can sign a webhook the mock will accept.
+const processSecret = crypto.randomBytes(32).toString('hex');
+
+function secret() {
+  return process.env.MOCK_BACKGROUND_CHECK_SECRET || processSecret;
+}
+
+function sign(body) {
+  return crypto.createHmac('sha256', secret()).update(body).digest('hex');
+}
+
+function reportFor(order) {
+  return {
+    packageId: order.packageId,
+    result: order.result,
+    items: CHECKS[order.packageId].map((check, i) => ({
+      check,
+      // A 'consider' outcome flags the first check that found something.
+      status: order.status !== 'completed' ? 'pending' : order.result === 'consider' && i === 1 ? 'consider' : 'clear',
+    })),
+    completedAt: order.completedAt,
+  };
+}
+
+const mockProvider = {
+  key: 'mock',
+  name: 'Local mock provider',
+  packages: [
+    { id: 'basic', name: 'Basic', checks: CHECKS.basic },
+    { id: 'standard', name: 'Standard', checks: CHECKS.standard },
+    { id: 'professional', name: 'Professional', checks: CHECKS.professional },
+  ],
+
+  async createOrder({ reference, packageId, candidate }) {
+    if (!CHECKS[packageId]) throw new Error(`Unknown package: ${packageId}`);
+    if (!candidate?.email) throw new Error('Candidate email is required');
+    const externalId = `mock_${crypto.randomUUID()}`;
+    orders.set(externalId, { externalId, reference, packageId, status: 'pending', result: null, completedAt: null });
+    return { externalId, status: 'pending' };
+  },
+
+  async cancelOrder(externalId) {
+    const order = orders.get(externalId);
+    if (order && !['completed', 'cancelled'].includes(order.status)) order.status = 'cancelled';
+  },
+
+  async fetchReport(externalId) {
+    const order = orders.get(externalId);
+    if (!order) throw new Error(`Unknown order: ${externalId}`);
+    return { status: order.status, result: order.result, report: reportFor(order) };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    const expected = sign(rawBody);
+    return typeof signature === 'string'
+      && signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody);
+    return {
+      eventId: event.id,
+      externalId: event.order_id,
+      status: event.status,
+      result: event.result || null,
+      report: event.report || null,
+    };
+  },
+
+  /**
+   * Advance an order as the vendor would and return the webhook it would send.
+   * @param {string} externalId
+   * @param {{ status: 'in_progress'|'completed'|'failed', result?: 'clear'|'consider' }} update
+   * @returns {{ body: string, headers: object }}
+   */
+  simulate(externalId, { status, result = 'clear' }) {
+    const order = orders.get(externalId) || { externalId, packageId: 'standard', result: null, completedAt: null };
+    order.status = status;
+    if (status === 'completed') {
+      order.result = result;
+      order.completedAt = new Date().toISOString();
+    }
+    orders.set(externalId, order);
+
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomUUID()}`,
+      order_id: externalId,
+      status,
+      result: order.result,
+      report: status === 'completed' ? reportFor(order) : null,
+    });
+    return { body, headers: { 'content-type': 'application/json', 'x-mock-signature': sign(body) } };
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,383 @@
+// Formal background checks for candidates who have been offered a job.
+//
+// A check starts as 'awaiting_consent'. Nothing is sent to the vendor until
+// the candidate has read the disclosure and signed it; the signature, time, IP
+// and user agent are kept on the check and the decision is written to
+// consent_log. From then on the vendor drives the status through webhooks
+// (pending → in_progress → completed | failed); statuses only move forward, so
+// late or replayed events are ignored. The report is stored once the check
+// completes.
+//
+// Checks follow the application: moving it to 'offered' orders the company's
+// default package if it has one, and rejecting or withdrawing it cancels any
+// open check. Ordering is an Enterprise plan feature.
+import pool from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { logConsentEvent } from './consentService.js';
+import { recordAudit } from './auditLogService.js';
+import { defaultProvider, getProvider } from './backgroundCheckProviders/index.js';
+
+export const OPEN_STATUSES = ['awaiting_consent', 'pending', 'in_progress'];
+export const CANCELLING_APPLICATION_STATUSES = ['rejected', 'withdrawn'];
+export const REQUIRED_PLAN = 'enterprise';
+
+export const CONSENT_VERSION = '2026-01';
+export const CONSENT_DISCLOSURE =
+  'I authorize the employer named above, through its background screening provider, to obtain a consumer '
+  + 'report about me for employment purposes. The report may include identity verification, criminal '
+  + 'records, employment and education history, and, where the package includes them, credit history and '
+  + 'professional licenses. I understand that I may request a copy of the report and dispute anything in it, '
+  + 'and that this authorization applies only to the job I have been offered.';
+
+// Position of each status in the lifecycle; updates may only move forward.
+const STATUS_RANK = {
+  awaiting_consent: 0,
+  declined: 3,
+  pending: 1,
+  in_progress: 2,
+  completed: 3,
+  cancelled: 3,
+  failed: 3,
+};
+
+export function canTransition(from, to) {
+  if (!(to in STATUS_RANK) || to === 'awaiting_consent') return false;
+  return STATUS_RANK[to] > STATUS_RANK[from];
+}
+
+export function mapBackgroundCheck(row, { includeConsent = false } = {}) {
+  return {
+    id: row.id,
+    applicationId: row.application_id,
+    candidateId: row.candidate_id,
+    jobId: row.job_id,
+    provider: row.provider,
+    packageId: row.package_id,
+    status: row.status,
+    result: row.result,
+    jobTitle: row.job_title,
+    companyName: row.company_name,
+    candidateName: row.candidate_name,
+    orderedAt: row.ordered_at,
+    completedAt: row.completed_at,
+    cancelledAt: row.cancelled_at,
+    failureReason: row.failure_reason,
+    hasReport: !!row.report,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(includeConsent && {
+      consent: row.consent_given_at || row.status === 'declined'
+        ? { givenAt: row.consent_given_at, signature: row.consent_signature, version: row.consent_version, declined: row.status === 'declined' }
+        : null,
+    }),
+  };
+}
+
+export const CHECK_SELECT = `
+  SELECT bc.*, j.title AS job_title, co.name AS company_name,
+         COALESCE(ca.full_name, cu.name) AS candidate_name, ca.user_id AS candidate_user_id
+  FROM background_checks bc
+  JOIN jobs j ON bc.job_id = j.id
+  JOIN companies co ON bc.company_id = co.id
+  JOIN candidates ca ON bc.candidate_id = ca.id
+  JOIN users cu ON ca.user_id = cu.id
+`;
+
+export async function getCheck(id, db = pool) {
+  const result = await db.query(`${CHECK_SELECT} WHERE bc.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function notify(userId, title, message, link, db = pool) {
+  if (!userId) return;
+  await db.query(
+    `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [userId, 'background_check', title, message, link]
+  );
+}
+
+// The application with what ordering needs: job, company, owner's plan, candidate.
+async function applicationContext(applicationId, db = pool) {
+  const result = await db.query(
+    `SELECT ja.id, ja.status, ja.job_id, ja.candidate_id, ja.user_id AS candidate_user_id,
+            j.title AS job_title, co.id AS company_id, co.name AS company_name,
+            co.background_check_package, owner.plan_tier
+     FROM job_applications ja
+     JOIN jobs j ON ja.job_id = j.id
+     JOIN companies co ON j.company_id = co.id
+     JOIN users owner ON co.user_id = owner.id
+     WHERE ja.id = $1`,
+    [applicationId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Ask the candidate to consent to a check. Throws AppError when the
+ * application is not at the offer stage, the plan does not include checks,
+ * the package is unknown or a check is already open.
+ */
+export async function requestBackgroundCheck({ applicationId, packageId, orderedBy, req, auto = false }, db = pool) {
+  const app = await applicationContext(applicationId, db);
+  if (!app) throw new AppError('Application not found', 404);
+  if (app.status !== 'offered') throw new AppError('Background checks can only be ordered for offered candidates', 400);
+  if (app.plan_tier !== REQUIRED_PLAN) throw new AppError('Background checks are available on the Enterprise plan', 403);
+  if (!app.candidate_id) throw new AppError('The applicant has no candidate profile', 400);
+
+  const provider = defaultProvider();
+  if (!provider.packages.some((p) => p.id === packageId)) {
+    throw new AppError(`packageId must be one of: ${provider.packages.map((p) => p.id).join(', ')}`, 400);
+  }
+
+  const open = await db.query(
+    'SELECT id FROM background_checks WHERE application_id = $1 AND status = ANY($2::text[])',
+    [applicationId, OPEN_STATUSES]
+  );
+  if (open.rows.length > 0) throw new AppError('A background check is already open for this application', 409);
+
+  let check;
+  try {
+    const inserted = await db.query(
+      `INSERT INTO background_checks (application_id, candidate_id, job_id, company_id, provider, package_id, ordered_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [applicationId, app.candidate_id, app.job_id, app.company_id, provider.key, packageId, orderedBy]
+    );
+    check = inserted.rows[0];
+  } catch (err) {
+    // Another request opened one since the check above.
+    if (err.code === '23505') throw new AppError('A background check is already open for this application', 409);
+    throw err;
+  }
+
+  await recordAudit(req, {
+    action: 'background_check.request',
+    targetType: 'background_check',
+    targetId: check.id,
+    after: check,
+    metadata: { applicationId, packageId, auto },
+  }, db);
+  await notify(
+    app.candidate_user_id,
+    'Background Check Consent Needed',
+    `${app.company_name} would like to run a background check for your ${app.job_title} offer. Review and sign the authorization to continue.`,
+    `/background-checks/${check.id}`,
+    db
+  );
+  return check;
+}
+
+/**
+ * Record the candidate's decision and, on consent, place the order with the vendor.
+ * @returns the updated check row
+ */
+export async function recordConsent({ check, consent, signature, candidateEmail, req }) {
+  if (check.status !== 'awaiting_consent') throw new AppError('This background check is not awaiting consent', 409);
+
+  if (!consent) {
+    const declined = await pool.query(
+      `UPDATE background_checks SET status = 'declined', updated_at = NOW()
+       WHERE id = $1 AND status = 'awaiting_consent' RETURNING *`,
+      [check.id]
+    );
+    if (declined.rows.length === 0) throw new AppError('This background check is not awaiting consent', 409);
+    await logConsentEvent({
+      candidateId: check.candidate_id,
+      actorUserId: req.user.id,
+      action: 'denied',
+      details: { backgroundCheckId: check.id, companyId: check.company_id, packageId: check.package_id },
+      req,
+    });
+    await notify(check.ordered_by, 'Background Check Declined', `${check.candidate_name} declined the background check for ${check.job_title}.`, `/company/applicants/${check.application_id}`);
+    return declined.rows[0];
+  }
+
+  const name = String(signature || '').trim();
+  if (name.length < 2) throw new AppError('Type your full name to sign the authorization', 400);
+
+  // The offer may have been withdrawn or rejected since the check was requested.
+  const application = await pool.query('SELECT status FROM job_applications WHERE id = $1', [check.application_id]);
+  if (application.rows[0]?.status !== 'offered') {
+    throw new AppError('The offer this background check was for is no longer open', 409);
+  }
+
+  const signed = await pool.query(
+    `UPDATE background_checks
+     SET consent_given_at = NOW(), consent_signature = $2, consent_version = $3,
+         consent_ip = $4, consent_user_agent = $5, updated_at = NOW()
+     WHERE id = $1 AND status = 'awaiting_consent' AND consent_given_at IS NULL
+       AND EXISTS (SELECT 1 FROM job_applications WHERE id = background_checks.application_id AND status = 'offered')
+     RETURNING *`,
+    [check.id, name.slice(0, 255), CONSENT_VERSION, req.ip || null, req.get?.('user-agent') || null]
+  );
+  if (signed.rows.length === 0) throw new AppError('This background check is not awaiting consent', 409);
+  await logConsentEvent({
+    candidateId: check.candidate_id,
+    actorUserId: req.user.id,
+    action: 'granted',
+    details: { backgroundCheckId: check.id, companyId: check.company_id, packageId: check.package_id, version: CONSENT_VERSION },
+    req,
+  });
+
+  const provider = getProvider(check.provider);
+  try {
+    if (!provider) throw new Error(`Provider ${check.provider} is not available`);
+    const order = await provider.createOrder({
+      reference: check.id,
+      packageId: check.package_id,
+      candidate: { name: check.candidate_name, email: candidateEmail },
+    });
+    const placed = await pool.query(
+      `UPDATE background_checks
+       SET status = 'pending', external_id = $2, ordered_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [check.id, order.externalId]
+    );
+    return placed.rows[0];
+  } catch (err) {
+    console.error(`[BackgroundCheck] order failed for ${check.id}:`, err.message);
+    const failed = await pool.query(
+      `UPDATE background_checks SET status = 'failed', failure_reason = $2, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [check.id, `Could not place the order: ${err.message}`.slice(0, 500)]
+    );
+    await notify(check.ordered_by, 'Background Check Failed', `The background check for ${check.candidate_name} could not be ordered.`, `/company/applicants/${check.application_id}`);
+    return failed.rows[0];
+  }
+}
+
+/**
+ * Apply a verified vendor webhook. Replayed events and backwards moves are ignored.
+ * @returns {{ applied: boolean, check?: object }}
+ */
+export async function applyProviderUpdate(providerKey, update) {
+  const check = (await pool.query(
+    `${CHECK_SELECT} WHERE bc.provider = $1 AND bc.external_id = $2`,
+    [providerKey, update.externalId]
+  )).rows[0];
+  if (!check) return { applied: false };
+
+  const event = await pool.query(
+    `INSERT INTO background_check_events (background_check_id, provider, provider_event_id, status, payload)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (provider, provider_event_id) DO NOTHING
+     RETURNING id`,
+    [check.id, providerKey, update.eventId, update.status, JSON.stringify(update)]
+  );
+  if (event.rows.length === 0 || !canTransition(check.status, update.status)) return { applied: false, check };
+
+  const result = await pool.query(
+    `UPDATE background_checks
+     SET status = $2,
+         result = COALESCE($3, result),
+         report = COALESCE($4::jsonb, report),
+         report_fetched_at = CASE WHEN $4::jsonb IS NOT NULL THEN NOW() ELSE report_fetched_at END,
+         completed_at = CASE WHEN $2 = 'completed' THEN NOW() ELSE completed_at END,
+         cancelled_at = CASE WHEN $2 = 'cancelled' THEN NOW() ELSE cancelled_at END,
+         failure_reason = CASE WHEN $2 = 'failed' THEN COALESCE($5, 'Reported as failed by the provider') ELSE failure_reason END,
+         updated_at = NOW()
+     WHERE id = $1 AND status = $6
+     RETURNING *`,
+    [
+      check.id,
+      update.status,
+      update.result,
+      update.report ? JSON.stringify(update.report) : null,
+      update.failureReason || null,
+      check.status,
+    ]
+  );
+  if (result.rows.length === 0) return { applied: false, check };
+
+  if (update.status === 'completed') {
+    await notify(check.ordered_by, 'Background Check Complete', `The background check for ${check.candidate_name} (${check.job_title}) is complete.`, `/company/applicants/${check.application_id}`);
+    await notify(check.candidate_user_id, 'Background Check Complete', `Your background check for ${check.company_name} is complete. You can view a copy of the report.`, `/background-checks/${check.id}`);
+  } else if (update.status === 'failed') {
+    await notify(check.ordered_by, 'Background Check Failed', `The background check for ${check.candidate_name} could not be completed.`, `/company/applicants/${check.application_id}`);
+  }
+  return { applied: true, check: { ...check, ...result.rows[0] } };
+}
+
+// The stored report, fetched from the vendor the first time if the webhook did not carry it.
+export async function reportForCheck(check) {
+  if (check.status !== 'completed') throw new AppError('The report is available once the check is complete', 409);
+  if (check.report) return check.report;
+
+  const provider = getProvider(check.provider);
+  if (!provider) throw new AppError('Background check provider is not available', 502);
+  const fetched = await provider.fetchReport(check.external_id);
+  await pool.query(
+    `UPDATE background_checks SET report = $2, result = COALESCE(result, $3), report_fetched_at = NOW() WHERE id = $1`,
+    [check.id, JSON.stringify(fetched.report), fetched.result]
+  );
+  return fetched.report;
+}
+
+export async function cancelBackgroundCheck({ check, req, reason }) {
+  if (!OPEN_STATUSES.includes(check.status)) throw new AppError('Only open background checks can be cancelled', 409);
+
+  const provider = getProvider(check.provider);
+  if (check.external_id && provider) {
+    try {
+      await provider.cancelOrder(check.external_id);
+    } catch (err) {
+      console.error(`[BackgroundCheck] vendor cancel failed for ${check.id}:`, err.message);
+    }
+  }
+  const result = await pool.query(
+    `UPDATE background_checks SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = ANY($2::text[])
+     RETURNING *`,
+    [check.id, OPEN_STATUSES]
+  );
+  if (result.rows.length === 0) return null;
+
+  await recordAudit(req, {
+    action: 'background_check.cancel',
+    targetType: 'background_check',
+    targetId: check.id,
+    before: check,
+    after: result.rows[0],
+    metadata: reason ? { reason } : null,
+  });
+  if (check.status !== 'awaiting_consent') {
+    await notify(check.candidate_user_id, 'Background Check Cancelled', `${check.company_name} cancelled the background check for ${check.job_title}.`, `/background-checks/${check.id}`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Keep checks in step with an application's status: order the company's
+ * default package on 'offered', cancel open checks on rejection or withdrawal.
+ * Never throws; a failure here must not undo the status change.
+ */
+export async function syncBackgroundChecks({ applicationId, status, previousStatus, req }) {
+  try {
+    if (status === 'offered' && previousStatus !== 'offered') {
+      const app = await applicationContext(applicationId);
+      if (app?.background_check_package && app.plan_tier === REQUIRED_PLAN) {
+        await requestBackgroundCheck({
+          applicationId,
+          packageId: app.background_check_package,
+          orderedBy: req?.user?.id || null,
+          req,
+          auto: true,
+        });
+      }
+    } else if (CANCELLING_APPLICATION_STATUSES.includes(status)) {
+      const open = await pool.query(
+        `${CHECK_SELECT} WHERE bc.application_id = $1 AND bc.status = ANY($2::text[])`,
+        [applicationId, OPEN_STATUSES]
+      );
+      for (const check of open.rows) {
+        await cancelBackgroundCheck({ check, req, reason: `application ${status}` });
+      }
+    }
+  } catch (err) {
+    if (!(err instanceof AppError && err.statusCode === 409)) {
+      console.error(`[BackgroundCheck] sync failed for application ${applicationId}:`, err.message);
+    }
+  }
+}
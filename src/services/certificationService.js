@@ -0,0 +1,209 @@
+// Certifications and licenses. They follow the education lifecycle
+// (pending → verified | rejected, reviewed by an admin) and can also expire.
+// Expiry is tracked separately from verification: a verified certificate that
+// has lapsed stays verified, but shows as expired.
+//
+// Candidates are notified as expiry approaches, once per threshold in
+// CERTIFICATION_EXPIRY_NOTICE_DAYS (days before expiry, default "60,30,7"),
+// and once more when it lapses. expiry_notice_days remembers the last
+// threshold sent (0 = lapsed) and is cleared when the expiry date changes.
+import pool from '../config/database.js';
+import { sendCertificationExpiryNotice } from '../utils/mailer.js';
+
+export const CERTIFICATION_STATUSES = ['pending', 'verified', 'rejected'];
+
+function parseDays(value, fallback) {
+  const days = String(value || '')
+    .split(',')
+    .map((d) => parseInt(d, 10))
+    .filter((d) => Number.isInteger(d) && d > 0);
+  return days.length ? [...new Set(days)].sort((a, b) => b - a) : fallback;
+}
+
+const NOTICE_DAYS = parseDays(process.env.CERTIFICATION_EXPIRY_NOTICE_DAYS, [60, 30, 7]);
+
+export function getExpiryNoticeDays() {
+  return NOTICE_DAYS;
+}
+
+const DAY_MS = 86400000;
+
+// Calendar day of a DATE value: 'YYYY-MM-DD', or a Date as pg returns it (local midnight).
+function dayNumber(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const [y, m, d] = value.slice(0, 10).split('-').map(Number);
+    return Date.UTC(y, m - 1, d) / DAY_MS;
+  }
+  const d = new Date(value);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / DAY_MS;
+}
+
+export function daysUntil(date, now = new Date()) {
+  if (!date) return null;
+  return Math.round(dayNumber(date) - dayNumber(now));
+}
+
+/**
+ * Where a certification stands against its expiry date.
+ * @returns {'no_expiry'|'active'|'expiring'|'expired'}
+ */
+export function expiryStateOf(expiryDate, now = new Date(), noticeDays = NOTICE_DAYS) {
+  const days = daysUntil(expiryDate, now);
+  if (days === null) return 'no_expiry';
+  if (days < 0) return 'expired';
+  return days <= Math.max(...noticeDays) ? 'expiring' : 'active';
+}
+
+/**
+ * The notice owed right now, if any: the nearest threshold the certificate has
+ * reached that has not been sent yet, or 0 once it has lapsed.
+ * @param {number} daysLeft
+ * @param {number|null} lastNoticeDays - expiry_notice_days
+ * @returns {number|null}
+ */
+export function dueExpiryNotice(daysLeft, lastNoticeDays, noticeDays = NOTICE_DAYS) {
+  if (daysLeft === null || lastNoticeDays === 0) return null;
+  const due = daysLeft < 0 ? 0 : noticeDays.filter((d) => daysLeft <= d).sort((a, b) => a - b)[0];
+  if (due === undefined) return null;
+  return lastNoticeDays === null || lastNoticeDays === undefined || due < lastNoticeDays ? due : null;
+}
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Validate candidate input. With `partial`, only the fields present are checked.
+ * @returns {{ error: string|null, fields: object }}
+ */
+export function validateCertificationInput(body, { partial = false } = {}) {
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  for (const key of ['name', 'issuer']) {
+    if (!partial || has(key)) {
+      const value = String(body[key] ?? '').trim();
+      if (!value) return { error: `${key} is required`, fields: {} };
+      fields[key] = value.slice(0, 255);
+    }
+  }
+  if (has('credentialId')) fields.credentialId = body.credentialId ? String(body.credentialId).trim().slice(0, 255) : null;
+  if (has('credentialUrl')) {
+    const url = body.credentialUrl ? String(body.credentialUrl).trim() : null;
+    if (url && !/^https?:\/\/\S+$/i.test(url)) return { error: 'credentialUrl must be an http(s) URL', fields: {} };
+    fields.credentialUrl = url;
+  }
+  if (!partial || has('issueDate')) {
+    if (!isDate(body.issueDate)) return { error: 'issueDate must be a date (YYYY-MM-DD)', fields: {} };
+    fields.issueDate = body.issueDate;
+  }
+  if (has('expiryDate')) {
+    if (body.expiryDate && !isDate(body.expiryDate)) return { error: 'expiryDate must be a date (YYYY-MM-DD)', fields: {} };
+    fields.expiryDate = body.expiryDate || null;
+  }
+  if (fields.issueDate && fields.expiryDate && fields.expiryDate < fields.issueDate) {
+    return { error: 'expiryDate cannot be before issueDate', fields: {} };
+  }
+  return { error: null, fields };
+}
+
+/**
+ * API shape of a certifications row. `includePrivate` adds the document and
+ * review details, for the owner and admins.
+ */
+export function mapCertification(row, { includePrivate = false, now = new Date() } = {}) {
+  return {
+    id: row.id,
+    name: row.name,
+    issuer: row.issuer,
+    credentialId: row.credential_id,
+    credentialUrl: row.credential_url,
+    issueDate: row.issue_date,
+    expiryDate: row.expiry_date,
+    expiryState: expiryStateOf(row.expiry_date, now),
+    daysUntilExpiry: daysUntil(row.expiry_date, now),
+    verificationStatus: row.verification_status || 'pending',
+    verifiedAt: row.verified_at,
+    ...(includePrivate && {
+      hasDocument: !!row.document_url,
+      rejectionReason: row.rejection_reason,
+      documentCheck: row.document_check || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }),
+  };
+}
+
+export async function certificationsForCandidate(candidateId, { includePrivate = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM certifications
+     WHERE candidate_id = $1
+     ORDER BY issue_date DESC, created_at DESC`,
+    [candidateId]
+  );
+  return result.rows.map((row) => mapCertification(row, { includePrivate }));
+}
+
+// Send due expiry notices. Rejected certificates are skipped. Returns counts.
+export async function processCertificationExpiry(limit = 500) {
+  const result = await pool.query(
+    `SELECT ce.id, ce.name, ce.issuer, ce.expiry_date, ce.expiry_notice_days,
+            (ce.expiry_date - CURRENT_DATE) AS days_left,
+            c.user_id, COALESCE(c.full_name, u.name) AS candidate_name, u.email
+     FROM certifications ce
+     JOIN candidates c ON ce.candidate_id = c.id
+     JOIN users u ON c.user_id = u.id
+     WHERE ce.expiry_date IS NOT NULL
+       AND ce.verification_status <> 'rejected'
+       AND (ce.expiry_notice_days IS NULL OR ce.expiry_notice_days > 0)
+       AND ce.expiry_date <= CURRENT_DATE + make_interval(days => $1::int)
+     ORDER BY ce.expiry_date ASC
+     LIMIT $2`,
+    [Math.max(...NOTICE_DAYS), limit]
+  );
+
+  const counts = { notified: 0, expired: 0, failed: 0 };
+  for (const row of result.rows) {
+    const daysLeft = Number(row.days_left);
+    const due = dueExpiryNotice(daysLeft, row.expiry_notice_days);
+    if (due === null) continue;
+
+    try {
+      // Claim the notice first so an overlapping run cannot send it twice.
+      const claimed = await pool.query(
+        `UPDATE certifications SET expiry_notice_days = $2
+         WHERE id = $1 AND expiry_date - CURRENT_DATE = $3 AND (expiry_notice_days IS NULL OR expiry_notice_days > $2)`,
+        [row.id, due, daysLeft]
+      );
+      if (claimed.rowCount === 0) continue;
+
+      const lapsed = due === 0;
+      await pool.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          row.user_id,
+          'certification_expiry',
+          lapsed ? 'Certification Expired' : 'Certification Expiring Soon',
+          lapsed
+            ? `Your ${row.name} (${row.issuer}) has expired. Add the renewed certificate to keep your profile current.`
+            : `Your ${row.name} (${row.issuer}) expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.`,
+          '/certifications',
+        ]
+      );
+      sendCertificationExpiryNotice({
+        to: row.email,
+        candidateName: row.candidate_name,
+        certificationName: row.name,
+        issuer: row.issuer,
+        expiryDate: row.expiry_date,
+        daysLeft,
+        link: `${process.env.CLIENT_URL || 'http://localhost:3000'}/certifications`,
+      }).catch((err) => console.error('[Certification] expiry email error:', err.message));
+
+      counts[lapsed ? 'expired' : 'notified'] += 1;
+    } catch (err) {
+      counts.failed += 1;
+      console.error(`Certification expiry notice failed for ${row.id}:`, err.message || err);
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,136 @@
+// Candidate consent for third-party access to verification records.
+// Companies and admins request access to specific records/fields; the
+// candidate grants, denies or revokes. Every state change and every access
+// made under a grant is appended to consent_log, which is write-once.
+import pool from '../config/database.js';
+
+export const CONSENT_RECORD_TYPES = ['employment', 'education'];
+// Only what is actually withheld without a grant. Position, dates and
+// description are shown on the profile anyway.
+export const CONSENT_FIELDS = ['document'];
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const DEFAULT_CONSENT_DAYS = parseInt(process.env.CONSENT_DEFAULT_DAYS, 10) || 30;
+export const MAX_CONSENT_DAYS = 365;
+const PENDING_EXPIRY_DAYS = parseInt(process.env.CONSENT_PENDING_EXPIRY_DAYS, 10) || 14;
+
+// Append an entry to the immutable consent log.
+export async function logConsentEvent({ consentId, candidateId, actorUserId, action, details, req }, db = pool) {
+  await db.query(
+    `INSERT INTO consent_log (consent_request_id, candidate_id, actor_user_id, action, details, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      consentId || null,
+      candidateId,
+      actorUserId || null,
+      action,
+      details ? JSON.stringify(details) : null,
+      req?.ip || null,
+      req?.get?.('user-agent') || null,
+    ]
+  );
+}
+
+/**
+ * Find a live grant allowing `userId` to see `field` of a given record.
+ * A grant covers a record when its scope lists that record explicitly.
+ */
+export async function findActiveGrant({ userId, candidateId, recordType, recordId, field }) {
+  const result = await pool.query(
+    `SELECT id, candidate_id, expires_at
+     FROM consent_requests
+     WHERE requester_user_id = $1
+       AND candidate_id = $2
+       AND status = 'granted'
+       AND expires_at > NOW()
+       AND scope_records @> $3::jsonb
+       AND $4 = ANY(scope_fields)
+     ORDER BY expires_at DESC
+     LIMIT 1`,
+    [userId, candidateId, JSON.stringify([{ type: recordType, id: recordId }]), field]
+  );
+  return result.rows[0] || null;
+}
+
+// Mark lapsed grants and stale pending requests as expired, logging each one.
+export async function expireConsents() {
+  const result = await pool.query(
+    `UPDATE consent_requests
+     SET status = 'expired', updated_at = NOW()
+     WHERE (status = 'granted' AND expires_at <= NOW())
+        OR (status = 'pending' AND created_at < NOW() - make_interval(days => $1::int))
+     RETURNING id, candidate_id`,
+    [PENDING_EXPIRY_DAYS]
+  );
+  for (const row of result.rows) {
+    await logConsentEvent({ consentId: row.id, candidateId: row.candidate_id, action: 'expired' });
+  }
+  return result.rowCount;
+}
+
+// Whether a verification record still awaits review. Its document was then
+// submitted to us for that review, so admins need no separate consent.
+export function awaitingReview(status) {
+  return !status || status === 'pending' || status === 'in_review';
+}
+
+/**
+ * The live grant letting the requesting user see a record's document, logging
+ * the access; null when there is none.
+ */
+export async function useDocumentGrant(req, { candidateId, recordType, recordId }) {
+  if (!candidateId) return null;
+  const grant = await findActiveGrant({ userId: req.user.id, candidateId, recordType, recordId, field: 'document' });
+  if (!grant) return null;
+  await logConsentEvent({
+    consentId: grant.id,
+    candidateId,
+    actorUserId: req.user.id,
+    action: 'accessed',
+    details: { type: recordType, id: recordId, field: 'document' },
+    req,
+  });
+  return grant;
+}
+
+// Validate a requested scope against the candidate's own records.
+// Returns { records, fields } normalised, or { error }.
+export async function normaliseScope(candidateId, records, fields) {
+  if (!Array.isArray(records) || records.length === 0) {
+    return { error: 'At least one record is required' };
+  }
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return { error: 'At least one field is required' };
+  }
+  const badField = fields.find((f) => !CONSENT_FIELDS.includes(f));
+  if (badField) return { error: `Invalid field: ${badField}` };
+
+  const byType = { employment: [], education: [] };
+  for (const r of records) {
+    if (!r || !CONSENT_RECORD_TYPES.includes(r.type) || !UUID_RE.test(String(r.id ?? ''))) {
+      return { error: 'Each record needs a valid type and id' };
+    }
+    byType[r.type].push(String(r.id));
+  }
+
+  const [emp, edu] = await Promise.all([
+    byType.employment.length
+      ? pool.query('SELECT id FROM employment_history WHERE candidate_id = $1 AND id = ANY($2::uuid[])', [candidateId, byType.employment])
+      : { rows: [] },
+    byType.education.length
+      ? pool.query('SELECT id FROM education_history WHERE candidate_id = $1 AND id = ANY($2::uuid[])', [candidateId, byType.education])
+      : { rows: [] },
+  ]);
+  if (emp.rows.length !== new Set(byType.employment).size || edu.rows.length !== new Set(byType.education).size) {
+    return { error: 'One or more records do not belong to this candidate' };
+  }
+
+  return {
+    records: [
+      ...emp.rows.map((r) => ({ type: 'employment', id: r.id })),
+      ...edu.rows.map((r) => ({ type: 'education', id: r.id })),
+    ],
+    fields: [...new Set(fields)],
+  };
+}
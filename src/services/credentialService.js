@@ -0,0 +1,220 @@
+// Signed, portable verification credentials.
+//
+// A credential is a JSON document describing one verified employment or
+// education record, plus a detached Ed25519 signature over its canonical
+// form. Anyone holding the public key (GET /api/verifications/public-key) can
+// check it offline; POST /api/verifications/verify additionally reports
+// revocation and whether the underlying record is still verified.
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { generateTextPdf } from '../utils/pdf.js';
+
+export const CREDENTIAL_TYPE = 'VeriBoardVerificationCredential';
+export const CREDENTIAL_RECORD_TYPES = ['employment', 'education'];
+const SIGNATURE_ALG = 'Ed25519';
+
+let signingKey = null;
+let publicKey = null;
+let keyId = null;
+
+function loadKeys() {
+  if (publicKey) return;
+
+  const pem = process.env.CREDENTIAL_SIGNING_KEY;
+  if (pem) {
+    signingKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  } else if (process.env.NODE_ENV !== 'production') {
+    // Dev convenience: an ephemeral key means credentials stop verifying on restart.
+    console.warn('⚠️  CREDENTIAL_SIGNING_KEY not set - using an ephemeral Ed25519 key');
+    signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+  } else {
+    return;
+  }
+
+  publicKey = crypto.createPublicKey(signingKey);
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  keyId = crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+export function isSigningConfigured() {
+  loadKeys();
+  return !!signingKey;
+}
+
+export function getPublicKeyInfo() {
+  loadKeys();
+  if (!publicKey) return null;
+  return {
+    alg: SIGNATURE_ALG,
+    keyId,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: 'EdDSA', use: 'sig' },
+  };
+}
+
+// Deterministic JSON: object keys sorted recursively, no whitespace.
+export function canonicalize(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function signCredential(credential) {
+  loadKeys();
+  if (!signingKey) throw new Error('Credential signing key is not configured');
+  const value = crypto.sign(null, Buffer.from(canonicalize(credential)), signingKey).toString('base64url');
+  return { alg: SIGNATURE_ALG, keyId, value };
+}
+
+export function verifySignature(credential, signature) {
+  loadKeys();
+  if (!publicKey || !signature || signature.alg !== SIGNATURE_ALG || signature.keyId !== keyId) {
+    return false;
+  }
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(canonicalize(credential)),
+      publicKey,
+      Buffer.from(String(signature.value), 'base64url')
+    );
+  } catch {
+    return false;
+  }
+}
+
+function toDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : null;
+}
+
+// Load a verified record owned by the candidate, shaped as a credential claim.
+export async function loadVerifiedClaim(candidateId, recordType, recordId) {
+  if (recordType === 'employment') {
+    const result = await pool.query(
+      `SELECT eh.id, eh.position, COALESCE(c.name, eh.company_name) AS organization,
+              eh.start_date, eh.end_date, eh.is_current, eh.verification_status,
+              eh.verification_type, eh.verified_at, vu.account_type AS verifier_type
+       FROM employment_history eh
+       LEFT JOIN companies c ON eh.company_id = c.id
+       LEFT JOIN users vu ON eh.verified_by = vu.id
+       WHERE eh.id = $1 AND eh.candidate_id = $2`,
+      [recordId, candidateId]
+    );
+    const r = result.rows[0];
+    if (!r) return null;
+    return {
+      status: r.verification_status,
+      claim: {
+        type: 'employment',
+        recordId: r.id,
+        position: r.position,
+        organization: r.organization,
+        startDate: toDate(r.start_date),
+        endDate: r.is_current ? null : toDate(r.end_date),
+        isCurrent: !!r.is_current,
+        verifiedAt: r.verified_at ? new Date(r.verified_at).toISOString() : null,
+        verifiedBy: r.verifier_type === 'company' ? 'employer' : r.verifier_type || r.verification_type || 'admin',
+      },
+    };
+  }
+
+  const result = await pool.query(
+    `SELECT ed.id, ed.degree, ed.field_of_study, ed.institution,
+            ed.start_date, ed.end_date, ed.is_current, ed.verification_status,
+            ed.verified_at, vu.account_type AS verifier_type
+     FROM education_history ed
+     LEFT JOIN users vu ON ed.verified_by = vu.id
+     WHERE ed.id = $1 AND ed.candidate_id = $2`,
+    [recordId, candidateId]
+  );
+  const r = result.rows[0];
+  if (!r) return null;
+  return {
+    status: r.verification_status,
+    claim: {
+      type: 'education',
+      recordId: r.id,
+      degree: r.degree,
+      fieldOfStudy: r.field_of_study,
+      institution: r.institution,
+      startDate: toDate(r.start_date),
+      endDate: r.is_current ? null : toDate(r.end_date),
+      isCurrent: !!r.is_current,
+      verifiedAt: r.verified_at ? new Date(r.verified_at).toISOString() : null,
+      verifiedBy: r.verifier_type || 'admin',
+    },
+  };
+}
+
+export function buildVerifyUrl(credentialId) {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify/${credentialId}`;
+}
+
+// Render a printable certificate for a stored credential.
+export function renderCredentialPdf(credential, signature) {
+  const { claim, subject } = credential;
+  const lines = [
+    { text: 'VeriBoard', size: 24, bold: true },
+    { text: 'Verification Certificate', size: 16, bold: true, gap: 4 },
+    { text: `This certifies that the following ${claim.type} record of ${subject.name} has been verified.`, gap: 18 },
+  ];
+
+  if (claim.type === 'employment') {
+    lines.push(
+      { text: 'Position', bold: true, gap: 14 }, { text: claim.position },
+      { text: 'Organization', bold: true, gap: 8 }, { text: claim.organization },
+    );
+  } else {
+    lines.push(
+      { text: 'Qualification', bold: true, gap: 14 },
+      { text: [claim.degree, claim.fieldOfStudy].filter(Boolean).join(', ') },
+      { text: 'Institution', bold: true, gap: 8 }, { text: claim.institution },
+    );
+  }
+
+  lines.push(
+    { text: 'Period', bold: true, gap: 8 },
+    { text: `${claim.startDate || '?'} - ${claim.isCurrent ? 'Present' : claim.endDate || '?'}` },
+    { text: 'Verified', bold: true, gap: 8 },
+    { text: `${claim.verifiedAt ? claim.verifiedAt.slice(0, 10) : 'n/a'} by ${claim.verifiedBy}` },
+    { text: 'Credential ID', bold: true, gap: 18 }, { text: credential.id, mono: true, size: 9 },
+    { text: 'Issued', bold: true, gap: 8 }, { text: credential.issuedAt },
+    { text: `Signature (${signature.alg}, key ${signature.keyId})`, bold: true, gap: 8 },
+    { text: signature.value, mono: true, size: 8 },
+    { text: `Check this certificate at ${buildVerifyUrl(credential.id)}`, gap: 18, size: 10 },
+  );
+
+  return generateTextPdf(lines);
+}
+
+// Online check used by the public verify endpoint.
+export async function checkCredential(credential, signature) {
+  if (!credential || typeof credential !== 'object' || credential.type !== CREDENTIAL_TYPE
+      || !CREDENTIAL_RECORD_TYPES.includes(credential.claim?.type)) {
+    return { valid: false, status: 'malformed' };
+  }
+  if (!verifySignature(credential, signature)) {
+    return { valid: false, status: 'invalid_signature' };
+  }
+
+  const stored = await pool.query(
+    'SELECT revoked_at, candidate_id FROM verification_credentials WHERE id = $1',
+    [credential.id]
+  );
+  if (stored.rows.length === 0) return { valid: false, status: 'unknown_credential' };
+  if (stored.rows[0].revoked_at) {
+    return { valid: false, status: 'revoked', revokedAt: stored.rows[0].revoked_at };
+  }
+
+  const current = await loadVerifiedClaim(stored.rows[0].candidate_id, credential.claim?.type, credential.claim?.recordId);
+  if (!current || current.status !== 'verified') {
+    return { valid: false, status: 'record_no_longer_verified' };
+  }
+
+  return { valid: true, status: 'valid' };
+}
@@ -0,0 +1,302 @@
+// Self-service data exports (GDPR access requests).
+//
+// A request creates a 'pending' export and returns at once; the archive is
+// built in the background (pending → processing → ready | failed) and the user
+// is emailed a download link. The archive is a zip with one JSON file per kind
+// of data plus the files they uploaded under documents/, and a manifest.json
+// listing everything, including any file that could not be read. Links expire
+// after DATA_EXPORT_LINK_HOURS (default 72); the hourly job then deletes the
+// archive from storage and marks the export 'expired'. The same job picks up
+// exports left pending, or stuck processing, by a restart.
+import JSZip from 'jszip';
+import pool from '../config/database.js';
+import { BUCKET_NAME, uploadToBucket, downloadFromBucket, deleteFromBucket } from '../utils/supabaseStorage.js';
+import { sendDataExportReady } from '../utils/mailer.js';
+
+export const OPEN_EXPORT_STATUSES = ['pending', 'processing'];
+export const EXPORT_FOLDER = 'data_exports';
+
+// Uploaded files beyond this total are listed in the manifest but left out.
+// The archive is built in memory, so this bounds what one export can hold.
+const MAX_DOCUMENT_BYTES = (parseInt(process.env.DATA_EXPORT_MAX_DOCUMENT_MB, 10) || 25) * 1024 * 1024;
+
+export function getExportLinkHours() {
+  const hours = parseInt(process.env.DATA_EXPORT_LINK_HOURS, 10);
+  return Number.isInteger(hours) && hours > 0 ? hours : 72;
+}
+
+// The emailed link opens the client, which exchanges the token for the file via
+// GET /api/account/exports/:id/download.
+export function downloadLink(exp) {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/data-export/${exp.id}?token=${exp.download_token}`;
+}
+
+export function mapDataExport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    fileSize: row.file_size,
+    error: row.error,
+    requestedAt: row.created_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at,
+    downloadedAt: row.downloaded_at,
+  };
+}
+
+// Storage path of an upload, from either a bare path or a public URL. External URLs
+// (e.g. an OAuth profile picture) are not ours to export and yield null.
+export function storagePathOf(value) {
+  if (!value || typeof value !== 'string') return null;
+  const marker = `/${BUCKET_NAME}/`;
+  const idx = value.indexOf(marker);
+  if (idx !== -1) return decodeURIComponent(value.slice(idx + marker.length).split('?')[0]);
+  if (/^https?:\/\//i.test(value)) return null;
+  return value.replace(/^\/+/, '');
+}
+
+async function rows(sql, params) {
+  return (await pool.query(sql, params)).rows;
+}
+
+/**
+ * Everything stored about a user, as the JSON documents of the export, and the
+ * uploads to include: [{ source, path }].
+ */
+export async function collectUserData(userId) {
+  const [account] = await rows(
+    `SELECT id, email, name, account_type, is_verified, is_pro, plan_tier, plan_billing, profile_picture, created_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  if (!account) return null;
+
+  const [candidate] = await rows('SELECT * FROM candidates WHERE user_id = $1', [userId]);
+  const [company] = await rows('SELECT * FROM companies WHERE user_id = $1', [userId]);
+  const candidateId = candidate?.id || null;
+
+  const byCandidate = async (sql) => (candidateId ? rows(sql, [candidateId]) : []);
+  const employment = await byCandidate('SELECT * FROM employment_history WHERE candidate_id = $1 ORDER BY start_date DESC');
+  const education = await byCandidate('SELECT * FROM education_history WHERE candidate_id = $1 ORDER BY start_date DESC');
+  const certifications = await byCandidate('SELECT * FROM certifications WHERE candidate_id = $1 ORDER BY created_at DESC');
+  const appeals = await byCandidate('SELECT * FROM verification_appeals WHERE candidate_id = $1 ORDER BY created_at DESC');
+
+  // What the candidate submitted and where it stands, not the company's notes or AI screening.
+  const applications = await rows(
+    `SELECT ja.id, ja.job_id, ja.status, ja.cover_letter, ja.application_answers, ja.resume_url,
+            ja.screening_answers, ja.applied_at, ja.updated_at,
+            j.title AS job_title, co.name AS company_name
+     FROM job_applications ja
+     JOIN jobs j ON ja.job_id = j.id
+     LEFT JOIN companies co ON j.company_id = co.id
+     WHERE ja.user_id = $1
+     ORDER BY ja.applied_at DESC`,
+    [userId]
+  );
+  const resumes = await rows('SELECT * FROM resumes WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
+  const posts = await rows('SELECT * FROM social_posts WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
+  const comments = await rows(
+    'SELECT id, post_id, content, created_at FROM social_post_comments WHERE user_id = $1 ORDER BY created_at DESC',
+    [userId]
+  );
+  const notifications = await rows('SELECT * FROM notifications WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
+  const savedSearches = await rows('SELECT * FROM saved_searches WHERE user_id = $1 ORDER BY created_at DESC', [userId]);
+  const savedJobs = await rows(
+    `SELECT sj.job_id, j.title, c.name AS company, sj.created_at
+     FROM saved_jobs sj
+     JOIN jobs j ON sj.job_id = j.id
+     JOIN companies c ON j.company_id = c.id
+     WHERE sj.user_id = $1
+     ORDER BY sj.created_at DESC`,
+    [userId]
+  );
+  const trackerStages = await rows('SELECT * FROM job_tracker_stages WHERE user_id = $1 ORDER BY position ASC', [userId]);
+  const trackerItems = await rows('SELECT * FROM job_tracker_items WHERE user_id = $1 ORDER BY created_at ASC', [userId]);
+  const subscriptions = await rows(
+    `SELECT id, razorpay_subscription_id, razorpay_plan_id, status, current_start, current_end, created_at, updated_at
+     FROM subscriptions WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  const payments = await rows(
+    `SELECT sp.*
+     FROM subscription_payments sp
+     JOIN subscriptions s ON sp.subscription_id = s.id
+     WHERE s.user_id = $1
+     ORDER BY sp.created_at DESC`,
+    [userId]
+  );
+
+  const uploads = [];
+  const addUpload = (source, value) => {
+    const path = storagePathOf(value);
+    if (path && !uploads.some((u) => u.path === path)) uploads.push({ source, path });
+  };
+  addUpload('profile/avatar', candidate?.avatar_url);
+  addUpload('profile/cover_image', candidate?.cover_image_url);
+  addUpload('profile/resume', candidate?.resume_url);
+  addUpload('company/logo', company?.logo_url);
+  employment.forEach((e) => addUpload(`employment/${e.id}`, e.document_url));
+  education.forEach((e) => addUpload(`education/${e.id}`, e.document_url));
+  certifications.forEach((c) => addUpload(`certifications/${c.id}`, c.document_url));
+  appeals.forEach((a) => (Array.isArray(a.evidence_paths) ? a.evidence_paths : []).forEach((p) => addUpload(`appeals/${a.id}`, p)));
+  applications.forEach((a) => addUpload(`applications/${a.id}`, a.resume_url));
+  posts.forEach((p) => addUpload(`posts/${p.id}`, p.image_url));
+
+  return {
+    files: {
+      'account.json': account,
+      'profile.json': { candidate: candidate || null, company: company || null },
+      'employment.json': employment,
+      'education.json': education,
+      'certifications.json': certifications,
+      'verification_appeals.json': appeals,
+      'applications.json': applications,
+      'resumes.json': resumes,
+      'posts.json': posts,
+      'comments.json': comments,
+      'notifications.json': notifications,
+      'saved_searches.json': savedSearches,
+      'saved_jobs.json': savedJobs,
+      'job_tracker.json': { stages: trackerStages, items: trackerItems },
+      'payments.json': { subscriptions, payments },
+    },
+    uploads,
+  };
+}
+
+// documents/<source>/<file name>, keeping names unique inside the archive.
+function documentEntryName(upload, taken) {
+  const base = `documents/${upload.source}/${upload.path.split('/').pop()}`;
+  let name = base;
+  for (let n = 2; taken.has(name); n++) name = base.replace(/(\.[^./]*)?$/, `-${n}$1`);
+  taken.add(name);
+  return name;
+}
+
+export async function buildExportArchive(userId, { exportId, now = new Date() } = {}) {
+  const data = await collectUserData(userId);
+  if (!data) throw new Error('User not found');
+
+  const entries = Object.entries(data.files).map(([name, value]) => ({ name, data: JSON.stringify(value, null, 2) }));
+  const documents = [];
+  const taken = new Set();
+  let documentBytes = 0;
+
+  for (const upload of data.uploads) {
+    const { data: file, error } = await downloadFromBucket(BUCKET_NAME, upload.path);
+    if (error || !file) {
+      documents.push({ source: upload.source, storagePath: upload.path, included: false, reason: 'not found in storage' });
+      continue;
+    }
+    if (documentBytes + file.length > MAX_DOCUMENT_BYTES) {
+      documents.push({ source: upload.source, storagePath: upload.path, included: false, reason: 'export size limit reached' });
+      continue;
+    }
+    documentBytes += file.length;
+    const name = documentEntryName(upload, taken);
+    entries.push({ name, data: file });
+    documents.push({ source: upload.source, storagePath: upload.path, included: true, file: name, bytes: file.length });
+  }
+
+  const manifest = {
+    exportId,
+    userId,
+    generatedAt: now.toISOString(),
+    files: Object.keys(data.files),
+    documents,
+  };
+  const archive = new JSZip();
+  for (const entry of [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }, ...entries]) {
+    archive.file(entry.name, entry.data, { date: now });
+  }
+  return archive.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Build, store and announce one export. Only a 'pending' export is claimed, so
+ * the request handler and the background job never build the same one twice.
+ * @returns {Promise<boolean>} whether this call built it
+ */
+export async function processDataExport(exportId) {
+  const claimed = await pool.query(
+    `UPDATE data_exports SET status = 'processing', started_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [exportId]
+  );
+  const exp = claimed.rows[0];
+  if (!exp) return false;
+
+  try {
+    const archive = await buildExportArchive(exp.user_id, { exportId: exp.id });
+    const filePath = `${EXPORT_FOLDER}/${exp.user_id}/${exp.id}.zip`;
+    const { error } = await uploadToBucket(BUCKET_NAME, filePath, archive, { contentType: 'application/zip', upsert: true });
+    if (error) throw new Error(`Upload failed: ${error.message || error}`);
+
+    const ready = await pool.query(
+      `UPDATE data_exports
+       SET status = 'ready', file_path = $2, file_size = $3, completed_at = NOW(),
+           expires_at = NOW() + make_interval(hours => $4::int), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *, (SELECT email FROM users WHERE id = data_exports.user_id) AS email,
+                    (SELECT name FROM users WHERE id = data_exports.user_id) AS name`,
+      [exp.id, filePath, archive.length, getExportLinkHours()]
+    );
+    const done = ready.rows[0];
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [exp.user_id, 'data_export', 'Your Data Export Is Ready', 'We have emailed you a link to download a copy of your data.', '/settings/privacy']
+    );
+    sendDataExportReady({
+      to: done.email,
+      name: done.name,
+      link: downloadLink(done),
+      expiresAt: done.expires_at,
+    }).catch((err) => console.error('[DataExport] email error:', err.message));
+    return true;
+  } catch (err) {
+    console.error(`[DataExport] export ${exp.id} failed:`, err.message || err);
+    await pool.query(
+      `UPDATE data_exports SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1`,
+      [exp.id, String(err.message || err).slice(0, 500)]
+    );
+    return false;
+  }
+}
+
+/**
+ * Background pass: build exports a restart left behind and remove expired archives.
+ * @returns {Promise<{ built: number, expired: number }>}
+ */
+export async function processDataExports({ limit = 10 } = {}) {
+  // An export still 'processing' after an hour was interrupted; queue it again.
+  await pool.query(
+    `UPDATE data_exports SET status = 'pending', updated_at = NOW()
+     WHERE status = 'processing' AND started_at < NOW() - INTERVAL '1 hour'`
+  );
+
+  const counts = { built: 0, expired: 0 };
+  const pending = await pool.query(
+    `SELECT id FROM data_exports WHERE status = 'pending' ORDER BY created_at ASC LIMIT $1`,
+    [limit]
+  );
+  for (const { id } of pending.rows) {
+    if (await processDataExport(id)) counts.built += 1;
+  }
+
+  const expired = await pool.query(
+    `UPDATE data_exports SET status = 'expired', updated_at = NOW()
+     WHERE status = 'ready' AND expires_at <= NOW()
+     RETURNING id, file_path`
+  );
+  for (const row of expired.rows) {
+    if (row.file_path) {
+      const { error } = await deleteFromBucket(BUCKET_NAME, row.file_path);
+      if (error) console.error(`[DataExport] could not delete ${row.file_path}:`, error.message || error);
+    }
+    counts.expired += 1;
+  }
+  return counts;
+}
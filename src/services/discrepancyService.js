@@ -0,0 +1,105 @@
+// Field-level discrepancies between what a candidate claimed on an
+// employment record and what the verifying employer confirmed.
+import pool from '../config/database.js';
+
+export const EMPLOYMENT_TYPES = ['Full-time', 'Part-time', 'Contract', 'Freelance', 'Internship'];
+
+// API field name -> employment_history column
+export const DISCREPANCY_FIELDS = {
+  position: 'position',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  employmentType: 'employment_type',
+};
+
+function toDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : null;
+}
+
+// Claimed value of a field as stored text; a current role has no end date.
+function claimedValue(record, field) {
+  if (field === 'startDate') return toDate(record.start_date);
+  if (field === 'endDate') return record.is_current ? null : toDate(record.end_date);
+  return record[DISCREPANCY_FIELDS[field]] ?? null;
+}
+
+/**
+ * Validate an employer's corrections and compare them with the record.
+ * Fields left out are taken as confirmed. endDate may be null/'present' for
+ * a role that is still current.
+ * @returns {{ error?: string, discrepancies: Array<{ field, claimedValue, confirmedValue }> }}
+ */
+export function diffCorrections(record, corrections = {}) {
+  const discrepancies = [];
+  if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+    return { error: 'corrections must be an object', discrepancies };
+  }
+
+  for (const [field, raw] of Object.entries(corrections)) {
+    if (!DISCREPANCY_FIELDS[field]) {
+      return { error: `Unknown field: ${field}`, discrepancies: [] };
+    }
+    if (raw === undefined) continue;
+
+    let confirmed;
+    if (field === 'startDate' || field === 'endDate') {
+      if (field === 'endDate' && (raw === null || String(raw).toLowerCase() === 'present')) {
+        confirmed = null;
+      } else if (!raw || Number.isNaN(new Date(raw).getTime())) {
+        return { error: `Invalid ${field}`, discrepancies: [] };
+      } else {
+        confirmed = toDate(raw);
+      }
+    } else if (field === 'employmentType') {
+      if (!EMPLOYMENT_TYPES.includes(raw)) {
+        return { error: `employmentType must be one of: ${EMPLOYMENT_TYPES.join(', ')}`, discrepancies: [] };
+      }
+      confirmed = raw;
+    } else {
+      confirmed = String(raw ?? '').trim().slice(0, 255);
+      if (!confirmed) return { error: 'position cannot be empty', discrepancies: [] };
+    }
+
+    const claimed = claimedValue(record, field);
+    const same = field === 'position'
+      ? String(claimed || '').trim().toLowerCase() === confirmed.toLowerCase()
+      : claimed === confirmed;
+    if (!same) {
+      discrepancies.push({ field, claimedValue: claimed, confirmedValue: confirmed });
+    }
+  }
+
+  return { discrepancies };
+}
+
+export function mapDiscrepancy(row) {
+  return {
+    id: row.id,
+    employmentId: row.employment_id,
+    field: row.field,
+    claimedValue: row.claimed_value,
+    confirmedValue: row.confirmed_value,
+    status: row.status,
+    candidateResponse: row.candidate_response,
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at,
+  };
+}
+
+// Attach unresolved discrepancies (open or disputed) to profile experience rows.
+export async function attachDiscrepancies(experiences) {
+  const ids = experiences.map((exp) => exp.id);
+  if (ids.length === 0) return experiences;
+
+  const result = await pool.query(
+    `SELECT * FROM employment_discrepancies
+     WHERE employment_id = ANY($1::uuid[]) AND status IN ('open', 'disputed')
+     ORDER BY created_at`,
+    [ids]
+  );
+  const byEmployment = {};
+  for (const row of result.rows) {
+    (byEmployment[row.employment_id] ||= []).push(mapDiscrepancy(row));
+  }
+  return experiences.map((exp) => ({ ...exp, discrepancies: byEmployment[exp.id] || [] }));
+}
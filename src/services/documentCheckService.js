@@ -0,0 +1,211 @@
+// Automatic authenticity pre-checks for verification documents.
+//
+// Runs on upload, before any human looks at the file: extracts the text of
+// PDFs, checks the candidate name, organisation and dates against the claimed
+// record, and inspects PDF metadata for signs of editing. The result is a
+// 0-100 risk score plus the individual flags, stored on the record and shown
+// in the admin queue. A high score never blocks an upload; it only tells the
+// reviewer where to look.
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+export const CHECK_VERSION = 1;
+
+// Flag weights add up to the risk score (capped at 100).
+const WEIGHTS = {
+  unreadable_pdf: 30,
+  not_pdf: 20,
+  no_text: 20,
+  name_not_found: 25,
+  organization_not_found: 25,
+  dates_not_found: 15,
+  editing_software: 25,
+  modified_after_creation: 10,
+  created_after_issue_date: 15,
+  creation_date_in_future: 20,
+};
+
+// Producer/Creator strings from tools that are used to alter existing PDFs or
+// to draw documents from scratch, rather than to export them from HR systems.
+const EDITING_TOOLS = [
+  'photoshop', 'illustrator', 'gimp', 'canva', 'inkscape', 'ilovepdf', 'smallpdf', 'sejda',
+  'pdfescape', 'pdf-xchange editor', 'foxit phantompdf', 'foxit pdf editor', 'nitro pro',
+  'pdfelement', 'pdf editor', 'pdffiller', 'dochub', 'paint.net',
+];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+// Modification/backdating tolerance: scans are often produced some time
+// after the letter they reproduce.
+const ISSUE_DATE_GRACE_DAYS = 30;
+
+function normalise(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Every meaningful token of the needle appears in the haystack.
+function containsAllTokens(haystack, needle) {
+  const tokens = normalise(needle).split(' ').filter((t) => t.length >= 2);
+  if (tokens.length === 0) return true;
+  const words = new Set(haystack.split(' '));
+  return tokens.every((t) => words.has(t));
+}
+
+// Organisation names often appear without suffixes ("Acme" vs "Acme Pvt Ltd").
+const ORG_SUFFIXES = new Set(['inc', 'ltd', 'llc', 'llp', 'pvt', 'private', 'limited', 'corp', 'corporation', 'co', 'gmbh', 'plc', 'the', 'of']);
+
+function containsOrganization(haystack, organization) {
+  const tokens = normalise(organization).split(' ').filter((t) => t.length >= 2 && !ORG_SUFFIXES.has(t));
+  if (tokens.length === 0) return true;
+  return containsAllTokens(haystack, tokens.join(' '));
+}
+
+// "D:20230115103000+05'30'" -> Date
+export function parsePdfDate(value) {
+  if (!value) return null;
+  const m = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/.exec(String(value).trim());
+  if (!m) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', tz] = m;
+  let offset = 'Z';
+  if (tz && tz !== 'Z') offset = `${tz.slice(0, 3)}:${tz.replace(/'/g, '').slice(3, 5) || '00'}`;
+  const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Pull explicit dates out of free text: 2023-01-15, 15/01/2023, 15 January 2023, January 15, 2023.
+export function extractDates(text) {
+  const dates = [];
+  const lower = String(text || '').toLowerCase();
+  const push = (y, m, d) => {
+    const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+    if (!Number.isNaN(date.getTime()) && date.getUTCFullYear() > 1950 && date.getUTCFullYear() < 2100) dates.push(date);
+  };
+
+  for (const m of lower.matchAll(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g)) push(m[1], m[2], m[3]);
+  for (const m of lower.matchAll(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g)) push(m[3], m[2], m[1]);
+
+  const month = `(${MONTHS.map((mo) => mo.slice(0, 3) + mo.slice(3).replace(/(.)/g, '$1?')).join('|')})\\.?`;
+  for (const m of lower.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${month}\\s+(\\d{4})\\b`, 'g'))) {
+    push(m[3], MONTHS.findIndex((mo) => mo.startsWith(m[2].slice(0, 3))) + 1, m[1]);
+  }
+  for (const m of lower.matchAll(new RegExp(`\\b${month}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'g'))) {
+    push(m[3], MONTHS.findIndex((mo) => mo.startsWith(m[1].slice(0, 3))) + 1, m[2]);
+  }
+  return dates;
+}
+
+function yearOf(d) {
+  return d ? new Date(d).getUTCFullYear() : null;
+}
+
+function riskLevel(score) {
+  if (score >= 60) return 'high';
+  if (score >= 30) return 'medium';
+  return 'low';
+}
+
+/**
+ * Run the pre-check pipeline on an uploaded document.
+ * @param {object} input
+ * @param {Buffer} input.buffer
+ * @param {string} input.mimetype
+ * @param {object} input.claim - { candidateName, organization, startDate, endDate, isCurrent }
+ * @param {object} [deps] - { parse } to replace pdf-parse (tests)
+ * @returns {Promise<{ version, riskScore, riskLevel, flags, matches, metadata, checkedAt }>}
+ */
+export async function runDocumentPrecheck({ buffer, mimetype, claim }, { parse = pdfParse } = {}) {
+  const flags = [];
+  const flag = (code, message) => flags.push({ code, weight: WEIGHTS[code], message });
+  const matches = { name: null, organization: null, dates: null };
+  let metadata = null;
+
+  if (mimetype !== 'application/pdf') {
+    flag('not_pdf', 'Image uploads cannot be text-checked; review the document manually');
+  } else {
+    let parsed;
+    try {
+      parsed = await parse(buffer);
+    } catch {
+      flag('unreadable_pdf', 'The PDF could not be parsed; it may be corrupt or malformed');
+    }
+
+    if (parsed) {
+      const info = parsed.info || {};
+      const created = parsePdfDate(info.CreationDate);
+      const modified = parsePdfDate(info.ModDate);
+      metadata = {
+        producer: info.Producer || null,
+        creator: info.Creator || null,
+        creationDate: created ? created.toISOString() : null,
+        modDate: modified ? modified.toISOString() : null,
+        pages: parsed.numpages || null,
+      };
+
+      const tool = [info.Producer, info.Creator]
+        .map((v) => String(v || '').toLowerCase())
+        .map((v) => EDITING_TOOLS.find((t) => v.includes(t)))
+        .find(Boolean);
+      if (tool) {
+        flag('editing_software', `PDF was produced or edited with ${tool}`);
+      }
+      if (created && modified && modified.getTime() - created.getTime() > 24 * 3600 * 1000) {
+        flag('modified_after_creation', 'PDF was modified after it was created');
+      }
+      if (created && created.getTime() > Date.now() + 24 * 3600 * 1000) {
+        flag('creation_date_in_future', 'PDF creation date is in the future');
+      }
+
+      const text = normalise(parsed.text);
+      if (text.length < 20) {
+        flag('no_text', 'No readable text found (scanned image?); names and dates could not be checked');
+      } else {
+        matches.name = containsAllTokens(text, claim.candidateName);
+        if (!matches.name) flag('name_not_found', `Candidate name "${claim.candidateName}" not found in the document`);
+
+        matches.organization = containsOrganization(text, claim.organization);
+        if (!matches.organization) flag('organization_not_found', `"${claim.organization}" not found in the document`);
+
+        const years = [yearOf(claim.startDate), claim.isCurrent ? null : yearOf(claim.endDate)].filter(Boolean);
+        matches.dates = years.length === 0 || years.some((y) => new RegExp(`\\b${y}\\b`).test(text));
+        if (!matches.dates) flag('dates_not_found', `None of the claimed years (${years.join(', ')}) appear in the document`);
+
+        // The latest date printed on the document is taken as its issue date.
+        const printed = extractDates(parsed.text);
+        const issued = printed.length ? new Date(Math.max(...printed.map((d) => d.getTime()))) : null;
+        if (issued && created && created.getTime() - issued.getTime() > ISSUE_DATE_GRACE_DAYS * 24 * 3600 * 1000) {
+          flag('created_after_issue_date',
+            `PDF was created ${created.toISOString().slice(0, 10)}, long after the date on the document (${issued.toISOString().slice(0, 10)})`);
+        }
+      }
+    }
+  }
+
+  const riskScore = Math.min(100, flags.reduce((sum, f) => sum + f.weight, 0));
+  return {
+    version: CHECK_VERSION,
+    riskScore,
+    riskLevel: riskLevel(riskScore),
+    flags,
+    matches,
+    metadata,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// Never let a failing check break an upload.
+export async function safeDocumentPrecheck(input, deps) {
+  try {
+    return await runDocumentPrecheck(input, deps);
+  } catch (err) {
+    console.error('[DocumentCheck] pre-check failed:', err.message);
+    return null;
+  }
+}
@@ -0,0 +1,197 @@
+// Automatic company verification by proving control of the company's domain,
+// either with a DNS TXT record or a one-time code emailed to an address on
+// that domain. DNS lookups go through a swappable resolver so tests (and
+// self-hosted deployments with split-horizon DNS) can supply their own.
+import crypto from 'crypto';
+import dns from 'dns';
+import pool from '../config/database.js';
+import { clearClaim } from './verificationQueueService.js';
+import { recordAudit, auditSnapshot } from './auditLogService.js';
+
+export const DOMAIN_METHODS = ['dns', 'email'];
+export const TXT_RECORD_PREFIX = '_veriboard-verification';
+const TXT_VALUE_PREFIX = 'veriboard-verification=';
+
+const CHALLENGE_TTL_HOURS = parseInt(process.env.DOMAIN_VERIFICATION_TTL_HOURS, 10) || 72;
+const EMAIL_CODE_TTL_MINUTES = 30;
+export const MAX_CODE_ATTEMPTS = 5;
+
+function defaultResolver() {
+  const resolver = new dns.promises.Resolver();
+  const servers = (process.env.DOMAIN_VERIFICATION_DNS_SERVERS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (servers.length > 0) resolver.setServers(servers);
+  return resolver;
+}
+
+let resolver = null;
+
+// Anything with resolveTxt(hostname) -> Promise<string[][]>, like dns.promises.
+export function setDnsResolver(custom) {
+  resolver = custom;
+}
+
+function getResolver() {
+  if (!resolver) resolver = defaultResolver();
+  return resolver;
+}
+
+export function txtRecordName(domain) {
+  return `${TXT_RECORD_PREFIX}.${domain}`;
+}
+
+export function txtRecordValue(token) {
+  return `${TXT_VALUE_PREFIX}${token}`;
+}
+
+export function hashCode(challengeId, code) {
+  return crypto.createHash('sha256').update(`${challengeId}:${code}`).digest('hex');
+}
+
+// Look for the expected TXT value on _veriboard-verification.<domain>, falling
+// back to the apex for DNS hosts that can't create underscore labels.
+export async function findTxtToken(domain, token) {
+  const expected = txtRecordValue(token);
+  for (const host of [txtRecordName(domain), domain]) {
+    try {
+      const records = await getResolver().resolveTxt(host);
+      // Long TXT values arrive split into chunks
+      if (records.some((chunks) => chunks.join('').trim() === expected)) return true;
+    } catch (err) {
+      if (!['ENOTFOUND', 'ENODATA', 'ESERVFAIL', 'ETIMEOUT', 'ECONNREFUSED'].includes(err.code)) throw err;
+    }
+  }
+  return false;
+}
+
+export async function createChallenge({ companyId, userId, domain, method, email }) {
+  await pool.query(
+    `UPDATE company_domain_verifications SET status = 'cancelled'
+     WHERE company_id = $1 AND status = 'pending'`,
+    [companyId]
+  );
+
+  if (method === 'dns') {
+    const token = crypto.randomBytes(16).toString('hex');
+    const result = await pool.query(
+      `INSERT INTO company_domain_verifications
+         (company_id, domain, method, token, expires_at, created_by_user_id)
+       VALUES ($1, $2, 'dns', $3, NOW() + make_interval(hours => $4), $5)
+       RETURNING *`,
+      [companyId, domain, token, CHALLENGE_TTL_HOURS, userId]
+    );
+    return { challenge: result.rows[0] };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const result = await pool.query(
+    `INSERT INTO company_domain_verifications
+       (company_id, domain, method, email, expires_at, created_by_user_id)
+     VALUES ($1, $2, 'email', $3, NOW() + make_interval(mins => $4), $5)
+     RETURNING *`,
+    [companyId, domain, email, EMAIL_CODE_TTL_MINUTES, userId]
+  );
+  const challenge = result.rows[0];
+  await pool.query(
+    'UPDATE company_domain_verifications SET code_hash = $1 WHERE id = $2',
+    [hashCode(challenge.id, code), challenge.id]
+  );
+  return { challenge, code, expiresInMinutes: EMAIL_CODE_TTL_MINUTES };
+}
+
+export async function getPendingChallenge(companyId) {
+  const result = await pool.query(
+    `SELECT * FROM company_domain_verifications
+     WHERE company_id = $1 AND status = 'pending' AND expires_at > NOW()
+     ORDER BY created_at DESC LIMIT 1`,
+    [companyId]
+  );
+  return result.rows[0] || null;
+}
+
+// Returns true on a match. Each miss burns an attempt; the challenge fails
+// once MAX_CODE_ATTEMPTS is reached.
+export async function checkEmailCode(challenge, code) {
+  const expected = Buffer.from(challenge.code_hash || '', 'hex');
+  const actual = Buffer.from(hashCode(challenge.id, String(code || '').trim()), 'hex');
+  if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+    return true;
+  }
+  await pool.query(
+    `UPDATE company_domain_verifications
+     SET attempts = attempts + 1,
+         status = CASE WHEN attempts + 1 >= $2 THEN 'failed' ELSE status END
+     WHERE id = $1`,
+    [challenge.id, MAX_CODE_ATTEMPTS]
+  );
+  return false;
+}
+
+export async function logCompanyVerificationEvent({ companyId, actorUserId, action, method, details }) {
+  await pool.query(
+    `INSERT INTO company_verification_audit (company_id, actor_user_id, action, method, details)
+     VALUES ($1, $2, $3, $4, $5::jsonb)`,
+    [companyId, actorUserId || null, action, method || null, JSON.stringify(details || {})]
+  );
+}
+
+// Flip the company to verified and record how, in both the company's own
+// verification history and the admin audit log.
+export async function completeChallenge(challenge, req) {
+  const actorUserId = req.user.id;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await auditSnapshot('company', challenge.company_id, client);
+    await client.query(
+      `UPDATE company_domain_verifications SET status = 'verified', verified_at = NOW() WHERE id = $1`,
+      [challenge.id]
+    );
+    const companyRes = await client.query(
+      `UPDATE companies
+       SET verification_status = 'verified',
+           is_verified = true,
+           verified_domain = $2,
+           verification_method = $3,
+           rejection_reason = NULL,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, name, user_id`,
+      [challenge.company_id, challenge.domain, `domain_${challenge.method}`]
+    );
+    await client.query(
+      'UPDATE users SET is_verified = true, updated_at = NOW() WHERE id = $1',
+      [companyRes.rows[0]?.user_id]
+    );
+    await client.query(
+      `INSERT INTO company_verification_audit (company_id, actor_user_id, action, method, details)
+       VALUES ($1, $2, 'verified', $3, $4::jsonb)`,
+      [
+        challenge.company_id,
+        actorUserId,
+        `domain_${challenge.method}`,
+        JSON.stringify({
+          domain: challenge.domain,
+          challengeId: challenge.id,
+          ...(challenge.method === 'dns' ? { record: txtRecordName(challenge.domain) } : { email: challenge.email }),
+        }),
+      ]
+    );
+    await recordAudit(req, {
+      action: 'company.domain_verify',
+      targetType: 'company',
+      targetId: challenge.company_id,
+      before,
+      after: await auditSnapshot('company', challenge.company_id, client),
+      metadata: { domain: challenge.domain, method: challenge.method },
+    }, client);
+    await client.query('COMMIT');
+
+    await clearClaim('company', challenge.company_id);
+    return companyRes.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,248 @@
+// Reconcile a company's HRIS export against candidates' employment claims.
+//
+// Companies upload a CSV or XLSX export in whatever shape their HRIS
+// produces; a per-company column mapping translates it to the fields below.
+// Each employee is matched to an existing employment_history claim at that
+// company (by candidate email, then by name). Email matches whose dates agree
+// are verified once the company itself is verified; name-only matches are
+// reported for the company to confirm by hand, and the rest end up in the
+// reconciliation report as conflicts or unmatched records.
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import pool from '../config/database.js';
+
+export const HRIS_FIELDS = ['email', 'fullName', 'employeeId', 'position', 'startDate', 'endDate'];
+
+// Header spellings recognised when a company has no saved mapping yet.
+const HEADER_SYNONYMS = {
+  email: ['email', 'work email', 'email address', 'employee email', 'personal email', 'e mail'],
+  fullName: ['full name', 'name', 'employee name', 'legal name', 'display name'],
+  employeeId: ['employee id', 'employee number', 'emp id', 'id', 'worker id', 'staff id'],
+  position: ['position', 'title', 'job title', 'designation', 'role'],
+  startDate: ['start date', 'hire date', 'date of joining', 'joining date', 'doj', 'start'],
+  endDate: ['end date', 'termination date', 'last working day', 'exit date', 'date of leaving', 'end'],
+};
+
+// Claims and HRIS records are compared at month granularity (profiles store
+// YYYY-MM); anything further apart than this is a conflict.
+const DATE_TOLERANCE_MONTHS = 1;
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function normaliseHeader(h) {
+  return String(h || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function normaliseName(n) {
+  return String(n || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z]+/g, ' ').trim();
+}
+
+export function isXlsx(file) {
+  return file.mimetype === XLSX_MIME || /\.xlsx$/i.test(file.originalname || '');
+}
+
+// Excel stores dates as days since 1899-12-30 (accounting for the 1900 leap-year bug).
+export function excelSerialToDate(serial) {
+  const n = Number(serial);
+  if (!Number.isFinite(n)) return null;
+  return new Date(Date.UTC(1899, 11, 30) + Math.round(n * 86400000));
+}
+
+// Plain text of an ExcelJS cell value; date cells become YYYY-MM-DD.
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map((r) => r.text).join('');
+  if ('result' in value) return cellText(value.result);
+  if ('text' in value) return cellText(value.text);
+  return '';
+}
+
+// First worksheet of an XLSX workbook; the first non-empty row is the header.
+export async function readXlsxRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new Error('Workbook has no worksheet');
+
+  const rows = [];
+  sheet.eachRow((row) => {
+    const values = Array.from(row.values.slice(1), (v) => cellText(v).trim());
+    if (values.some(Boolean)) rows.push(values);
+  });
+  if (rows.length === 0) return [];
+  const [headers, ...body] = rows;
+  return body.map((r) => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? '']).filter(([h]) => h)));
+}
+
+// Parse an uploaded export into row objects keyed by its own headers.
+export async function readExport(file) {
+  if (isXlsx(file)) return readXlsxRows(file.buffer);
+  return parse(file.buffer.toString('utf8'), { columns: true, skip_empty_lines: true, trim: true, bom: true });
+}
+
+// Guess a mapping from the export's headers.
+export function detectMapping(headers) {
+  const mapping = {};
+  const byNormalised = new Map(headers.map((h) => [normaliseHeader(h), h]));
+  for (const field of HRIS_FIELDS) {
+    const hit = HEADER_SYNONYMS[field].find((s) => byNormalised.has(s));
+    if (hit) mapping[field] = byNormalised.get(hit);
+  }
+  return mapping;
+}
+
+// Returns an error message, or null when the mapping is usable.
+export function validateMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return 'mapping must be an object';
+  const unknown = Object.keys(mapping).find((k) => !HRIS_FIELDS.includes(k));
+  if (unknown) return `Unknown field: ${unknown}`;
+  if (!mapping.email && !mapping.fullName) return 'Map at least one of email or fullName';
+  if (!mapping.startDate) return 'startDate must be mapped';
+  if (headers) {
+    const missing = Object.values(mapping).find((col) => col && !headers.includes(col));
+    if (missing) return `Column "${missing}" not found in the file`;
+  }
+  return null;
+}
+
+function parseHrisDate(value) {
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+  // Bare numbers in a date column are Excel serial dates.
+  if (/^\d{4,5}(\.\d+)?$/.test(str)) return excelSerialToDate(str).toISOString().slice(0, 10);
+  const dmy = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(str);
+  const d = dmy ? new Date(Date.UTC(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1]))) : new Date(str);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+// Apply a mapping; rows that cannot be matched at all are returned as invalid.
+export function mapEmployees(rows, mapping) {
+  return rows.map((row, idx) => {
+    const get = (field) => (mapping[field] ? String(row[mapping[field]] ?? '').trim() : '');
+    const employee = {
+      rowIndex: idx + 1,
+      email: get('email').toLowerCase() || null,
+      fullName: get('fullName') || null,
+      employeeId: get('employeeId') || null,
+      position: get('position') || null,
+      startDate: parseHrisDate(get('startDate')),
+      endDate: parseHrisDate(get('endDate')),
+    };
+    const errors = [];
+    if (!employee.email && !employee.fullName) errors.push('Email or name required');
+    if (!employee.startDate) errors.push('Valid start date required');
+    return { ...employee, errors, valid: errors.length === 0 };
+  });
+}
+
+function monthsApart(a, b) {
+  const da = new Date(a);
+  const db = new Date(b);
+  return Math.abs((da.getUTCFullYear() - db.getUTCFullYear()) * 12 + da.getUTCMonth() - db.getUTCMonth());
+}
+
+function toDate(d) {
+  return d ? new Date(d).toISOString().slice(0, 10) : null;
+}
+
+function dateConflicts(employee, claim) {
+  const conflicts = [];
+  const claimStart = toDate(claim.start_date);
+  if (claimStart && monthsApart(employee.startDate, claimStart) > DATE_TOLERANCE_MONTHS) {
+    conflicts.push({ field: 'startDate', claimed: claimStart, hris: employee.startDate });
+  }
+  const claimEnd = claim.is_current ? null : toDate(claim.end_date);
+  if (claimEnd && employee.endDate) {
+    if (monthsApart(employee.endDate, claimEnd) > DATE_TOLERANCE_MONTHS) {
+      conflicts.push({ field: 'endDate', claimed: claimEnd, hris: employee.endDate });
+    }
+  } else if (claimEnd !== employee.endDate) {
+    // One side says the employment is ongoing, the other that it ended.
+    conflicts.push({ field: 'endDate', claimed: claimEnd, hris: employee.endDate });
+  }
+  return conflicts;
+}
+
+function claimSummary(claim) {
+  return {
+    employmentId: claim.id,
+    candidateName: claim.candidate_name,
+    candidateEmail: claim.candidate_email,
+    position: claim.position,
+    startDate: toDate(claim.start_date),
+    endDate: claim.is_current ? null : toDate(claim.end_date),
+    verificationStatus: claim.verification_status || 'pending',
+  };
+}
+
+function employeeSummary(e) {
+  return { rowIndex: e.rowIndex, email: e.email, fullName: e.fullName, employeeId: e.employeeId, position: e.position, startDate: e.startDate, endDate: e.endDate };
+}
+
+/**
+ * Pure reconciliation of mapped employees against the company's claims.
+ * A candidate with several claims at the company is matched to the one whose
+ * start date is closest to the HRIS record.
+ * Only email matches count as matched; a name alone could be anyone's, so a
+ * name match whose dates agree needs confirmation.
+ * @returns {{ matched, needsConfirmation, dateConflicts, unmatchedClaims, unmatchedEmployees, invalidRows }}
+ */
+export function reconcile(employees, claims) {
+  const report = { matched: [], needsConfirmation: [], dateConflicts: [], unmatchedClaims: [], unmatchedEmployees: [], invalidRows: [] };
+  const used = new Set();
+
+  for (const employee of employees) {
+    if (!employee.valid) {
+      report.invalidRows.push({ rowIndex: employee.rowIndex, errors: employee.errors });
+      continue;
+    }
+    const available = claims.filter((c) => !used.has(c.id));
+    let candidates = employee.email
+      ? available.filter((c) => (c.candidate_email || '').toLowerCase() === employee.email)
+      : [];
+    let matchedBy = 'email';
+    if (candidates.length === 0 && employee.fullName) {
+      const name = normaliseName(employee.fullName);
+      candidates = available.filter((c) => normaliseName(c.candidate_name) === name);
+      matchedBy = 'name';
+    }
+    if (candidates.length === 0) {
+      report.unmatchedEmployees.push(employeeSummary(employee));
+      continue;
+    }
+
+    const claim = candidates.reduce((best, c) =>
+      monthsApart(employee.startDate, c.start_date) < monthsApart(employee.startDate, best.start_date) ? c : best);
+    used.add(claim.id);
+
+    const conflicts = dateConflicts(employee, claim);
+    const entry = { employee: employeeSummary(employee), claim: claimSummary(claim), matchedBy };
+    if (conflicts.length > 0) report.dateConflicts.push({ ...entry, conflicts });
+    else if (matchedBy === 'name') report.needsConfirmation.push(entry);
+    else report.matched.push(entry);
+  }
+
+  // Claims already verified by other means are not "unmatched" problems.
+  report.unmatchedClaims = claims
+    .filter((c) => !used.has(c.id) && c.verification_status !== 'verified')
+    .map(claimSummary);
+  return report;
+}
+
+// All employment claims naming the company, by id or by name.
+export async function loadCompanyClaims(company) {
+  const result = await pool.query(
+    `SELECT eh.id, eh.position, eh.start_date, eh.end_date, eh.is_current, eh.verification_status,
+            COALESCE(c.full_name, u.name) AS candidate_name, u.email AS candidate_email,
+            c.user_id AS candidate_user_id
+     FROM employment_history eh
+     JOIN candidates c ON eh.candidate_id = c.id
+     JOIN users u ON c.user_id = u.id
+     WHERE eh.company_id = $1 OR LOWER(eh.company_name) = LOWER($2)`,
+    [company.id, company.name]
+  );
+  return result.rows;
+}
@@ -0,0 +1,123 @@
+// Institution accounts (universities, colleges, boards) that verify the
+// education records naming them, in the same way companies verify
+// employment. An institution must itself be verified by an admin before its
+// approvals count.
+import pool from '../config/database.js';
+import { clearClaim } from './verificationQueueService.js';
+import { recordAudit } from './auditLogService.js';
+
+export const MAX_BULK_APPROVALS = 500;
+
+// Education records still awaiting a decision.
+export const PENDING_EDUCATION_SQL = `(ed.verification_status IN ('pending', 'in_review') OR ed.verification_status IS NULL)`;
+
+function slugify(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+export async function createInstitutionProfile(userId, name, db = pool) {
+  const result = await db.query(
+    `INSERT INTO institutions (user_id, name, slug, created_at, updated_at)
+     VALUES ($1, $2, $3, NOW(), NOW())
+     RETURNING *`,
+    [userId, name, `${slugify(name) || 'institution'}-${Date.now().toString(36)}`]
+  );
+  return result.rows[0];
+}
+
+export async function getInstitutionForUser(userId) {
+  const result = await pool.query('SELECT * FROM institutions WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+// Lower-cased names an education record's free-text institution may use.
+export function institutionNames(institution) {
+  const names = [institution.name, ...(institution.aliases || [])]
+    .map((n) => String(n || '').trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+export function mapInstitution(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    slug: row.slug,
+    website: row.website,
+    country: row.country,
+    aliases: row.aliases || [],
+    verificationStatus: row.verification_status,
+    rejectionReason: row.rejection_reason,
+    verifiedAt: row.verified_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Verify education records on behalf of an institution. Only records that
+ * name the institution and are still pending are touched. Each approval is
+ * audited against the request `req`.
+ * @returns {Promise<Array<{ id, degree, candidate_id }>>} the records verified
+ */
+export async function approveEducationRecords({ institution, ids, userId, req }) {
+  const client = await pool.connect();
+  let approved;
+  try {
+    await client.query('BEGIN');
+    const beforeResult = await client.query(
+      'SELECT * FROM education_history WHERE id = ANY($1::uuid[]) FOR UPDATE',
+      [ids]
+    );
+    const before = new Map(beforeResult.rows.map((r) => [r.id, r]));
+
+    const result = await client.query(
+      `UPDATE education_history ed
+       SET verification_status = 'verified',
+           verification_type = 'institution',
+           verified_by = $2,
+           verified_at = NOW(),
+           rejection_reason = NULL,
+           updated_at = NOW()
+       WHERE ed.id = ANY($1::uuid[])
+         AND LOWER(ed.institution) = ANY($3::text[])
+         AND ${PENDING_EDUCATION_SQL}
+       RETURNING ed.*`,
+      [ids, userId, institutionNames(institution)]
+    );
+    approved = result.rows;
+
+    for (const row of approved) {
+      await client.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         SELECT c.user_id, $2, $3, $4, $5, NOW() FROM candidates c WHERE c.id = $1`,
+        [
+          row.candidate_id,
+          'verification_update',
+          'Education Verified',
+          `${institution.name} verified your ${row.degree || 'degree'}.`,
+          '/education-verifications',
+        ]
+      );
+      await recordAudit(req, {
+        action: 'education.institution_verify',
+        targetType: 'education',
+        targetId: row.id,
+        before: before.get(row.id),
+        after: row,
+        metadata: { institutionId: institution.id, bulk: ids.length > 1 },
+      }, client);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  for (const row of approved) {
+    await clearClaim('education', row.id);
+  }
+  return approved;
+}
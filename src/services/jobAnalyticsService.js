@@ -0,0 +1,156 @@
+// Job view tracking and per-job funnel analytics.
+//
+// Four events make up a job's funnel:
+//
+//   impression ──► detail_view ──► apply_start ──► apply_submit
+//
+// Impressions are recorded when a job is returned by a listing (the job
+// board, search, the feed's recommendations), detail views by GET
+// /api/jobs/:id and submits by the apply route; apply_start (the Apply
+// button, or the click-out on a crawled job) and impressions on surfaces the
+// API cannot see are reported by the client. Each event carries the source
+// the visitor came from (JOB_EVENT_SOURCES) and counts once per visitor, job,
+// event and UTC day. A visitor is a keyed hash of the user id, or of the IP
+// address and user agent for guests — neither is stored as such. Apply events
+// without a source inherit the visitor's latest one for the job.
+//
+// job_views still feeds the view counts on job listings and the company
+// dashboard.
+import crypto from 'crypto';
+import pool from '../config/database.js';
+
+export const JOB_EVENT_TYPES = ['impression', 'detail_view', 'apply_start', 'apply_submit'];
+export const JOB_EVENT_SOURCES = ['feed', 'search', 'recommended', 'direct'];
+// Events the client may report; the others are recorded by the API itself.
+export const CLIENT_EVENT_TYPES = ['impression', 'apply_start'];
+export const MAX_EVENT_JOBS = 50;
+
+// How far back an apply event looks for the visit it came from.
+const ATTRIBUTION_WINDOW = "INTERVAL '30 days'";
+
+function visitorSecret() {
+  return process.env.JOB_ANALYTICS_SECRET || process.env.JWT_SECRET || 'veriboard-job-analytics';
+}
+
+function hashVisitor(identity) {
+  return crypto.createHmac('sha256', visitorSecret()).update(identity).digest('hex').slice(0, 32);
+}
+
+/** Visitor key of a signed-in user, also used to erase their events. */
+export function userVisitorKey(userId) {
+  return hashVisitor(`u:${userId}`);
+}
+
+/** Visitor key of a request: the user when signed in, else IP and user agent. */
+export function visitorKey(req) {
+  if (req.user?.id) return userVisitorKey(req.user.id);
+  const ip = req.ip || req.connection?.remoteAddress || '';
+  return hashVisitor(`a:${ip}|${req.get('user-agent') || ''}`);
+}
+
+/** A valid source, or the fallback. */
+export function normalizeSource(raw, fallback = null) {
+  return JOB_EVENT_SOURCES.includes(raw) ? raw : fallback;
+}
+
+/**
+ * Record an event for each job, skipping jobs the visitor already has that
+ * event for today and ids that are not jobs.
+ * @returns {Promise<number>} the number of events recorded
+ */
+export async function recordJobEvents(jobIds, type, { visitor, source = null }) {
+  const ids = [...new Set(jobIds)].slice(0, MAX_EVENT_JOBS);
+  if (ids.length === 0) return 0;
+
+  const result = await pool.query(
+    `INSERT INTO job_events (job_id, event_type, source, visitor_key)
+     SELECT j.id, $2, COALESCE($4::text, (
+              SELECT e.source FROM job_events e
+              WHERE e.job_id = j.id AND e.visitor_key = $3 AND e.created_at > NOW() - ${ATTRIBUTION_WINDOW}
+              ORDER BY e.created_at DESC LIMIT 1
+            ), 'direct'), $3
+     FROM jobs j WHERE j.id = ANY($1::uuid[])
+     ON CONFLICT (job_id, event_type, visitor_key, event_date) DO NOTHING`,
+    [ids, type, visitor, source]
+  );
+  return result.rowCount;
+}
+
+/**
+ * recordJobEvents for use inside request handlers: analytics never fails or
+ * delays the request it is attached to.
+ */
+export function trackJobEvents(jobIds, type, options) {
+  recordJobEvents(jobIds, type, options)
+    .catch((err) => console.error(`[JobAnalytics] ${type} tracking error:`, err.message));
+}
+
+function rate(numerator, denominator) {
+  if (!denominator) return 0;
+  return Math.round((numerator / denominator) * 1000) / 10;
+}
+
+/**
+ * The funnel of one or more jobs (a job and its earlier postings) since a
+ * date: unique visitors per event, overall and per source, with the
+ * conversion from each step to the next, and events per day.
+ */
+export async function getJobFunnel(jobIds, since) {
+  const [bySourceRes, totalsRes, dailyRes] = await Promise.all([
+    pool.query(
+      `SELECT source, event_type, COUNT(DISTINCT visitor_key)::int AS visitors
+       FROM job_events
+       WHERE job_id = ANY($1::uuid[]) AND created_at >= $2
+       GROUP BY source, event_type`,
+      [jobIds, since]
+    ),
+    pool.query(
+      `SELECT event_type, COUNT(DISTINCT visitor_key)::int AS visitors, COUNT(*)::int AS events
+       FROM job_events
+       WHERE job_id = ANY($1::uuid[]) AND created_at >= $2
+       GROUP BY event_type`,
+      [jobIds, since]
+    ),
+    pool.query(
+      `SELECT to_char(event_date, 'YYYY-MM-DD') AS date, event_type, COUNT(*)::int AS count
+       FROM job_events
+       WHERE job_id = ANY($1::uuid[]) AND created_at >= $2
+       GROUP BY 1, 2 ORDER BY 1`,
+      [jobIds, since]
+    ),
+  ]);
+
+  const toStages = (counts) => JOB_EVENT_TYPES.map((type, i) => {
+    const visitors = counts[type] || 0;
+    return {
+      stage: type,
+      visitors,
+      conversionFromPrevious: i === 0 ? null : rate(visitors, counts[JOB_EVENT_TYPES[i - 1]] || 0),
+    };
+  });
+
+  const totals = {};
+  const events = {};
+  for (const row of totalsRes.rows) {
+    totals[row.event_type] = row.visitors;
+    events[row.event_type] = row.events;
+  }
+
+  const sourceCounts = Object.fromEntries(JOB_EVENT_SOURCES.map((source) => [source, {}]));
+  for (const row of bySourceRes.rows) {
+    if (sourceCounts[row.source]) sourceCounts[row.source][row.event_type] = row.visitors;
+  }
+
+  const daily = new Map();
+  for (const row of dailyRes.rows) {
+    if (!daily.has(row.date)) daily.set(row.date, { date: row.date, ...Object.fromEntries(JOB_EVENT_TYPES.map((t) => [t, 0])) });
+    daily.get(row.date)[row.event_type] = row.count;
+  }
+
+  return {
+    stages: toStages(totals).map((stage) => ({ ...stage, events: events[stage.stage] || 0 })),
+    overallConversion: rate(totals.apply_submit || 0, totals.impression || 0),
+    bySource: JOB_EVENT_SOURCES.map((source) => ({ source, stages: toStages(sourceCounts[source]) })),
+    daily: [...daily.values()],
+  };
+}
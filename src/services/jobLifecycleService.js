@@ -0,0 +1,295 @@
+// Job posting lifecycle.
+//
+//   draft ──► scheduled ──► open ◄──► paused
+//     │           │          │          │
+//     └───────────┴──────────┴──────────┴──► closed
+//                            └──────────┴──► expired   (JOB_EXPIRY_DAYS after publishing)
+//
+// jobs.status is the source of truth; the jobs_sync_status trigger keeps
+// is_active (which every listing, search and apply query reads) equal to
+// status = 'open', and maps a bare is_active toggle from older callers to
+// open or paused. Whenever a job is first published (created open, opened
+// from draft or scheduled, by the hourly job or as a repost) matching
+// candidates are notified. The hourly job publishes scheduled jobs, warns owners
+// EXPIRY_REMINDER_DAYS before expiry and expires overdue ones. Closed and
+// expired jobs are not reopened; reposting clones them into a new job that
+// links back through reposted_from, so analytics can follow a role across
+// postings.
+import pool from '../config/database.js';
+import { sendJobExpiryNotice } from '../utils/mailer.js';
+
+export const JOB_STATUSES = ['draft', 'scheduled', 'open', 'paused', 'closed', 'expired'];
+export const JOB_POST_LIMITS = { free: 1, growth: 5, enterprise: Infinity };
+export const EXPIRY_REMINDER_DAYS = 3;
+
+// Statuses that count against the plan's job post limit.
+const LIMITED_STATUSES = ['open', 'scheduled'];
+
+const TRANSITIONS = {
+  draft: ['scheduled', 'open', 'closed'],
+  scheduled: ['draft', 'open', 'closed'],
+  open: ['paused', 'closed'],
+  paused: ['open', 'closed'],
+  closed: [],
+  expired: [],
+};
+
+// Columns copied when a job is reposted.
+const REPOST_COLUMNS = [
+  'company_id', 'title', 'description', 'requirements', 'required_skills', 'benefits', 'location',
+  'employment_type', 'salary_min', 'salary_max', 'application_form', 'screening_questions',
+  'resume_required', 'ai_screening_enabled',
+];
+
+export function getJobExpiryDays() {
+  const days = parseInt(process.env.JOB_EXPIRY_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/** Lifecycle fields of a job row, for API responses. */
+export function lifecycleOf(job, now = new Date()) {
+  const deadline = job.application_deadline ? new Date(job.application_deadline) : null;
+  return {
+    status: job.status,
+    publishAt: job.publish_at || null,
+    publishedAt: job.published_at || null,
+    expiresAt: job.expires_at || null,
+    closedAt: job.closed_at || null,
+    applicationDeadline: job.application_deadline || null,
+    acceptingApplications: job.status === 'open' && (!deadline || deadline > now),
+    repostedFrom: job.reposted_from || null,
+  };
+}
+
+/**
+ * Check the plan's limit on open and scheduled jobs before a job takes a slot.
+ * @returns {Promise<object|null>} the 403 response body when the limit is reached
+ */
+export async function checkJobPostLimit(companyId, planTier, { excludeJobId = null } = {}) {
+  const tier = planTier || 'free';
+  const maxJobs = JOB_POST_LIMITS[tier] ?? JOB_POST_LIMITS.free;
+  if (maxJobs === Infinity) return null;
+
+  const activeCount = await pool.query(
+    `SELECT COUNT(*)::int AS cnt FROM jobs
+     WHERE company_id = $1 AND status = ANY($2::text[]) AND ($3::uuid IS NULL OR id <> $3)`,
+    [companyId, LIMITED_STATUSES, excludeJobId]
+  );
+  if (activeCount.rows[0].cnt < maxJobs) return null;
+  return {
+    success: false,
+    message: `Your ${tier === 'free' ? 'Basic' : tier.charAt(0).toUpperCase() + tier.slice(1)} plan allows up to ${maxJobs} active job posting${maxJobs > 1 ? 's' : ''}. Upgrade your plan to post more jobs.`,
+    limitReached: true,
+    currentCount: activeCount.rows[0].cnt,
+    limit: maxJobs,
+  };
+}
+
+/**
+ * Validate the lifecycle fields of a new or updated job.
+ * @returns {{ fields?: object, error?: string }} fields holds status, publish_at,
+ *   application_deadline and expires_at as given (undefined when absent)
+ */
+export function validateLifecycleInput(body, { creating = false, now = new Date() } = {}) {
+  const fields = {};
+  if (creating && body.status !== undefined) {
+    if (!['draft', 'scheduled', 'open'].includes(body.status)) {
+      return { error: 'status must be draft, scheduled or open for a new job' };
+    }
+    fields.status = body.status;
+  }
+  for (const key of ['publish_at', 'application_deadline', 'expires_at']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (Number.isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+    if (key !== 'publish_at' && date <= now) return { error: `${key} must be in the future` };
+    fields[key] = date.toISOString();
+  }
+  if (fields.status === 'scheduled') {
+    if (!fields.publish_at || new Date(fields.publish_at) <= now) {
+      return { error: 'A scheduled job needs a publish_at in the future' };
+    }
+  }
+  return { fields };
+}
+
+/**
+ * Move a job to another status. The update is conditional on the status the
+ * caller saw, so a concurrent change (or the hourly job) cannot be overwritten.
+ * @returns {Promise<object|null>} the updated job, or null if its status changed meanwhile
+ */
+export async function transitionJob(job, to, { publishAt = null } = {}, db = pool) {
+  const sets = ['status = $3', 'updated_at = NOW()'];
+  const params = [job.id, job.status, to];
+  if (to === 'open') {
+    params.push(getJobExpiryDays());
+    sets.push('published_at = COALESCE(published_at, NOW())');
+    sets.push(`expires_at = COALESCE(expires_at, NOW() + make_interval(days => $${params.length}::int))`);
+  }
+  if (to === 'scheduled') {
+    params.push(publishAt);
+    sets.push(`publish_at = $${params.length}`);
+  }
+  if (to === 'closed') sets.push('closed_at = NOW()');
+
+  const result = await db.query(
+    `UPDATE jobs SET ${sets.join(', ')} WHERE id = $1 AND status = $2 RETURNING *`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Clone a closed or expired job into a new posting linked to the original.
+ * @param {'open'|'draft'} status - status of the new job
+ * @returns {Promise<object>} the new job row
+ */
+export async function repostJob(job, status = 'open', db = pool) {
+  const params = [job.id, status, getJobExpiryDays()];
+  const result = await db.query(
+    `INSERT INTO jobs (${REPOST_COLUMNS.join(', ')}, status, reposted_from, published_at, expires_at, created_at, updated_at)
+     SELECT ${REPOST_COLUMNS.join(', ')}, $2, id,
+            CASE WHEN $2 = 'open' THEN NOW() END,
+            CASE WHEN $2 = 'open' THEN NOW() + make_interval(days => $3::int) END,
+            NOW(), NOW()
+     FROM jobs WHERE id = $1
+     RETURNING *`,
+    params
+  );
+  return result.rows[0];
+}
+
+/**
+ * Notify public candidates whose skills overlap the job's, or whose title
+ * shares a word with it, that an open job was published. Failures are logged,
+ * never thrown: publishing does not depend on them.
+ */
+export async function notifyMatchingCandidates(job) {
+  if (job.status !== 'open') return;
+  try {
+    const jobSkills = Array.isArray(job.required_skills) ? job.required_skills : [];
+    // Title keyword patterns (ignore short words)
+    const titlePatterns = (job.title || '')
+      .split(/\W+/)
+      .map((t) => t.trim())
+      .filter((t) => t.length >= 3)
+      .map((t) => `%${t}%`);
+    if (jobSkills.length === 0 && titlePatterns.length === 0) return;
+
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, is_read)
+       SELECT user_id, 'job', $1, $2, $3, false
+       FROM candidates
+       WHERE is_public = true
+         AND (
+           ($4::text[] IS NOT NULL AND array_length($4::text[], 1) > 0 AND (skills && $4::text[]))
+           OR
+           ($5::text[] IS NOT NULL AND array_length($5::text[], 1) > 0 AND (title ILIKE ANY ($5::text[])))
+         )`,
+      [
+        `New job: ${job.title}`,
+        `A new job was posted that matches your profile: ${job.title} at ${job.location || 'remote'}`,
+        `/jobs/${job.id}`,
+        jobSkills,
+        titlePatterns,
+      ]
+    );
+  } catch (err) {
+    console.warn(`[JobLifecycle] candidate notifications for ${job.id} failed:`, err.message);
+  }
+}
+
+async function notifyOwner(job, { expired }) {
+  const repostUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/company/jobs/${job.id}`;
+  await pool.query(
+    `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [
+      job.owner_user_id,
+      'job',
+      expired ? 'Job Posting Expired' : 'Job Posting Expiring Soon',
+      expired
+        ? `"${job.title}" has expired and no longer takes applications. Repost it to keep hiring.`
+        : `"${job.title}" expires on ${new Date(job.expires_at).toUTCString()}.`,
+      `/company/jobs/${job.id}`,
+    ]
+  );
+  if (job.owner_email) {
+    sendJobExpiryNotice({
+      to: job.owner_email,
+      companyName: job.company_name,
+      jobTitle: job.title,
+      expiresAt: job.expires_at,
+      expired,
+      link: repostUrl,
+    }).catch((err) => console.error('[JobLifecycle] expiry email error:', err.message));
+  }
+}
+
+const OWNER_JOIN = `
+  JOIN companies c ON c.id = j.company_id
+  JOIN users u ON u.id = c.user_id`;
+
+/**
+ * Publish due scheduled jobs, send expiry reminders and expire overdue jobs.
+ * Each step claims rows with a conditional UPDATE, so overlapping runs do not
+ * repeat work.
+ * @returns {Promise<{ published: number, reminded: number, expired: number }>}
+ */
+export async function processJobLifecycle({ limit = 500 } = {}) {
+  const published = await pool.query(
+    `UPDATE jobs SET status = 'open', published_at = NOW(),
+            expires_at = COALESCE(expires_at, NOW() + make_interval(days => $2::int)), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM jobs WHERE status = 'scheduled' AND publish_at <= NOW() ORDER BY publish_at LIMIT $1
+     ) AND status = 'scheduled'
+     RETURNING id, title, location, required_skills, status`,
+    [limit, getJobExpiryDays()]
+  );
+  for (const job of published.rows) {
+    await notifyMatchingCandidates(job);
+  }
+
+  const reminders = await pool.query(
+    `UPDATE jobs j SET expiry_reminder_sent_at = NOW()
+     FROM companies c JOIN users u ON u.id = c.user_id
+     WHERE c.id = j.company_id
+       AND j.id IN (
+         SELECT id FROM jobs
+         WHERE status IN ('open', 'paused') AND expiry_reminder_sent_at IS NULL
+           AND expires_at > NOW() AND expires_at <= NOW() + make_interval(days => $2::int)
+         ORDER BY expires_at LIMIT $1
+       )
+       AND j.expiry_reminder_sent_at IS NULL
+     RETURNING j.id, j.title, j.expires_at, c.name AS company_name, u.id AS owner_user_id, u.email AS owner_email`,
+    [limit, EXPIRY_REMINDER_DAYS]
+  );
+  for (const job of reminders.rows) {
+    await notifyOwner(job, { expired: false }).catch((err) => console.error(`[JobLifecycle] reminder for ${job.id} failed:`, err.message));
+  }
+
+  const expired = await pool.query(
+    `UPDATE jobs j SET status = 'expired', closed_at = NOW(), updated_at = NOW()
+     FROM companies c JOIN users u ON u.id = c.user_id
+     WHERE c.id = j.company_id
+       AND j.id IN (
+         SELECT id FROM jobs WHERE status IN ('open', 'paused') AND expires_at <= NOW() ORDER BY expires_at LIMIT $1
+       )
+       AND j.status IN ('open', 'paused')
+     RETURNING j.id, j.title, j.expires_at, c.name AS company_name, u.id AS owner_user_id, u.email AS owner_email`,
+    [limit]
+  );
+  for (const job of expired.rows) {
+    await notifyOwner(job, { expired: true }).catch((err) => console.error(`[JobLifecycle] expiry notice for ${job.id} failed:`, err.message));
+  }
+
+  return { published: published.rowCount, reminded: reminders.rows.length, expired: expired.rows.length };
+}
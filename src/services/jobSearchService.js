@@ -0,0 +1,103 @@
+// Job search filters shared by the public job list (GET /api/jobs) and saved
+// searches, so a saved search matches exactly what the same query shows.
+
+export const JOB_FILTER_KEYS = ['search', 'location', 'salaryMin', 'salaryMax', 'employmentType', 'companyId', 'topCompaniesOnly'];
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Append the WHERE conditions for a filter set to a query over `jobs j JOIN companies c`.
+ * Values are pushed onto `params`; the returned fragment starts with " AND" (or is empty).
+ * @param {object} filters - search, location, salaryMin, salaryMax, employmentType, companyId, topCompaniesOnly
+ * @param {Array} params
+ * @returns {string}
+ */
+export function jobFilterClause(filters, params) {
+  const { search, location, salaryMin, salaryMax, employmentType, companyId, topCompaniesOnly } = filters || {};
+  let sql = '';
+
+  // Search filter
+  if (search && String(search).trim()) {
+    params.push(`%${String(search).trim()}%`);
+    const p = `$${params.length}`;
+    sql += ` AND (
+        j.title ILIKE ${p} OR
+        j.description ILIKE ${p} OR
+        c.name ILIKE ${p} OR
+        j.location ILIKE ${p}
+      )`;
+  }
+
+  // Location filter (simple text match)
+  if (location && String(location).trim()) {
+    params.push(`%${String(location).trim()}%`);
+    sql += ` AND j.location ILIKE $${params.length}`;
+  }
+
+  // Salary range filter
+  if (salaryMin) {
+    params.push(parseFloat(salaryMin));
+    sql += ` AND j.salary_max >= $${params.length}`;
+  }
+
+  if (salaryMax) {
+    params.push(parseFloat(salaryMax));
+    sql += ` AND j.salary_min <= $${params.length}`;
+  }
+
+  // Employment type filter (stored values vary in case, e.g. 'Full-time')
+  if (employmentType && employmentType !== 'all') {
+    params.push(employmentType);
+    sql += ` AND LOWER(j.employment_type) = LOWER($${params.length})`;
+  }
+
+  // Specific company filter
+  if (companyId) {
+    // companyId may be a UUID string; do not coerce to integer.
+    params.push(companyId);
+    sql += ` AND c.id = $${params.length}`;
+  }
+
+  // Top companies only (verified companies)
+  if (topCompaniesOnly === true || topCompaniesOnly === 'true') {
+    sql += ` AND c.verification_status = 'verified'`;
+  }
+
+  return sql;
+}
+
+/**
+ * Validate a filter set for storage: unknown keys are dropped, empty values
+ * removed and numbers parsed.
+ * @returns {{ filters?: object, error?: string }}
+ */
+export function normaliseJobFilters(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'filters must be an object' };
+  const filters = {};
+
+  for (const key of ['search', 'location', 'employmentType']) {
+    if (raw[key] == null || raw[key] === '') continue;
+    if (typeof raw[key] !== 'string') return { error: `${key} must be a string` };
+    const value = raw[key].trim().slice(0, 200);
+    if (value && !(key === 'employmentType' && value === 'all')) filters[key] = value;
+  }
+
+  for (const key of ['salaryMin', 'salaryMax']) {
+    if (raw[key] == null || raw[key] === '') continue;
+    const value = Number(raw[key]);
+    if (!Number.isFinite(value) || value < 0) return { error: `${key} must be a non-negative number` };
+    if (value > 0) filters[key] = value;
+  }
+  if (filters.salaryMin != null && filters.salaryMax != null && filters.salaryMin > filters.salaryMax) {
+    return { error: 'salaryMin cannot be greater than salaryMax' };
+  }
+
+  if (raw.companyId != null && raw.companyId !== '') {
+    if (!UUID_RE.test(String(raw.companyId))) return { error: 'companyId must be a UUID' };
+    filters.companyId = String(raw.companyId);
+  }
+
+  if (raw.topCompaniesOnly === true || raw.topCompaniesOnly === 'true') filters.topCompaniesOnly = true;
+
+  return { filters };
+}
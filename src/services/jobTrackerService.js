@@ -0,0 +1,179 @@
+// Candidate job-tracking board.
+//
+// Each candidate has their own ordered stages (seeded with DEFAULT_STAGES on
+// first use, then renamed, reordered, added or removed freely) holding one
+// card per job they are pursuing. A card is either linked to a VeriBoard
+// application — synced onto the board automatically whenever it is loaded —
+// or records an application made elsewhere, typically through the
+// external_url of a crawled job, or one typed in by hand. Cards carry notes,
+// a follow-up date and a deadline; the hourly job sends one in-app reminder
+// for each.
+import pool from '../config/database.js';
+
+export const DEFAULT_STAGES = ['Interested', 'Applied', 'Interviewing', 'Offer', 'Closed'];
+export const MAX_STAGES = 12;
+export const MAX_TRACKER_ITEMS = 500;
+
+// How far ahead of a deadline the reminder goes out.
+const DEADLINE_NOTICE = "INTERVAL '24 hours'";
+
+export function mapTrackerStage(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    position: row.position,
+  };
+}
+
+export function mapTrackerItem(row) {
+  const externalUrl = row.external_url || row.job_external_url || null;
+  return {
+    id: row.id,
+    stageId: row.stage_id,
+    kind: row.application_id ? 'application' : 'external',
+    jobId: row.job_id,
+    applicationId: row.application_id,
+    applicationStatus: row.application_status || null,
+    jobActive: row.job_id ? row.job_is_active === true : null,
+    title: row.title,
+    companyName: row.company_name,
+    location: row.location,
+    externalUrl,
+    notes: row.notes,
+    appliedAt: row.applied_at,
+    followUpAt: row.follow_up_at,
+    deadlineAt: row.deadline_at,
+    position: row.position,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/** Seed the default stages for a candidate who has none yet. */
+export async function ensureDefaultStages(userId, db = pool) {
+  // The unique (user_id, LOWER(name)) index makes a concurrent first load harmless.
+  await db.query(
+    `INSERT INTO job_tracker_stages (user_id, name, position)
+     SELECT $1, s.name, s.position - 1
+     FROM unnest($2::text[]) WITH ORDINALITY AS s(name, position)
+     WHERE NOT EXISTS (SELECT 1 FROM job_tracker_stages WHERE user_id = $1)
+     ON CONFLICT DO NOTHING`,
+    [userId, DEFAULT_STAGES]
+  );
+}
+
+/**
+ * Put the candidate's VeriBoard applications on the board. A card already
+ * tracking the same job is linked to the application; any other application
+ * that is not withdrawn gets a new card in the "Applied" stage (or the first
+ * stage if that has been renamed away).
+ * @returns {Promise<number>} cards added
+ */
+export async function syncApplications(userId, db = pool) {
+  await db.query(
+    `UPDATE job_tracker_items t
+     SET application_id = ja.id, applied_at = COALESCE(t.applied_at, ja.applied_at), updated_at = NOW()
+     FROM job_applications ja
+     WHERE t.user_id = $1 AND ja.user_id = $1
+       AND t.job_id = ja.job_id AND t.application_id IS NULL
+       AND ja.status <> 'withdrawn'
+       AND NOT EXISTS (SELECT 1 FROM job_tracker_items o WHERE o.application_id = ja.id)`,
+    [userId]
+  );
+
+  const added = await db.query(
+    `INSERT INTO job_tracker_items (user_id, stage_id, job_id, application_id, title, company_name, location, applied_at)
+     SELECT $1,
+            (SELECT id FROM job_tracker_stages WHERE user_id = $1
+             ORDER BY (LOWER(name) = 'applied') DESC, position ASC LIMIT 1),
+            ja.job_id, ja.id, j.title, c.name, j.location, ja.applied_at
+     FROM job_applications ja
+     JOIN jobs j ON ja.job_id = j.id
+     JOIN companies c ON j.company_id = c.id
+     WHERE ja.user_id = $1 AND ja.status <> 'withdrawn'
+       AND NOT EXISTS (
+         SELECT 1 FROM job_tracker_items t
+         WHERE t.application_id = ja.id OR (t.user_id = $1 AND t.job_id = ja.job_id)
+       )
+     ON CONFLICT DO NOTHING`,
+    [userId]
+  );
+  return added.rowCount || 0;
+}
+
+/**
+ * The candidate's whole board: stages in order, each with its cards.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getBoard(userId) {
+  await ensureDefaultStages(userId);
+  await syncApplications(userId);
+
+  const [stages, items] = await Promise.all([
+    pool.query('SELECT * FROM job_tracker_stages WHERE user_id = $1 ORDER BY position ASC, created_at ASC', [userId]),
+    pool.query(
+      `SELECT t.*, j.is_active AS job_is_active, j.external_url AS job_external_url, ja.status AS application_status
+       FROM job_tracker_items t
+       LEFT JOIN jobs j ON t.job_id = j.id
+       LEFT JOIN job_applications ja ON t.application_id = ja.id
+       WHERE t.user_id = $1
+       ORDER BY t.position ASC, t.updated_at DESC`,
+      [userId]
+    ),
+  ]);
+
+  return stages.rows.map((stage) => ({
+    ...mapTrackerStage(stage),
+    items: items.rows.filter((item) => item.stage_id === stage.id).map(mapTrackerItem),
+  }));
+}
+
+/**
+ * Send in-app reminders for follow-ups that have come due and for deadlines
+ * within the next 24 hours. Each is claimed before notifying, so it goes out
+ * once; changing the date on the card re-arms it.
+ * @returns {Promise<{ followUps: number, deadlines: number }>}
+ */
+export async function processJobTrackerReminders({ limit = 500 } = {}) {
+  const followUps = await pool.query(
+    `UPDATE job_tracker_items SET follow_up_notified_at = NOW()
+     WHERE id IN (
+       SELECT t.id FROM job_tracker_items t
+       JOIN users u ON t.user_id = u.id
+       WHERE t.follow_up_notified_at IS NULL AND t.follow_up_at <= NOW() AND u.deleted_at IS NULL
+       ORDER BY t.follow_up_at ASC
+       LIMIT $1
+     ) AND follow_up_notified_at IS NULL
+     RETURNING id, user_id, title, company_name`,
+    [limit]
+  );
+  const deadlines = await pool.query(
+    `UPDATE job_tracker_items SET deadline_notified_at = NOW()
+     WHERE id IN (
+       SELECT t.id FROM job_tracker_items t
+       JOIN users u ON t.user_id = u.id
+       WHERE t.deadline_notified_at IS NULL
+         AND t.deadline_at > NOW() AND t.deadline_at <= NOW() + ${DEADLINE_NOTICE}
+         AND u.deleted_at IS NULL
+       ORDER BY t.deadline_at ASC
+       LIMIT $1
+     ) AND deadline_notified_at IS NULL
+     RETURNING id, user_id, title, company_name, deadline_at`,
+    [limit]
+  );
+
+  const notify = (row, title, message) => pool.query(
+    `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [row.user_id, 'job_tracker', title, message, '/job-tracker']
+  ).catch((err) => console.error(`[JobTracker] reminder for ${row.id} failed:`, err.message));
+
+  const label = (row) => (row.company_name ? `${row.title} at ${row.company_name}` : row.title);
+  for (const row of followUps.rows) {
+    await notify(row, 'Time to Follow Up', `You planned to follow up on ${label(row)}.`);
+  }
+  for (const row of deadlines.rows) {
+    await notify(row, 'Deadline Approaching', `The deadline for ${label(row)} is ${new Date(row.deadline_at).toUTCString()}.`);
+  }
+  return { followUps: followUps.rows.length, deadlines: deadlines.rows.length };
+}
@@ -0,0 +1,151 @@
+// Reference checks. A candidate nominates referees for an employment record;
+// each referee gets a single-use link to a questionnaire. The questions come
+// from the hiring company's default question set when the nomination is made
+// for an application, otherwise from the built-in set, and are copied onto the
+// request so later edits to a set never change what a referee was asked.
+import pool from '../config/database.js';
+
+export const QUESTION_TYPES = ['text', 'rating', 'yes_no'];
+export const RELATIONSHIPS = ['manager', 'peer', 'direct_report', 'client', 'other'];
+export const MAX_QUESTIONS = 20;
+export const MAX_OPEN_REFERENCES_PER_EMPLOYMENT = 5;
+
+export const DEFAULT_QUESTIONS = [
+  { id: 'relationship', type: 'text', prompt: 'How did you work with the candidate, and for how long?', required: true },
+  { id: 'strengths', type: 'text', prompt: 'What were their main strengths?', required: true },
+  { id: 'development', type: 'text', prompt: 'Where could they continue to develop?', required: false },
+  { id: 'performance', type: 'rating', prompt: 'Overall, how would you rate their performance? (1-5)', required: true },
+  { id: 'rehire', type: 'yes_no', prompt: 'Would you work with them again?', required: true },
+];
+
+/**
+ * Validate and normalise a question list from a company.
+ * @returns {{ error: string|null, questions: Array }}
+ */
+export function normaliseQuestions(questions) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { error: 'questions must be a non-empty array', questions: [] };
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    return { error: `At most ${MAX_QUESTIONS} questions are allowed`, questions: [] };
+  }
+  const seen = new Set();
+  const normalised = [];
+  for (const [i, q] of questions.entries()) {
+    const prompt = String(q?.prompt || '').trim();
+    if (!prompt) return { error: `Question ${i + 1} needs a prompt`, questions: [] };
+    const type = q.type || 'text';
+    if (!QUESTION_TYPES.includes(type)) {
+      return { error: `Question ${i + 1} type must be one of: ${QUESTION_TYPES.join(', ')}`, questions: [] };
+    }
+    const id = String(q.id || `q${i + 1}`).trim().slice(0, 50);
+    if (seen.has(id)) return { error: `Duplicate question id: ${id}`, questions: [] };
+    seen.add(id);
+    normalised.push({ id, type, prompt: prompt.slice(0, 500), required: q.required !== false });
+  }
+  return { error: null, questions: normalised };
+}
+
+/**
+ * Check a referee's answers against the questions they were asked.
+ * @returns {{ error: string|null, answers: object }}
+ */
+export function validateAnswers(questions, answers) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return { error: 'answers must be an object keyed by question id', answers: {} };
+  }
+  const clean = {};
+  for (const q of questions) {
+    const value = answers[q.id];
+    const blank = value === undefined || value === null || String(value).trim() === '';
+    if (blank) {
+      if (q.required) return { error: `An answer is required for: ${q.prompt}`, answers: {} };
+      continue;
+    }
+    if (q.type === 'rating') {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > 5) return { error: `Rate "${q.prompt}" from 1 to 5`, answers: {} };
+      clean[q.id] = n;
+    } else if (q.type === 'yes_no') {
+      if (typeof value !== 'boolean') return { error: `Answer "${q.prompt}" with true or false`, answers: {} };
+      clean[q.id] = value;
+    } else {
+      clean[q.id] = String(value).trim().slice(0, 5000);
+    }
+  }
+  return { error: null, answers: clean };
+}
+
+// Questions for a new request: the hiring company's default set, or the built-in one.
+export async function questionsForCompany(companyId) {
+  if (companyId) {
+    const result = await pool.query(
+      `SELECT id, questions FROM reference_question_sets
+       WHERE company_id = $1 AND is_default = TRUE
+       LIMIT 1`,
+      [companyId]
+    );
+    if (result.rows[0]) return { questionSetId: result.rows[0].id, questions: result.rows[0].questions };
+  }
+  return { questionSetId: null, questions: DEFAULT_QUESTIONS };
+}
+
+export function mapQuestionSet(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    questions: row.questions,
+    isDefault: row.is_default,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// The candidate's view: who was asked and where it stands, never the answers.
+export function mapReferenceForCandidate(row) {
+  const expired = row.status === 'pending' && new Date(row.expires_at) <= new Date();
+  return {
+    id: row.id,
+    employmentId: row.employment_id,
+    applicationId: row.application_id,
+    refereeName: row.referee_name,
+    refereeEmail: row.referee_email,
+    refereeTitle: row.referee_title,
+    relationship: row.relationship,
+    status: expired ? 'expired' : row.status,
+    expiresAt: row.expires_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at,
+  };
+}
+
+// Completed references for a candidate, with answers, for recruiters.
+export async function completedReferencesForCandidate(candidateId) {
+  const result = await pool.query(
+    `SELECT r.*, eh.position, COALESCE(co.name, eh.company_name) AS company_name
+     FROM reference_requests r
+     JOIN employment_history eh ON r.employment_id = eh.id
+     LEFT JOIN companies co ON eh.company_id = co.id
+     WHERE r.candidate_id = $1 AND r.status = 'completed'
+     ORDER BY r.completed_at DESC`,
+    [candidateId]
+  );
+  return result.rows.map((row) => ({
+    id: row.id,
+    employment: { id: row.employment_id, position: row.position, companyName: row.company_name },
+    refereeName: row.referee_name,
+    refereeTitle: row.referee_title,
+    relationship: row.relationship,
+    // Only the holder of this address could open the link, so it is verified.
+    refereeEmail: row.referee_email,
+    emailVerifiedAt: row.email_verified_at,
+    emailMatchesEmployer: row.email_matches_employer,
+    responses: (row.questions || []).map((q) => ({
+      questionId: q.id,
+      prompt: q.prompt,
+      type: q.type,
+      answer: row.answers?.[q.id] ?? null,
+    })),
+    completedAt: row.completed_at,
+  }));
+}
@@ -0,0 +1,157 @@
+// Saved job searches and their alerts.
+//
+// A saved search stores the same filter set GET /api/jobs takes. The hourly
+// job runs each search that is due (daily or weekly, counted from its last
+// run) against jobs inserted since then — posted by companies or ingested by
+// the crawler — and sends one in-app notification and, if enabled, one digest
+// email listing only jobs it has not alerted on before. saved_search_results
+// remembers what was sent, so the window can overlap the previous run and
+// still never repeat a job.
+import pool from '../config/database.js';
+import { jobFilterClause } from './jobSearchService.js';
+import { sendSavedSearchDigest } from '../utils/mailer.js';
+
+export const SAVED_SEARCH_FREQUENCIES = ['daily', 'weekly'];
+export const MAX_SAVED_SEARCHES = 20;
+
+// Jobs listed in a digest email; the rest are counted and linked.
+const DIGEST_LIMIT = 20;
+
+const DUE_INTERVAL = "CASE frequency WHEN 'weekly' THEN INTERVAL '7 days' ELSE INTERVAL '1 day' END";
+
+export function mapSavedSearch(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    filters: row.filters,
+    frequency: row.frequency,
+    emailEnabled: row.email_enabled,
+    isActive: row.is_active,
+    lastRunAt: row.last_run_at,
+    lastAlertedAt: row.last_alerted_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Client URL that opens the job list with the search's filters applied.
+export function searchUrl(filters) {
+  const query = new URLSearchParams(
+    Object.entries(filters || {}).map(([key, value]) => [key, String(value)])
+  ).toString();
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/jobs${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Active jobs matching the search that were published since its last run (with
+ * an hour of overlap for jobs committed late) and have not been alerted on.
+ * Jobs published from a draft or a schedule count from their publish time.
+ */
+export async function findNewMatches(search, db = pool) {
+  const params = [search.last_run_at, search.created_at, search.id];
+  const filterSql = jobFilterClause(search.filters, params);
+  const result = await db.query(
+    `SELECT j.id, j.title, j.location, j.employment_type, j.salary_min, j.salary_max, j.created_at,
+            c.name AS company
+     FROM jobs j
+     JOIN companies c ON j.company_id = c.id
+     WHERE j.is_active = true
+       AND COALESCE(j.published_at, j.created_at) > GREATEST($1::timestamptz - INTERVAL '1 hour', $2::timestamptz)
+       AND NOT EXISTS (SELECT 1 FROM saved_search_results r WHERE r.saved_search_id = $3 AND r.job_id = j.id)
+       ${filterSql}
+     ORDER BY COALESCE(j.published_at, j.created_at) DESC
+     LIMIT 200`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Run one due search and deliver its new matches.
+ * @returns {Promise<number>} jobs alerted on (0 if none, or another run got there first)
+ */
+export async function runSavedSearch(search) {
+  // Move the watermark first; a concurrent run finds the search no longer due and stops.
+  const claimed = await pool.query(
+    `UPDATE saved_searches SET last_run_at = NOW()
+     WHERE id = $1 AND last_run_at <= NOW() - ${DUE_INTERVAL}`,
+    [search.id]
+  );
+  if (claimed.rowCount === 0) return 0;
+
+  const matches = await findNewMatches(search);
+  if (matches.length === 0) return 0;
+
+  const recorded = await pool.query(
+    `INSERT INTO saved_search_results (saved_search_id, job_id)
+     SELECT $1, unnest($2::uuid[])
+     ON CONFLICT DO NOTHING
+     RETURNING job_id`,
+    [search.id, matches.map((j) => j.id)]
+  );
+  const fresh = new Set(recorded.rows.map((r) => r.job_id));
+  const jobs = matches.filter((j) => fresh.has(j.id));
+  if (jobs.length === 0) return 0;
+
+  const link = searchUrl(search.filters);
+  await pool.query(
+    `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [
+      search.user_id,
+      'saved_search',
+      `${jobs.length} New Job${jobs.length === 1 ? '' : 's'} for "${search.name}"`,
+      jobs.slice(0, 3).map((j) => `${j.title} at ${j.company}`).join(', ') + (jobs.length > 3 ? ` and ${jobs.length - 3} more` : ''),
+      link,
+    ]
+  );
+  await pool.query('UPDATE saved_searches SET last_alerted_at = NOW() WHERE id = $1', [search.id]);
+
+  if (search.email_enabled && search.email) {
+    sendSavedSearchDigest({
+      to: search.email,
+      name: search.user_name,
+      searchName: search.name,
+      frequency: search.frequency,
+      jobs: jobs.slice(0, DIGEST_LIMIT),
+      total: jobs.length,
+      searchUrl: link,
+      manageUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/saved-searches`,
+    }).catch((err) => console.error('[SavedSearch] digest email error:', err.message));
+  }
+  return jobs.length;
+}
+
+/**
+ * Run every saved search whose daily or weekly interval has passed.
+ * @returns {Promise<{ searched: number, alerted: number, jobs: number }>}
+ */
+export async function processSavedSearchAlerts({ limit = 500 } = {}) {
+  const due = await pool.query(
+    `SELECT ss.*, u.email, COALESCE(ca.full_name, u.name) AS user_name
+     FROM saved_searches ss
+     JOIN users u ON ss.user_id = u.id
+     LEFT JOIN candidates ca ON ca.user_id = u.id
+     WHERE ss.is_active = true
+       AND u.deleted_at IS NULL
+       AND ss.last_run_at <= NOW() - ${DUE_INTERVAL}
+     ORDER BY ss.last_run_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+
+  const counts = { searched: 0, alerted: 0, jobs: 0 };
+  for (const search of due.rows) {
+    try {
+      const sent = await runSavedSearch(search);
+      counts.searched += 1;
+      if (sent > 0) {
+        counts.alerted += 1;
+        counts.jobs += sent;
+      }
+    } catch (err) {
+      console.error(`[SavedSearch] search ${search.id} failed:`, err.message || err);
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,285 @@
+// Typed screening questions on job postings.
+//
+// A job's screening_questions is an ordered list of
+//   { id, label, type, required, options?, min?, max?, maxLength?, knockout? }
+// where type is one of SCREENING_QUESTION_TYPES. A knockout rule fires on the
+// candidate's answer and either rejects the application on the spot or flags
+// it for the hiring team:
+//
+//   yes_no                        { action, equals: true | false }
+//   number                        { action, below: n } or { action, above: n }
+//   single_select, multi_select   { action, anyOf: [option, ...] }
+//
+// Answers are validated against the questions on apply and stored per
+// question id in job_applications.screening_answers, with the outcome
+// (passed, flagged, rejected) and the rules that fired. The free-form
+// application_form is unchanged and still stored as given.
+
+export const SCREENING_QUESTION_TYPES = ['yes_no', 'number', 'single_select', 'multi_select', 'text'];
+export const KNOCKOUT_ACTIONS = ['reject', 'flag'];
+export const SCREENING_OUTCOMES = ['passed', 'flagged', 'rejected'];
+export const MAX_SCREENING_QUESTIONS = 20;
+
+const QUESTION_ID_RE = /^[a-z0-9_]{1,40}$/;
+const MAX_OPTIONS = 50;
+const DEFAULT_TEXT_LENGTH = 2000;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validateKnockout(question, raw, where) {
+  if (raw == null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: `${where}.knockout must be an object` };
+  if (!KNOCKOUT_ACTIONS.includes(raw.action)) {
+    return { error: `${where}.knockout.action must be one of: ${KNOCKOUT_ACTIONS.join(', ')}` };
+  }
+  const rule = { action: raw.action };
+
+  switch (question.type) {
+    case 'yes_no':
+      if (typeof raw.equals !== 'boolean') return { error: `${where}.knockout.equals must be true or false` };
+      rule.equals = raw.equals;
+      break;
+    case 'number':
+      if ((raw.below === undefined) === (raw.above === undefined)) {
+        return { error: `${where}.knockout needs exactly one of below or above` };
+      }
+      if (raw.below !== undefined && !isNumber(raw.below)) return { error: `${where}.knockout.below must be a number` };
+      if (raw.above !== undefined && !isNumber(raw.above)) return { error: `${where}.knockout.above must be a number` };
+      if (raw.below !== undefined) rule.below = raw.below;
+      else rule.above = raw.above;
+      break;
+    case 'single_select':
+    case 'multi_select':
+      if (!Array.isArray(raw.anyOf) || raw.anyOf.length === 0 || !raw.anyOf.every((o) => question.options.includes(o))) {
+        return { error: `${where}.knockout.anyOf must list options of the question` };
+      }
+      rule.anyOf = [...new Set(raw.anyOf)];
+      break;
+    default:
+      return { error: `${where}: ${question.type} questions cannot have knockout rules` };
+  }
+  return { rule };
+}
+
+/**
+ * Validate a job's screening questions for storage.
+ * @returns {{ questions?: Array<object>, error?: string }}
+ */
+export function validateScreeningQuestions(raw) {
+  if (raw == null) return { questions: [] };
+  if (!Array.isArray(raw)) return { error: 'screening_questions must be an array' };
+  if (raw.length > MAX_SCREENING_QUESTIONS) {
+    return { error: `A job can have up to ${MAX_SCREENING_QUESTIONS} screening questions` };
+  }
+
+  const questions = [];
+  for (let i = 0; i < raw.length; i++) {
+    const q = raw[i];
+    const where = `screening_questions[${i}]`;
+    if (!q || typeof q !== 'object' || Array.isArray(q)) return { error: `${where} must be an object` };
+
+    const id = q.id == null ? `q${i + 1}` : String(q.id);
+    if (!QUESTION_ID_RE.test(id)) return { error: `${where}.id must be 1-40 lowercase letters, digits or underscores` };
+    if (questions.some((other) => other.id === id)) return { error: `${where}.id "${id}" is used twice` };
+
+    const label = typeof q.label === 'string' ? q.label.trim() : '';
+    if (!label || label.length > 500) return { error: `${where}.label is required (max 500 characters)` };
+    if (!SCREENING_QUESTION_TYPES.includes(q.type)) {
+      return { error: `${where}.type must be one of: ${SCREENING_QUESTION_TYPES.join(', ')}` };
+    }
+
+    const question = { id, label, type: q.type, required: q.required === true };
+
+    if (q.type === 'single_select' || q.type === 'multi_select') {
+      if (!Array.isArray(q.options)) return { error: `${where}.options is required for ${q.type}` };
+      const options = [...new Set(q.options.map((o) => (typeof o === 'string' ? o.trim() : '')))];
+      if (options.length < 2 || options.length > MAX_OPTIONS || options.some((o) => !o || o.length > 200)) {
+        return { error: `${where}.options must be 2-${MAX_OPTIONS} distinct non-empty strings` };
+      }
+      question.options = options;
+    }
+    if (q.type === 'number') {
+      for (const key of ['min', 'max']) {
+        if (q[key] == null) continue;
+        if (!isNumber(q[key])) return { error: `${where}.${key} must be a number` };
+        question[key] = q[key];
+      }
+      if (question.min != null && question.max != null && question.min > question.max) {
+        return { error: `${where}.min cannot be greater than max` };
+      }
+    }
+    if (q.type === 'text' && q.maxLength != null) {
+      if (!Number.isInteger(q.maxLength) || q.maxLength < 1 || q.maxLength > 10000) {
+        return { error: `${where}.maxLength must be an integer between 1 and 10000` };
+      }
+      question.maxLength = q.maxLength;
+    }
+
+    const { rule, error } = validateKnockout(question, q.knockout, where);
+    if (error) return { error };
+    if (rule) question.knockout = rule;
+    questions.push(question);
+  }
+  return { questions };
+}
+
+/** The questions as candidates see them: without the knockout rules. */
+export function publicScreeningQuestions(questions) {
+  return (questions || []).map(({ knockout, ...question }) => question);
+}
+
+/**
+ * Validate a candidate's answers against a job's questions. Answers are keyed
+ * by question id; answers to unknown questions are dropped.
+ * @returns {{ answers?: object, error?: string }}
+ */
+export function validateScreeningAnswers(questions, raw) {
+  if (!questions || questions.length === 0) return { answers: null };
+  const given = raw == null ? {} : raw;
+  if (typeof given !== 'object' || Array.isArray(given)) return { error: 'screeningAnswers must be an object keyed by question id' };
+
+  const answers = {};
+  for (const q of questions) {
+    const value = given[q.id];
+    const empty = value == null || value === '' || (Array.isArray(value) && value.length === 0);
+    if (empty) {
+      if (q.required) return { error: `Please answer: ${q.label}` };
+      continue;
+    }
+
+    switch (q.type) {
+      case 'yes_no':
+        if (typeof value !== 'boolean') return { error: `"${q.label}" must be answered yes or no` };
+        answers[q.id] = value;
+        break;
+      case 'number': {
+        const n = typeof value === 'string' ? Number(value) : value;
+        if (!isNumber(n)) return { error: `"${q.label}" must be a number` };
+        if ((q.min != null && n < q.min) || (q.max != null && n > q.max)) {
+          return { error: `"${q.label}" must be between ${q.min ?? '-∞'} and ${q.max ?? '∞'}` };
+        }
+        answers[q.id] = n;
+        break;
+      }
+      case 'single_select':
+        if (!q.options.includes(value)) return { error: `"${q.label}" must be one of the listed options` };
+        answers[q.id] = value;
+        break;
+      case 'multi_select':
+        if (!Array.isArray(value) || !value.every((v) => q.options.includes(v))) {
+          return { error: `"${q.label}" must be a list of the listed options` };
+        }
+        answers[q.id] = [...new Set(value)];
+        break;
+      case 'text': {
+        if (typeof value !== 'string') return { error: `"${q.label}" must be text` };
+        const text = value.trim();
+        if (text.length > (q.maxLength || DEFAULT_TEXT_LENGTH)) {
+          return { error: `"${q.label}" must be at most ${q.maxLength || DEFAULT_TEXT_LENGTH} characters` };
+        }
+        if (text) answers[q.id] = text;
+        else if (q.required) return { error: `Please answer: ${q.label}` };
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return { answers };
+}
+
+function knockoutFires(question, answer) {
+  const rule = question.knockout;
+  if (!rule || answer === undefined) return false;
+  switch (question.type) {
+    case 'yes_no':
+      return answer === rule.equals;
+    case 'number':
+      return rule.below !== undefined ? answer < rule.below : answer > rule.above;
+    case 'single_select':
+      return rule.anyOf.includes(answer);
+    case 'multi_select':
+      return answer.some((a) => rule.anyOf.includes(a));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply the knockout rules to validated answers. Any reject rule that fires
+ * rejects the application; otherwise any flag rule flags it.
+ * @returns {{ outcome: 'passed'|'flagged'|'rejected'|null, flags: Array<object> }}
+ *   outcome is null for jobs without screening questions
+ */
+export function evaluateScreening(questions, answers) {
+  if (!questions || questions.length === 0) return { outcome: null, flags: [] };
+  const flags = questions
+    .filter((q) => knockoutFires(q, (answers || {})[q.id]))
+    .map((q) => ({ questionId: q.id, label: q.label, action: q.knockout.action, answer: answers[q.id] }));
+
+  let outcome = 'passed';
+  if (flags.some((f) => f.action === 'reject')) outcome = 'rejected';
+  else if (flags.length > 0) outcome = 'flagged';
+  return { outcome, flags };
+}
+
+/**
+ * WHERE conditions for filtering a job's applicants by their answers, for
+ * `answer[<questionId>]=<value>` query parameters. Values are matched by
+ * question type: yes_no takes true/false, number takes `min`/`max`
+ * (answer[years][min]=3), selects match applicants who picked that option
+ * (a list matches any of them), and text matches a substring.
+ * @returns {{ sql?: string, error?: string }} sql starts with " AND" (or is empty)
+ */
+export function screeningAnswerFilter(questions, filter, params) {
+  if (filter == null || filter === '') return { sql: '' };
+  if (typeof filter !== 'object' || Array.isArray(filter)) return { error: 'answer filters must look like answer[questionId]=value' };
+
+  let sql = '';
+  for (const [id, raw] of Object.entries(filter)) {
+    const q = (questions || []).find((question) => question.id === id);
+    if (!q) return { error: `This job has no screening question "${id}"` };
+    params.push(id);
+    const key = `$${params.length}::text`;
+
+    switch (q.type) {
+      case 'yes_no': {
+        if (raw !== 'true' && raw !== 'false') return { error: `answer[${id}] must be true or false` };
+        params.push(raw === 'true');
+        sql += ` AND (ja.screening_answers->${key}) = to_jsonb($${params.length}::boolean)`;
+        break;
+      }
+      case 'number': {
+        const range = typeof raw === 'object' && raw !== null ? raw : { min: raw, max: raw };
+        for (const [bound, op] of [['min', '>='], ['max', '<=']]) {
+          if (range[bound] == null || range[bound] === '') continue;
+          const n = Number(range[bound]);
+          if (!Number.isFinite(n)) return { error: `answer[${id}][${bound}] must be a number` };
+          params.push(n);
+          sql += ` AND jsonb_typeof(ja.screening_answers->${key}) = 'number'`
+            + ` AND (ja.screening_answers->>${key})::numeric ${op} $${params.length}`;
+        }
+        break;
+      }
+      case 'single_select':
+      case 'multi_select': {
+        const wanted = Array.isArray(raw) ? raw : [raw];
+        if (wanted.length === 0 || !wanted.every((w) => q.options.includes(w))) {
+          return { error: `answer[${id}] must be one of the question's options` };
+        }
+        params.push(wanted);
+        // A single answer is a JSON string, a multi answer an array; ?| matches either.
+        sql += ` AND (ja.screening_answers->${key}) ?| $${params.length}::text[]`;
+        break;
+      }
+      default: {
+        if (typeof raw !== 'string' || !raw.trim()) return { error: `answer[${id}] must be text` };
+        params.push(`%${raw.trim()}%`);
+        sql += ` AND (ja.screening_answers->>${key}) ILIKE $${params.length}`;
+      }
+    }
+  }
+  return { sql };
+}
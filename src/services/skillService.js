@@ -0,0 +1,182 @@
+// Skills as first-class profile entries. candidates.skills stays the list the
+// candidate writes; on top of it:
+//   - endorsements from colleagues, i.e. candidates with verified employment at
+//     the same company over overlapping dates;
+//   - timed, auto-graded assessments. Passing one adds the skill to
+//     candidates.verified_skills, which job matching weighs above a plain skill.
+// Skills are compared by their lower-cased, trimmed name.
+import pool from '../config/database.js';
+
+export const MAX_ASSESSMENT_QUESTIONS = 50;
+// Submissions this long after the timer ran out still count (network latency).
+export const SUBMISSION_GRACE_SECONDS = 30;
+export const RETAKE_COOLDOWN_DAYS = parseInt(process.env.SKILL_ASSESSMENT_COOLDOWN_DAYS, 10) || 7;
+
+export function skillKey(skill) {
+  return String(skill || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Validate an assessment definition from an admin.
+ * Questions are multiple choice with a single correct option.
+ * @returns {{ error: string|null, assessment: object|null }}
+ */
+export function normaliseAssessment(input) {
+  const skill = String(input?.skill || '').trim();
+  const title = String(input?.title || '').trim();
+  if (!skill || !title) return { error: 'skill and title are required', assessment: null };
+
+  const timeLimitSeconds = parseInt(input.timeLimitSeconds, 10);
+  if (!Number.isInteger(timeLimitSeconds) || timeLimitSeconds < 60 || timeLimitSeconds > 3 * 3600) {
+    return { error: 'timeLimitSeconds must be between 60 and 10800', assessment: null };
+  }
+  const passPercent = input.passPercent === undefined ? 70 : Number(input.passPercent);
+  if (!Number.isFinite(passPercent) || passPercent <= 0 || passPercent > 100) {
+    return { error: 'passPercent must be between 1 and 100', assessment: null };
+  }
+
+  const questions = input.questions;
+  if (!Array.isArray(questions) || questions.length === 0 || questions.length > MAX_ASSESSMENT_QUESTIONS) {
+    return { error: `questions must have 1-${MAX_ASSESSMENT_QUESTIONS} entries`, assessment: null };
+  }
+  const seen = new Set();
+  const normalised = [];
+  for (const [i, q] of questions.entries()) {
+    const prompt = String(q?.prompt || '').trim();
+    const options = Array.isArray(q?.options) ? q.options.map((o) => String(o).trim()).filter(Boolean) : [];
+    const answer = Number(q?.answer);
+    if (!prompt) return { error: `Question ${i + 1} needs a prompt`, assessment: null };
+    if (options.length < 2) return { error: `Question ${i + 1} needs at least two options`, assessment: null };
+    if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) {
+      return { error: `Question ${i + 1} answer must be the index of one of its options`, assessment: null };
+    }
+    const id = String(q.id || `q${i + 1}`).trim().slice(0, 50);
+    if (seen.has(id)) return { error: `Duplicate question id: ${id}`, assessment: null };
+    seen.add(id);
+    normalised.push({ id, prompt: prompt.slice(0, 1000), options, answer });
+  }
+
+  return {
+    error: null,
+    assessment: {
+      skill: skill.slice(0, 100),
+      skillKey: skillKey(skill),
+      title: title.slice(0, 200),
+      description: input.description ? String(input.description).slice(0, 2000) : null,
+      timeLimitSeconds,
+      passPercent,
+      questions: normalised,
+    },
+  };
+}
+
+// Questions as shown to a candidate taking the assessment.
+export function publicQuestions(questions) {
+  return (questions || []).map(({ id, prompt, options }) => ({ id, prompt, options }));
+}
+
+/**
+ * Grade submitted answers ({ [questionId]: optionIndex }). Unanswered questions are wrong.
+ * @returns {{ correct: number, total: number, percent: number, passed: boolean }}
+ */
+export function gradeAttempt(questions, answers, passPercent) {
+  const given = answers && typeof answers === 'object' ? answers : {};
+  const total = questions.length;
+  const chosen = (value) => (typeof value === 'number' || /^\d+$/.test(String(value ?? '')) ? Number(value) : null);
+  const correct = questions.filter((q) => chosen(given[q.id]) === q.answer).length;
+  const percent = total ? Math.round((correct / total) * 1000) / 10 : 0;
+  return { correct, total, percent, passed: percent >= passPercent };
+}
+
+export function mapAssessment(row, { includeAnswers = false } = {}) {
+  return {
+    id: row.id,
+    skill: row.skill,
+    title: row.title,
+    description: row.description,
+    timeLimitSeconds: row.time_limit_seconds,
+    passPercent: Number(row.pass_percent),
+    questionCount: (row.questions || []).length,
+    ...(includeAnswers && { questions: row.questions, isActive: row.is_active }),
+  };
+}
+
+/**
+ * The most recent verified employment the two candidates shared: same company
+ * (by id, or by name when neither record is linked) with overlapping dates.
+ * @returns {Promise<{ endorserEmploymentId, companyName }|null>}
+ */
+export async function sharedVerifiedEmployment(candidateId, endorserCandidateId) {
+  const result = await pool.query(
+    `SELECT mine.id AS endorser_employment_id, COALESCE(co.name, theirs.company_name) AS company_name
+     FROM employment_history theirs
+     JOIN employment_history mine
+       ON (mine.company_id = theirs.company_id
+           OR (mine.company_id IS NULL AND theirs.company_id IS NULL
+               AND LOWER(TRIM(mine.company_name)) = LOWER(TRIM(theirs.company_name))))
+     LEFT JOIN companies co ON theirs.company_id = co.id
+     WHERE theirs.candidate_id = $1 AND mine.candidate_id = $2
+       AND theirs.verification_status = 'verified' AND mine.verification_status = 'verified'
+       AND theirs.start_date <= COALESCE(mine.end_date, CURRENT_DATE)
+       AND mine.start_date <= COALESCE(theirs.end_date, CURRENT_DATE)
+     ORDER BY LEAST(COALESCE(theirs.end_date, CURRENT_DATE), COALESCE(mine.end_date, CURRENT_DATE)) DESC
+     LIMIT 1`,
+    [candidateId, endorserCandidateId]
+  );
+  const row = result.rows[0];
+  return row ? { endorserEmploymentId: row.endorser_employment_id, companyName: row.company_name } : null;
+}
+
+/**
+ * Each of the candidate's skills with its endorsements and assessment badge.
+ * @param {string} candidateId
+ * @param {string[]} skills - candidates.skills
+ * @returns {Promise<Array<{ name, endorsementCount, endorsedByMe, endorsers, verified, assessment }>>}
+ */
+export async function skillSummaries(candidateId, skills, viewerUserId = null) {
+  const list = Array.isArray(skills) ? skills.filter(Boolean) : [];
+  if (list.length === 0) return [];
+
+  const [endorsements, badges] = await Promise.all([
+    pool.query(
+      `SELECT se.skill_key, se.endorser_user_id, se.company_name, se.created_at,
+              COALESCE(c.full_name, u.name) AS endorser_name, c.id AS endorser_candidate_id
+       FROM skill_endorsements se
+       JOIN users u ON se.endorser_user_id = u.id
+       LEFT JOIN candidates c ON c.user_id = u.id
+       WHERE se.candidate_id = $1
+       ORDER BY se.created_at DESC`,
+      [candidateId]
+    ),
+    pool.query(
+      `SELECT DISTINCT ON (a.skill_key) a.skill_key, a.id AS assessment_id, a.title, t.percent, t.submitted_at
+       FROM skill_assessment_attempts t
+       JOIN skill_assessments a ON t.assessment_id = a.id
+       WHERE t.candidate_id = $1 AND t.passed = TRUE
+       ORDER BY a.skill_key, t.percent DESC, t.submitted_at DESC`,
+      [candidateId]
+    ),
+  ]);
+
+  const badgeByKey = new Map(badges.rows.map((b) => [b.skill_key, b]));
+  return list.map((name) => {
+    const key = skillKey(name);
+    const rows = endorsements.rows.filter((e) => e.skill_key === key);
+    const badge = badgeByKey.get(key);
+    return {
+      name,
+      endorsementCount: rows.length,
+      endorsedByMe: viewerUserId ? rows.some((e) => e.endorser_user_id === viewerUserId) : false,
+      endorsers: rows.slice(0, 5).map((e) => ({
+        candidateId: e.endorser_candidate_id,
+        name: e.endorser_name,
+        companyName: e.company_name,
+        endorsedAt: e.created_at,
+      })),
+      verified: !!badge,
+      assessment: badge
+        ? { id: badge.assessment_id, title: badge.title, percent: Number(badge.percent), passedAt: badge.submitted_at }
+        : null,
+    };
+  });
+}
@@ -0,0 +1,161 @@
+// Candidate trust score: a 0-100 summary of how much of a profile has been
+// independently verified, by whom, how clean the supporting documents were,
+// and how long the account has existed.
+//
+// Scores are stored on candidates. A trigger on employment_history and
+// education_history sets trust_score_dirty whenever a record changes; dirty
+// scores are recomputed on the next profile read or by the periodic refresh.
+import pool from '../config/database.js';
+
+// How much a verification is worth, by who performed it.
+const VERIFIER_WEIGHTS = {
+  employer: 1,
+  institution: 1,
+  employer_link: 0.9,
+  admin: 0.8,
+  other: 0.6,
+};
+
+// Component maxima; they add up to 100 before the rejection penalty.
+const MAX_POINTS = { verification: 60, depth: 10, documents: 15, accountAge: 15 };
+const REJECTION_PENALTY = 10;
+const MAX_REJECTION_PENALTY = 30;
+
+export function trustLevel(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 70) return 'high';
+  if (score >= 40) return 'medium';
+  return 'low';
+}
+
+function verifierOf(record) {
+  if (record.verification_type === 'employer_link') return 'employer_link';
+  if (record.verifier_type === 'company') return 'employer';
+  if (record.verifier_type === 'institution') return 'institution';
+  if (record.verifier_type === 'admin') return 'admin';
+  return 'other';
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Pure scoring function.
+ * @param {object} input
+ * @param {Array<{ kind, verification_status, verification_type, verifier_type, document_risk_score }>} input.records
+ * @param {Date|string} [input.accountCreatedAt]
+ * @param {Date} [input.now]
+ * @returns {{ score: number, level: string, breakdown: object }}
+ */
+export function computeTrustScore({ records = [], accountCreatedAt, now = new Date() }) {
+  const counts = { verified: 0, stale: 0, pending: 0, rejected: 0 };
+  const verifiers = { employer: 0, institution: 0, employer_link: 0, admin: 0, other: 0 };
+  let credit = 0;
+
+  for (const r of records) {
+    const status = r.verification_status || 'pending';
+    if (status === 'verified' || status === 'stale') {
+      const verifier = verifierOf(r);
+      verifiers[verifier] += 1;
+      // A stale verification still counts, at half weight, until it is reconfirmed.
+      credit += VERIFIER_WEIGHTS[verifier] * (status === 'stale' ? 0.5 : 1);
+      counts[status] += 1;
+    } else if (status === 'rejected') {
+      counts.rejected += 1;
+    } else {
+      counts.pending += 1;
+    }
+  }
+
+  const verification = records.length ? MAX_POINTS.verification * (credit / records.length) : 0;
+  const depth = MAX_POINTS.depth * Math.min(counts.verified / 3, 1);
+
+  const risks = records.map((r) => r.document_risk_score).filter((s) => s !== null && s !== undefined);
+  const avgRisk = risks.length ? risks.reduce((a, b) => a + Number(b), 0) / risks.length : null;
+  const documents = avgRisk === null ? 0 : MAX_POINTS.documents * (1 - Math.min(avgRisk, 100) / 100);
+
+  const ageDays = accountCreatedAt ? Math.max(0, (now - new Date(accountCreatedAt)) / 86400000) : 0;
+  const accountAge = MAX_POINTS.accountAge * Math.min(ageDays / 365, 1);
+
+  const penalty = Math.min(counts.rejected * REJECTION_PENALTY, MAX_REJECTION_PENALTY);
+  const score = Math.max(0, Math.min(100, Math.round(verification + depth + documents + accountAge - penalty)));
+
+  return {
+    score,
+    level: trustLevel(score),
+    breakdown: {
+      verification: round(verification),
+      depth: round(depth),
+      documents: round(documents),
+      accountAge: round(accountAge),
+      rejectionPenalty: penalty,
+      records: { total: records.length, ...counts },
+      verifiers,
+      averageDocumentRisk: avgRisk === null ? null : round(avgRisk),
+      accountAgeDays: Math.floor(ageDays),
+    },
+  };
+}
+
+// Recompute and store one candidate's score.
+export async function recomputeTrustScore(candidateId, db = pool) {
+  const [recordsResult, userResult] = await Promise.all([
+    db.query(
+      `SELECT 'employment' AS kind, eh.verification_status, eh.verification_type,
+              vu.account_type AS verifier_type, eh.document_risk_score
+       FROM employment_history eh
+       LEFT JOIN users vu ON eh.verified_by = vu.id
+       WHERE eh.candidate_id = $1
+       UNION ALL
+       SELECT 'education', ed.verification_status, ed.verification_type,
+              vu.account_type, ed.document_risk_score
+       FROM education_history ed
+       LEFT JOIN users vu ON ed.verified_by = vu.id
+       WHERE ed.candidate_id = $1`,
+      [candidateId]
+    ),
+    db.query(
+      `SELECT u.created_at FROM candidates c JOIN users u ON c.user_id = u.id WHERE c.id = $1`,
+      [candidateId]
+    ),
+  ]);
+
+  const result = computeTrustScore({
+    records: recordsResult.rows,
+    accountCreatedAt: userResult.rows[0]?.created_at,
+  });
+
+  await db.query(
+    `UPDATE candidates
+     SET trust_score = $2, trust_score_breakdown = $3, trust_score_updated_at = NOW(), trust_score_dirty = FALSE
+     WHERE id = $1`,
+    [candidateId, result.score, JSON.stringify(result.breakdown)]
+  );
+  return result;
+}
+
+// Shape a candidates row's stored score for API responses.
+export function storedTrustScore(row) {
+  return {
+    score: row.trust_score ?? null,
+    level: trustLevel(row.trust_score),
+    breakdown: row.trust_score_breakdown || null,
+    updatedAt: row.trust_score_updated_at || null,
+  };
+}
+
+// Recompute dirty, missing and day-old scores (account age keeps moving).
+export async function refreshTrustScores(limit = 200) {
+  const result = await pool.query(
+    `SELECT id FROM candidates
+     WHERE trust_score_dirty = TRUE
+        OR trust_score IS NULL
+        OR trust_score_updated_at < NOW() - INTERVAL '1 day'
+     ORDER BY trust_score_dirty DESC, trust_score_updated_at ASC NULLS FIRST
+     LIMIT $1`,
+    [limit]
+  );
+  for (const row of result.rows) {
+    await recomputeTrustScore(row.id);
+  }
+  return result.rows.length;
+}
@@ -0,0 +1,95 @@
+// Re-verification policy for current roles.
+//
+// A verified employment record that is still current only proves the
+// candidate worked there when it was verified. After REVERIFY_MONTHS the
+// record is marked 'stale' and both the candidate and the employer are asked
+// to reconfirm. Any fresh verification (employer approval, HR magic link,
+// admin review of a new document) sets it back to 'verified'.
+import pool from '../config/database.js';
+
+const REVERIFY_MONTHS = parseInt(process.env.CURRENT_ROLE_REVERIFY_MONTHS, 10) || 12;
+
+export function getReverifyMonths() {
+  return REVERIFY_MONTHS;
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d;
+}
+
+/**
+ * Freshness of an employment row (needs verification_status, is_current,
+ * verified_at and stale_since).
+ * @returns {{ status: 'fresh'|'stale'|'unverified', verifiedAt, reverifyBy, staleSince }}
+ */
+export function freshnessOf(row) {
+  const verifiedAt = row.verified_at || null;
+  if (row.verification_status === 'stale') {
+    return { status: 'stale', verifiedAt, reverifyBy: null, staleSince: row.stale_since || null };
+  }
+  if (row.verification_status !== 'verified') {
+    return { status: 'unverified', verifiedAt: null, reverifyBy: null, staleSince: null };
+  }
+  return {
+    status: 'fresh',
+    verifiedAt,
+    // Past roles cannot change, so only current ones are ever re-checked.
+    reverifyBy: row.is_current && verifiedAt ? addMonths(verifiedAt, REVERIFY_MONTHS) : null,
+    staleSince: null,
+  };
+}
+
+// Mark current-role verifications older than the policy period as stale and
+// ask the candidate and, when the company is on the platform, the employer
+// to reconfirm. Returns the number of records marked.
+export async function markStaleVerifications() {
+  const result = await pool.query(
+    `UPDATE employment_history eh
+     SET verification_status = 'stale', stale_since = NOW(), updated_at = NOW()
+     FROM candidates c
+     WHERE eh.candidate_id = c.id
+       AND eh.is_current = TRUE
+       AND eh.verification_status = 'verified'
+       AND COALESCE(eh.verified_at, eh.updated_at, eh.created_at) < NOW() - make_interval(months => $1::int)
+     RETURNING eh.id, eh.position, eh.company_id, eh.company_name, c.user_id AS candidate_user_id, c.full_name`,
+    [REVERIFY_MONTHS]
+  );
+
+  for (const row of result.rows) {
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [
+        row.candidate_user_id,
+        'verification_update',
+        'Please Reconfirm Your Current Role',
+        `Your verification for ${row.position} at ${row.company_name} is more than ${REVERIFY_MONTHS} months old. Ask your employer to reconfirm it or upload a recent document.`,
+        '/verifications',
+      ]
+    );
+
+    const company = await pool.query(
+      `SELECT user_id FROM companies
+       WHERE user_id IS NOT NULL AND (id = $1 OR LOWER(name) = LOWER($2))
+       LIMIT 1`,
+      [row.company_id, row.company_name]
+    );
+    if (company.rows[0]) {
+      await pool.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [
+          company.rows[0].user_id,
+          'verification_update',
+          'Employment Reconfirmation Needed',
+          `Please reconfirm that ${row.full_name || 'a candidate'} still works as ${row.position}.`,
+          '/company/verification-requests',
+        ]
+      );
+    }
+  }
+
+  return result.rowCount;
+}
@@ -0,0 +1,302 @@
+// Unified admin verification queue. Merges pending employment, education and
+// company (HR document) verifications into a single list, and manages
+// short-lived claims so two admins never review the same item at once.
+import pool from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const QUEUE_TYPES = ['employment', 'education', 'company'];
+
+const SLA_HOURS = parseInt(process.env.VERIFICATION_SLA_HOURS, 10) || 72;
+const CLAIM_TTL_MINUTES = parseInt(process.env.VERIFICATION_CLAIM_TTL_MINUTES, 10) || 30;
+
+// Whitelisted ORDER BY clauses — never interpolate user input into SQL.
+const SORTS = {
+  oldest: 'q.submitted_at ASC',
+  newest: 'q.submitted_at DESC',
+  type: 'q.item_type ASC, q.submitted_at ASC',
+  risk: 'q.risk_score DESC NULLS LAST, q.submitted_at ASC',
+};
+
+function riskLevel(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 60) return 'high';
+  if (score >= 30) return 'medium';
+  return 'low';
+}
+
+// Employment requests sent to a company (in_review) wait on its HR team, but
+// a company without an account can never answer, so those come straight to
+// admins alongside pending ones. Expects employment_history aliased as eh.
+export const EMPLOYMENT_AWAITING_ADMIN_SQL = `(
+  eh.verification_status = 'pending' OR eh.verification_status IS NULL
+  OR (eh.verification_status = 'in_review' AND NOT EXISTS (
+    SELECT 1 FROM companies co
+    WHERE co.user_id IS NOT NULL
+      AND (co.id = eh.company_id OR (eh.company_id IS NULL AND LOWER(co.name) = LOWER(eh.company_name)))
+  ))
+)`;
+
+// Each branch projects the same columns so they can be UNIONed.
+const QUEUE_SQL = `
+  SELECT 'employment'::text AS item_type,
+         eh.id,
+         eh.position AS title,
+         eh.company_name AS subtitle,
+         u.name AS requester_name,
+         u.email AS requester_email,
+         cand.id AS candidate_id,
+         NULL::uuid AS company_id,
+         eh.verification_type,
+         (eh.document_url IS NOT NULL) AS has_document,
+         COALESCE(eh.updated_at, eh.created_at) AS submitted_at,
+         eh.document_risk_score AS risk_score,
+         eh.document_check -> 'flags' AS risk_flags,
+         eh.escalated_at
+  FROM employment_history eh
+  JOIN candidates cand ON eh.candidate_id = cand.id
+  JOIN users u ON cand.user_id = u.id
+  WHERE ${EMPLOYMENT_AWAITING_ADMIN_SQL}
+
+  UNION ALL
+
+  SELECT 'education'::text,
+         ed.id,
+         ed.degree,
+         ed.institution,
+         u.name,
+         u.email,
+         cand.id,
+         NULL::uuid,
+         ed.verification_type,
+         (ed.document_url IS NOT NULL),
+         COALESCE(ed.updated_at, ed.created_at),
+         ed.document_risk_score,
+         ed.document_check -> 'flags',
+         NULL::timestamptz
+  FROM education_history ed
+  JOIN candidates cand ON ed.candidate_id = cand.id
+  JOIN users u ON cand.user_id = u.id
+  WHERE (ed.verification_status IN ('pending', 'in_review') OR ed.verification_status IS NULL)
+
+  UNION ALL
+
+  SELECT 'company'::text,
+         c.id,
+         c.name,
+         c.website,
+         u.name,
+         u.email,
+         NULL::uuid,
+         c.id,
+         'manual',
+         TRUE,
+         COALESCE(c.updated_at, c.created_at),
+         NULL::int,
+         NULL::jsonb,
+         NULL::timestamptz
+  FROM companies c
+  LEFT JOIN users u ON c.user_id = u.id
+  WHERE c.hr_document_url IS NOT NULL
+    AND (c.verification_status = 'pending' OR c.verification_status IS NULL)
+`;
+
+// Whether an item exists and is still in the queue, per type; the same
+// conditions as QUEUE_SQL.
+const PENDING_ITEM_SQL = {
+  employment: `SELECT ${EMPLOYMENT_AWAITING_ADMIN_SQL} AS pending
+               FROM employment_history eh WHERE eh.id = $1`,
+  education: `SELECT (verification_status IN ('pending', 'in_review') OR verification_status IS NULL) AS pending
+              FROM education_history WHERE id = $1`,
+  company: `SELECT (hr_document_url IS NOT NULL AND (verification_status = 'pending' OR verification_status IS NULL)) AS pending
+            FROM companies WHERE id = $1`,
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function getSlaHours() {
+  return SLA_HOURS;
+}
+
+/**
+ * List the merged queue.
+ * @param {object} opts
+ * @param {string} opts.adminId      - requesting admin (for `claimed=mine`)
+ * @param {string} [opts.type]       - employment | education | company
+ * @param {string} [opts.claimed]    - all | mine | unclaimed
+ * @param {boolean} [opts.breachedOnly]
+ * @param {string} [opts.sort]       - oldest | newest | type | risk
+ * @param {number} opts.page
+ * @param {number} opts.limit
+ */
+export async function listQueue({ adminId, type, claimed = 'all', breachedOnly = false, sort = 'oldest', page, limit }) {
+  const where = [];
+  const params = [SLA_HOURS];
+  let idx = 2;
+
+  if (type && QUEUE_TYPES.includes(type)) {
+    where.push(`q.item_type = $${idx++}`);
+    params.push(type);
+  }
+  if (claimed === 'mine') {
+    where.push(`vc.claimed_by = $${idx++}`);
+    params.push(adminId);
+  } else if (claimed === 'unclaimed') {
+    where.push('vc.id IS NULL');
+  }
+  if (breachedOnly) {
+    where.push(`q.submitted_at < NOW() - make_interval(hours => $1::int)`);
+  }
+
+  const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const orderBy = SORTS[sort] || SORTS.oldest;
+
+  const base = `
+    FROM (${QUEUE_SQL}) q
+    LEFT JOIN verification_claims vc
+      ON vc.verification_type = q.item_type
+     AND vc.verification_id = q.id
+     AND vc.expires_at > NOW()
+    LEFT JOIN users cu ON vc.claimed_by = cu.id
+    ${whereClause}
+  `;
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE q.submitted_at < NOW() - make_interval(hours => $1::int))::int AS breached,
+            COUNT(*) FILTER (WHERE q.item_type = 'employment')::int AS employment,
+            COUNT(*) FILTER (WHERE q.item_type = 'education')::int AS education,
+            COUNT(*) FILTER (WHERE q.item_type = 'company')::int AS company
+     ${base}`,
+    params
+  );
+  const counts = countResult.rows[0] || {};
+
+  const offset = (page - 1) * limit;
+  const rowsResult = await pool.query(
+    `SELECT q.*,
+            EXTRACT(EPOCH FROM (NOW() - q.submitted_at)) / 3600 AS age_hours,
+            vc.claimed_by, vc.claimed_at, vc.expires_at AS claim_expires_at,
+            cu.name AS claimed_by_name
+     ${base}
+     ORDER BY ${orderBy}
+     LIMIT $${idx} OFFSET $${idx + 1}`,
+    [...params, limit, offset]
+  );
+
+  const items = rowsResult.rows.map((row) => {
+    const ageHours = Number(row.age_hours) || 0;
+    return {
+      type: row.item_type,
+      id: row.id,
+      title: row.title,
+      subtitle: row.subtitle,
+      requesterName: row.requester_name,
+      requesterEmail: row.requester_email,
+      candidateId: row.candidate_id,
+      companyId: row.company_id,
+      verificationType: row.verification_type || 'manual',
+      hasDocument: row.has_document,
+      riskScore: row.risk_score ?? null,
+      riskLevel: riskLevel(row.risk_score),
+      riskFlags: row.risk_flags || [],
+      // Set when the company never answered and the request was handed to admins.
+      escalatedAt: row.escalated_at || null,
+      submittedAt: row.submitted_at,
+      ageHours: Math.round(ageHours * 10) / 10,
+      slaDueAt: new Date(new Date(row.submitted_at).getTime() + SLA_HOURS * 3600 * 1000),
+      slaBreached: ageHours > SLA_HOURS,
+      claim: row.claimed_by
+        ? {
+            claimedBy: row.claimed_by,
+            claimedByName: row.claimed_by_name,
+            claimedAt: row.claimed_at,
+            expiresAt: row.claim_expires_at,
+            isMine: row.claimed_by === adminId,
+          }
+        : null,
+    };
+  });
+
+  return {
+    items,
+    total: counts.total || 0,
+    stats: {
+      total: counts.total || 0,
+      breached: counts.breached || 0,
+      employment: counts.employment || 0,
+      education: counts.education || 0,
+      company: counts.company || 0,
+      slaHours: SLA_HOURS,
+    },
+  };
+}
+
+/**
+ * Claim an item for review. Succeeds if the item is unclaimed, the previous
+ * claim expired, or the caller already holds it (which extends the claim).
+ * Returns { claim } on success, or { conflict } with the current holder.
+ */
+export async function claimItem(type, id, adminId) {
+  if (!UUID_RE.test(String(id))) throw new AppError('Verification item not found', 404);
+  const item = await pool.query(PENDING_ITEM_SQL[type], [id]);
+  if (item.rows.length === 0) throw new AppError('Verification item not found', 404);
+  if (!item.rows[0].pending) throw new AppError('This item is no longer awaiting review', 409);
+
+  const result = await pool.query(
+    `INSERT INTO verification_claims (verification_type, verification_id, claimed_by, claimed_at, expires_at)
+     VALUES ($1, $2, $3, NOW(), NOW() + make_interval(mins => $4::int))
+     ON CONFLICT (verification_type, verification_id) DO UPDATE
+       SET claimed_by = EXCLUDED.claimed_by,
+           claimed_at = CASE WHEN verification_claims.claimed_by = EXCLUDED.claimed_by
+                             THEN verification_claims.claimed_at ELSE NOW() END,
+           expires_at = EXCLUDED.expires_at
+       WHERE verification_claims.claimed_by = EXCLUDED.claimed_by
+          OR verification_claims.expires_at <= NOW()
+     RETURNING *`,
+    [type, id, adminId, CLAIM_TTL_MINUTES]
+  );
+
+  if (result.rows.length > 0) {
+    return { claim: result.rows[0] };
+  }
+
+  return { conflict: await getActiveClaim(type, id) };
+}
+
+// Release a claim. Only the holder may release it.
+export async function releaseItem(type, id, adminId) {
+  const result = await pool.query(
+    `DELETE FROM verification_claims
+     WHERE verification_type = $1 AND verification_id = $2 AND claimed_by = $3
+     RETURNING id`,
+    [type, id, adminId]
+  );
+  return result.rows.length > 0;
+}
+
+export async function getActiveClaim(type, id) {
+  const result = await pool.query(
+    `SELECT vc.*, u.name AS claimed_by_name
+     FROM verification_claims vc
+     LEFT JOIN users u ON vc.claimed_by = u.id
+     WHERE vc.verification_type = $1 AND vc.verification_id = $2 AND vc.expires_at > NOW()`,
+    [type, id]
+  );
+  return result.rows[0] || null;
+}
+
+// Returns the active claim if it is held by someone other than adminId.
+// Decision endpoints call this to refuse acting on another admin's item.
+export async function getConflictingClaim(type, id, adminId) {
+  const claim = await getActiveClaim(type, id);
+  if (claim && claim.claimed_by !== adminId) return claim;
+  return null;
+}
+
+// Drop any claim once an item has been decided — it left the queue.
+export async function clearClaim(type, id) {
+  await pool.query(
+    'DELETE FROM verification_claims WHERE verification_type = $1 AND verification_id = $2',
+    [type, id]
+  );
+}
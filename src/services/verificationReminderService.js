@@ -0,0 +1,192 @@
+// Reminders and escalation for employment verification requests sent to
+// companies.
+//
+// A request is "with the company" while it is in_review and names a company
+// that has an account. HR is emailed after each interval in
+// VERIFICATION_REMINDER_DAYS (days since submission, default "3,7"); once
+// VERIFICATION_ESCALATION_DAYS (default 14) have passed without a decision the
+// request is handed to the admin queue. A request naming a company with no
+// account has nobody to remind, so it is escalated on the next run. Every
+// reminder and escalation is recorded in verification_reminders so the
+// candidate can see the history.
+import pool from '../config/database.js';
+import { sendVerificationReminder } from '../utils/mailer.js';
+
+function parseDays(value, fallback) {
+  const days = String(value || '')
+    .split(',')
+    .map((d) => parseInt(d, 10))
+    .filter((d) => Number.isInteger(d) && d > 0);
+  return days.length ? [...new Set(days)].sort((a, b) => a - b) : fallback;
+}
+
+const REMINDER_DAYS = parseDays(process.env.VERIFICATION_REMINDER_DAYS, [3, 7]);
+const ESCALATION_DAYS = parseInt(process.env.VERIFICATION_ESCALATION_DAYS, 10) || 14;
+
+export function getReminderSchedule() {
+  return { reminderDays: REMINDER_DAYS, escalationDays: ESCALATION_DAYS };
+}
+
+/**
+ * What a pending request is owed right now.
+ * @param {object} input
+ * @param {number} input.ageDays        - days since the request was submitted
+ * @param {number} input.remindersSent  - reminders already sent for this submission
+ * @returns {'escalate'|'remind'|null}
+ */
+export function dueAction({ ageDays, remindersSent }, schedule = getReminderSchedule()) {
+  if (ageDays >= schedule.escalationDays) return 'escalate';
+  const owed = schedule.reminderDays.filter((d) => ageDays >= d).length;
+  return remindersSent < owed ? 'remind' : null;
+}
+
+// Requests currently waiting on a company, with the HR contact (null when the
+// company has no account) and how many reminders this submission has already
+// had. Age runs from verification_requested_at, which only the document
+// submission sets; other edits to the record must not restart the clock.
+const PENDING_WITH_COMPANY_SQL = `
+  SELECT eh.id, eh.position, eh.candidate_id,
+         COALESCE(eh.verification_requested_at, eh.created_at) AS submitted_at,
+         EXTRACT(EPOCH FROM (NOW() - COALESCE(eh.verification_requested_at, eh.created_at))) / 86400 AS age_days,
+         co.id AS company_id, COALESCE(co.name, eh.company_name) AS company_name, co.user_id AS company_user_id,
+         hr.email AS hr_email,
+         c.user_id AS candidate_user_id, COALESCE(c.full_name, cu.name) AS candidate_name,
+         (SELECT COUNT(*)::int FROM verification_reminders vr
+           WHERE vr.employment_id = eh.id AND vr.kind = 'reminder'
+             AND vr.sent_at >= COALESCE(eh.verification_requested_at, eh.created_at)) AS reminders_sent
+  FROM employment_history eh
+  JOIN candidates c ON eh.candidate_id = c.id
+  JOIN users cu ON c.user_id = cu.id
+  LEFT JOIN LATERAL (
+    SELECT id, name, user_id FROM companies
+    WHERE user_id IS NOT NULL AND (id = eh.company_id OR (eh.company_id IS NULL AND LOWER(name) = LOWER(eh.company_name)))
+    LIMIT 1
+  ) co ON TRUE
+  LEFT JOIN users hr ON co.user_id = hr.id
+  WHERE eh.verification_status = 'in_review'
+    AND (hr.id IS NULL OR COALESCE(eh.verification_requested_at, eh.created_at) < NOW() - make_interval(days => $1::int))
+  ORDER BY submitted_at ASC
+  LIMIT $2
+`;
+
+async function notify(userId, title, message, link) {
+  await pool.query(
+    `INSERT INTO notifications (user_id, type, title, message, link, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [userId, 'verification_update', title, message, link]
+  );
+}
+
+async function remind(row) {
+  const reminderNumber = row.reminders_sent + 1;
+  const daysPending = Math.floor(Number(row.age_days));
+  const result = await sendVerificationReminder({
+    to: row.hr_email,
+    candidateName: row.candidate_name,
+    companyName: row.company_name,
+    position: row.position,
+    daysPending,
+    escalatesInDays: Math.max(0, ESCALATION_DAYS - daysPending),
+    reviewLink: `${process.env.CLIENT_URL || 'http://localhost:3000'}/company/verification-requests`,
+  });
+  if (result && result.ok === false) {
+    // Not recorded, so the next run tries again.
+    throw new Error(result.error?.message || 'Reminder email failed');
+  }
+
+  await pool.query(
+    `INSERT INTO verification_reminders (employment_id, company_id, kind, sent_to, reminder_number)
+     VALUES ($1, $2, 'reminder', $3, $4)`,
+    [row.id, row.company_id, row.hr_email, reminderNumber]
+  );
+  await notify(
+    row.company_user_id,
+    'Verification Request Waiting',
+    `${row.candidate_name || 'A candidate'}'s ${row.position} verification has been waiting ${daysPending} days.`,
+    '/company/verification-requests'
+  );
+}
+
+async function escalate(row) {
+  // Back to 'pending' puts the request in the admin queue; the status guard
+  // skips requests the company decided since the scan.
+  const result = await pool.query(
+    `UPDATE employment_history
+     SET verification_status = 'pending', escalated_at = NOW()
+     WHERE id = $1 AND verification_status = 'in_review'`,
+    [row.id]
+  );
+  if (result.rowCount === 0) return false;
+
+  await pool.query(
+    `INSERT INTO verification_reminders (employment_id, company_id, kind, sent_to)
+     VALUES ($1, $2, 'escalation', NULL)`,
+    [row.id, row.company_id]
+  );
+  await notify(
+    row.candidate_user_id,
+    'Verification Escalated',
+    row.hr_email
+      ? `${row.company_name} has not responded to your ${row.position} verification in ${ESCALATION_DAYS} days, so our team will review it instead.`
+      : `${row.company_name || 'Your employer'} does not have an account to answer your ${row.position} verification, so our team will review it instead.`,
+    '/verifications'
+  );
+  return true;
+}
+
+// Send due reminders and escalate overdue requests. Returns counts.
+export async function processVerificationReminders(limit = 200) {
+  const firstDue = Math.min(REMINDER_DAYS[0] ?? ESCALATION_DAYS, ESCALATION_DAYS);
+  const result = await pool.query(PENDING_WITH_COMPANY_SQL, [firstDue, limit]);
+
+  const counts = { reminded: 0, escalated: 0, failed: 0 };
+  for (const row of result.rows) {
+    const action = row.hr_email
+      ? dueAction({ ageDays: Number(row.age_days), remindersSent: row.reminders_sent })
+      : 'escalate';
+    try {
+      if (action === 'remind') {
+        await remind(row);
+        counts.reminded += 1;
+      } else if (action === 'escalate' && (await escalate(row))) {
+        counts.escalated += 1;
+      }
+    } catch (err) {
+      counts.failed += 1;
+      console.error(`Verification reminder failed for employment ${row.id}:`, err.message || err);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Reminder history of each employment record's current submission, for the
+ * candidate's view; reminders about an earlier submission are left out.
+ * @param {string[]} employmentIds
+ * @returns {Promise<Map<string, { count, lastRemindedAt, escalatedAt }>>}
+ */
+export async function reminderSummaries(employmentIds) {
+  const summaries = new Map();
+  if (employmentIds.length === 0) return summaries;
+
+  const result = await pool.query(
+    `SELECT vr.employment_id,
+            COUNT(*) FILTER (WHERE vr.kind = 'reminder')::int AS count,
+            MAX(vr.sent_at) FILTER (WHERE vr.kind = 'reminder') AS last_reminded_at,
+            MAX(vr.sent_at) FILTER (WHERE vr.kind = 'escalation') AS escalated_at
+     FROM verification_reminders vr
+     JOIN employment_history eh ON eh.id = vr.employment_id
+     WHERE vr.employment_id = ANY($1::uuid[])
+       AND vr.sent_at >= COALESCE(eh.verification_requested_at, eh.created_at)
+     GROUP BY vr.employment_id`,
+    [employmentIds]
+  );
+  for (const row of result.rows) {
+    summaries.set(row.employment_id, {
+      count: row.count,
+      lastRemindedAt: row.last_reminded_at,
+      escalatedAt: row.escalated_at,
+    });
+  }
+  return summaries;
+}
@@ -0,0 +1,50 @@
+// Helpers for matching email addresses against an organisation's website.
+
+// Webmail providers never prove an affiliation with an employer.
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'yahoo.co.uk', 'hotmail.com',
+  'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me',
+  'protonmail.com', 'gmx.com', 'gmx.net', 'mail.com', 'yandex.com', 'zoho.com', 'rediffmail.com',
+]);
+
+// "https://www.Acme.com/about" -> "acme.com"; returns null for anything unparsable.
+export function hostnameFromUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  try {
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(url.trim()) ? url.trim() : `https://${url.trim()}`;
+    const host = new URL(withScheme).hostname.toLowerCase().replace(/^www\./, '');
+    return host.includes('.') ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+export function emailDomain(email) {
+  if (!email || typeof email !== 'string') return null;
+  const at = email.trim().lastIndexOf('@');
+  if (at < 1) return null;
+  const domain = email.trim().slice(at + 1).toLowerCase();
+  return domain.includes('.') ? domain : null;
+}
+
+export function isFreeEmailDomain(domain) {
+  return FREE_EMAIL_DOMAINS.has(String(domain || '').toLowerCase());
+}
+
+// True when the email domain is the site's domain or a subdomain of it
+// (hr.acme.com matches acme.com). Not the other way round: an address at a
+// shared parent such as co.uk must not match every site under it.
+export function domainsMatch(emailHost, siteHost) {
+  if (!emailHost || !siteHost) return false;
+  const x = emailHost.toLowerCase();
+  const y = siteHost.toLowerCase();
+  return x === y || x.endsWith(`.${y}`);
+}
+
+// Stricter than domainsMatch: the hosts must be identical. Used where the
+// domain is the proof itself, so neither a parent domain nor a subdomain of
+// the company's own domain can stand in for it.
+export function sameDomain(a, b) {
+  if (!a || !b) return false;
+  return a.toLowerCase() === b.toLowerCase();
+}
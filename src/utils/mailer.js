@@ -343,4 +343,177 @@ export async function sendApplicationStatusEmail({ to, candidateName, companyNam
   });
 }
 
-export default { sendOtpEmail, sendCollaboratorInvite, sendInterviewInvite, sendInterviewConfirmation, sendBulkOnboardInvite, sendApplicationStatusEmail };
+// ── Employer verification request (magic link to HR) ───────────────────
+export async function sendEmployerVerificationRequest({ to, candidateName, companyName, position, startDate, endDate, magicLink, expiresInDays }) {
+  return sendBrandedEmail({
+    to,
+    subject: `Employment verification request for ${candidateName}`,
+    heading: `Please confirm a former employee's record`,
+    bodyHtml: `
+      <p>Hello,</p>
+      <p><strong>${candidateName}</strong> has listed the following role at <strong>${companyName}</strong> on VeriBoard and asked us to verify it with you:</p>
+      <p style="font-size:16px;font-weight:600;color:#111827;background:#f3f4f6;padding:14px;border-radius:8px;margin:16px 0;">
+        ${position}<br>
+        <span style="font-weight:400;color:#4b5563;">${startDate} – ${endDate}</span>
+      </p>
+      <p>You don't need an account. Use the button below to confirm the record or correct the title and dates.</p>
+    `,
+    ctaText: 'Review Employment Record',
+    ctaUrl: magicLink,
+    footerNote: `This link can be used once and expires in ${expiresInDays} days. If you don't recognise this person, choose "Dispute".`,
+  });
+}
+
+// ── Company domain verification code ───────────────────────────────────
+export async function sendDomainVerificationCode({ to, companyName, domain, code, expiresInMinutes }) {
+  return sendBrandedEmail({
+    to,
+    subject: `Your VeriBoard domain verification code: ${code}`,
+    heading: `Verify ${domain}`,
+    bodyHtml: `
+      <p>Someone at <strong>${companyName}</strong> is verifying ownership of <strong>${domain}</strong> on VeriBoard.</p>
+      <p>Enter this code to complete verification:</p>
+      <p style="font-size:28px;font-weight:700;letter-spacing:6px;color:#111827;background:#f3f4f6;padding:14px;border-radius:8px;margin:16px 0;text-align:center;">${code}</p>
+    `,
+    footerNote: `This code expires in ${expiresInMinutes} minutes. If you didn't expect this, you can ignore this email.`,
+  });
+}
+
+// ── Verification request reminder (to company HR) ──────────────────────
+export async function sendVerificationReminder({ to, candidateName, companyName, position, daysPending, escalatesInDays, reviewLink }) {
+  return sendBrandedEmail({
+    to,
+    subject: `Reminder: ${candidateName} is waiting for employment verification`,
+    heading: 'An employment verification is waiting for you',
+    bodyHtml: `
+      <p>Hello,</p>
+      <p><strong>${candidateName}</strong> asked <strong>${companyName}</strong> to verify the following role <strong>${daysPending} days</strong> ago:</p>
+      <p style="font-size:16px;font-weight:600;color:#111827;background:#f3f4f6;padding:14px;border-radius:8px;margin:16px 0;">${position}</p>
+      <p>Please approve or reject the request from your verification dashboard.</p>
+    `,
+    ctaText: 'Review Request',
+    ctaUrl: reviewLink,
+    footerNote: escalatesInDays > 0
+      ? `If there is no response within ${escalatesInDays} days, the request will be reviewed by the VeriBoard team instead.`
+      : 'This request is due to be reviewed by the VeriBoard team.',
+  });
+}
+
+export async function sendReferenceRequest({ to, refereeName, candidateName, companyName, position, link, expiresInDays }) {
+  return sendBrandedEmail({
+    to,
+    subject: `${candidateName} has asked you for a reference`,
+    heading: 'Reference request',
+    bodyHtml: `
+      <p>Hello ${refereeName},</p>
+      <p><strong>${candidateName}</strong> has named you as a referee for their time at <strong>${companyName}</strong>:</p>
+      <p style="font-size:16px;font-weight:600;color:#111827;background:#f3f4f6;padding:14px;border-radius:8px;margin:16px 0;">${position}</p>
+      <p>The questionnaire takes a few minutes. You can also decline if you would rather not give a reference.</p>
+    `,
+    ctaText: 'Give Reference',
+    ctaUrl: link,
+    footerNote: `This link can be used once and expires in ${expiresInDays} days. If you don't know ${candidateName}, you can ignore this email.`,
+  });
+}
+
+export async function sendCertificationExpiryNotice({ to, candidateName, certificationName, issuer, expiryDate, daysLeft, link }) {
+  const lapsed = daysLeft < 0;
+  const formatted = new Date(expiryDate).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  return sendBrandedEmail({
+    to,
+    subject: lapsed ? `Your ${certificationName} has expired` : `Your ${certificationName} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+    heading: lapsed ? 'A certification has expired' : 'A certification is expiring soon',
+    bodyHtml: `
+      <p>Hi ${candidateName || 'there'},</p>
+      <p>Your certification on VeriBoard ${lapsed ? 'expired' : 'expires'} on <strong>${formatted}</strong>:</p>
+      <p style="font-size:16px;font-weight:600;color:#111827;background:#f3f4f6;padding:14px;border-radius:8px;margin:16px 0;">${certificationName} &middot; ${issuer}</p>
+      <p>Once you have renewed it, update the expiry date and upload the new certificate so employers see it as current.</p>
+    `,
+    ctaText: 'Update Certification',
+    ctaUrl: link,
+  });
+}
+
+export async function sendDataExportReady({ to, name, link, expiresAt }) {
+  const formatted = new Date(expiresAt).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' });
+  return sendBrandedEmail({
+    to,
+    subject: 'Your VeriBoard data export is ready',
+    heading: 'Your data export is ready',
+    bodyHtml: `
+      <p>Hi ${name || 'there'},</p>
+      <p>The copy of your VeriBoard data you asked for is ready. It is a zip file with your account data as JSON and the files you uploaded.</p>
+    `,
+    ctaText: 'Download Export',
+    ctaUrl: link,
+    footerNote: `The link works until ${formatted}. If you did not ask for an export, change your password and contact support.`,
+  });
+}
+
+export async function sendAccountDeletionScheduled({ to, name, scheduledFor, cancelUrl }) {
+  const formatted = new Date(scheduledFor).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  return sendBrandedEmail({
+    to,
+    subject: 'Your VeriBoard account is scheduled for deletion',
+    heading: 'Account deletion scheduled',
+    bodyHtml: `
+      <p>Hi ${name || 'there'},</p>
+      <p>We received a request to delete your VeriBoard account. It will be deleted on <strong>${formatted}</strong>.</p>
+      <p>Your profile, work and education history, posts and uploaded files will be removed. Payment records we are required to keep will be retained without your name or email.</p>
+      <p>You can keep using your account and cancel the deletion until then. If you want a copy of your data, download an export first.</p>
+    `,
+    ctaText: 'Manage Deletion',
+    ctaUrl: cancelUrl,
+    footerNote: 'If you did not ask to delete your account, cancel the deletion and change your password.',
+  });
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+export async function sendSavedSearchDigest({ to, name, searchName, frequency, jobs, total, searchUrl, manageUrl }) {
+  // Titles and company names can come from crawled career pages, so they are escaped.
+  const rows = jobs.map((job) => `
+      <li style="margin:0 0 10px;">
+        <strong>${escapeHtml(job.title)}</strong><br/>
+        <span style="color:#6b7280;">${escapeHtml(job.company)}${job.location ? ` &middot; ${escapeHtml(job.location)}` : ''}</span>
+      </li>`).join('');
+  const more = total > jobs.length ? `<p>And ${total - jobs.length} more.</p>` : '';
+  return sendBrandedEmail({
+    to,
+    subject: `${total} new job${total === 1 ? '' : 's'} for "${searchName}"`,
+    heading: `New jobs for "${escapeHtml(searchName)}"`,
+    bodyHtml: `
+      <p>Hi ${escapeHtml(name) || 'there'},</p>
+      <p>Here ${total === 1 ? 'is the job' : `are the ${total} jobs`} posted since your last ${frequency} alert:</p>
+      <ul style="padding-left:18px;margin:16px 0;">${rows}
+      </ul>
+      ${more}
+    `,
+    ctaText: 'See All Matches',
+    ctaUrl: searchUrl,
+    footerNote: `You get this ${frequency} because you saved this search. <a href="${manageUrl}">Manage your alerts</a>.`,
+  });
+}
+
+export async function sendJobExpiryNotice({ to, companyName, jobTitle, expiresAt, expired, link }) {
+  const formatted = new Date(expiresAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  return sendBrandedEmail({
+    to,
+    subject: expired ? `Your job posting "${jobTitle}" has expired` : `Your job posting "${jobTitle}" expires on ${formatted}`,
+    heading: expired ? 'A job posting has expired' : 'A job posting is expiring soon',
+    bodyHtml: `
+      <p>Hi ${escapeHtml(companyName) || 'there'},</p>
+      <p>Your job posting on VeriBoard ${expired ? 'expired' : 'expires'} on <strong>${formatted}</strong>:</p>
+      <p style="font-size:16px;font-weight:600;color:#111827;background:#f3f4f6;padding:14px;border-radius:8px;margin:16px 0;">${escapeHtml(jobTitle)}</p>
+      <p>${expired
+        ? 'It no longer appears in search or takes applications. Repost it in one click to keep hiring; the new posting keeps its link to this one.'
+        : 'After that it stops appearing in search and taking applications. You can repost it once it has expired.'}</p>
+    `,
+    ctaText: expired ? 'Repost Job' : 'View Job',
+    ctaUrl: link,
+  });
+}
+
+export default { sendOtpEmail, sendCollaboratorInvite, sendInterviewInvite, sendInterviewConfirmation, sendBulkOnboardInvite, sendApplicationStatusEmail, sendEmployerVerificationRequest, sendDomainVerificationCode, sendVerificationReminder, sendReferenceRequest, sendCertificationExpiryNotice, sendDataExportReady, sendAccountDeletionScheduled, sendSavedSearchDigest, sendJobExpiryNotice };
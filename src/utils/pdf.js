@@ -0,0 +1,86 @@
+// Minimal single-page PDF writer for printable documents (verification
+// certificates). No external deps. Uses the built-in Helvetica fonts, so text
+// is limited to Latin-1; anything else is replaced with '?'.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+function escapePdfText(str) {
+  return String(str ?? '')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+// Hard-wrap long strings (signatures, URLs) at a fixed character width.
+function wrap(text, width) {
+  const out = [];
+  for (const para of String(text ?? '').split('\n')) {
+    if (para.length <= width) {
+      out.push(para);
+      continue;
+    }
+    let rest = para;
+    while (rest.length > width) {
+      let cut = rest.lastIndexOf(' ', width);
+      if (cut <= 0) cut = width;
+      out.push(rest.slice(0, cut));
+      rest = rest.slice(cut).replace(/^ /, '');
+    }
+    if (rest) out.push(rest);
+  }
+  return out;
+}
+
+/**
+ * Render lines of text top-to-bottom on a single A4 page.
+ * @param {Array<{text: string, size?: number, bold?: boolean, gap?: number, mono?: boolean}>} lines
+ * @returns {Buffer}
+ */
+export function generateTextPdf(lines) {
+  const ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const size = line.size || 11;
+    const font = line.mono ? 'F3' : line.bold ? 'F2' : 'F1';
+    // Rough average glyph width: ~0.5em for Helvetica, 0.6em for Courier.
+    const charsPerLine = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * (line.mono ? 0.6 : 0.5)));
+    y -= line.gap || 0;
+    for (const chunk of wrap(line.text, charsPerLine)) {
+      y -= size * 1.4;
+      if (y < MARGIN) break;
+      ops.push(`BT /${font} ${size} Tf ${MARGIN} ${y.toFixed(1)} Td (${escapePdfText(chunk)}) Tj ET`);
+    }
+  }
+
+  const content = ops.join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R /F3 6 0 R >> >> /Contents 7 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const off of offsets) {
+    pdf += `${String(off).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
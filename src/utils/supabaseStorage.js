@@ -188,6 +188,23 @@ export async function createSignedUrl(bucket, path, expiresInSeconds = 60) {
   }
 }
 
+/**
+ * Download an object from a bucket
+ * @param {string} bucket
+ * @param {string} path
+ * @returns {Promise<{data: Buffer|null, error}>}
+ */
+export async function downloadFromBucket(bucket, path) {
+  if (!bucket || !path) return { data: null, error: 'Missing bucket or path' };
+  try {
+    const { data, error } = await supabase.storage.from(bucket).download(path);
+    if (error) return { data: null, error };
+    return { data: Buffer.from(await data.arrayBuffer()), error: null };
+  } catch (err) {
+    return { data: null, error: err };
+  }
+}
+
 /**
  * Delete an object from a bucket
  * @param {string} bucket
@@ -227,6 +244,7 @@ export default {
   createSignedUrl,
   signImageUrl,
   getProfilePictureSignedUrl,
+  downloadFromBucket,
   deleteFromBucket,
   BUCKET_NAME,
   FOLDERS,
@@ -0,0 +1,22 @@
+import pool from '../config/database.js';
+
+/**
+ * Run `work(client)` between BEGIN and COMMIT on one pooled client, rolling
+ * back if it throws. Used to write a change and its audit entry together.
+ * @param {(client) => Promise<any>} work
+ * @returns {Promise<any>} whatever `work` returns
+ */
+export async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}